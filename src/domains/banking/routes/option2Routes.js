@@ -73,7 +73,8 @@ router.get('/connectors', async (req, res, next) => {
  */
 router.post('/create-connection', async (req, res, next) => {
   try {
-    const { connector_id, user_id = '00000000-0000-0000-0000-000000000001', ...connectionFields } = req.body;
+    const { connector_id, user_id: _ignoredUserId, ...connectionFields } = req.body;
+    const user_id = req.user.id;
 
     if (!connector_id) {
       return res.status(400).json({
@@ -202,7 +203,7 @@ router.post('/create-connection', async (req, res, next) => {
   } catch (error) {
     logger.error('❌ 🔗 OPTION 2 - STEP 3: Connection creation failed', {
       connectorId: req.body.connector_id,
-      userId: req.body.user_id,
+      userId: req.user?.id,
       error: error.message,
       step: 'CREATE_CONNECTION_ERROR'
     });
@@ -222,7 +223,8 @@ router.post('/create-connection', async (req, res, next) => {
  */
 router.get('/check-accounts', async (req, res, next) => {
   try {
-    const { user_id = '00000000-0000-0000-0000-000000000001', connection_id } = req.query;
+    const { connection_id } = req.query;
+    const user_id = req.user.id;
 
     logger.info('📊 🆕 OPTION 2 - STEP 4: Checking accounts status', {
       userId: user_id,
@@ -279,7 +281,7 @@ router.get('/check-accounts', async (req, res, next) => {
 
   } catch (error) {
     logger.error('❌ 📊 OPTION 2 - STEP 4: Check accounts failed', {
-      userId: req.query.user_id,
+      userId: req.user?.id,
       error: error.message,
       step: 'CHECK_ACCOUNTS_ERROR'
     });
@@ -299,7 +301,8 @@ router.get('/check-accounts', async (req, res, next) => {
  */
 router.post('/enable-accounts', async (req, res, next) => {
   try {
-    const { account_ids, user_id = '00000000-0000-0000-0000-000000000001' } = req.body;
+    const { account_ids } = req.body;
+    const user_id = req.user.id;
 
     if (!account_ids || !Array.isArray(account_ids)) {
       return res.status(400).json({
@@ -367,7 +370,7 @@ router.post('/enable-accounts', async (req, res, next) => {
   } catch (error) {
     logger.error('❌ 🔓 OPTION 2 - STEP 5: Enable accounts failed', {
       accountIds: req.body.account_ids,
-      userId: req.body.user_id,
+      userId: req.user?.id,
       error: error.message,
       step: 'ENABLE_ACCOUNTS_ERROR'
     });
@@ -387,7 +390,7 @@ router.post('/enable-accounts', async (req, res, next) => {
  */
 router.get('/test-data', async (req, res, next) => {
   try {
-    const { user_id = '00000000-0000-0000-0000-000000000001' } = req.query;
+    const user_id = req.user.id;
 
     logger.info('🧪 🆕 OPTION 2 - FINAL: Testing data retrieval', {
       userId: user_id,
@@ -456,7 +459,7 @@ router.get('/test-data', async (req, res, next) => {
 
   } catch (error) {
     logger.error('❌ 🧪 OPTION 2 - FINAL: Data test failed', {
-      userId: req.query.user_id,
+      userId: req.user?.id,
       error: error.message,
       step: 'TEST_DATA_ERROR'
     });
@@ -476,7 +479,7 @@ router.get('/test-data', async (req, res, next) => {
  */
 router.get('/connections', async (req, res, next) => {
   try {
-    const userId = req.query.user_id || '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
     
     logger.info('📋 OPTION 2: Getting user connections', { 
       userId,
@@ -515,7 +518,7 @@ router.get('/connections', async (req, res, next) => {
     });
   } catch (error) {
     logger.error('❌ OPTION 2: Database connections query failed', {
-      userId: req.query.user_id,
+      userId: req.user?.id,
       error: error.message,
       step: 'GET_CONNECTIONS_ERROR'
     });
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { logger } = require('../../shared/utils/logger');
 const powensService = require('../services/powensService');
+const authService = require('../../../services/authService');
 
 
 // Models
@@ -113,7 +114,8 @@ router.get('/connectors', async (req, res, next) => {
  */
 router.get('/webauth-url', async (req, res, next) => {
   try {
-    const { connector_id, user_id = '00000000-0000-0000-0000-000000000001', source } = req.query;
+    const { connector_id, source } = req.query;
+    const user_id = req.user.id;
 
     if (!connector_id) {
       return res.status(400).json({
@@ -144,10 +146,12 @@ router.get('/webauth-url', async (req, res, next) => {
       throw new Error('POWENS_REDIRECT_URI environment variable is not set properly');
     }
 
+    // Single-use state tied to this session; the public callback resolves the user from it
+    const state = await authService.issuePowensState(user_id, req.session.id);
     const authUrl = await powensService.auth.generateAuthUrl(user_id, {
       connectorId: connector_id,
       redirectUri: redirectUri,
-      state: user_id
+      state
     });
 
     logger.info('✅ 🔗 WEBAUTH URL: Generated successfully', {
@@ -162,7 +166,7 @@ router.get('/webauth-url', async (req, res, next) => {
       success: true,
       data: {
         webauth_url: authUrl,
-        state: user_id,
+        state,
         connector_id: connector_id,
         user_id: user_id,
         redirect_uri: redirectUri
@@ -173,7 +177,7 @@ router.get('/webauth-url', async (req, res, next) => {
   } catch (error) {
     logger.error('❌ 🔗 WEBAUTH URL: Generation failed', {
       connectorId: req.query.connector_id,
-      userId: req.query.user_id,
+      userId: req.user?.id,
       error: error.message,
       step: 'WEBAUTH_URL_ERROR'
     });
@@ -194,7 +198,8 @@ router.get('/webauth-url', async (req, res, next) => {
  */
 router.get('/url', async (req, res, next) => {
   try {
-    const { connector_id, user_id = '00000000-0000-0000-0000-000000000001', source } = req.query;
+    const { connector_id, source } = req.query;
+    const user_id = req.user.id;
 
     logger.info('🔗 🆕 AUTH URL: Generating bank connection URL (alternative endpoint)', {
       connectorId: connector_id,
@@ -227,10 +232,12 @@ router.get('/url', async (req, res, next) => {
       throw new Error('POWENS_REDIRECT_URI environment variable is not set properly');
     }
 
+    // Single-use state tied to this session; the public callback resolves the user from it
+    const state = await authService.issuePowensState(user_id, req.session.id);
     const authUrl = await powensService.auth.generateAuthUrl(user_id, {
       connectorId: actualConnectorId,
       redirectUri: redirectUri,
-      state: user_id
+      state
     });
 
     logger.info('✅ 🔗 AUTH URL: Generated successfully', {
@@ -246,7 +253,7 @@ router.get('/url', async (req, res, next) => {
       data: {
         webauth_url: authUrl,
         auth_url: authUrl, // Alternative name
-        state: user_id,
+        state,
         connector_id: actualConnectorId,
         user_id: user_id,
         redirect_uri: redirectUri
@@ -257,7 +264,7 @@ router.get('/url', async (req, res, next) => {
   } catch (error) {
     logger.error('❌ 🔗 AUTH URL: Generation failed', {
       connectorId: req.query.connector_id,
-      userId: req.query.user_id,
+      userId: req.user?.id,
       error: error.message,
       stack: error.stack,
       step: 'AUTH_URL_ERROR'
@@ -548,7 +555,7 @@ router.get('/callback', async (req, res, next) => {
  */
 router.get('/connections', async (req, res, next) => {
   try {
-    const userId = req.query.user_id || '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
     
     logger.info('📋 Powens connections requested', { 
       userId,
@@ -584,7 +591,7 @@ router.get('/connections', async (req, res, next) => {
     });
   } catch (error) {
     logger.error('❌ Database connections query failed', {
-      userId: req.query.user_id,
+      userId: req.user?.id,
       error: error.message,
       step: 'GET_CONNECTIONS_ERROR'
     });
@@ -604,7 +611,8 @@ router.get('/connections', async (req, res, next) => {
  */
 router.get('/test-connection', async (req, res, next) => {
   try {
-    const { connection_id, user_id = '00000000-0000-0000-0000-000000000001' } = req.query;
+    const { connection_id } = req.query;
+    const user_id = req.user.id;
 
     logger.info('🧪 🔍 TEST CONNECTION: Testing bank connection', {
       connectionId: connection_id,
@@ -676,7 +684,7 @@ router.get('/test-connection', async (req, res, next) => {
   } catch (error) {
     logger.error('❌ 🧪 TEST CONNECTION: Test failed', {
       connectionId: req.query.connection_id,
-      userId: req.query.user_id,
+      userId: req.user?.id,
       error: error.message,
       step: 'TEST_CONNECTION_ERROR'
     });
@@ -1,7 +1,18 @@
 const cron = require('node-cron');
 const { logger } = require('../utils/logger');
 const syncService = require('../services/syncService');
+const recurringService = require('../services/recurringService');
+const powensWebhookService = require('../services/powens/powensWebhookService');
 const BankConnectionModel = require('../models/BankConnection');
+const UserSessionModel = require('../models/UserSession');
+const PowensAuthStateModel = require('../models/PowensAuthState');
+const AccountBalanceHistoryModel = require('../models/AccountBalanceHistory');
+const SyncLogModel = require('../models/SyncLog');
+const JobModel = require('../models/Job');
+
+// Sync run history kept in sync_logs, and finished jobs kept in the job queue
+const SYNC_LOG_RETENTION_DAYS = 180;
+const JOB_RETENTION_DAYS = 30;
 
 class ScheduledSyncJobs {
   constructor() {
@@ -23,6 +34,9 @@ class ScheduledSyncJobs {
       this.setupHealthCheck();
       this.setupTokenRefresh();
       this.setupDailyCleanup();
+      this.setupDailySnapshot();
+      this.setupRecurringDetection();
+      this.setupWebhookRetry();
 
       this.isInitialized = true;
       logger.info('Scheduled sync jobs initialized successfully');
@@ -44,26 +58,29 @@ class ScheduledSyncJobs {
         const startTime = Date.now();
         const connections = await BankConnectionModel.findByUserId(null); // Get all connections
         
-        let successCount = 0;
+        let queuedCount = 0;
+        let alreadyQueuedCount = 0;
         let errorCount = 0;
         const errors = [];
 
+        // Syncs run on the job queue; every instance fires this job, but a connection
+        // with a sync already queued or running is not queued again
         for (const connection of connections) {
           try {
-            const result = await syncService.syncConnection(connection.id, {
+            const { created } = await syncService.enqueueConnectionSync(connection, {
               type: 'scheduled',
               includeTransactions: true
             });
 
-            if (result.status === 'success' || result.status === 'partial') {
-              successCount++;
+            if (created) {
+              queuedCount++;
             } else {
-              errorCount++;
+              alreadyQueuedCount++;
             }
           } catch (error) {
             errorCount++;
             errors.push(`Connection ${connection.id}: ${error.message}`);
-            logger.error('Periodic sync failed for connection', {
+            logger.error('Failed to queue periodic sync for connection', {
               connectionId: connection.id,
               error: error.message
             });
@@ -74,7 +91,8 @@ class ScheduledSyncJobs {
         logger.info('Periodic sync job completed', {
           duration: `${duration}ms`,
           totalConnections: connections.length,
-          successful: successCount,
+          queued: queuedCount,
+          alreadyQueued: alreadyQueuedCount,
           failed: errorCount,
           errors: errors.length > 0 ? errors.slice(0, 5) : [] // Log first 5 errors
         });
@@ -119,15 +137,15 @@ class ScheduledSyncJobs {
               lastSync: lastSync
             });
 
-            // Trigger sync for stale connections
+            // Queue a sync for stale connections
             try {
-              await syncService.syncConnection(connection.id, {
+              await syncService.enqueueConnectionSync(connection, {
                 type: 'scheduled',
                 force: false
               });
-              logger.info('Triggered sync for stale connection', { connectionId: connection.id });
+              logger.info('Queued sync for stale connection', { connectionId: connection.id });
             } catch (syncError) {
-              logger.error('Failed to sync stale connection', {
+              logger.error('Failed to queue sync for stale connection', {
                 connectionId: connection.id,
                 error: syncError.message
               });
@@ -192,7 +210,7 @@ class ScheduledSyncJobs {
               });
 
               // This will be handled by the sync service's ensureValidToken method
-              await syncService.syncConnection(connection.id, {
+              await syncService.enqueueConnectionSync(connection, {
                 type: 'scheduled',
                 force: false,
                 includeTransactions: false // Just refresh token, don't sync data
@@ -243,13 +261,24 @@ class ScheduledSyncJobs {
 
         // Example cleanup tasks (implement based on your needs):
         
-        // 1. Clean up old sync logs (if you add them)
-        // 2. Remove stale webhook data
-        // 3. Compress old transaction data
-        // 4. Update connection statistics
+        // 1. Remove stale webhook data
+        // 2. Compress old transaction data
+        // 3. Update connection statistics
+
+        // Remove expired and logged-out user sessions
+        cleanedRecords += await UserSessionModel.cleanupExpired();
+
+        // Remove expired Powens connection states
+        cleanedRecords += await PowensAuthStateModel.cleanupExpired();
+
+        // Remove sync runs older than the retention period
+        cleanedRecords += await SyncLogModel.deleteOlderThan(SYNC_LOG_RETENTION_DAYS);
 
-        // For now, just log system stats
-        const stats = syncService.getStats();
+        // Remove completed and dead-lettered background jobs
+        cleanedRecords += await JobModel.deleteFinishedOlderThan(JOB_RETENTION_DAYS);
+
+        // Log the last day's sync statistics
+        const stats = await syncService.getStats(null, { days: 1 });
         logger.info('Daily system statistics', stats);
 
         const duration = Date.now() - startTime;
@@ -271,6 +300,81 @@ class ScheduledSyncJobs {
     logger.info('Daily cleanup job scheduled (2 AM daily)');
   }
 
+  /**
+   * Daily balance snapshot job - runs at 23:55
+   * Records every account's balance for days without a balance change
+   */
+  setupDailySnapshot() {
+    const job = cron.schedule('55 23 * * *', async () => {
+      logger.info('Starting daily balance snapshot job');
+
+      try {
+        const recorded = await AccountBalanceHistoryModel.snapshotAll();
+        logger.info('Daily balance snapshot completed', { accountsRecorded: recorded });
+      } catch (error) {
+        logger.error('Daily balance snapshot job failed', { error: error.message });
+      }
+    }, {
+      scheduled: false,
+      timezone: "Europe/Paris"
+    });
+
+    this.jobs.set('dailySnapshot', job);
+    job.start();
+    logger.info('Daily balance snapshot job scheduled (11:55 PM daily)');
+  }
+
+  /**
+   * Recurring series detection job - runs at 3 AM
+   * Refreshes recurring series, next expected dates and missed/price-change flags
+   */
+  setupRecurringDetection() {
+    const job = cron.schedule('0 3 * * *', async () => {
+      logger.info('Starting recurring series detection job');
+
+      try {
+        const startTime = Date.now();
+        const result = await recurringService.detectAll();
+
+        logger.info('Recurring series detection job completed', {
+          duration: `${Date.now() - startTime}ms`,
+          ...result
+        });
+      } catch (error) {
+        logger.error('Recurring series detection job failed', { error: error.message });
+      }
+    }, {
+      scheduled: false,
+      timezone: "Europe/Paris"
+    });
+
+    this.jobs.set('recurringDetection', job);
+    job.start();
+    logger.info('Recurring series detection job scheduled (3 AM daily)');
+  }
+
+  /**
+   * Webhook inbox job - runs every minute
+   * Retries failed webhook events whose backoff has elapsed and picks up events
+   * left unprocessed by a restart
+   */
+  setupWebhookRetry() {
+    const job = cron.schedule('* * * * *', async () => {
+      try {
+        await powensWebhookService.processPending();
+      } catch (error) {
+        logger.error('Webhook retry job failed', { error: error.message });
+      }
+    }, {
+      scheduled: false,
+      timezone: "Europe/Paris"
+    });
+
+    this.jobs.set('webhookRetry', job);
+    job.start();
+    logger.info('Webhook retry job scheduled (every minute)');
+  }
+
   /**
    * Stop all scheduled jobs
    */
@@ -326,6 +430,12 @@ class ScheduledSyncJobs {
         return this.setupTokenRefresh();
       case 'dailyCleanup':
         return this.setupDailyCleanup();
+      case 'dailySnapshot':
+        return this.setupDailySnapshot();
+      case 'recurringDetection':
+        return this.setupRecurringDetection();
+      case 'webhookRetry':
+        return this.setupWebhookRetry();
       default:
         throw new Error(`Unknown job: ${jobName}`);
     }
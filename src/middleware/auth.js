@@ -0,0 +1,83 @@
+const { logger } = require('../utils/logger');
+const authService = require('../services/authService');
+
+const SESSION_COOKIE = 'fire_session';
+
+// Extract the token from the Authorization header or the session cookie
+const extractToken = (req) => {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+  for (const cookie of cookies) {
+    const [name, ...rest] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+
+  return null;
+};
+
+// Require a valid session; sets req.user and req.session
+const authenticate = async (req, res, next) => {
+  try {
+    const result = await authService.verifyToken(extractToken(req));
+
+    if (!result) {
+      logger.warn('Unauthenticated request rejected', {
+        url: req.originalUrl,
+        method: req.method,
+        ip: req.ip
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required',
+          details: 'Valid authentication credentials are required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.user = result.user;
+    req.session = result.session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require an admin user; use after authenticate
+const requireAdmin = (req, res, next) => {
+  if (req.user && req.user.is_admin === true) {
+    return next();
+  }
+
+  logger.warn('Admin-only request rejected', {
+    url: req.originalUrl,
+    method: req.method,
+    userId: req.user?.id
+  });
+
+  return res.status(403).json({
+    success: false,
+    error: {
+      code: 'FORBIDDEN',
+      message: 'Admin access required',
+      details: 'This endpoint changes data shared by all users'
+    },
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  authenticate,
+  requireAdmin,
+  extractToken,
+  SESSION_COOKIE
+};
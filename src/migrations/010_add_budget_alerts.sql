@@ -0,0 +1,24 @@
+-- Migration 010: Budget alerts
+-- Records each budget threshold crossing (e.g. 80%, 100%) once per budget period
+
+CREATE TABLE IF NOT EXISTS budget_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    threshold DECIMAL(5,2) NOT NULL,
+    spent_amount DECIMAL(15,2) NOT NULL,
+    budget_amount DECIMAL(15,2) NOT NULL,
+    acknowledged_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT unique_budget_alert_per_period UNIQUE (budget_id, period_start, threshold)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_alerts_user_id ON budget_alerts(user_id);
+CREATE INDEX IF NOT EXISTS idx_budget_alerts_budget_id ON budget_alerts(budget_id);
+CREATE INDEX IF NOT EXISTS idx_budgets_user_id ON budgets(user_id);
+
+COMMENT ON TABLE budget_alerts IS 'Budget threshold crossings, one row per budget, period and threshold';
+COMMENT ON COLUMN budget_alerts.threshold IS 'Fraction of the budget amount that was crossed (0.80 = 80%)';
+COMMENT ON COLUMN budget_alerts.acknowledged_at IS 'When the user dismissed the alert';
@@ -0,0 +1,71 @@
+-- Migration 011: Transaction category references
+-- Links transactions to transaction_categories by ID so renames and merges keep history attached.
+-- The free-text category/subcategory columns remain as denormalized labels.
+
+ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS category_id UUID REFERENCES transaction_categories(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_category_id ON transactions(category_id);
+
+-- Collapse duplicated system categories (from re-running the seed) before enforcing unique names
+UPDATE budgets b
+SET category_id = keep.id
+FROM transaction_categories dup
+JOIN LATERAL (
+    SELECT id FROM transaction_categories
+    WHERE user_id IS NULL AND parent_id IS NULL AND LOWER(name) = LOWER(dup.name)
+    ORDER BY created_at, id
+    LIMIT 1
+) keep ON true
+WHERE b.category_id = dup.id AND dup.user_id IS NULL AND dup.parent_id IS NULL AND dup.id <> keep.id;
+
+DELETE FROM transaction_categories dup
+USING transaction_categories keep
+WHERE dup.user_id IS NULL AND keep.user_id IS NULL
+  AND dup.parent_id IS NULL AND keep.parent_id IS NULL
+  AND LOWER(dup.name) = LOWER(keep.name)
+  AND (keep.created_at, keep.id) < (dup.created_at, dup.id);
+
+-- Sibling names are unique per owner (system categories have no owner)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transaction_categories_unique_name ON transaction_categories (
+    COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid),
+    COALESCE(parent_id, '00000000-0000-0000-0000-000000000000'::uuid),
+    LOWER(name)
+);
+
+-- Backfill: labels without a matching category become user categories
+INSERT INTO transaction_categories (user_id, name, is_system)
+SELECT DISTINCT ON (t.user_id, LOWER(t.category)) t.user_id, t.category, false
+FROM transactions t
+WHERE t.category IS NOT NULL AND TRIM(t.category) <> ''
+  AND NOT EXISTS (
+      SELECT 1 FROM transaction_categories tc
+      WHERE tc.parent_id IS NULL
+        AND (tc.user_id IS NULL OR tc.user_id = t.user_id)
+        AND LOWER(tc.name) = LOWER(t.category)
+  )
+ON CONFLICT DO NOTHING;
+
+UPDATE transactions t
+SET category_id = tc.id
+FROM transaction_categories tc
+WHERE t.category_id IS NULL
+  AND tc.parent_id IS NULL
+  AND (tc.user_id IS NULL OR tc.user_id = t.user_id)
+  AND LOWER(tc.name) = LOWER(t.category);
+
+-- Backfill: subcategory labels become user subcategories of the matched category
+INSERT INTO transaction_categories (user_id, parent_id, name, is_system)
+SELECT DISTINCT ON (t.user_id, t.category_id, LOWER(t.subcategory)) t.user_id, t.category_id, t.subcategory, false
+FROM transactions t
+WHERE t.category_id IS NOT NULL AND t.subcategory IS NOT NULL AND TRIM(t.subcategory) <> ''
+ON CONFLICT DO NOTHING;
+
+UPDATE transactions t
+SET category_id = sub.id
+FROM transaction_categories sub
+WHERE sub.parent_id = t.category_id
+  AND sub.user_id = t.user_id
+  AND LOWER(sub.name) = LOWER(t.subcategory);
+
+COMMENT ON COLUMN transactions.category_id IS 'Most specific category (a top-level category or a subcategory); category/subcategory hold its labels';
@@ -0,0 +1,33 @@
+-- Migration 012: Categorization rules
+-- User-defined rules that categorize, tag and annotate transactions as they are imported
+
+CREATE TABLE IF NOT EXISTS categorization_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 100, -- Lower runs first
+    is_active BOOLEAN DEFAULT true,
+
+    -- Conditions (all non-null conditions must match)
+    description_pattern TEXT, -- Case-insensitive regular expression on description
+    merchant_pattern VARCHAR(255), -- Case-insensitive substring of merchant_name
+    min_amount DECIMAL(15,2), -- Signed amount, inclusive
+    max_amount DECIMAL(15,2),
+    account_id UUID REFERENCES bank_accounts(id) ON DELETE CASCADE,
+    powens_type VARCHAR(50), -- Powens transaction type (card, transfer, order, ...)
+
+    -- Actions
+    set_category_id UUID REFERENCES transaction_categories(id) ON DELETE SET NULL, -- A subcategory sets both labels
+    add_tags JSONB DEFAULT '[]',
+    set_notes TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_user_priority ON categorization_rules(user_id, priority);
+
+CREATE TRIGGER update_categorization_rules_updated_at BEFORE UPDATE ON categorization_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE categorization_rules IS 'User rules applied to new transactions in priority order';
+COMMENT ON COLUMN categorization_rules.priority IS 'Evaluation order, lowest first; the first matching rule that sets a field wins';
@@ -0,0 +1,17 @@
+-- Migration 013: Category provenance and review queue
+-- Tracks how each transaction got its category so the learning categorizer can train on
+-- manual corrections, and queues low-confidence suggestions for review
+
+ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS category_source VARCHAR(20) DEFAULT 'import', -- import, rule, classifier, manual
+    ADD COLUMN IF NOT EXISTS category_confidence DECIMAL(5,4), -- Classifier confidence, NULL until classified
+    ADD COLUMN IF NOT EXISTS needs_review BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS suggested_category_id UUID REFERENCES transaction_categories(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_category_source ON transactions(user_id, category_source);
+CREATE INDEX IF NOT EXISTS idx_transactions_needs_review ON transactions(user_id) WHERE needs_review = true;
+
+COMMENT ON COLUMN transactions.category_source IS 'Where the category came from: import, rule, classifier or manual';
+COMMENT ON COLUMN transactions.category_confidence IS 'Confidence of the categorizer suggestion (0-1); NULL if never classified';
+COMMENT ON COLUMN transactions.needs_review IS 'Categorizer confidence was below the threshold; awaiting user review';
+COMMENT ON COLUMN transactions.suggested_category_id IS 'Categorizer suggestion for transactions awaiting review';
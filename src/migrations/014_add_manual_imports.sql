@@ -0,0 +1,47 @@
+-- Migration 014: Manual file imports
+-- Column-mapping profiles for CSV statements and a record of every import run.
+-- Imported transactions live under connection_type = 'manual' connections and use a
+-- deterministic content hash in powens_transaction_id so re-imports are de-duplicated.
+
+CREATE TABLE IF NOT EXISTS import_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    delimiter VARCHAR(5) DEFAULT 'auto', -- auto, ',', ';', tab or '|'
+    has_header BOOLEAN DEFAULT true,
+    skip_rows INTEGER DEFAULT 0, -- Preamble lines before the header
+    date_format VARCHAR(20) DEFAULT 'YYYY-MM-DD',
+    decimal_separator VARCHAR(1) DEFAULT '.',
+    thousands_separator VARCHAR(1), -- NULL when amounts have no grouping
+    sign_convention VARCHAR(20) DEFAULT 'signed', -- signed (debits negative) or inverted (debits positive)
+    columns JSONB NOT NULL DEFAULT '{}', -- Field -> header name or 0-based index
+    default_currency VARCHAR(3) DEFAULT 'EUR',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS import_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    account_id UUID REFERENCES bank_accounts(id) ON DELETE SET NULL,
+    profile_id UUID REFERENCES import_profiles(id) ON DELETE SET NULL,
+    source_format VARCHAR(20) NOT NULL, -- csv, ...
+    filename VARCHAR(255),
+    file_hash VARCHAR(64), -- SHA-256 of the uploaded content
+    rows_total INTEGER DEFAULT 0,
+    rows_imported INTEGER DEFAULT 0,
+    rows_duplicate INTEGER DEFAULT 0,
+    rows_failed INTEGER DEFAULT 0,
+    errors JSONB DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_profiles_user_id ON import_profiles(user_id);
+CREATE INDEX IF NOT EXISTS idx_import_batches_user_id ON import_batches(user_id, created_at DESC);
+
+CREATE TRIGGER update_import_profiles_updated_at BEFORE UPDATE ON import_profiles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE import_profiles IS 'Saved CSV column mappings and number/date formats per bank export';
+COMMENT ON COLUMN import_profiles.columns IS 'Maps date, description, amount, debit, credit, balance, currency, merchant, reference, category to a header name or column index';
+COMMENT ON TABLE import_batches IS 'One row per file import with row counts and per-row errors';
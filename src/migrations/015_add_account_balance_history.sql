@@ -0,0 +1,48 @@
+-- Migration 015: Account balance history
+-- bank_accounts.balance only holds the latest value. This table keeps one balance per
+-- account per day: written by a trigger whenever the balance changes, by the daily
+-- snapshot job, and backfilled from transactions for days before the first record.
+
+CREATE TABLE IF NOT EXISTS account_balance_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES bank_accounts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    balance_date DATE NOT NULL,
+    balance DECIMAL(15,2) NOT NULL,
+    available_balance DECIMAL(15,2),
+    currency VARCHAR(3) DEFAULT 'EUR',
+    source VARCHAR(20) NOT NULL DEFAULT 'update', -- update, snapshot or backfill
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(account_id, balance_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_balance_history_user_date ON account_balance_history(user_id, balance_date);
+
+-- Record the day's balance whenever an account is created or its balance changes.
+-- The last change of a day wins; derived (backfill) values never overwrite observed ones.
+CREATE OR REPLACE FUNCTION record_account_balance()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO account_balance_history (account_id, user_id, balance_date, balance, available_balance, currency, source)
+    VALUES (NEW.id, NEW.user_id, CURRENT_DATE, COALESCE(NEW.balance, 0), NEW.available_balance, NEW.currency, 'update')
+    ON CONFLICT (account_id, balance_date) DO UPDATE SET
+        balance = EXCLUDED.balance,
+        available_balance = EXCLUDED.available_balance,
+        currency = EXCLUDED.currency,
+        source = 'update',
+        recorded_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER record_bank_accounts_balance_insert AFTER INSERT ON bank_accounts FOR EACH ROW EXECUTE FUNCTION record_account_balance();
+CREATE TRIGGER record_bank_accounts_balance_update AFTER UPDATE OF balance, available_balance ON bank_accounts FOR EACH ROW WHEN (OLD.balance IS DISTINCT FROM NEW.balance OR OLD.available_balance IS DISTINCT FROM NEW.available_balance) EXECUTE FUNCTION record_account_balance();
+
+-- Seed each existing account with its current balance as of its last update
+INSERT INTO account_balance_history (account_id, user_id, balance_date, balance, available_balance, currency, source)
+SELECT id, user_id, COALESCE(last_balance_update::date, CURRENT_DATE), COALESCE(balance, 0), available_balance, currency, 'snapshot'
+FROM bank_accounts
+ON CONFLICT (account_id, balance_date) DO NOTHING;
+
+COMMENT ON TABLE account_balance_history IS 'Daily account balances for the net worth timeline';
+COMMENT ON COLUMN account_balance_history.source IS 'update (balance changed), snapshot (daily job) or backfill (derived by walking transactions back from a known balance)';
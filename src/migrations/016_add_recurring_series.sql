@@ -0,0 +1,48 @@
+-- Migration 016: Recurring transaction series
+-- Periodic payments and income detected from transactions (same merchant or normalized
+-- description, similar amount, regular cadence), with their expected next occurrence
+
+CREATE TABLE IF NOT EXISTS recurring_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES bank_accounts(id) ON DELETE CASCADE,
+    series_key VARCHAR(255) NOT NULL, -- Normalized merchant/description, plus an amount band when one payee has several series
+    name VARCHAR(255) NOT NULL,
+    direction VARCHAR(10) NOT NULL, -- expense or income
+    cadence VARCHAR(20) NOT NULL, -- weekly, biweekly, monthly, quarterly, yearly
+    category VARCHAR(100),
+    subcategory VARCHAR(100),
+    currency VARCHAR(3) DEFAULT 'EUR',
+    expected_amount DECIMAL(15,2) NOT NULL, -- Signed, like transactions.amount
+    average_amount DECIMAL(15,2) NOT NULL,
+    previous_amount DECIMAL(15,2), -- Amount before the last price change
+    occurrence_count INTEGER NOT NULL DEFAULT 0,
+    first_date DATE NOT NULL,
+    last_date DATE NOT NULL,
+    next_expected_date DATE NOT NULL,
+    status VARCHAR(20) DEFAULT 'active', -- active, missed, ended
+    is_missed BOOLEAN DEFAULT false,
+    is_price_changed BOOLEAN DEFAULT false,
+    price_changed_at DATE,
+    is_subscription BOOLEAN DEFAULT false,
+    is_dismissed BOOLEAN DEFAULT false,
+    user_modified BOOLEAN DEFAULT false, -- is_subscription was set by the user; detection keeps it
+    source VARCHAR(20) DEFAULT 'detected',
+    detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, account_id, series_key, direction)
+);
+
+ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS recurring_series_id UUID REFERENCES recurring_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_recurring_series_user_id ON recurring_series(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_transactions_recurring_series ON transactions(recurring_series_id) WHERE recurring_series_id IS NOT NULL;
+
+CREATE TRIGGER update_recurring_series_updated_at BEFORE UPDATE ON recurring_series FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE recurring_series IS 'Recurring payments and income detected from transaction history';
+COMMENT ON COLUMN recurring_series.is_missed IS 'The expected occurrence is overdue by more than the cadence grace period';
+COMMENT ON COLUMN recurring_series.is_price_changed IS 'The latest occurrence differs from a previously stable amount';
+COMMENT ON COLUMN transactions.recurring_series_id IS 'Recurring series this transaction is an occurrence of';
@@ -0,0 +1,30 @@
+-- Migration 017: Cash-flow forecast inputs
+-- One-off planned items (a tax payment, a vacation) and user-declared recurring series,
+-- which feed the balance projection alongside detected series
+
+CREATE TABLE IF NOT EXISTS planned_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES bank_accounts(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    amount DECIMAL(15,2) NOT NULL, -- Signed: negative for a payment, positive for income
+    planned_date DATE NOT NULL,
+    category VARCHAR(100),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_planned_items_user_date ON planned_items(user_id, planned_date);
+
+CREATE TRIGGER update_planned_items_updated_at BEFORE UPDATE ON planned_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Declared series have no occurrences yet, and may stop on a known date (last loan payment)
+ALTER TABLE recurring_series
+    ALTER COLUMN first_date DROP NOT NULL,
+    ALTER COLUMN last_date DROP NOT NULL,
+    ADD COLUMN IF NOT EXISTS end_date DATE;
+
+COMMENT ON TABLE planned_items IS 'One-off future income or expenses included in the cash-flow forecast';
+COMMENT ON COLUMN recurring_series.source IS 'detected (from transactions) or declared (entered by the user)';
+COMMENT ON COLUMN recurring_series.end_date IS 'Last date a declared series occurs on; NULL when open-ended';
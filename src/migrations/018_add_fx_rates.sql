@@ -0,0 +1,43 @@
+-- Migration 018: Foreign exchange rates
+-- ECB euro reference rates (units of quote currency per 1 EUR) imported from the ECB
+-- XML or CSV files, and SQL helpers that convert amounts at the rate of a given date
+
+CREATE TABLE IF NOT EXISTS fx_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rate_date DATE NOT NULL,
+    base_currency VARCHAR(3) NOT NULL DEFAULT 'EUR',
+    quote_currency VARCHAR(3) NOT NULL,
+    rate DECIMAL(20,10) NOT NULL, -- 1 base_currency = rate quote_currency
+    source VARCHAR(20) DEFAULT 'ecb',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(base_currency, quote_currency, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fx_rates_quote_date ON fx_rates(quote_currency, rate_date DESC);
+
+-- Units of p_currency per 1 EUR on p_date. The ECB publishes on business days only, so the
+-- latest rate on or before the date is used; dates before the first rate use the first rate.
+CREATE OR REPLACE FUNCTION fx_eur_rate(p_currency VARCHAR, p_date DATE)
+RETURNS NUMERIC AS $$
+    SELECT CASE WHEN UPPER(p_currency) = 'EUR' THEN 1::numeric ELSE COALESCE(
+        (SELECT rate FROM fx_rates
+         WHERE base_currency = 'EUR' AND quote_currency = UPPER(p_currency) AND rate_date <= p_date
+         ORDER BY rate_date DESC LIMIT 1),
+        (SELECT rate FROM fx_rates
+         WHERE base_currency = 'EUR' AND quote_currency = UPPER(p_currency)
+         ORDER BY rate_date ASC LIMIT 1)
+    ) END
+$$ LANGUAGE sql STABLE;
+
+-- Convert an amount between currencies through EUR cross rates; NULL when a rate is missing
+CREATE OR REPLACE FUNCTION fx_convert(p_amount NUMERIC, p_from VARCHAR, p_to VARCHAR, p_date DATE)
+RETURNS NUMERIC AS $$
+    SELECT CASE
+        WHEN p_amount IS NULL THEN NULL
+        WHEN p_from IS NULL OR p_to IS NULL OR UPPER(p_from) = UPPER(p_to) THEN p_amount
+        ELSE p_amount / fx_eur_rate(p_from, p_date) * fx_eur_rate(p_to, p_date)
+    END
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON TABLE fx_rates IS 'Daily euro foreign exchange reference rates, imported from ECB files';
+COMMENT ON FUNCTION fx_convert(NUMERIC, VARCHAR, VARCHAR, DATE) IS 'Convert an amount at the rates in effect on a date; NULL if either currency has no rate';
@@ -0,0 +1,46 @@
+-- Migration 019: Nexo deposit ledger
+-- Deposit addresses created through the Nexo Payment Gateway, owned by a user, and the
+-- PG_DEPOSIT webhook events received for them
+
+CREATE TABLE IF NOT EXISTS crypto_addresses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL DEFAULT 'nexo',
+    reference_id VARCHAR(50) NOT NULL, -- Merchant reference sent when creating the address
+    asset VARCHAR(20) NOT NULL,
+    blockchain VARCHAR(50),
+    address VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(provider, reference_id, asset)
+);
+
+CREATE INDEX IF NOT EXISTS idx_crypto_addresses_user_id ON crypto_addresses(user_id);
+CREATE INDEX IF NOT EXISTS idx_crypto_addresses_address ON crypto_addresses(address);
+
+CREATE TRIGGER update_crypto_addresses_updated_at BEFORE UPDATE ON crypto_addresses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS crypto_deposits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(20) NOT NULL DEFAULT 'nexo',
+    transaction_id VARCHAR(255) NOT NULL, -- Provider transaction ID, used to ignore redelivered events
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    address_id UUID REFERENCES crypto_addresses(id) ON DELETE SET NULL,
+    reference_id VARCHAR(50),
+    deposit_address VARCHAR(255),
+    transaction_hash VARCHAR(255),
+    asset VARCHAR(20) NOT NULL,
+    amount DECIMAL(36,18) NOT NULL,
+    fiat_value_usd DECIMAL(15,2),
+    deposited_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    raw_event JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(provider, transaction_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_crypto_deposits_user_date ON crypto_deposits(user_id, deposited_at DESC);
+CREATE INDEX IF NOT EXISTS idx_crypto_deposits_address_id ON crypto_deposits(address_id);
+
+COMMENT ON TABLE crypto_addresses IS 'Crypto deposit addresses created for a user through a payment gateway';
+COMMENT ON TABLE crypto_deposits IS 'Incoming crypto deposits reported by payment gateway webhooks';
+COMMENT ON COLUMN crypto_deposits.user_id IS 'Owner of the matching address; NULL when no known address matches the deposit';
@@ -0,0 +1,67 @@
+-- Migration 020: Crypto holdings
+-- Wallets hold a quantity per asset and are valued like accounts through a price source.
+-- Nexo deposits are credited to a per-user Nexo wallet; other wallets are kept up to date by hand.
+
+CREATE TABLE IF NOT EXISTS crypto_wallets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    provider VARCHAR(20) NOT NULL DEFAULT 'manual', -- 'nexo' (fed by deposits) or 'manual'
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_crypto_wallets_user_id ON crypto_wallets(user_id);
+-- One provider-fed wallet per user and provider
+CREATE UNIQUE INDEX IF NOT EXISTS idx_crypto_wallets_user_provider ON crypto_wallets(user_id, provider) WHERE provider <> 'manual';
+
+CREATE TRIGGER update_crypto_wallets_updated_at BEFORE UPDATE ON crypto_wallets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS crypto_holdings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wallet_id UUID NOT NULL REFERENCES crypto_wallets(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    asset VARCHAR(20) NOT NULL, -- Nexo asset symbol: BTC, ETH, USDT_ETH...
+    quantity DECIMAL(36,18) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(wallet_id, asset)
+);
+
+CREATE INDEX IF NOT EXISTS idx_crypto_holdings_user_id ON crypto_holdings(user_id);
+
+CREATE TRIGGER update_crypto_holdings_updated_at BEFORE UPDATE ON crypto_holdings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Prices for the 'table' price source, one per asset, currency and day
+CREATE TABLE IF NOT EXISTS crypto_prices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    asset VARCHAR(20) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'EUR',
+    price DECIMAL(24,10) NOT NULL,
+    price_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    source VARCHAR(50) DEFAULT 'manual',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(asset, currency, price_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_crypto_prices_asset_date ON crypto_prices(asset, price_date DESC);
+
+-- Credit deposits recorded before holdings existed
+INSERT INTO crypto_wallets (user_id, name, provider)
+SELECT DISTINCT user_id, 'Nexo', 'nexo'
+FROM crypto_deposits
+WHERE user_id IS NOT NULL AND provider = 'nexo'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO crypto_holdings (wallet_id, user_id, asset, quantity)
+SELECT w.id, d.user_id, d.asset, SUM(d.amount)
+FROM crypto_deposits d
+JOIN crypto_wallets w ON w.user_id = d.user_id AND w.provider = 'nexo'
+WHERE d.provider = 'nexo'
+GROUP BY w.id, d.user_id, d.asset
+ON CONFLICT (wallet_id, asset) DO NOTHING;
+
+COMMENT ON TABLE crypto_wallets IS 'Account-like containers for crypto holdings';
+COMMENT ON TABLE crypto_holdings IS 'Quantity held per asset in a crypto wallet';
+COMMENT ON TABLE crypto_prices IS 'Asset prices used by the table crypto price source';
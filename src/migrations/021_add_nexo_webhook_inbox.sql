@@ -0,0 +1,24 @@
+-- Migration 021: Nexo webhook inbox
+-- Every request received on the Nexo webhook, with its exact body and the outcome of
+-- signature verification and processing, kept for auditing and replay protection
+
+CREATE TABLE IF NOT EXISTS nexo_webhook_inbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_type VARCHAR(50),
+    transaction_id VARCHAR(255),
+    signature VARCHAR(255),
+    signature_valid BOOLEAN NOT NULL DEFAULT false,
+    status VARCHAR(20) NOT NULL DEFAULT 'received', -- 'received', 'processed', 'rejected' or 'failed'
+    error TEXT,
+    raw_body TEXT NOT NULL,
+    payload JSONB, -- NULL when the body is not valid JSON
+    source_ip VARCHAR(64),
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_nexo_webhook_inbox_transaction ON nexo_webhook_inbox(transaction_id, status);
+CREATE INDEX IF NOT EXISTS idx_nexo_webhook_inbox_received_at ON nexo_webhook_inbox(received_at DESC);
+
+COMMENT ON TABLE nexo_webhook_inbox IS 'Audit log of every Nexo webhook request, valid or not';
+COMMENT ON COLUMN nexo_webhook_inbox.raw_body IS 'Body exactly as received; the signature is computed over these bytes';
@@ -0,0 +1,29 @@
+-- Migration 022: Webhook inbox
+-- Every provider webhook is stored before it is acknowledged and processed from this table,
+-- with retries, so an event is not lost when processing fails or the server stops mid-sync
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(20) NOT NULL, -- 'powens'
+    event_type VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'received', -- 'received', 'processed' or 'failed'
+    signature_valid BOOLEAN NOT NULL DEFAULT false,
+    payload JSONB, -- NULL when the body is not valid JSON
+    raw_body TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- NULL once no further attempt is planned
+    locked_until TIMESTAMP WITH TIME ZONE, -- Set while a worker processes the event
+    last_error TEXT,
+    result JSONB,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_due ON webhook_events(next_attempt_at) WHERE status <> 'processed';
+CREATE INDEX IF NOT EXISTS idx_webhook_events_provider_received ON webhook_events(provider, received_at DESC);
+
+CREATE TRIGGER update_webhook_events_updated_at BEFORE UPDATE ON webhook_events FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE webhook_events IS 'Inbox of received provider webhooks, processed asynchronously with retries';
+COMMENT ON COLUMN webhook_events.attempts IS 'Processing attempts so far; an event is retried with backoff until the attempt limit';
@@ -0,0 +1,37 @@
+-- Migration 023: Background job queue
+-- Long-running work (bank syncs) is queued here and run by workers that lease jobs with
+-- FOR UPDATE SKIP LOCKED, so any number of server instances can share the queue
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    type VARCHAR(50) NOT NULL, -- e.g. 'sync_connection', 'sync_user'
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'retrying', 'completed' or 'dead'
+    dedupe_key VARCHAR(255), -- At most one queued, running or retrying job per key
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- Earliest time the job may (re)start
+    locked_by VARCHAR(255), -- Worker holding the lease
+    lease_expires_at TIMESTAMP WITH TIME ZONE,
+    heartbeat_at TIMESTAMP WITH TIME ZONE,
+    progress JSONB,
+    result JSONB,
+    last_error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_active_dedupe_key ON jobs(dedupe_key)
+    WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running', 'retrying');
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at) WHERE status IN ('queued', 'retrying');
+CREATE INDEX IF NOT EXISTS idx_jobs_lease ON jobs(lease_expires_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_user_created ON jobs(user_id, created_at DESC);
+
+CREATE TRIGGER update_jobs_updated_at BEFORE UPDATE ON jobs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE jobs IS 'Background job queue; workers lease due jobs with FOR UPDATE SKIP LOCKED';
+COMMENT ON COLUMN jobs.lease_expires_at IS 'Extended by worker heartbeats; a running job whose lease expired is taken over by another worker';
+COMMENT ON COLUMN jobs.status IS 'retrying: failed and waiting for run_at; dead: failed on its last attempt (dead letter)';
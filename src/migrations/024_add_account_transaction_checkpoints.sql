@@ -0,0 +1,10 @@
+-- Migration 024: Per-account transaction sync checkpoints
+-- Each account remembers the latest Powens last_update it has fully synced, so the next sync
+-- asks Powens for everything created, modified or deleted since then, whatever its booking date
+
+ALTER TABLE bank_accounts
+ADD COLUMN IF NOT EXISTS transactions_last_update TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS transactions_synced_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+
+COMMENT ON COLUMN bank_accounts.transactions_last_update IS 'Powens last_update checkpoint: every transaction change up to this time has been synced. NULL until the first complete sync of the account';
+COMMENT ON COLUMN bank_accounts.transactions_synced_at IS 'When the transactions of the account were last synced completely';
@@ -0,0 +1,32 @@
+-- Migration 025: Pending-to-booked transaction reconciliation
+-- A pending card payment matched to the booked transaction that replaced it is retired
+-- (is_duplicate), after copying the user's edits onto the booked row. Each match is recorded
+-- with the booked row's fields before and after the merge, so it can be reverted.
+
+CREATE TABLE IF NOT EXISTS transaction_reconciliations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    pending_transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    booked_transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    score DECIMAL(5,4) NOT NULL, -- Match confidence, 0 to 1
+    match_details JSONB DEFAULT '{}', -- Amount difference, days apart and description similarity
+    booked_before JSONB NOT NULL, -- Booked row's category, notes and tags before the merge
+    booked_after JSONB NOT NULL, -- The same fields after the merge
+    status VARCHAR(20) NOT NULL DEFAULT 'applied', -- applied or reverted
+    source VARCHAR(20) NOT NULL DEFAULT 'sync', -- sync or manual run
+    reverted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A transaction takes part in at most one applied match
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transaction_reconciliations_pending ON transaction_reconciliations(pending_transaction_id) WHERE status = 'applied';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transaction_reconciliations_booked ON transaction_reconciliations(booked_transaction_id) WHERE status = 'applied';
+CREATE INDEX IF NOT EXISTS idx_transaction_reconciliations_user ON transaction_reconciliations(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_pending ON transactions(user_id, transaction_date) WHERE is_pending = true;
+
+CREATE TRIGGER update_transaction_reconciliations_updated_at BEFORE UPDATE ON transaction_reconciliations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE transaction_reconciliations IS 'Audit of pending transactions matched to their booked counterpart; reverting restores both rows';
+COMMENT ON COLUMN transactions.is_duplicate IS 'Retired row (e.g. a pending payment reconciled with its booked transaction); left out of lists and totals';
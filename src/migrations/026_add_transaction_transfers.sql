@@ -0,0 +1,31 @@
+-- Migration 026: Internal transfers between a user's own accounts
+-- An outgoing and an incoming transaction detected as the two sides of one transfer
+-- (same amount, close dates, IBAN references) are linked, so income and expense totals
+-- can leave them out while each account still shows its side
+
+CREATE TABLE IF NOT EXISTS transaction_transfers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    outgoing_transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    incoming_transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    score DECIMAL(5,4) NOT NULL, -- Detection confidence, 0 to 1
+    match_details JSONB DEFAULT '{}', -- Days apart, IBAN reference and transfer wording found
+    status VARCHAR(20) NOT NULL DEFAULT 'linked', -- linked or dismissed (unlinked by the user, not detected again)
+    dismissed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS transfer_id UUID REFERENCES transaction_transfers(id) ON DELETE SET NULL;
+
+-- A transaction is one side of at most one linked transfer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transaction_transfers_outgoing ON transaction_transfers(outgoing_transaction_id) WHERE status = 'linked';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transaction_transfers_incoming ON transaction_transfers(incoming_transaction_id) WHERE status = 'linked';
+CREATE INDEX IF NOT EXISTS idx_transaction_transfers_user ON transaction_transfers(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transactions_transfer ON transactions(transfer_id) WHERE transfer_id IS NOT NULL;
+
+CREATE TRIGGER update_transaction_transfers_updated_at BEFORE UPDATE ON transaction_transfers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE transaction_transfers IS 'Money moved between two of a user''s accounts; both sides are left out of income and expense totals';
+COMMENT ON COLUMN transactions.transfer_id IS 'Linked internal transfer this transaction is one side of; NULL for income and spending';
@@ -0,0 +1,11 @@
+-- Migration 027: Admin users
+-- Shared reference data (exchange rates, crypto prices) values every user's accounts,
+-- so only admins may write it
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT false;
+
+-- The seeded admin user
+UPDATE users SET is_admin = true WHERE id = '00000000-0000-0000-0000-000000000001';
+
+COMMENT ON COLUMN users.is_admin IS 'May write shared reference data (fx_rates, crypto_prices) used for every user';
@@ -0,0 +1,13 @@
+-- Migration 028: Webhook replay protection
+-- A signed webhook is accepted once: its signature and signature date are stored, and a
+-- second event with the same pair is rejected as a replay
+
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS signature VARCHAR(255),
+ADD COLUMN IF NOT EXISTS signature_date VARCHAR(100);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_signature
+    ON webhook_events(provider, signature, signature_date) WHERE signature_valid;
+
+COMMENT ON COLUMN webhook_events.signature IS 'Signature header as received; unique with signature_date among accepted events';
+COMMENT ON COLUMN webhook_events.signature_date IS 'Signature date header as received; events dated more than 5 minutes from receipt are rejected';
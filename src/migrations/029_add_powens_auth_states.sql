@@ -0,0 +1,17 @@
+-- Migration 029: Powens connection states
+-- Each Powens webview flow gets a random single-use state tied to the session that started it;
+-- the public callback resolves its user from this state, never from a user ID in the URL
+
+CREATE TABLE IF NOT EXISTS powens_auth_states (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    state_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the state sent to Powens
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    consumed_at TIMESTAMP WITH TIME ZONE, -- Set by the callback that used it
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_powens_auth_states_expires ON powens_auth_states(expires_at);
+
+COMMENT ON TABLE powens_auth_states IS 'Single-use states issued by /api/auth/powens/init and consumed by the Powens callback';
@@ -0,0 +1,8 @@
+-- Migration 030: Recurring transfers
+-- A standing order between two of the user's accounts is detected as an outgoing and an
+-- incoming series; the forecast keeps both sides, fixed-cost and subscription totals do not
+
+ALTER TABLE recurring_series
+ADD COLUMN IF NOT EXISTS is_transfer BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN recurring_series.is_transfer IS 'Built from transactions linked as internal transfers; left out of fixed costs and subscriptions';
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const { Pool } = require('pg');
+const bcrypt = require('bcryptjs');
 
 // Database configuration from environment variables
 const pool = new Pool({
@@ -12,6 +13,21 @@ const pool = new Pool({
   ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false,
 });
 
+// Set the admin password from ADMIN_PASSWORD so the seeded user can log in
+async function setAdminPassword() {
+  if (!process.env.ADMIN_PASSWORD) {
+    console.log('ℹ️ ADMIN_PASSWORD not set, admin user has no password');
+    return;
+  }
+  
+  const passwordHash = await bcrypt.hash(process.env.ADMIN_PASSWORD, 12);
+  await pool.query(
+    'UPDATE users SET password_hash = $1 WHERE id = $2',
+    [passwordHash, '00000000-0000-0000-0000-000000000001']
+  );
+  console.log('✅ Admin password set from ADMIN_PASSWORD');
+}
+
 async function seedDatabase() {
   try {
     console.log('🌱 Starting database seeding...');
@@ -24,6 +40,7 @@ async function seedDatabase() {
     
     if (existingUser.rows.length > 0) {
       console.log('✅ Admin user already exists, skipping seed');
+      await setAdminPassword();
       return;
     }
     
@@ -61,6 +78,8 @@ async function seedDatabase() {
       )
     `);
     
+    await setAdminPassword();
+    
     console.log('✅ Successfully seeded database with admin user');
     
   } catch (error) {
@@ -0,0 +1,188 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+// Account types whose balance is owed rather than owned
+const LIABILITY_ACCOUNT_TYPES = ['loan', 'credit'];
+
+// Bucket sizes accepted by getNetWorthSeries, mapped to Postgres intervals
+const SERIES_INTERVALS = {
+  day: '1 day',
+  week: '1 week',
+  month: '1 month'
+};
+
+class AccountBalanceHistoryModel {
+  // Record today's balance of every active account, keeping any balance already recorded today
+  static async snapshotAll() {
+    try {
+      const result = await database.query(`
+        INSERT INTO account_balance_history (account_id, user_id, balance_date, balance, available_balance, currency, source)
+        SELECT id, user_id, CURRENT_DATE, COALESCE(balance, 0), available_balance, currency, 'snapshot'
+        FROM bank_accounts
+        WHERE is_active = true
+        ON CONFLICT (account_id, balance_date) DO NOTHING
+      `);
+
+      logDBOperation('snapshotAll', 'account_balance_history', { recorded: result.rowCount });
+      return result.rowCount;
+    } catch (error) {
+      logDBOperation('snapshotAll', 'account_balance_history', {}, error);
+      throw error;
+    }
+  }
+
+  // Find a user's accounts holding transactions older than their first recorded balance
+  static async findAccountsMissingHistory(userId) {
+    try {
+      const result = await database.query(`
+        SELECT ba.id
+        FROM bank_accounts ba
+        JOIN LATERAL (
+          SELECT MIN(t.transaction_date) AS first_date
+          FROM transactions t
+          WHERE t.account_id = ba.id
+            AND t.is_pending = false
+            AND COALESCE(t.is_deleted, false) = false
+        ) tx ON true
+        LEFT JOIN LATERAL (
+          SELECT MIN(h.balance_date) AS first_date
+          FROM account_balance_history h
+          WHERE h.account_id = ba.id
+        ) history ON true
+        WHERE ba.user_id = $1
+          AND ba.is_active = true
+          AND tx.first_date IS NOT NULL
+          AND (history.first_date IS NULL OR tx.first_date < history.first_date)
+      `, [userId]);
+
+      logDBOperation('findAccountsMissingHistory', 'account_balance_history', { userId, found: result.rows.length });
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      logDBOperation('findAccountsMissingHistory', 'account_balance_history', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Derive past end-of-day balances by walking transactions backwards from the earliest known balance
+  static async backfill(userId, accountIds) {
+    try {
+      const inserted = await database.transaction(async (client) => {
+        // Earlier backfills are recomputed in full, as imports may have added older transactions
+        await client.query(`
+          DELETE FROM account_balance_history
+          WHERE user_id = $1 AND account_id = ANY($2::uuid[]) AND source = 'backfill'
+        `, [userId, accountIds]);
+
+        const result = await client.query(`
+          WITH anchors AS (
+            SELECT ba.id AS account_id, ba.user_id, ba.currency,
+                   COALESCE(h.balance_date, CURRENT_DATE) AS anchor_date,
+                   COALESCE(h.balance, ba.balance, 0) AS anchor_balance
+            FROM bank_accounts ba
+            LEFT JOIN LATERAL (
+              SELECT balance_date, balance
+              FROM account_balance_history
+              WHERE account_id = ba.id
+              ORDER BY balance_date ASC
+              LIMIT 1
+            ) h ON true
+            WHERE ba.user_id = $1 AND ba.id = ANY($2::uuid[])
+          ),
+          daily AS (
+            SELECT a.account_id, t.transaction_date AS day, SUM(t.amount) AS net
+            FROM anchors a
+            JOIN transactions t ON t.account_id = a.account_id
+            WHERE t.transaction_date <= a.anchor_date
+              AND t.is_pending = false
+              AND COALESCE(t.is_deleted, false) = false
+            GROUP BY a.account_id, t.transaction_date
+          ),
+          walked AS (
+            SELECT d.account_id, d.day,
+                   COALESCE(SUM(d.net) OVER (
+                     PARTITION BY d.account_id ORDER BY d.day DESC
+                     ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+                   ), 0) AS net_after,
+                   SUM(d.net) OVER (PARTITION BY d.account_id) AS net_total,
+                   MIN(d.day) OVER (PARTITION BY d.account_id) AS first_day
+            FROM daily d
+          ),
+          balances AS (
+            -- Closing balance of each day with transactions
+            SELECT account_id, day AS balance_date, net_after
+            FROM walked
+            UNION ALL
+            -- Opening balance on the day before the first transaction
+            SELECT DISTINCT account_id, (first_day - 1) AS balance_date, net_total
+            FROM walked
+          )
+          INSERT INTO account_balance_history (account_id, user_id, balance_date, balance, currency, source)
+          SELECT a.account_id, a.user_id, b.balance_date, a.anchor_balance - b.net_after, a.currency, 'backfill'
+          FROM balances b
+          JOIN anchors a ON a.account_id = b.account_id
+          WHERE b.balance_date < a.anchor_date
+          ON CONFLICT (account_id, balance_date) DO NOTHING
+        `, [userId, accountIds]);
+
+        return result.rowCount;
+      });
+
+      logDBOperation('backfill', 'account_balance_history', { userId, accounts: accountIds.length, inserted });
+      return inserted;
+    } catch (error) {
+      logDBOperation('backfill', 'account_balance_history', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Assets, liabilities and net worth at the end of each bucket, carrying each account's last known balance
+  // forward and converting it into currency at the bucket end's rates
+  static async getNetWorthSeries(userId, { interval = 'month', startDate, endDate, currency = null }) {
+    try {
+      const step = SERIES_INTERVALS[interval];
+      if (!step) {
+        throw new Error(`Unsupported interval: ${interval}`);
+      }
+
+      const result = await database.query(`
+        WITH buckets AS (
+          SELECT bucket_start::date AS bucket_start,
+                 LEAST((bucket_start + $4::interval - INTERVAL '1 day')::date, $3::date) AS bucket_end
+          FROM generate_series(
+            date_trunc($5::text, $2::date::timestamp),
+            $3::date::timestamp,
+            $4::interval
+          ) AS bucket_start
+        )
+        SELECT to_char(b.bucket_start, 'YYYY-MM-DD') AS period_start,
+               to_char(b.bucket_end, 'YYYY-MM-DD') AS period_end,
+               COALESCE(SUM(h.converted_balance) FILTER (WHERE ba.account_type <> ALL($6::text[])), 0) AS assets,
+               COALESCE(-SUM(h.converted_balance) FILTER (WHERE ba.account_type = ANY($6::text[])), 0) AS liabilities,
+               COALESCE(SUM(h.converted_balance), 0) AS net_worth,
+               COUNT(h.balance) AS account_count,
+               ARRAY_REMOVE(ARRAY_AGG(DISTINCT CASE WHEN h.balance IS NOT NULL AND h.converted_balance IS NULL
+                 THEN h.currency END), NULL) AS unconverted_currencies
+        FROM buckets b
+        LEFT JOIN bank_accounts ba ON ba.user_id = $1 AND ba.is_active = true
+        LEFT JOIN LATERAL (
+          SELECT balance, COALESCE(currency, ba.currency) AS currency,
+                 fx_convert(balance, COALESCE(currency, ba.currency), COALESCE($7, currency, ba.currency), b.bucket_end) AS converted_balance
+          FROM account_balance_history
+          WHERE account_id = ba.id AND balance_date <= b.bucket_end
+          ORDER BY balance_date DESC
+          LIMIT 1
+        ) h ON true
+        GROUP BY b.bucket_start, b.bucket_end
+        ORDER BY b.bucket_start ASC
+      `, [userId, startDate, endDate, step, interval, LIABILITY_ACCOUNT_TYPES, currency]);
+
+      logDBOperation('getNetWorthSeries', 'account_balance_history', { userId, interval, points: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('getNetWorthSeries', 'account_balance_history', { userId, interval }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AccountBalanceHistoryModel;
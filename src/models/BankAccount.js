@@ -46,15 +46,15 @@ class BankAccountModel {
   }
 
   // Find accounts by user ID
-  static async findByUserId(userId) {
+  static async findByUserId(userId, { includeInactive = false } = {}) {
     try {
       const result = await database.query(`
         SELECT ba.*, bc.bank_name as connection_bank_name, bc.status as connection_status
         FROM bank_accounts ba
         LEFT JOIN bank_connections bc ON ba.connection_id = bc.id
-        WHERE ba.user_id = $1 AND ba.is_active = true
+        WHERE ba.user_id = $1 AND (ba.is_active = true OR $2)
         ORDER BY ba.is_primary DESC, ba.balance DESC
-      `, [userId]);
+      `, [userId, includeInactive]);
 
       logDBOperation('findByUserId', 'bank_accounts', { userId, found: result.rows.length });
       return result.rows;
@@ -99,6 +99,42 @@ class BankAccountModel {
     }
   }
 
+  // Find an account by name under a connection
+  static async findByConnectionAndName(connectionId, accountName) {
+    try {
+      const result = await database.query(`
+        SELECT * FROM bank_accounts
+        WHERE connection_id = $1 AND LOWER(account_name) = LOWER($2)
+        ORDER BY created_at ASC
+        LIMIT 1
+      `, [connectionId, accountName]);
+
+      logDBOperation('findByConnectionAndName', 'bank_accounts', { connectionId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findByConnectionAndName', 'bank_accounts', { connectionId }, error);
+      throw error;
+    }
+  }
+
+  // Find an account by account number under a connection
+  static async findByConnectionAndNumber(connectionId, accountNumber) {
+    try {
+      const result = await database.query(`
+        SELECT * FROM bank_accounts
+        WHERE connection_id = $1 AND account_number = $2
+        ORDER BY created_at ASC
+        LIMIT 1
+      `, [connectionId, accountNumber]);
+
+      logDBOperation('findByConnectionAndNumber', 'bank_accounts', { connectionId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findByConnectionAndNumber', 'bank_accounts', { connectionId }, error);
+      throw error;
+    }
+  }
+
   // Count accounts by connection ID
   static async countByConnectionId(connectionId) {
     try {
@@ -163,6 +199,25 @@ class BankAccountModel {
     }
   }
 
+  // Advance the transaction sync checkpoint of an account after a complete sync; it never moves back
+  static async updateTransactionCheckpoint(accountId, lastUpdate) {
+    try {
+      const result = await database.query(`
+        UPDATE bank_accounts SET
+          transactions_last_update = GREATEST(transactions_last_update, $2),
+          transactions_synced_at = NOW()
+        WHERE id = $1
+        RETURNING id, transactions_last_update
+      `, [accountId, lastUpdate]);
+
+      logDBOperation('updateTransactionCheckpoint', 'bank_accounts', { accountId, lastUpdate });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('updateTransactionCheckpoint', 'bank_accounts', { accountId }, error);
+      throw error;
+    }
+  }
+
   // Update account information
   static async update(accountId, updateData) {
     try {
@@ -301,23 +356,27 @@ class BankAccountModel {
     }
   }
 
-  // Get account summary for user
-  static async getUserSummary(userId) {
+  // Get account summary for user, with balances converted into currency at today's rates
+  static async getUserSummary(userId, currency = null) {
     try {
       const result = await database.query(`
         SELECT 
           COUNT(*) as total_accounts,
-          SUM(CASE WHEN account_type = 'checking' THEN balance ELSE 0 END) as checking_balance,
-          SUM(CASE WHEN account_type = 'savings' THEN balance ELSE 0 END) as savings_balance,
-          SUM(CASE WHEN account_type = 'investment' THEN balance ELSE 0 END) as investment_balance,
-          SUM(CASE WHEN account_type = 'credit' THEN balance ELSE 0 END) as credit_balance,
-          SUM(balance) as total_balance,
-          MAX(last_balance_update) as last_update
-        FROM bank_accounts 
-        WHERE user_id = $1 AND is_active = true
-      `, [userId]);
-
-      logDBOperation('getUserSummary', 'bank_accounts', { userId });
+          SUM(CASE WHEN account_type = 'checking' THEN converted_balance ELSE 0 END) as checking_balance,
+          SUM(CASE WHEN account_type = 'savings' THEN converted_balance ELSE 0 END) as savings_balance,
+          SUM(CASE WHEN account_type = 'investment' THEN converted_balance ELSE 0 END) as investment_balance,
+          SUM(CASE WHEN account_type = 'credit' THEN converted_balance ELSE 0 END) as credit_balance,
+          SUM(converted_balance) as total_balance,
+          MAX(last_balance_update) as last_update,
+          ARRAY_REMOVE(ARRAY_AGG(DISTINCT CASE WHEN converted_balance IS NULL THEN currency END), NULL) as unconverted_currencies
+        FROM (
+          SELECT *, fx_convert(balance, currency, COALESCE($2, currency), CURRENT_DATE) as converted_balance
+          FROM bank_accounts
+          WHERE user_id = $1 AND is_active = true
+        ) ba
+      `, [userId, currency]);
+
+      logDBOperation('getUserSummary', 'bank_accounts', { userId, currency });
       return result.rows[0];
     } catch (error) {
       logDBOperation('getUserSummary', 'bank_accounts', { userId }, error);
@@ -339,6 +398,21 @@ class BankAccountModel {
       throw error;
     }
   }
+
+  // Deactivate all accounts of a connection
+  static async deactivateByConnectionId(connectionId) {
+    try {
+      const result = await database.query(`
+        UPDATE bank_accounts SET is_active = false WHERE connection_id = $1 AND is_active = true RETURNING *
+      `, [connectionId]);
+
+      logDBOperation('deactivateByConnectionId', 'bank_accounts', { connectionId, deactivated: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('deactivateByConnectionId', 'bank_accounts', { connectionId }, error);
+      throw error;
+    }
+  }
 }
 
 module.exports = BankAccountModel;
\ No newline at end of file
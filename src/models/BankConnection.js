@@ -319,12 +319,15 @@ class BankConnectionModel {
     }
   }
 
-  // Find by Powens connection ID
-  static async findByPowensConnectionId(powensConnectionId) {
+  // Find by Powens connection ID, optionally restricted to one user
+  static async findByPowensConnectionId(powensConnectionId, userId = null) {
     try {
       const result = await database.query(`
-        SELECT * FROM bank_connections WHERE powens_connection_id = $1
-      `, [powensConnectionId]);
+        SELECT * FROM bank_connections
+        WHERE powens_connection_id = $1 AND ($2::uuid IS NULL OR user_id = $2)
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [String(powensConnectionId), userId]);
 
       logDBOperation('findByPowensConnectionId', 'bank_connections', { found: result.rows.length > 0 });
       return result.rows[0] || null;
@@ -334,6 +337,81 @@ class BankConnectionModel {
     }
   }
 
+  // Create or update the connection for a Powens connection ID. A user's connection to the same bank
+  // is reused (one connection per user/bank), so repeated webhooks never add rows.
+  static async upsertPowensConnection(connectionData) {
+    try {
+      const { user_id, powens_user_id, powens_connection_id, bank_name, bank_logo_url } = connectionData;
+
+      const existing = await this.findByPowensConnectionId(powens_connection_id, user_id);
+      if (existing) {
+        const result = await database.query(`
+          UPDATE bank_connections SET
+            powens_user_id = COALESCE($2, powens_user_id),
+            bank_logo_url = COALESCE($3, bank_logo_url),
+            status = 'active'
+          WHERE id = $1
+          RETURNING *
+        `, [existing.id, powens_user_id, bank_logo_url]);
+
+        logDBOperation('upsertPowensConnection', 'bank_connections', { connectionId: existing.id, action: 'updated' });
+        return result.rows[0];
+      }
+
+      const result = await database.query(`
+        INSERT INTO bank_connections (
+          user_id, powens_user_id, powens_connection_id, bank_name, bank_logo_url,
+          status, token_source, connection_type
+        )
+        VALUES ($1, $2, $3, $4, $5, 'active', 'webhook', 'powens')
+        ON CONFLICT (user_id, bank_name, connection_type) DO UPDATE SET
+          powens_connection_id = EXCLUDED.powens_connection_id,
+          powens_user_id = COALESCE(EXCLUDED.powens_user_id, bank_connections.powens_user_id),
+          bank_logo_url = COALESCE(EXCLUDED.bank_logo_url, bank_connections.bank_logo_url),
+          status = 'active'
+        RETURNING *
+      `, [user_id, powens_user_id, String(powens_connection_id), bank_name, bank_logo_url]);
+
+      logDBOperation('upsertPowensConnection', 'bank_connections', { connectionId: result.rows[0].id, action: 'upserted' });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('upsertPowensConnection', 'bank_connections', { userId: connectionData.user_id }, error);
+      throw error;
+    }
+  }
+
+  // Deactivate a connection so it is no longer synced
+  static async deactivate(connectionId) {
+    try {
+      const result = await database.query(`
+        UPDATE bank_connections SET status = 'inactive', sync_enabled = false WHERE id = $1 RETURNING *
+      `, [connectionId]);
+
+      logDBOperation('deactivate', 'bank_connections', { connectionId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('deactivate', 'bank_connections', { connectionId }, error);
+      throw error;
+    }
+  }
+
+  // Deactivate all Powens connections of a user
+  static async deactivatePowensByUserId(userId) {
+    try {
+      const result = await database.query(`
+        UPDATE bank_connections SET status = 'inactive', sync_enabled = false
+        WHERE user_id = $1 AND connection_type = 'powens'
+        RETURNING *
+      `, [userId]);
+
+      logDBOperation('deactivatePowensByUserId', 'bank_connections', { userId, deactivated: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('deactivatePowensByUserId', 'bank_connections', { userId }, error);
+      throw error;
+    }
+  }
+
   // Find existing connection to prevent duplicates
   static async findExistingConnection(userId, bankName, connectionType = 'powens') {
     try {
@@ -357,6 +435,26 @@ class BankConnectionModel {
     }
   }
 
+  // Find or create the manual (file import) connection for a bank; manual connections are never synced
+  static async findOrCreateManual(userId, bankName) {
+    try {
+      const existing = await this.findExistingConnection(userId, bankName, 'manual');
+      if (existing) return existing;
+
+      const result = await database.query(`
+        INSERT INTO bank_connections (user_id, bank_name, connection_type, status, sync_enabled)
+        VALUES ($1, $2, 'manual', 'active', false)
+        RETURNING *
+      `, [userId, bankName]);
+
+      logDBOperation('findOrCreateManual', 'bank_connections', { connectionId: result.rows[0].id, bankName, action: 'created' });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('findOrCreateManual', 'bank_connections', { userId, bankName }, error);
+      throw error;
+    }
+  }
+
   // Get connections with expired tokens
   static async getExpiredTokenConnections() {
     try {
@@ -0,0 +1,142 @@
+const database = require('../config/database');
+const { logger, logDBOperation } = require('../utils/logger');
+
+class BudgetModel {
+  // Create a new budget
+  static async create(budgetData) {
+    try {
+      const {
+        user_id,
+        category_id,
+        name,
+        amount,
+        period,
+        start_date,
+        end_date,
+        alert_threshold
+      } = budgetData;
+
+      const result = await database.query(`
+        INSERT INTO budgets (user_id, category_id, name, amount, period, start_date, end_date, alert_threshold)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [
+        user_id, category_id || null, name, amount, period,
+        start_date || new Date().toISOString().split('T')[0], end_date || null,
+        alert_threshold ?? 0.80
+      ]);
+
+      logDBOperation('create', 'budgets', { budgetId: result.rows[0].id, userId: user_id });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('create', 'budgets', { userId: budgetData.user_id }, error);
+      throw error;
+    }
+  }
+
+  // Find budgets by user ID
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { activeOnly = false } = options;
+
+      const result = await database.query(`
+        SELECT b.*, tc.name as category_name
+        FROM budgets b
+        LEFT JOIN transaction_categories tc ON b.category_id = tc.id
+        WHERE b.user_id = $1 ${activeOnly ? 'AND b.is_active = true' : ''}
+        ORDER BY b.created_at ASC
+      `, [userId]);
+
+      logDBOperation('findByUserId', 'budgets', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'budgets', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Find budget by ID
+  static async findById(budgetId) {
+    try {
+      const result = await database.query(`
+        SELECT b.*, tc.name as category_name
+        FROM budgets b
+        LEFT JOIN transaction_categories tc ON b.category_id = tc.id
+        WHERE b.id = $1
+      `, [budgetId]);
+
+      logDBOperation('findById', 'budgets', { budgetId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'budgets', { budgetId }, error);
+      throw error;
+    }
+  }
+
+  // Update budget
+  static async update(budgetId, updateData) {
+    try {
+      const setClause = Object.keys(updateData).map((key, index) => `${key} = $${index + 2}`).join(', ');
+      const values = [budgetId, ...Object.values(updateData)];
+
+      const result = await database.query(`
+        UPDATE budgets SET ${setClause} WHERE id = $1 RETURNING *
+      `, values);
+
+      logDBOperation('update', 'budgets', { budgetId, fieldsUpdated: Object.keys(updateData) });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('update', 'budgets', { budgetId }, error);
+      throw error;
+    }
+  }
+
+  // Delete budget
+  static async delete(budgetId) {
+    try {
+      const result = await database.query(`
+        DELETE FROM budgets WHERE id = $1 RETURNING *
+      `, [budgetId]);
+
+      logDBOperation('delete', 'budgets', { budgetId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('delete', 'budgets', { budgetId }, error);
+      throw error;
+    }
+  }
+
+  // Sum spending (outgoing amounts) for a budget between two dates, including its subcategories
+  static async getSpend(budget, periodStart, periodEnd) {
+    try {
+      const result = await database.query(`
+        SELECT
+          COALESCE(SUM(ABS(t.amount)), 0) as spent,
+          COUNT(*) as transaction_count
+        FROM transactions t
+        WHERE t.user_id = $1
+          AND t.amount < 0
+          AND t.transaction_date BETWEEN $2 AND $3
+          AND COALESCE(t.is_deleted, false) = false
+          AND COALESCE(t.is_duplicate, false) = false
+          AND t.transfer_id IS NULL
+          AND (
+            $4::uuid IS NULL OR
+            t.category_id IN (SELECT id FROM transaction_categories WHERE id = $4 OR parent_id = $4)
+          )
+      `, [budget.user_id, periodStart, periodEnd, budget.category_id || null]);
+
+      logDBOperation('getSpend', 'budgets', { budgetId: budget.id, periodStart, periodEnd });
+      return {
+        spent: parseFloat(result.rows[0].spent) || 0,
+        transaction_count: parseInt(result.rows[0].transaction_count) || 0
+      };
+    } catch (error) {
+      logger.error('Budget spend calculation failed', { budgetId: budget.id, error: error.message });
+      logDBOperation('getSpend', 'budgets', { budgetId: budget.id }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BudgetModel;
@@ -0,0 +1,84 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+class BudgetAlertModel {
+  // Record a threshold crossing; returns null if already recorded for this period
+  static async createIfNew(alertData) {
+    try {
+      const {
+        budget_id,
+        user_id,
+        period_start,
+        period_end,
+        threshold,
+        spent_amount,
+        budget_amount
+      } = alertData;
+
+      const result = await database.query(`
+        INSERT INTO budget_alerts (budget_id, user_id, period_start, period_end, threshold, spent_amount, budget_amount)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (budget_id, period_start, threshold) DO NOTHING
+        RETURNING *
+      `, [budget_id, user_id, period_start, period_end, threshold, spent_amount, budget_amount]);
+
+      logDBOperation('createIfNew', 'budget_alerts', { budgetId: budget_id, threshold, created: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('createIfNew', 'budget_alerts', { budgetId: alertData.budget_id }, error);
+      throw error;
+    }
+  }
+
+  // Find alerts for a user
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { unacknowledgedOnly = false, budgetId = null, limit = 50 } = options;
+      const params = [userId];
+      let whereClause = 'WHERE ba.user_id = $1';
+
+      if (unacknowledgedOnly) {
+        whereClause += ' AND ba.acknowledged_at IS NULL';
+      }
+      if (budgetId) {
+        params.push(budgetId);
+        whereClause += ` AND ba.budget_id = $${params.length}`;
+      }
+      params.push(limit);
+
+      const result = await database.query(`
+        SELECT ba.*, b.name as budget_name, b.period
+        FROM budget_alerts ba
+        JOIN budgets b ON ba.budget_id = b.id
+        ${whereClause}
+        ORDER BY ba.created_at DESC
+        LIMIT $${params.length}
+      `, params);
+
+      logDBOperation('findByUserId', 'budget_alerts', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'budget_alerts', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Mark an alert as acknowledged
+  static async acknowledge(alertId, userId) {
+    try {
+      const result = await database.query(`
+        UPDATE budget_alerts SET acknowledged_at = NOW()
+        WHERE id = $1 AND user_id = $2
+        RETURNING *
+      `, [alertId, userId]);
+
+      logDBOperation('acknowledge', 'budget_alerts', { alertId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('acknowledge', 'budget_alerts', { alertId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BudgetAlertModel;
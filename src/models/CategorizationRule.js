@@ -0,0 +1,128 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+// Rule columns joined with the labels of the category the rule assigns
+const RULE_SELECT = `
+  SELECT r.*,
+    COALESCE(p.name, c.name) as set_category,
+    CASE WHEN p.id IS NOT NULL THEN c.name END as set_subcategory
+  FROM categorization_rules r
+  LEFT JOIN transaction_categories c ON r.set_category_id = c.id
+  LEFT JOIN transaction_categories p ON c.parent_id = p.id
+`;
+
+class CategorizationRuleModel {
+  // Create a new rule
+  static async create(ruleData) {
+    try {
+      const {
+        user_id,
+        name,
+        priority,
+        is_active,
+        description_pattern,
+        merchant_pattern,
+        min_amount,
+        max_amount,
+        account_id,
+        powens_type,
+        set_category_id,
+        add_tags,
+        set_notes
+      } = ruleData;
+
+      const result = await database.query(`
+        INSERT INTO categorization_rules (
+          user_id, name, priority, is_active, description_pattern, merchant_pattern,
+          min_amount, max_amount, account_id, powens_type, set_category_id, add_tags, set_notes
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
+      `, [
+        user_id, name, priority ?? 100, is_active !== false,
+        description_pattern || null, merchant_pattern || null,
+        min_amount ?? null, max_amount ?? null, account_id || null, powens_type || null,
+        set_category_id || null, JSON.stringify(add_tags || []), set_notes || null
+      ]);
+
+      logDBOperation('create', 'categorization_rules', { ruleId: result.rows[0].id, userId: user_id });
+      return await this.findById(result.rows[0].id);
+    } catch (error) {
+      logDBOperation('create', 'categorization_rules', { userId: ruleData.user_id }, error);
+      throw error;
+    }
+  }
+
+  // Find rules by user ID in evaluation order
+  static async findByUserId(userId, options = {}, client = database) {
+    try {
+      const { activeOnly = false } = options;
+
+      const result = await client.query(`
+        ${RULE_SELECT}
+        WHERE r.user_id = $1 ${activeOnly ? 'AND r.is_active = true' : ''}
+        ORDER BY r.priority ASC, r.created_at ASC
+      `, [userId]);
+
+      logDBOperation('findByUserId', 'categorization_rules', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'categorization_rules', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Find rule by ID
+  static async findById(ruleId) {
+    try {
+      const result = await database.query(`
+        ${RULE_SELECT}
+        WHERE r.id = $1
+      `, [ruleId]);
+
+      logDBOperation('findById', 'categorization_rules', { ruleId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'categorization_rules', { ruleId }, error);
+      throw error;
+    }
+  }
+
+  // Update rule
+  static async update(ruleId, updateData) {
+    try {
+      const data = { ...updateData };
+      if (data.add_tags !== undefined) data.add_tags = JSON.stringify(data.add_tags || []);
+
+      const setClause = Object.keys(data).map((key, index) => `${key} = $${index + 2}`).join(', ');
+      const values = [ruleId, ...Object.values(data)];
+
+      await database.query(`
+        UPDATE categorization_rules SET ${setClause} WHERE id = $1
+      `, values);
+
+      logDBOperation('update', 'categorization_rules', { ruleId, fieldsUpdated: Object.keys(updateData) });
+      return await this.findById(ruleId);
+    } catch (error) {
+      logDBOperation('update', 'categorization_rules', { ruleId }, error);
+      throw error;
+    }
+  }
+
+  // Delete rule
+  static async delete(ruleId) {
+    try {
+      const result = await database.query(`
+        DELETE FROM categorization_rules WHERE id = $1 RETURNING *
+      `, [ruleId]);
+
+      logDBOperation('delete', 'categorization_rules', { ruleId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('delete', 'categorization_rules', { ruleId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CategorizationRuleModel;
@@ -0,0 +1,70 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+class CryptoAddressModel {
+  // Record an address returned by the gateway, refreshing it if the reference was already used for the asset
+  static async upsert(addressData) {
+    try {
+      const { user_id, provider = 'nexo', reference_id, asset, blockchain, address } = addressData;
+
+      const result = await database.query(`
+        INSERT INTO crypto_addresses (user_id, provider, reference_id, asset, blockchain, address)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (provider, reference_id, asset) DO UPDATE SET
+          blockchain = EXCLUDED.blockchain,
+          address = EXCLUDED.address
+        WHERE crypto_addresses.user_id = EXCLUDED.user_id
+        RETURNING *
+      `, [user_id, provider, reference_id, asset, blockchain || null, address]);
+
+      logDBOperation('upsert', 'crypto_addresses', { userId: user_id, referenceId: reference_id, asset });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('upsert', 'crypto_addresses', { userId: addressData.user_id }, error);
+      throw error;
+    }
+  }
+
+  // Find the user owning a reference ID, if any address was created with it
+  static async findOwnerOfReference(referenceId, provider = 'nexo') {
+    try {
+      const result = await database.query(`
+        SELECT user_id FROM crypto_addresses
+        WHERE provider = $1 AND reference_id = $2
+        LIMIT 1
+      `, [provider, referenceId]);
+
+      logDBOperation('findOwnerOfReference', 'crypto_addresses', { referenceId, found: result.rows.length > 0 });
+      return result.rows[0] ? result.rows[0].user_id : null;
+    } catch (error) {
+      logDBOperation('findOwnerOfReference', 'crypto_addresses', { referenceId }, error);
+      throw error;
+    }
+  }
+
+  // Find a user's addresses, optionally for one asset
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { asset = null } = options;
+
+      const result = await database.query(`
+        SELECT ca.*,
+               COUNT(cd.id) as deposit_count,
+               MAX(cd.deposited_at) as last_deposit_at
+        FROM crypto_addresses ca
+        LEFT JOIN crypto_deposits cd ON cd.address_id = ca.id
+        WHERE ca.user_id = $1 AND ($2::text IS NULL OR ca.asset = $2)
+        GROUP BY ca.id
+        ORDER BY ca.created_at DESC
+      `, [userId, asset]);
+
+      logDBOperation('findByUserId', 'crypto_addresses', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'crypto_addresses', { userId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CryptoAddressModel;
@@ -0,0 +1,90 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+const CryptoHoldingModel = require('./CryptoHolding');
+
+class CryptoDepositModel {
+  // Store a deposit once per provider transaction ID, linked to the address it was sent to, and credit
+  // it to the owner's wallet for the provider. Returns { deposit, created } - created is false when the
+  // event was already recorded.
+  static async record(depositData) {
+    try {
+      const {
+        provider = 'nexo', transaction_id, reference_id, deposit_address, transaction_hash,
+        asset, amount, fiat_value_usd, deposited_at, raw_event
+      } = depositData;
+
+      const outcome = await database.transaction(async (client) => {
+        // Prefer the address created for this reference and asset, then the address itself
+        const addressResult = await client.query(`
+          SELECT id, user_id FROM crypto_addresses
+          WHERE provider = $1 AND (reference_id = $2 OR address = $4)
+          ORDER BY (reference_id = $2 AND asset = $3) DESC NULLS LAST, (address = $4) DESC NULLS LAST, created_at DESC
+          LIMIT 1
+        `, [provider, reference_id || null, asset, deposit_address || null]);
+        const address = addressResult.rows[0] || null;
+
+        const insertResult = await client.query(`
+          INSERT INTO crypto_deposits (
+            provider, transaction_id, user_id, address_id, reference_id, deposit_address,
+            transaction_hash, asset, amount, fiat_value_usd, deposited_at, raw_event
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, NOW()), $12)
+          ON CONFLICT (provider, transaction_id) DO NOTHING
+          RETURNING *
+        `, [
+          provider, transaction_id, address ? address.user_id : null, address ? address.id : null,
+          reference_id || null, deposit_address || null, transaction_hash || null, asset, amount,
+          fiat_value_usd ?? null, deposited_at || null, raw_event ? JSON.stringify(raw_event) : null
+        ]);
+
+        if (insertResult.rows[0]) {
+          if (address) {
+            await CryptoHoldingModel.adjustProviderQuantity(address.user_id, provider, asset, amount, client);
+          }
+          return { deposit: insertResult.rows[0], created: true };
+        }
+
+        const existing = await client.query(`
+          SELECT * FROM crypto_deposits WHERE provider = $1 AND transaction_id = $2
+        `, [provider, transaction_id]);
+        return { deposit: existing.rows[0], created: false };
+      });
+
+      logDBOperation('record', 'crypto_deposits', {
+        transactionId: transaction_id,
+        created: outcome.created,
+        userId: outcome.deposit.user_id
+      });
+      return outcome;
+    } catch (error) {
+      logDBOperation('record', 'crypto_deposits', { transactionId: depositData.transaction_id }, error);
+      throw error;
+    }
+  }
+
+  // Find a user's deposits, newest first, filtered by asset and deposit date (inclusive)
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { asset = null, startDate = null, endDate = null, limit = 100, offset = 0 } = options;
+
+      const result = await database.query(`
+        SELECT cd.*, ca.blockchain
+        FROM crypto_deposits cd
+        LEFT JOIN crypto_addresses ca ON cd.address_id = ca.id
+        WHERE cd.user_id = $1
+          AND ($2::text IS NULL OR cd.asset = $2)
+          AND ($3::date IS NULL OR cd.deposited_at >= $3::date)
+          AND ($4::date IS NULL OR cd.deposited_at < $4::date + 1)
+        ORDER BY cd.deposited_at DESC
+        LIMIT $5 OFFSET $6
+      `, [userId, asset, startDate, endDate, limit, offset]);
+
+      logDBOperation('findByUserId', 'crypto_deposits', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'crypto_deposits', { userId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CryptoDepositModel;
@@ -0,0 +1,102 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+const CryptoWalletModel = require('./CryptoWallet');
+
+class CryptoHoldingModel {
+  // Set the quantity of an asset in a wallet
+  static async upsert(holdingData) {
+    try {
+      const { wallet_id, user_id, asset, quantity } = holdingData;
+
+      const result = await database.query(`
+        INSERT INTO crypto_holdings (wallet_id, user_id, asset, quantity)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (wallet_id, asset) DO UPDATE SET quantity = EXCLUDED.quantity
+        RETURNING *
+      `, [wallet_id, user_id, asset, quantity]);
+
+      logDBOperation('upsert', 'crypto_holdings', { walletId: wallet_id, asset });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('upsert', 'crypto_holdings', { walletId: holdingData.wallet_id }, error);
+      throw error;
+    }
+  }
+
+  // Add a quantity (negative to remove) to an asset in the user's wallet for a provider
+  static async adjustProviderQuantity(userId, provider, asset, delta, client = database) {
+    try {
+      const wallet = await CryptoWalletModel.findOrCreateForProvider(userId, provider, client);
+
+      const result = await client.query(`
+        INSERT INTO crypto_holdings (wallet_id, user_id, asset, quantity)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (wallet_id, asset) DO UPDATE SET quantity = crypto_holdings.quantity + EXCLUDED.quantity
+        RETURNING *
+      `, [wallet.id, userId, asset, delta]);
+
+      logDBOperation('adjustProviderQuantity', 'crypto_holdings', { userId, provider, asset });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('adjustProviderQuantity', 'crypto_holdings', { userId, provider, asset }, error);
+      throw error;
+    }
+  }
+
+  // Find a user's holdings in active wallets, optionally for one wallet
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { walletId = null } = options;
+
+      const result = await database.query(`
+        SELECT ch.*, cw.name as wallet_name, cw.provider
+        FROM crypto_holdings ch
+        JOIN crypto_wallets cw ON ch.wallet_id = cw.id
+        WHERE ch.user_id = $1 AND cw.is_active = true
+          AND ($2::uuid IS NULL OR ch.wallet_id = $2)
+        ORDER BY cw.name ASC, ch.asset ASC
+      `, [userId, walletId]);
+
+      logDBOperation('findByUserId', 'crypto_holdings', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'crypto_holdings', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Find holding by ID
+  static async findById(holdingId) {
+    try {
+      const result = await database.query(`
+        SELECT ch.*, cw.name as wallet_name, cw.provider
+        FROM crypto_holdings ch
+        JOIN crypto_wallets cw ON ch.wallet_id = cw.id
+        WHERE ch.id = $1
+      `, [holdingId]);
+
+      logDBOperation('findById', 'crypto_holdings', { holdingId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'crypto_holdings', { holdingId }, error);
+      throw error;
+    }
+  }
+
+  // Delete holding
+  static async delete(holdingId) {
+    try {
+      const result = await database.query(`
+        DELETE FROM crypto_holdings WHERE id = $1 RETURNING *
+      `, [holdingId]);
+
+      logDBOperation('delete', 'crypto_holdings', { holdingId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('delete', 'crypto_holdings', { holdingId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CryptoHoldingModel;
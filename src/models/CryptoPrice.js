@@ -0,0 +1,52 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+class CryptoPriceModel {
+  // Insert or replace prices ({ asset, currency, price, date }), returning the rows written
+  static async upsertMany(prices, source = 'manual') {
+    try {
+      const result = await database.query(`
+        INSERT INTO crypto_prices (asset, currency, price, price_date, source)
+        SELECT asset, currency, price, price_date, $5
+        FROM unnest($1::varchar[], $2::varchar[], $3::numeric[], $4::date[]) AS p(asset, currency, price, price_date)
+        ON CONFLICT (asset, currency, price_date) DO UPDATE SET
+          price = EXCLUDED.price,
+          source = EXCLUDED.source
+        RETURNING *
+      `, [
+        prices.map(p => p.asset),
+        prices.map(p => p.currency),
+        prices.map(p => p.price),
+        prices.map(p => p.date),
+        source
+      ]);
+
+      logDBOperation('upsertMany', 'crypto_prices', { written: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('upsertMany', 'crypto_prices', { prices: prices.length }, error);
+      throw error;
+    }
+  }
+
+  // Get each asset's latest price on or before a date (today when omitted), optionally for some assets
+  static async findLatest(assets = null, date = null) {
+    try {
+      const result = await database.query(`
+        SELECT DISTINCT ON (asset) asset, currency, price, price_date, source
+        FROM crypto_prices
+        WHERE ($1::varchar[] IS NULL OR asset = ANY($1))
+          AND price_date <= COALESCE($2::date, CURRENT_DATE)
+        ORDER BY asset, price_date DESC, created_at DESC
+      `, [assets, date]);
+
+      logDBOperation('findLatest', 'crypto_prices', { date, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findLatest', 'crypto_prices', { date }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CryptoPriceModel;
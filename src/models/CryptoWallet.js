@@ -0,0 +1,113 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+// Names given to wallets created automatically for a provider
+const PROVIDER_WALLET_NAMES = {
+  nexo: 'Nexo'
+};
+
+class CryptoWalletModel {
+  // Create a wallet
+  static async create(walletData) {
+    try {
+      const { user_id, name, provider = 'manual' } = walletData;
+
+      const result = await database.query(`
+        INSERT INTO crypto_wallets (user_id, name, provider)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [user_id, name, provider]);
+
+      logDBOperation('create', 'crypto_wallets', { walletId: result.rows[0].id, userId: user_id });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('create', 'crypto_wallets', { userId: walletData.user_id }, error);
+      throw error;
+    }
+  }
+
+  // Get the user's wallet for a provider, creating it on first use
+  static async findOrCreateForProvider(userId, provider, client = database) {
+    try {
+      const result = await client.query(`
+        INSERT INTO crypto_wallets (user_id, name, provider)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_id, provider) WHERE provider <> 'manual' DO UPDATE SET is_active = true
+        RETURNING *
+      `, [userId, PROVIDER_WALLET_NAMES[provider] || provider, provider]);
+
+      logDBOperation('findOrCreateForProvider', 'crypto_wallets', { userId, provider });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('findOrCreateForProvider', 'crypto_wallets', { userId, provider }, error);
+      throw error;
+    }
+  }
+
+  // Find a user's wallets
+  static async findByUserId(userId, includeInactive = false) {
+    try {
+      const result = await database.query(`
+        SELECT * FROM crypto_wallets
+        WHERE user_id = $1 AND ($2 OR is_active = true)
+        ORDER BY provider = 'manual', name ASC
+      `, [userId, includeInactive]);
+
+      logDBOperation('findByUserId', 'crypto_wallets', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'crypto_wallets', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Find wallet by ID
+  static async findById(walletId) {
+    try {
+      const result = await database.query(`
+        SELECT * FROM crypto_wallets WHERE id = $1
+      `, [walletId]);
+
+      logDBOperation('findById', 'crypto_wallets', { walletId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'crypto_wallets', { walletId }, error);
+      throw error;
+    }
+  }
+
+  // Update wallet
+  static async update(walletId, updateData) {
+    try {
+      const setClause = Object.keys(updateData).map((key, index) => `${key} = $${index + 2}`).join(', ');
+      const values = [walletId, ...Object.values(updateData)];
+
+      const result = await database.query(`
+        UPDATE crypto_wallets SET ${setClause} WHERE id = $1 RETURNING *
+      `, values);
+
+      logDBOperation('update', 'crypto_wallets', { walletId, fieldsUpdated: Object.keys(updateData) });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('update', 'crypto_wallets', { walletId }, error);
+      throw error;
+    }
+  }
+
+  // Delete wallet and its holdings
+  static async delete(walletId) {
+    try {
+      const result = await database.query(`
+        DELETE FROM crypto_wallets WHERE id = $1 RETURNING *
+      `, [walletId]);
+
+      logDBOperation('delete', 'crypto_wallets', { walletId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('delete', 'crypto_wallets', { walletId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CryptoWalletModel;
@@ -0,0 +1,76 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+// Rows per INSERT when loading a rate history
+const UPSERT_BATCH_SIZE = 5000;
+
+class FxRateModel {
+  // Insert or replace rates ({ date, currency, rate } per 1 EUR), returning the number of rows written
+  static async upsertMany(rates, source = 'ecb') {
+    try {
+      const written = await database.transaction(async (client) => {
+        let count = 0;
+
+        for (let start = 0; start < rates.length; start += UPSERT_BATCH_SIZE) {
+          const batch = rates.slice(start, start + UPSERT_BATCH_SIZE);
+          const result = await client.query(`
+            INSERT INTO fx_rates (rate_date, base_currency, quote_currency, rate, source)
+            SELECT rate_date, 'EUR', quote_currency, rate, $4
+            FROM unnest($1::date[], $2::varchar[], $3::numeric[]) AS r(rate_date, quote_currency, rate)
+            ON CONFLICT (base_currency, quote_currency, rate_date) DO UPDATE SET
+              rate = EXCLUDED.rate,
+              source = EXCLUDED.source
+          `, [batch.map(r => r.date), batch.map(r => r.currency), batch.map(r => r.rate), source]);
+          count += result.rowCount;
+        }
+
+        return count;
+      });
+
+      logDBOperation('upsertMany', 'fx_rates', { written });
+      return written;
+    } catch (error) {
+      logDBOperation('upsertMany', 'fx_rates', { rates: rates.length }, error);
+      throw error;
+    }
+  }
+
+  // Get each currency's latest rate on or before a date (today when omitted)
+  static async findOnDate(date = null) {
+    try {
+      const result = await database.query(`
+        SELECT DISTINCT ON (quote_currency) quote_currency, base_currency, rate, rate_date, source
+        FROM fx_rates
+        WHERE base_currency = 'EUR' AND rate_date <= COALESCE($1::date, CURRENT_DATE)
+        ORDER BY quote_currency, rate_date DESC
+      `, [date]);
+
+      logDBOperation('findOnDate', 'fx_rates', { date, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findOnDate', 'fx_rates', { date }, error);
+      throw error;
+    }
+  }
+
+  // Get the date range covered for each currency
+  static async getCoverage() {
+    try {
+      const result = await database.query(`
+        SELECT quote_currency, MIN(rate_date) as first_date, MAX(rate_date) as last_date, COUNT(*) as rate_count
+        FROM fx_rates
+        WHERE base_currency = 'EUR'
+        GROUP BY quote_currency
+        ORDER BY quote_currency
+      `);
+
+      logDBOperation('getCoverage', 'fx_rates', { currencies: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('getCoverage', 'fx_rates', {}, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = FxRateModel;
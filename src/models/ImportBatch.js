@@ -0,0 +1,66 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+class ImportBatchModel {
+  // Record a completed import
+  static async create(batchData) {
+    try {
+      const {
+        user_id,
+        account_id,
+        profile_id,
+        source_format,
+        filename,
+        file_hash,
+        rows_total,
+        rows_imported,
+        rows_duplicate,
+        rows_failed,
+        errors
+      } = batchData;
+
+      const result = await database.query(`
+        INSERT INTO import_batches (
+          user_id, account_id, profile_id, source_format, filename, file_hash,
+          rows_total, rows_imported, rows_duplicate, rows_failed, errors
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `, [
+        user_id, account_id, profile_id || null, source_format, filename || null, file_hash,
+        rows_total || 0, rows_imported || 0, rows_duplicate || 0, rows_failed || 0,
+        JSON.stringify(errors || [])
+      ]);
+
+      logDBOperation('create', 'import_batches', { batchId: result.rows[0].id, userId: user_id, sourceFormat: source_format });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('create', 'import_batches', { userId: batchData.user_id }, error);
+      throw error;
+    }
+  }
+
+  // Find import history for a user
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { limit = 50, offset = 0 } = options;
+
+      const result = await database.query(`
+        SELECT ib.*, ba.account_name
+        FROM import_batches ib
+        LEFT JOIN bank_accounts ba ON ib.account_id = ba.id
+        WHERE ib.user_id = $1
+        ORDER BY ib.created_at DESC
+        LIMIT $2 OFFSET $3
+      `, [userId, limit, offset]);
+
+      logDBOperation('findByUserId', 'import_batches', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'import_batches', { userId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ImportBatchModel;
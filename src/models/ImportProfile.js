@@ -0,0 +1,110 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+class ImportProfileModel {
+  // Create a new import profile
+  static async create(profileData) {
+    try {
+      const {
+        user_id,
+        name,
+        delimiter,
+        has_header,
+        skip_rows,
+        date_format,
+        decimal_separator,
+        thousands_separator,
+        sign_convention,
+        columns,
+        default_currency
+      } = profileData;
+
+      const result = await database.query(`
+        INSERT INTO import_profiles (
+          user_id, name, delimiter, has_header, skip_rows, date_format,
+          decimal_separator, thousands_separator, sign_convention, columns, default_currency
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `, [
+        user_id, name, delimiter || 'auto', has_header !== false, skip_rows || 0,
+        date_format || 'YYYY-MM-DD', decimal_separator || '.', thousands_separator || null,
+        sign_convention || 'signed', JSON.stringify(columns || {}), default_currency || 'EUR'
+      ]);
+
+      logDBOperation('create', 'import_profiles', { profileId: result.rows[0].id, userId: user_id });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('create', 'import_profiles', { userId: profileData.user_id }, error);
+      throw error;
+    }
+  }
+
+  // Find profiles by user ID
+  static async findByUserId(userId) {
+    try {
+      const result = await database.query(`
+        SELECT * FROM import_profiles WHERE user_id = $1 ORDER BY name ASC
+      `, [userId]);
+
+      logDBOperation('findByUserId', 'import_profiles', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'import_profiles', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Find profile by ID
+  static async findById(profileId) {
+    try {
+      const result = await database.query(`
+        SELECT * FROM import_profiles WHERE id = $1
+      `, [profileId]);
+
+      logDBOperation('findById', 'import_profiles', { profileId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'import_profiles', { profileId }, error);
+      throw error;
+    }
+  }
+
+  // Update profile
+  static async update(profileId, updateData) {
+    try {
+      const data = { ...updateData };
+      if (data.columns !== undefined) data.columns = JSON.stringify(data.columns || {});
+
+      const setClause = Object.keys(data).map((key, index) => `${key} = $${index + 2}`).join(', ');
+      const values = [profileId, ...Object.values(data)];
+
+      const result = await database.query(`
+        UPDATE import_profiles SET ${setClause} WHERE id = $1 RETURNING *
+      `, values);
+
+      logDBOperation('update', 'import_profiles', { profileId, fieldsUpdated: Object.keys(updateData) });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('update', 'import_profiles', { profileId }, error);
+      throw error;
+    }
+  }
+
+  // Delete profile
+  static async delete(profileId) {
+    try {
+      const result = await database.query(`
+        DELETE FROM import_profiles WHERE id = $1 RETURNING *
+      `, [profileId]);
+
+      logDBOperation('delete', 'import_profiles', { profileId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('delete', 'import_profiles', { profileId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ImportProfileModel;
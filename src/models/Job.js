@@ -0,0 +1,247 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+// Statuses of a job that is still to be run or running; at most one such job exists per dedupe key
+const ACTIVE_STATUSES = ['queued', 'running', 'retrying'];
+
+class JobModel {
+  // Queue a job. When an active job with the same dedupe key exists, no job is added:
+  // the existing one is returned, brought forward if it is waiting to start.
+  static async enqueue(jobData) {
+    try {
+      const { type, user_id, payload, dedupe_key, max_attempts = 5, run_at = null } = jobData;
+
+      // The active job may finish between the insert and the lookup; insert again in that case
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const inserted = await database.query(`
+          INSERT INTO jobs (type, user_id, payload, dedupe_key, max_attempts, run_at)
+          VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()))
+          ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running', 'retrying')
+          DO NOTHING
+          RETURNING *
+        `, [type, user_id || null, JSON.stringify(payload || {}), dedupe_key || null, max_attempts, run_at]);
+
+        if (inserted.rows.length > 0) {
+          logDBOperation('enqueue', 'jobs', { jobId: inserted.rows[0].id, type, action: 'created' });
+          return { job: inserted.rows[0], created: true };
+        }
+
+        const existing = await database.query(`
+          UPDATE jobs SET run_at = LEAST(run_at, COALESCE($2, NOW()))
+          WHERE dedupe_key = $1 AND status = ANY($3)
+          RETURNING *
+        `, [dedupe_key, run_at, ACTIVE_STATUSES]);
+
+        if (existing.rows.length > 0) {
+          logDBOperation('enqueue', 'jobs', { jobId: existing.rows[0].id, type, action: 'deduplicated' });
+          return { job: existing.rows[0], created: false };
+        }
+      }
+
+      throw new Error(`Could not enqueue job with dedupe key ${dedupe_key}`);
+    } catch (error) {
+      logDBOperation('enqueue', 'jobs', { type: jobData.type }, error);
+      throw error;
+    }
+  }
+
+  // Lease the next due job of the given types for workerId. A running job whose lease
+  // expired (its worker died) is due again. The attempt is counted when the lease is taken.
+  static async claimNext(workerId, types, leaseSeconds) {
+    try {
+      const result = await database.query(`
+        UPDATE jobs SET
+          status = 'running',
+          locked_by = $1,
+          lease_expires_at = NOW() + make_interval(secs => $3),
+          heartbeat_at = NOW(),
+          attempts = attempts + 1,
+          started_at = COALESCE(started_at, NOW())
+        WHERE id = (
+          SELECT id FROM jobs
+          WHERE type = ANY($2)
+            AND (
+              (status IN ('queued', 'retrying') AND run_at <= NOW())
+              OR (status = 'running' AND lease_expires_at < NOW() AND attempts < max_attempts)
+            )
+          ORDER BY run_at ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [workerId, types, leaseSeconds]);
+
+      const job = result.rows[0] || null;
+      if (job) logDBOperation('claimNext', 'jobs', { jobId: job.id, type: job.type, attempt: job.attempts });
+      return job;
+    } catch (error) {
+      logDBOperation('claimNext', 'jobs', { workerId }, error);
+      throw error;
+    }
+  }
+
+  // Dead-letter running jobs whose lease expired on their last attempt
+  static async reapExpired() {
+    try {
+      const result = await database.query(`
+        UPDATE jobs SET
+          status = 'dead',
+          last_error = 'Lease expired on the last attempt (worker stopped or stalled)',
+          locked_by = NULL,
+          lease_expires_at = NULL,
+          completed_at = NOW()
+        WHERE status = 'running' AND lease_expires_at < NOW() AND attempts >= max_attempts
+        RETURNING id
+      `);
+
+      if (result.rows.length > 0) logDBOperation('reapExpired', 'jobs', { dead: result.rows.length });
+      return result.rows.length;
+    } catch (error) {
+      logDBOperation('reapExpired', 'jobs', {}, error);
+      throw error;
+    }
+  }
+
+  // Extend the lease of a job held by workerId, optionally saving its progress.
+  // Returns false when the worker no longer holds the lease.
+  static async heartbeat(jobId, workerId, leaseSeconds, progress = null) {
+    try {
+      const result = await database.query(`
+        UPDATE jobs SET
+          lease_expires_at = NOW() + make_interval(secs => $3),
+          heartbeat_at = NOW(),
+          progress = COALESCE($4, progress)
+        WHERE id = $1 AND locked_by = $2 AND status = 'running'
+        RETURNING id
+      `, [jobId, workerId, leaseSeconds, progress ? JSON.stringify(progress) : null]);
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logDBOperation('heartbeat', 'jobs', { jobId }, error);
+      throw error;
+    }
+  }
+
+  // Mark a job held by workerId as completed
+  static async complete(jobId, workerId, jobResult = null) {
+    try {
+      const result = await database.query(`
+        UPDATE jobs SET
+          status = 'completed',
+          result = $3,
+          last_error = NULL,
+          locked_by = NULL,
+          lease_expires_at = NULL,
+          completed_at = NOW()
+        WHERE id = $1 AND locked_by = $2 AND status = 'running'
+        RETURNING *
+      `, [jobId, workerId, jobResult ? JSON.stringify(jobResult) : null]);
+
+      logDBOperation('complete', 'jobs', { jobId, leaseHeld: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('complete', 'jobs', { jobId }, error);
+      throw error;
+    }
+  }
+
+  // Record a failed attempt of a job held by workerId: retryInSeconds schedules the
+  // next attempt, null dead-letters the job
+  static async fail(jobId, workerId, errorMessage, retryInSeconds = null) {
+    try {
+      const result = await database.query(`
+        UPDATE jobs SET
+          status = CASE WHEN $4::integer IS NULL THEN 'dead' ELSE 'retrying' END,
+          run_at = CASE WHEN $4::integer IS NULL THEN run_at ELSE NOW() + make_interval(secs => $4) END,
+          completed_at = CASE WHEN $4::integer IS NULL THEN NOW() END,
+          last_error = $3,
+          locked_by = NULL,
+          lease_expires_at = NULL
+        WHERE id = $1 AND locked_by = $2 AND status = 'running'
+        RETURNING *
+      `, [jobId, workerId, errorMessage, retryInSeconds]);
+
+      logDBOperation('fail', 'jobs', { jobId, retry: retryInSeconds !== null });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('fail', 'jobs', { jobId }, error);
+      throw error;
+    }
+  }
+
+  // Find job by ID
+  static async findById(jobId) {
+    try {
+      const result = await database.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+
+      logDBOperation('findById', 'jobs', { jobId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'jobs', { jobId }, error);
+      throw error;
+    }
+  }
+
+  // Find jobs by IDs, oldest first
+  static async findByIds(jobIds) {
+    try {
+      const result = await database.query(`
+        SELECT * FROM jobs WHERE id = ANY($1::uuid[]) ORDER BY created_at ASC
+      `, [jobIds]);
+
+      logDBOperation('findByIds', 'jobs', { requested: jobIds.length, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByIds', 'jobs', { requested: jobIds.length }, error);
+      throw error;
+    }
+  }
+
+  // Find the queued, running or retrying job for a dedupe key
+  static async findActiveByDedupeKey(dedupeKey) {
+    try {
+      const result = await database.query(`
+        SELECT * FROM jobs WHERE dedupe_key = $1 AND status = ANY($2)
+      `, [dedupeKey, ACTIVE_STATUSES]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findActiveByDedupeKey', 'jobs', { dedupeKey }, error);
+      throw error;
+    }
+  }
+
+  // Count running jobs, for one user or (userId null) all users
+  static async countRunning(userId = null) {
+    try {
+      const result = await database.query(`
+        SELECT COUNT(*) AS count FROM jobs
+        WHERE status = 'running' AND ($1::uuid IS NULL OR user_id = $1)
+      `, [userId]);
+
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logDBOperation('countRunning', 'jobs', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Delete completed and dead jobs finished more than retentionDays ago
+  static async deleteFinishedOlderThan(retentionDays) {
+    try {
+      const result = await database.query(`
+        DELETE FROM jobs
+        WHERE status IN ('completed', 'dead') AND completed_at < NOW() - make_interval(days => $1)
+        RETURNING id
+      `, [retentionDays]);
+
+      logDBOperation('deleteFinishedOlderThan', 'jobs', { retentionDays, deleted: result.rows.length });
+      return result.rows.length;
+    } catch (error) {
+      logDBOperation('deleteFinishedOlderThan', 'jobs', { retentionDays }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = JobModel;
@@ -0,0 +1,71 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+class NexoWebhookInboxModel {
+  // Store a received webhook request before it is verified
+  static async create(eventData) {
+    try {
+      const { event_type, transaction_id, signature, raw_body, payload, source_ip } = eventData;
+
+      const result = await database.query(`
+        INSERT INTO nexo_webhook_inbox (event_type, transaction_id, signature, raw_body, payload, source_ip)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [
+        event_type || null,
+        transaction_id || null,
+        signature ? String(signature).slice(0, 255) : null,
+        raw_body,
+        payload ? JSON.stringify(payload) : null,
+        source_ip || null
+      ]);
+
+      logDBOperation('create', 'nexo_webhook_inbox', { eventId: result.rows[0].id, eventType: event_type });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('create', 'nexo_webhook_inbox', { eventType: eventData.event_type }, error);
+      throw error;
+    }
+  }
+
+  // Record the outcome of an event: status, whether its signature was valid and any error
+  static async markStatus(eventId, status, { signatureValid = null, error = null } = {}) {
+    try {
+      const result = await database.query(`
+        UPDATE nexo_webhook_inbox SET
+          status = $2,
+          signature_valid = COALESCE($3, signature_valid),
+          error = $4,
+          processed_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [eventId, status, signatureValid, error]);
+
+      logDBOperation('markStatus', 'nexo_webhook_inbox', { eventId, status });
+      return result.rows[0];
+    } catch (dbError) {
+      logDBOperation('markStatus', 'nexo_webhook_inbox', { eventId, status }, dbError);
+      throw dbError;
+    }
+  }
+
+  // Check whether another event with this transaction ID was already processed
+  static async isProcessed(transactionId, excludeEventId = null) {
+    try {
+      const result = await database.query(`
+        SELECT 1 FROM nexo_webhook_inbox
+        WHERE transaction_id = $1 AND status = 'processed'
+          AND ($2::uuid IS NULL OR id <> $2)
+        LIMIT 1
+      `, [transactionId, excludeEventId]);
+
+      logDBOperation('isProcessed', 'nexo_webhook_inbox', { transactionId, processed: result.rows.length > 0 });
+      return result.rows.length > 0;
+    } catch (error) {
+      logDBOperation('isProcessed', 'nexo_webhook_inbox', { transactionId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = NexoWebhookInboxModel;
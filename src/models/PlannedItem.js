@@ -0,0 +1,99 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+class PlannedItemModel {
+  // Create a planned item
+  static async create(itemData) {
+    try {
+      const { user_id, account_id, name, amount, planned_date, category, notes } = itemData;
+
+      const result = await database.query(`
+        INSERT INTO planned_items (user_id, account_id, name, amount, planned_date, category, notes)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [user_id, account_id, name, amount, planned_date, category || null, notes || null]);
+
+      logDBOperation('create', 'planned_items', { itemId: result.rows[0].id, userId: user_id });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('create', 'planned_items', { userId: itemData.user_id }, error);
+      throw error;
+    }
+  }
+
+  // Find a user's planned items, optionally between two dates (inclusive)
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { startDate = null, endDate = null } = options;
+
+      const result = await database.query(`
+        SELECT pi.*, ba.account_name
+        FROM planned_items pi
+        JOIN bank_accounts ba ON pi.account_id = ba.id
+        WHERE pi.user_id = $1
+          AND ($2::date IS NULL OR pi.planned_date >= $2)
+          AND ($3::date IS NULL OR pi.planned_date <= $3)
+        ORDER BY pi.planned_date ASC, pi.name ASC
+      `, [userId, startDate, endDate]);
+
+      logDBOperation('findByUserId', 'planned_items', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'planned_items', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Find planned item by ID
+  static async findById(itemId) {
+    try {
+      const result = await database.query(`
+        SELECT pi.*, ba.account_name
+        FROM planned_items pi
+        JOIN bank_accounts ba ON pi.account_id = ba.id
+        WHERE pi.id = $1
+      `, [itemId]);
+
+      logDBOperation('findById', 'planned_items', { itemId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'planned_items', { itemId }, error);
+      throw error;
+    }
+  }
+
+  // Update planned item
+  static async update(itemId, updateData) {
+    try {
+      const setClause = Object.keys(updateData).map((key, index) => `${key} = $${index + 2}`).join(', ');
+      const values = [itemId, ...Object.values(updateData)];
+
+      await database.query(`
+        UPDATE planned_items SET ${setClause} WHERE id = $1
+      `, values);
+
+      logDBOperation('update', 'planned_items', { itemId, fieldsUpdated: Object.keys(updateData) });
+      return await this.findById(itemId);
+    } catch (error) {
+      logDBOperation('update', 'planned_items', { itemId }, error);
+      throw error;
+    }
+  }
+
+  // Delete planned item
+  static async delete(itemId) {
+    try {
+      const result = await database.query(`
+        DELETE FROM planned_items WHERE id = $1 RETURNING *
+      `, [itemId]);
+
+      logDBOperation('delete', 'planned_items', { itemId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('delete', 'planned_items', { itemId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PlannedItemModel;
@@ -0,0 +1,61 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+class PowensAuthStateModel {
+  // Store a new state (by its hash) for a user's session
+  static async create({ user_id, session_id, state_hash, expires_at }) {
+    try {
+      const result = await database.query(`
+        INSERT INTO powens_auth_states (user_id, session_id, state_hash, expires_at)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, user_id, session_id, expires_at, created_at
+      `, [user_id, session_id, state_hash, expires_at]);
+
+      logDBOperation('create', 'powens_auth_states', { userId: user_id, stateId: result.rows[0].id });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('create', 'powens_auth_states', { userId: user_id }, error);
+      throw error;
+    }
+  }
+
+  // Mark a state used and return it; null when it is unknown, used, expired, or its session ended
+  static async consume(stateHash) {
+    try {
+      const result = await database.query(`
+        UPDATE powens_auth_states s SET consumed_at = NOW()
+        FROM user_sessions us
+        WHERE s.state_hash = $1
+          AND s.consumed_at IS NULL
+          AND s.expires_at > NOW()
+          AND us.id = s.session_id
+          AND us.is_active = true
+          AND us.expires_at > NOW()
+        RETURNING s.id, s.user_id, s.session_id
+      `, [stateHash]);
+
+      logDBOperation('consume', 'powens_auth_states', { consumed: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('consume', 'powens_auth_states', {}, error);
+      throw error;
+    }
+  }
+
+  // Delete states that expired more than a day ago; returns the number deleted
+  static async cleanupExpired() {
+    try {
+      const result = await database.query(`
+        DELETE FROM powens_auth_states WHERE expires_at < NOW() - INTERVAL '1 day'
+      `);
+
+      logDBOperation('cleanupExpired', 'powens_auth_states', { deleted: result.rowCount });
+      return result.rowCount;
+    } catch (error) {
+      logDBOperation('cleanupExpired', 'powens_auth_states', {}, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PowensAuthStateModel;
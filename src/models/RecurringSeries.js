@@ -0,0 +1,245 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+// Fields a user may change on a series; the schedule fields only apply to declared series
+const EDITABLE_FIELDS = [
+  'name', 'is_subscription', 'is_dismissed',
+  'expected_amount', 'cadence', 'next_expected_date', 'end_date', 'category'
+];
+
+class RecurringSeriesModel {
+  // Store a detection run: upsert each series, link its transactions and end series no longer detected
+  static async saveDetected(userId, seriesList) {
+    try {
+      const saved = await database.transaction(async (client) => {
+        const ids = [];
+
+        for (const series of seriesList) {
+          const result = await client.query(`
+            INSERT INTO recurring_series (
+              user_id, account_id, series_key, name, direction, cadence, category, subcategory, currency,
+              expected_amount, average_amount, previous_amount, occurrence_count, first_date, last_date,
+              next_expected_date, status, is_missed, is_price_changed, price_changed_at, is_subscription,
+              is_transfer, source, detected_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, 'detected', NOW())
+            ON CONFLICT (user_id, account_id, series_key, direction) DO UPDATE SET
+              cadence = EXCLUDED.cadence,
+              category = EXCLUDED.category,
+              subcategory = EXCLUDED.subcategory,
+              currency = EXCLUDED.currency,
+              expected_amount = EXCLUDED.expected_amount,
+              average_amount = EXCLUDED.average_amount,
+              previous_amount = EXCLUDED.previous_amount,
+              occurrence_count = EXCLUDED.occurrence_count,
+              first_date = EXCLUDED.first_date,
+              last_date = EXCLUDED.last_date,
+              next_expected_date = EXCLUDED.next_expected_date,
+              status = EXCLUDED.status,
+              is_missed = EXCLUDED.is_missed,
+              is_price_changed = EXCLUDED.is_price_changed,
+              price_changed_at = EXCLUDED.price_changed_at,
+              is_subscription = CASE WHEN recurring_series.user_modified
+                THEN recurring_series.is_subscription ELSE EXCLUDED.is_subscription END,
+              is_transfer = EXCLUDED.is_transfer,
+              detected_at = NOW()
+            RETURNING id
+          `, [
+            userId, series.account_id, series.series_key.slice(0, 255), String(series.name).slice(0, 255),
+            series.direction, series.cadence, series.category, series.subcategory, series.currency || 'EUR',
+            series.expected_amount, series.average_amount, series.previous_amount, series.occurrence_count,
+            series.first_date, series.last_date, series.next_expected_date, series.status, series.is_missed,
+            series.is_price_changed, series.price_changed_at, series.is_subscription, series.is_transfer
+          ]);
+
+          const seriesId = result.rows[0].id;
+          ids.push(seriesId);
+
+          await client.query(`
+            UPDATE transactions SET recurring_series_id = NULL
+            WHERE recurring_series_id = $1 AND id <> ALL($2::uuid[])
+          `, [seriesId, series.transaction_ids]);
+          await client.query(`
+            UPDATE transactions SET recurring_series_id = $1
+            WHERE user_id = $2 AND id = ANY($3::uuid[])
+          `, [seriesId, userId, series.transaction_ids]);
+        }
+
+        // A pattern that is no longer found has stopped (or its transactions were removed)
+        await client.query(`
+          UPDATE recurring_series SET status = 'ended', is_missed = false
+          WHERE user_id = $1 AND source = 'detected' AND status <> 'ended' AND id <> ALL($2::uuid[])
+        `, [userId, ids]);
+
+        return ids.length;
+      });
+
+      logDBOperation('saveDetected', 'recurring_series', { userId, saved });
+      return saved;
+    } catch (error) {
+      logDBOperation('saveDetected', 'recurring_series', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Create a series the user declared (income or expense not visible in the history yet)
+  static async createDeclared(seriesData) {
+    try {
+      const {
+        user_id,
+        account_id,
+        name,
+        cadence,
+        expected_amount,
+        next_expected_date,
+        end_date,
+        category,
+        currency,
+        is_subscription
+      } = seriesData;
+
+      const result = await database.query(`
+        INSERT INTO recurring_series (
+          user_id, account_id, series_key, name, direction, cadence, category, currency,
+          expected_amount, average_amount, next_expected_date, end_date, is_subscription,
+          user_modified, source
+        )
+        VALUES ($1, $2, 'declared:' || uuid_generate_v4(), $3, $4, $5, $6, $7, $8, $8, $9, $10, $11, true, 'declared')
+        RETURNING id
+      `, [
+        user_id, account_id, name, expected_amount < 0 ? 'expense' : 'income', cadence, category || null,
+        currency || 'EUR', expected_amount, next_expected_date, end_date || null, Boolean(is_subscription)
+      ]);
+
+      logDBOperation('createDeclared', 'recurring_series', { seriesId: result.rows[0].id, userId: user_id });
+      return await this.findById(result.rows[0].id);
+    } catch (error) {
+      logDBOperation('createDeclared', 'recurring_series', { userId: seriesData.user_id }, error);
+      throw error;
+    }
+  }
+
+  // Find a user's series, optionally filtered by direction, status or subscriptions only
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { direction, status, subscriptionsOnly = false, flaggedOnly = false, includeDismissed = false } = options;
+      const params = [userId];
+      let whereClause = 'WHERE rs.user_id = $1';
+
+      if (!includeDismissed) {
+        whereClause += ' AND rs.is_dismissed = false';
+      }
+      if (direction) {
+        params.push(direction);
+        whereClause += ` AND rs.direction = $${params.length}`;
+      }
+      if (status) {
+        params.push(status);
+        whereClause += ` AND rs.status = $${params.length}`;
+      }
+      if (subscriptionsOnly) {
+        whereClause += ' AND rs.is_subscription = true';
+      }
+      if (flaggedOnly) {
+        whereClause += ' AND (rs.is_missed = true OR rs.is_price_changed = true)';
+      }
+
+      const result = await database.query(`
+        SELECT rs.*, ba.account_name
+        FROM recurring_series rs
+        JOIN bank_accounts ba ON rs.account_id = ba.id
+        ${whereClause}
+        ORDER BY rs.next_expected_date ASC, rs.name ASC
+      `, params);
+
+      logDBOperation('findByUserId', 'recurring_series', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'recurring_series', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Find series by ID
+  static async findById(seriesId) {
+    try {
+      const result = await database.query(`
+        SELECT rs.*, ba.account_name
+        FROM recurring_series rs
+        JOIN bank_accounts ba ON rs.account_id = ba.id
+        WHERE rs.id = $1
+      `, [seriesId]);
+
+      logDBOperation('findById', 'recurring_series', { seriesId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'recurring_series', { seriesId }, error);
+      throw error;
+    }
+  }
+
+  // Get the transactions of a series, newest first
+  static async findOccurrences(seriesId, limit = 100) {
+    try {
+      const result = await database.query(`
+        SELECT id, transaction_date, amount, currency, description, merchant_name
+        FROM transactions
+        WHERE recurring_series_id = $1 AND COALESCE(is_deleted, false) = false
+        ORDER BY transaction_date DESC
+        LIMIT $2
+      `, [seriesId, limit]);
+
+      logDBOperation('findOccurrences', 'recurring_series', { seriesId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findOccurrences', 'recurring_series', { seriesId }, error);
+      throw error;
+    }
+  }
+
+  // Update user-editable fields; a subscription flag set here survives later detection runs
+  static async update(seriesId, updateData) {
+    try {
+      const fields = Object.keys(updateData).filter(key => EDITABLE_FIELDS.includes(key));
+      if (fields.length === 0) {
+        return await this.findById(seriesId);
+      }
+
+      const setClause = fields.map((field, index) => `${field} = $${index + 2}`);
+      if (fields.includes('is_subscription')) {
+        setClause.push('user_modified = true');
+      }
+      if (fields.includes('expected_amount')) {
+        setClause.push(`direction = CASE WHEN $${fields.indexOf('expected_amount') + 2} < 0 THEN 'expense' ELSE 'income' END`);
+        setClause.push(`average_amount = $${fields.indexOf('expected_amount') + 2}`);
+      }
+
+      await database.query(`
+        UPDATE recurring_series SET ${setClause.join(', ')} WHERE id = $1
+      `, [seriesId, ...fields.map(field => updateData[field])]);
+
+      logDBOperation('update', 'recurring_series', { seriesId, fields });
+      return await this.findById(seriesId);
+    } catch (error) {
+      logDBOperation('update', 'recurring_series', { seriesId }, error);
+      throw error;
+    }
+  }
+
+  // Delete a series; its transactions are unlinked
+  static async delete(seriesId) {
+    try {
+      const result = await database.query(`
+        DELETE FROM recurring_series WHERE id = $1 RETURNING *
+      `, [seriesId]);
+
+      logDBOperation('delete', 'recurring_series', { seriesId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('delete', 'recurring_series', { seriesId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = RecurringSeriesModel;
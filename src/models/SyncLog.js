@@ -0,0 +1,158 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+class SyncLogModel {
+  // Record the start of a sync run. Runs of the same connection still marked started were
+  // interrupted (e.g. by a restart), since only one run per connection is active at a time.
+  static async start(logData) {
+    try {
+      const { user_id, connection_id, sync_type, sync_metadata } = logData;
+
+      return await database.transaction(async (client) => {
+        await client.query(`
+          UPDATE sync_logs SET
+            status = 'failed',
+            error_message = 'Interrupted before completion',
+            completed_at = NOW()
+          WHERE connection_id = $1 AND status = 'started'
+        `, [connection_id]);
+
+        const result = await client.query(`
+          INSERT INTO sync_logs (user_id, connection_id, sync_type, status, sync_metadata)
+          VALUES ($1, $2, $3, 'started', $4)
+          RETURNING *
+        `, [user_id, connection_id, sync_type, JSON.stringify(sync_metadata || {})]);
+
+        logDBOperation('start', 'sync_logs', { syncLogId: result.rows[0].id, connectionId: connection_id });
+        return result.rows[0];
+      });
+    } catch (error) {
+      logDBOperation('start', 'sync_logs', { connectionId: logData.connection_id }, error);
+      throw error;
+    }
+  }
+
+  // Record the outcome of a sync run; metadata is merged into what was stored at start
+  static async complete(syncLogId, outcome) {
+    try {
+      const {
+        status,
+        items_processed = 0,
+        items_succeeded = 0,
+        items_failed = 0,
+        error_message = null,
+        sync_metadata = {}
+      } = outcome;
+
+      const result = await database.query(`
+        UPDATE sync_logs SET
+          status = $2,
+          items_processed = $3,
+          items_succeeded = $4,
+          items_failed = $5,
+          error_message = $6,
+          sync_metadata = COALESCE(sync_metadata, '{}'::jsonb) || $7::jsonb,
+          completed_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [syncLogId, status, items_processed, items_succeeded, items_failed, error_message, JSON.stringify(sync_metadata)]);
+
+      logDBOperation('complete', 'sync_logs', { syncLogId, status });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('complete', 'sync_logs', { syncLogId }, error);
+      throw error;
+    }
+  }
+
+  // Find a user's sync runs, most recent first
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { connectionId = null, status = null, startDate = null, endDate = null, limit = 50, offset = 0 } = options;
+
+      const result = await database.query(`
+        SELECT sl.*, bc.bank_name,
+          EXTRACT(EPOCH FROM (sl.completed_at - sl.started_at)) * 1000 AS duration_ms
+        FROM sync_logs sl
+        LEFT JOIN bank_connections bc ON sl.connection_id = bc.id
+        WHERE sl.user_id = $1
+          AND ($2::uuid IS NULL OR sl.connection_id = $2)
+          AND ($3::text IS NULL OR sl.status = $3)
+          AND ($4::date IS NULL OR sl.started_at >= $4::date)
+          AND ($5::date IS NULL OR sl.started_at < $5::date + 1)
+        ORDER BY sl.started_at DESC
+        LIMIT $6 OFFSET $7
+      `, [userId, connectionId, status, startDate, endDate, limit, offset]);
+
+      logDBOperation('findByUserId', 'sync_logs', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'sync_logs', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Find a sync run by ID
+  static async findById(syncLogId) {
+    try {
+      const result = await database.query(`
+        SELECT sl.*, bc.bank_name,
+          EXTRACT(EPOCH FROM (sl.completed_at - sl.started_at)) * 1000 AS duration_ms
+        FROM sync_logs sl
+        LEFT JOIN bank_connections bc ON sl.connection_id = bc.id
+        WHERE sl.id = $1
+      `, [syncLogId]);
+
+      logDBOperation('findById', 'sync_logs', { syncLogId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'sync_logs', { syncLogId }, error);
+      throw error;
+    }
+  }
+
+  // Aggregate sync runs since a date, for one user or (userId null) all users
+  static async getStats(userId = null, since = null) {
+    try {
+      const result = await database.query(`
+        SELECT
+          COUNT(*) AS total_syncs,
+          COUNT(*) FILTER (WHERE status = 'completed') AS completed_syncs,
+          COUNT(*) FILTER (WHERE status = 'partial') AS partial_syncs,
+          COUNT(*) FILTER (WHERE status = 'failed') AS failed_syncs,
+          COUNT(*) FILTER (WHERE status = 'started') AS running_syncs,
+          COALESCE(SUM(items_processed), 0) AS items_processed,
+          COALESCE(SUM(items_failed), 0) AS items_failed,
+          AVG(EXTRACT(EPOCH FROM (completed_at - started_at)) * 1000) FILTER (WHERE completed_at IS NOT NULL) AS avg_duration_ms,
+          MAX(started_at) AS last_sync_time,
+          MAX(started_at) FILTER (WHERE status = 'completed') AS last_successful_sync_time
+        FROM sync_logs
+        WHERE ($1::uuid IS NULL OR user_id = $1)
+          AND ($2::timestamptz IS NULL OR started_at >= $2)
+      `, [userId, since]);
+
+      logDBOperation('getStats', 'sync_logs', { userId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('getStats', 'sync_logs', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Delete sync runs started more than retentionDays ago
+  static async deleteOlderThan(retentionDays) {
+    try {
+      const result = await database.query(`
+        DELETE FROM sync_logs WHERE started_at < NOW() - make_interval(days => $1) RETURNING id
+      `, [retentionDays]);
+
+      logDBOperation('deleteOlderThan', 'sync_logs', { retentionDays, deleted: result.rows.length });
+      return result.rows.length;
+    } catch (error) {
+      logDBOperation('deleteOlderThan', 'sync_logs', { retentionDays }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SyncLogModel;
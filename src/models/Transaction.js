@@ -1,5 +1,8 @@
 const database = require('../config/database');
 const { logger, logDBOperation } = require('../utils/logger');
+const TransactionCategoryModel = require('./TransactionCategory');
+const CategorizationRuleModel = require('./CategorizationRule');
+const { evaluateRules } = require('../utils/ruleEngine');
 
 class TransactionModel {
   // Create a new transaction
@@ -28,21 +31,24 @@ class TransactionModel {
         powens_metadata
       } = transactionData;
 
+      const category_id = transactionData.category_id ||
+        await TransactionCategoryModel.resolveId(user_id, category, subcategory);
+
       const result = await database.query(`
         INSERT INTO transactions (
           user_id, account_id, powens_transaction_id, transaction_date, processed_date,
           amount, currency, description, transaction_type, category, subcategory,
           merchant_name, merchant_category, reference_number, balance_after,
-          is_pending, is_deleted, is_active, powens_last_update, powens_metadata
+          is_pending, is_deleted, is_active, powens_last_update, powens_metadata, category_id
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
         RETURNING *
       `, [
         user_id, account_id, powens_transaction_id, transaction_date, processed_date,
         amount, currency || 'EUR', description, transaction_type, category, subcategory,
         merchant_name, merchant_category, reference_number, balance_after,
         is_pending || false, is_deleted || false, is_active !== false, 
-        powens_last_update, JSON.stringify(powens_metadata || {})
+        powens_last_update, JSON.stringify(powens_metadata || {}), category_id
       ]);
 
       logDBOperation('create', 'transactions', { transactionId: result.rows[0].id, amount });
@@ -53,74 +59,81 @@ class TransactionModel {
     }
   }
 
-  // Find transactions by user ID with pagination and filters
-  static async findByUserId(userId, options = {}) {
-    try {
-      const {
-        limit = 50,
-        offset = 0,
-        accountId = null,
-        startDate = null,
-        endDate = null,
-        category = null,
-        transactionType = null,
-        minAmount = null,
-        maxAmount = null,
-        searchTerm = null
-      } = options;
+  // Build the WHERE clause shared by the transaction list, count and export queries
+  static buildFilterClause(userId, options = {}) {
+    const {
+      accountId = null,
+      startDate = null,
+      endDate = null,
+      category = null,
+      transactionType = null,
+      minAmount = null,
+      maxAmount = null,
+      searchTerm = null
+    } = options;
+
+    // Rows retired by reconciliation are left out
+    let whereClause = 'WHERE t.user_id = $1 AND COALESCE(t.is_duplicate, false) = false';
+    const params = [userId];
+    let paramIndex = 2;
+
+    // Build dynamic WHERE clause
+    if (accountId) {
+      whereClause += ` AND t.account_id = $${paramIndex}`;
+      params.push(accountId);
+      paramIndex++;
+    }
 
-      let whereClause = 'WHERE t.user_id = $1';
-      let params = [userId];
-      let paramIndex = 2;
+    if (startDate) {
+      whereClause += ` AND t.transaction_date >= $${paramIndex}`;
+      params.push(startDate);
+      paramIndex++;
+    }
 
-      // Build dynamic WHERE clause
-      if (accountId) {
-        whereClause += ` AND t.account_id = $${paramIndex}`;
-        params.push(accountId);
-        paramIndex++;
-      }
+    if (endDate) {
+      whereClause += ` AND t.transaction_date <= $${paramIndex}`;
+      params.push(endDate);
+      paramIndex++;
+    }
 
-      if (startDate) {
-        whereClause += ` AND t.transaction_date >= $${paramIndex}`;
-        params.push(startDate);
-        paramIndex++;
-      }
+    if (category) {
+      whereClause += ` AND t.category = $${paramIndex}`;
+      params.push(category);
+      paramIndex++;
+    }
 
-      if (endDate) {
-        whereClause += ` AND t.transaction_date <= $${paramIndex}`;
-        params.push(endDate);
-        paramIndex++;
-      }
+    if (transactionType) {
+      whereClause += ` AND t.transaction_type = $${paramIndex}`;
+      params.push(transactionType);
+      paramIndex++;
+    }
 
-      if (category) {
-        whereClause += ` AND t.category = $${paramIndex}`;
-        params.push(category);
-        paramIndex++;
-      }
+    if (minAmount !== null) {
+      whereClause += ` AND t.amount >= $${paramIndex}`;
+      params.push(minAmount);
+      paramIndex++;
+    }
 
-      if (transactionType) {
-        whereClause += ` AND t.transaction_type = $${paramIndex}`;
-        params.push(transactionType);
-        paramIndex++;
-      }
+    if (maxAmount !== null) {
+      whereClause += ` AND t.amount <= $${paramIndex}`;
+      params.push(maxAmount);
+      paramIndex++;
+    }
 
-      if (minAmount !== null) {
-        whereClause += ` AND t.amount >= $${paramIndex}`;
-        params.push(minAmount);
-        paramIndex++;
-      }
+    if (searchTerm) {
+      whereClause += ` AND (t.description ILIKE $${paramIndex} OR t.merchant_name ILIKE $${paramIndex})`;
+      params.push(`%${searchTerm}%`);
+      paramIndex++;
+    }
 
-      if (maxAmount !== null) {
-        whereClause += ` AND t.amount <= $${paramIndex}`;
-        params.push(maxAmount);
-        paramIndex++;
-      }
+    return { whereClause, params, paramIndex };
+  }
 
-      if (searchTerm) {
-        whereClause += ` AND (t.description ILIKE $${paramIndex} OR t.merchant_name ILIKE $${paramIndex})`;
-        params.push(`%${searchTerm}%`);
-        paramIndex++;
-      }
+  // Find transactions by user ID with pagination and filters
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { limit = 50, offset = 0 } = options;
+      const { whereClause, params, paramIndex } = this.buildFilterClause(userId, options);
 
       // Add limit and offset
       const limitOffset = `LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
@@ -143,6 +156,91 @@ class TransactionModel {
     }
   }
 
+  // Count transactions by user ID with the same filters as findByUserId
+  static async countByUserId(userId, options = {}) {
+    try {
+      const { whereClause, params } = this.buildFilterClause(userId, options);
+
+      const result = await database.query(`
+        SELECT COUNT(*) as count FROM transactions t ${whereClause}
+      `, params);
+
+      logDBOperation('countByUserId', 'transactions', { userId });
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logDBOperation('countByUserId', 'transactions', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Per-account date ranges and per-category first dates for an export, without loading transactions
+  static async getExportOverview(userId, options = {}) {
+    try {
+      const { whereClause, params } = this.buildFilterClause(userId, options);
+
+      const accounts = await database.query(`
+        SELECT t.account_id, MIN(t.transaction_date) as first_date, MAX(t.transaction_date) as last_date,
+          COUNT(*) as transaction_count
+        FROM transactions t
+        ${whereClause}
+        GROUP BY t.account_id
+      `, params);
+
+      const categories = await database.query(`
+        SELECT t.category, t.subcategory, t.amount < 0 as is_outflow, MIN(t.transaction_date) as first_date
+        FROM transactions t
+        ${whereClause}
+        GROUP BY t.category, t.subcategory, t.amount < 0
+      `, params);
+
+      logDBOperation('getExportOverview', 'transactions', { userId, accounts: accounts.rows.length });
+      return { accounts: accounts.rows, categories: categories.rows };
+    } catch (error) {
+      logDBOperation('getExportOverview', 'transactions', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Stream transactions matching the list filters through a server-side cursor, one batch at a time.
+  // orderBy 'account' groups rows per account (statement formats); the default is chronological.
+  static async streamByUserId(userId, options = {}, onBatch, { batchSize = 500, orderBy = 'date' } = {}) {
+    try {
+      const { whereClause, params } = this.buildFilterClause(userId, options);
+      const ordering = orderBy === 'account'
+        ? 't.account_id, t.transaction_date ASC, t.created_at ASC, t.id'
+        : 't.transaction_date ASC, t.created_at ASC, t.id';
+
+      const streamed = await database.transaction(async (client) => {
+        await client.query(`
+          DECLARE transactions_export NO SCROLL CURSOR FOR
+          SELECT t.*, ba.account_name, ba.account_type, ba.bank_name, ba.currency as account_currency
+          FROM transactions t
+          LEFT JOIN bank_accounts ba ON t.account_id = ba.id
+          ${whereClause}
+          ORDER BY ${ordering}
+        `, params);
+
+        let count = 0;
+        for (;;) {
+          const batch = await client.query(`FETCH ${parseInt(batchSize)} FROM transactions_export`);
+          if (batch.rows.length === 0) break;
+          count += batch.rows.length;
+          await onBatch(batch.rows);
+        }
+
+        await client.query('CLOSE transactions_export');
+        return count;
+      });
+
+      logDBOperation('streamByUserId', 'transactions', { userId, streamed });
+      return streamed;
+    } catch (error) {
+      logDBOperation('streamByUserId', 'transactions', { userId }, error);
+      throw error;
+    }
+  }
+
+
   // Get transaction count for user with filters
   static async getCountByUserId(userId, options = {}) {
     try {
@@ -157,7 +255,7 @@ class TransactionModel {
         searchTerm = null
       } = options;
 
-      let whereClause = 'WHERE user_id = $1';
+      let whereClause = 'WHERE user_id = $1 AND COALESCE(is_duplicate, false) = false';
       let params = [userId];
       let paramIndex = 2;
 
@@ -370,14 +468,32 @@ class TransactionModel {
             description: transactionData.description?.substring(0, 50) + '...'
           });
 
+          // User rules override the default categorization
+          const rules = await CategorizationRuleModel.findByUserId(transactionData.user_id, { activeOnly: true }, client);
+          const { changes, matchedRuleIds } = evaluateRules(rules, transactionData);
+          const newTransaction = { ...transactionData, ...changes };
+
+          if (matchedRuleIds.length > 0) {
+            logger.info('📐 CATEGORIZATION RULES MATCHED', {
+              powensTransactionId: transactionData.powens_transaction_id,
+              ruleIds: matchedRuleIds,
+              category: newTransaction.category
+            });
+          }
+
+          const categoryId = newTransaction.category_id || await TransactionCategoryModel.resolveId(
+            newTransaction.user_id, newTransaction.category, newTransaction.subcategory, client
+          );
+
           const result = await client.query(`
             INSERT INTO transactions (
               user_id, account_id, powens_transaction_id, transaction_date, processed_date,
               amount, currency, description, transaction_type, category, subcategory,
               merchant_name, merchant_category, reference_number, balance_after,
-              is_pending, is_deleted, is_active, powens_last_update, powens_metadata
+              is_pending, is_deleted, is_active, powens_last_update, powens_metadata, category_id,
+              tags, notes, category_source
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
             RETURNING *
           `, [
             transactionData.user_id, 
@@ -389,8 +505,8 @@ class TransactionModel {
             transactionData.currency || 'EUR', 
             transactionData.description, 
             transactionData.transaction_type, 
-            transactionData.category, 
-            transactionData.subcategory,
+            newTransaction.category, 
+            newTransaction.subcategory,
             transactionData.merchant_name, 
             transactionData.merchant_category, 
             transactionData.reference_number, 
@@ -399,7 +515,11 @@ class TransactionModel {
             transactionData.is_deleted || false,
             transactionData.is_active !== false,
             transactionData.powens_last_update,
-            JSON.stringify(transactionData.powens_metadata || {})
+            JSON.stringify(transactionData.powens_metadata || {}),
+            categoryId,
+            JSON.stringify(newTransaction.tags || []),
+            newTransaction.notes || null,
+            changes.category_id ? 'rule' : 'import'
           ]);
           
           logger.info('✅ TRANSACTION CREATED SUCCESSFULLY', {
@@ -456,31 +576,47 @@ class TransactionModel {
     }
   }
 
-  // Get transaction summary for user
-  static async getUserSummary(userId, startDate = null, endDate = null) {
+  // Get transaction summary for user. Internal transfers are left out of income and expenses
+  // (counted apart), except for a single account (options.accountId), whose flows they are.
+  static async getUserSummary(userId, startDate = null, endDate = null, currency = null, options = {}) {
     try {
-      let dateFilter = '';
-      let params = [userId];
+      const { accountId = null } = options;
+      let filters = '';
+      let params = [userId, currency];
       
       if (startDate && endDate) {
-        dateFilter = 'AND transaction_date BETWEEN $2 AND $3';
         params.push(startDate, endDate);
+        filters += ` AND transaction_date BETWEEN $${params.length - 1} AND $${params.length}`;
+      }
+      if (accountId) {
+        params.push(accountId);
+        filters += ` AND account_id = $${params.length}`;
       }
 
+      // Amounts are converted at the rate of each transaction's date
       const result = await database.query(`
         SELECT 
           COUNT(*) as total_transactions,
-          SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as total_income,
-          SUM(CASE WHEN amount < 0 THEN ABS(amount) ELSE 0 END) as total_expenses,
-          SUM(amount) as net_flow,
-          AVG(CASE WHEN amount > 0 THEN amount ELSE NULL END) as avg_income,
-          AVG(CASE WHEN amount < 0 THEN ABS(amount) ELSE NULL END) as avg_expense,
-          COUNT(CASE WHEN is_pending THEN 1 ELSE NULL END) as pending_transactions
-        FROM transactions 
-        WHERE user_id = $1 ${dateFilter}
+          SUM(CASE WHEN amount > 0 AND counted THEN converted_amount ELSE 0 END) as total_income,
+          SUM(CASE WHEN amount < 0 AND counted THEN ABS(converted_amount) ELSE 0 END) as total_expenses,
+          SUM(CASE WHEN counted THEN converted_amount ELSE 0 END) as net_flow,
+          AVG(CASE WHEN counted THEN converted_amount ELSE NULL END) as average_amount,
+          AVG(CASE WHEN amount > 0 AND counted THEN converted_amount ELSE NULL END) as avg_income,
+          AVG(CASE WHEN amount < 0 AND counted THEN ABS(converted_amount) ELSE NULL END) as avg_expense,
+          COUNT(CASE WHEN is_pending THEN 1 ELSE NULL END) as pending_transactions,
+          COUNT(CASE WHEN NOT counted THEN 1 ELSE NULL END) as transfer_transactions,
+          SUM(CASE WHEN NOT counted AND amount < 0 THEN ABS(converted_amount) ELSE 0 END) as total_transferred,
+          ARRAY_REMOVE(ARRAY_AGG(DISTINCT CASE WHEN converted_amount IS NULL THEN currency END), NULL) as unconverted_currencies
+        FROM (
+          SELECT *,
+            fx_convert(amount, currency, COALESCE($2, currency), transaction_date) as converted_amount,
+            (transfer_id IS NULL OR ${accountId ? 'true' : 'false'}) as counted
+          FROM transactions 
+          WHERE user_id = $1 AND COALESCE(is_duplicate, false) = false ${filters}
+        ) t
       `, params);
 
-      logDBOperation('getUserSummary', 'transactions', { userId, period: startDate ? 'filtered' : 'all' });
+      logDBOperation('getUserSummary', 'transactions', { userId, accountId, period: startDate ? 'filtered' : 'all' });
       return result.rows[0];
     } catch (error) {
       logDBOperation('getUserSummary', 'transactions', { userId }, error);
@@ -488,26 +624,56 @@ class TransactionModel {
     }
   }
 
-  // Get spending by category
-  static async getCategoryBreakdown(userId, startDate = null, endDate = null) {
+  // Get first and last transaction dates for user
+  static async getDateRange(userId) {
     try {
-      let dateFilter = '';
-      let params = [userId];
-      
+      const result = await database.query(`
+        SELECT MIN(transaction_date) as first_date, MAX(transaction_date) as last_date
+        FROM transactions
+        WHERE user_id = $1
+      `, [userId]);
+
+      logDBOperation('getDateRange', 'transactions', { userId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('getDateRange', 'transactions', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Get spending by category, one row per category or subcategory with its parent for rollups
+  static async getCategoryBreakdown(userId, startDate = null, endDate = null, options = {}) {
+    try {
+      const { accountId = null, currency = null } = options;
+      const params = [userId, currency];
+      let filters = '';
+
       if (startDate && endDate) {
-        dateFilter = 'AND transaction_date BETWEEN $2 AND $3';
         params.push(startDate, endDate);
+        filters += ` AND t.transaction_date BETWEEN $${params.length - 1} AND $${params.length}`;
+      }
+      if (accountId) {
+        params.push(accountId);
+        filters += ` AND t.account_id = $${params.length}`;
       }
 
       const result = await database.query(`
         SELECT 
-          category,
+          COALESCE(p.id, c.id) as category_id,
+          COALESCE(p.name, c.name) as category,
+          COALESCE(p.color, c.color) as color,
+          COALESCE(p.icon, c.icon) as icon,
+          CASE WHEN p.id IS NOT NULL THEN c.id END as subcategory_id,
+          CASE WHEN p.id IS NOT NULL THEN c.name END as subcategory,
           COUNT(*) as transaction_count,
-          SUM(ABS(amount)) as total_amount,
-          AVG(ABS(amount)) as avg_amount
-        FROM transactions 
-        WHERE user_id = $1 AND amount < 0 ${dateFilter}
-        GROUP BY category
+          SUM(ABS(fx_convert(t.amount, t.currency, COALESCE($2, t.currency), t.transaction_date))) as total_amount,
+          AVG(ABS(fx_convert(t.amount, t.currency, COALESCE($2, t.currency), t.transaction_date))) as avg_amount
+        FROM transactions t
+        LEFT JOIN transaction_categories c ON t.category_id = c.id
+        LEFT JOIN transaction_categories p ON c.parent_id = p.id
+        WHERE t.user_id = $1 AND t.amount < 0 AND COALESCE(t.is_deleted, false) = false
+          AND COALESCE(t.is_duplicate, false) = false AND t.transfer_id IS NULL ${filters}
+        GROUP BY 1, 2, 3, 4, 5, 6
         ORDER BY total_amount DESC
       `, params);
 
@@ -535,11 +701,22 @@ class TransactionModel {
   }
 
   // Auto-categorize transaction based on description/merchant
-  static async autoCategorize(transactionId, category, subcategory = null) {
+  static async autoCategorize(transactionId, category, subcategory = null, options = {}) {
     try {
-      const result = await database.query(`
-        UPDATE transactions SET category = $1, subcategory = $2 WHERE id = $3 RETURNING *
-      `, [category, subcategory, transactionId]);
+      const result = await database.transaction(async (client) => {
+        const existing = await client.query('SELECT user_id FROM transactions WHERE id = $1', [transactionId]);
+        if (existing.rows.length === 0) return { rows: [] };
+
+        const categoryId = await TransactionCategoryModel.resolveId(existing.rows[0].user_id, category, subcategory, client);
+
+        return client.query(`
+          UPDATE transactions SET
+            category = $1, subcategory = $2, category_id = $3,
+            category_source = $5, category_confidence = $6,
+            needs_review = false, suggested_category_id = NULL
+          WHERE id = $4 RETURNING *
+        `, [category, subcategory, categoryId, transactionId, options.source || 'classifier', options.confidence ?? null]);
+      });
 
       logDBOperation('autoCategorize', 'transactions', { transactionId, category });
       return result.rows[0];
@@ -548,6 +725,271 @@ class TransactionModel {
       throw error;
     }
   }
+
+  // File a transaction under a category by ID (a manual correction), copying the labels from the tree
+  static async setCategory(transactionId, categoryId) {
+    try {
+      const result = await database.query(`
+        UPDATE transactions t SET
+          category_id = c.id,
+          category = COALESCE(p.name, c.name),
+          subcategory = CASE WHEN p.id IS NULL THEN NULL ELSE c.name END,
+          category_source = 'manual',
+          category_confidence = NULL,
+          needs_review = false,
+          suggested_category_id = NULL,
+          updated_at = NOW()
+        FROM transaction_categories c
+        LEFT JOIN transaction_categories p ON c.parent_id = p.id
+        WHERE t.id = $1 AND c.id = $2
+        RETURNING t.*
+      `, [transactionId, categoryId]);
+
+      logDBOperation('setCategory', 'transactions', { transactionId, categoryId });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('setCategory', 'transactions', { transactionId }, error);
+      throw error;
+    }
+  }
+
+  // Page through transactions a rule could match, pre-filtering on its non-regex conditions
+  static async findRuleCandidates(userId, rule, options = {}) {
+    try {
+      const { afterId = null, limit = 500, includeManual = false } = options;
+      const params = [userId];
+      let whereClause = 'WHERE t.user_id = $1 AND COALESCE(t.is_deleted, false) = false AND COALESCE(t.is_duplicate, false) = false';
+
+      // The user's own corrections are left alone unless asked for
+      if (!includeManual) {
+        whereClause += " AND t.category_source IS DISTINCT FROM 'manual'";
+      }
+
+      if (afterId) {
+        params.push(afterId);
+        whereClause += ` AND t.id > $${params.length}`;
+      }
+      if (rule.account_id) {
+        params.push(rule.account_id);
+        whereClause += ` AND t.account_id = $${params.length}`;
+      }
+      if (rule.min_amount !== null && rule.min_amount !== undefined) {
+        params.push(rule.min_amount);
+        whereClause += ` AND t.amount >= $${params.length}`;
+      }
+      if (rule.max_amount !== null && rule.max_amount !== undefined) {
+        params.push(rule.max_amount);
+        whereClause += ` AND t.amount <= $${params.length}`;
+      }
+      if (rule.merchant_pattern) {
+        params.push(`%${rule.merchant_pattern}%`);
+        whereClause += ` AND t.merchant_name ILIKE $${params.length}`;
+      }
+      if (rule.powens_type) {
+        params.push(rule.powens_type);
+        whereClause += ` AND LOWER(t.powens_metadata->>'type') = LOWER($${params.length})`;
+      }
+      params.push(limit);
+
+      const result = await database.query(`
+        SELECT t.* FROM transactions t
+        ${whereClause}
+        ORDER BY t.id ASC
+        LIMIT $${params.length}
+      `, params);
+
+      logDBOperation('findRuleCandidates', 'transactions', { userId, ruleId: rule.id, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findRuleCandidates', 'transactions', { userId, ruleId: rule.id }, error);
+      throw error;
+    }
+  }
+
+  // Get manually categorized transactions (categorizer training data), newest first
+  static async findManuallyCategorized(userId, limit = 5000) {
+    try {
+      const result = await database.query(`
+        SELECT id, description, merchant_name, category_id, category, subcategory
+        FROM transactions
+        WHERE user_id = $1 AND category_source = 'manual' AND category_id IS NOT NULL
+          AND COALESCE(is_deleted, false) = false AND COALESCE(is_duplicate, false) = false
+        ORDER BY updated_at DESC
+        LIMIT $2
+      `, [userId, limit]);
+
+      logDBOperation('findManuallyCategorized', 'transactions', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findManuallyCategorized', 'transactions', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Get imported transactions the categorizer has not looked at yet
+  static async findPendingClassification(userId, limit = 1000) {
+    try {
+      const result = await database.query(`
+        SELECT * FROM transactions
+        WHERE user_id = $1 AND COALESCE(category_source, 'import') = 'import'
+          AND category_confidence IS NULL AND needs_review = false
+          AND COALESCE(is_deleted, false) = false AND COALESCE(is_duplicate, false) = false
+        ORDER BY transaction_date DESC
+        LIMIT $2
+      `, [userId, limit]);
+
+      logDBOperation('findPendingClassification', 'transactions', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findPendingClassification', 'transactions', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Queue a transaction for review with the categorizer's low-confidence suggestion
+  static async flagForReview(transactionId, suggestedCategoryId, confidence) {
+    try {
+      const result = await database.query(`
+        UPDATE transactions SET needs_review = true, suggested_category_id = $2, category_confidence = $3
+        WHERE id = $1 RETURNING *
+      `, [transactionId, suggestedCategoryId, confidence]);
+
+      logDBOperation('flagForReview', 'transactions', { transactionId, confidence });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('flagForReview', 'transactions', { transactionId }, error);
+      throw error;
+    }
+  }
+
+  // Get the review queue with suggested category labels
+  static async findNeedingReview(userId, options = {}) {
+    try {
+      const { limit = 50, offset = 0 } = options;
+
+      const result = await database.query(`
+        SELECT t.*,
+          COALESCE(p.name, c.name) as suggested_category,
+          CASE WHEN p.id IS NOT NULL THEN c.name END as suggested_subcategory,
+          COUNT(*) OVER() as total_count
+        FROM transactions t
+        LEFT JOIN transaction_categories c ON t.suggested_category_id = c.id
+        LEFT JOIN transaction_categories p ON c.parent_id = p.id
+        WHERE t.user_id = $1 AND t.needs_review = true AND COALESCE(t.is_deleted, false) = false
+          AND COALESCE(t.is_duplicate, false) = false
+        ORDER BY t.transaction_date DESC
+        LIMIT $2 OFFSET $3
+      `, [userId, limit, offset]);
+
+      logDBOperation('findNeedingReview', 'transactions', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findNeedingReview', 'transactions', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Return which of the given external IDs (Powens IDs or import hashes) the user already has
+  static async findExistingPowensIds(userId, powensTransactionIds) {
+    try {
+      if (powensTransactionIds.length === 0) return new Set();
+
+      const result = await database.query(`
+        SELECT powens_transaction_id FROM transactions
+        WHERE user_id = $1 AND powens_transaction_id = ANY($2)
+      `, [userId, powensTransactionIds]);
+
+      logDBOperation('findExistingPowensIds', 'transactions', { userId, checked: powensTransactionIds.length, found: result.rows.length });
+      return new Set(result.rows.map(row => row.powens_transaction_id));
+    } catch (error) {
+      logDBOperation('findExistingPowensIds', 'transactions', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Get booked transactions since a date for recurring series detection, oldest first, with
+  // their transfer link so recurring transfers can be told apart
+  static async findForRecurringDetection(userId, sinceDate) {
+    try {
+      const result = await database.query(`
+        SELECT id, account_id, transaction_date, amount, currency, description, merchant_name, category, subcategory, transfer_id
+        FROM transactions
+        WHERE user_id = $1 AND transaction_date >= $2
+          AND is_pending = false AND COALESCE(is_deleted, false) = false
+        ORDER BY transaction_date ASC
+      `, [userId, sinceDate]);
+
+      logDBOperation('findForRecurringDetection', 'transactions', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findForRecurringDetection', 'transactions', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Get live pending and booked transactions since a date for pending-to-booked reconciliation;
+  // booked rows already matched to a pending one are left out
+  static async findReconciliationCandidates(userId, sinceDate) {
+    try {
+      const result = await database.query(`
+        SELECT t.id, t.account_id, t.transaction_date, t.amount, t.currency, t.description, t.merchant_name, t.is_pending
+        FROM transactions t
+        WHERE t.user_id = $1 AND t.transaction_date >= $2
+          AND COALESCE(t.is_deleted, false) = false AND COALESCE(t.is_duplicate, false) = false
+          AND NOT EXISTS (
+            SELECT 1 FROM transaction_reconciliations r
+            WHERE r.booked_transaction_id = t.id AND r.status = 'applied'
+          )
+        ORDER BY t.transaction_date ASC
+      `, [userId, sinceDate]);
+
+      logDBOperation('findReconciliationCandidates', 'transactions', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findReconciliationCandidates', 'transactions', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Get live booked transactions since a date, not yet part of a transfer, with their account's
+  // IBAN and the bank's wording and counterparty, for internal transfer detection
+  static async findTransferCandidates(userId, sinceDate) {
+    try {
+      const result = await database.query(`
+        SELECT t.id, t.account_id, t.transaction_date, t.amount, t.currency, t.description,
+               t.powens_metadata->>'original_wording' AS original_wording,
+               t.powens_metadata->'counterparty' AS counterparty,
+               ba.iban AS account_iban
+        FROM transactions t
+        JOIN bank_accounts ba ON ba.id = t.account_id
+        WHERE t.user_id = $1 AND t.transaction_date >= $2
+          AND t.is_pending = false AND t.transfer_id IS NULL
+          AND COALESCE(t.is_deleted, false) = false AND COALESCE(t.is_duplicate, false) = false
+        ORDER BY t.transaction_date ASC
+      `, [userId, sinceDate]);
+
+      logDBOperation('findTransferCandidates', 'transactions', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findTransferCandidates', 'transactions', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Get the users with transactions since a date
+  static async findUserIdsWithTransactionsSince(sinceDate) {
+    try {
+      const result = await database.query(`
+        SELECT DISTINCT user_id FROM transactions WHERE transaction_date >= $1
+      `, [sinceDate]);
+
+      logDBOperation('findUserIdsWithTransactionsSince', 'transactions', { found: result.rows.length });
+      return result.rows.map(row => row.user_id);
+    } catch (error) {
+      logDBOperation('findUserIdsWithTransactionsSince', 'transactions', {}, error);
+      throw error;
+    }
+  }
 }
 
 module.exports = TransactionModel;
\ No newline at end of file
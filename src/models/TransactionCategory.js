@@ -0,0 +1,291 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+class TransactionCategoryModel {
+  // Find system categories plus the user's own categories
+  static async findVisibleByUserId(userId, options = {}) {
+    try {
+      const { includeInactive = false } = options;
+
+      const result = await database.query(`
+        SELECT * FROM transaction_categories
+        WHERE (user_id IS NULL OR user_id = $1)
+          ${includeInactive ? '' : 'AND is_active = true'}
+        ORDER BY sort_order ASC, name ASC
+      `, [userId]);
+
+      logDBOperation('findVisibleByUserId', 'transaction_categories', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findVisibleByUserId', 'transaction_categories', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Find category by ID
+  static async findById(categoryId) {
+    try {
+      const result = await database.query(`
+        SELECT * FROM transaction_categories WHERE id = $1
+      `, [categoryId]);
+
+      logDBOperation('findById', 'transaction_categories', { categoryId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'transaction_categories', { categoryId }, error);
+      throw error;
+    }
+  }
+
+  // Find a visible category by name under a parent (NULL for top level), preferring the user's own
+  static async findByName(userId, name, parentId = null, client = database) {
+    try {
+      const result = await client.query(`
+        SELECT * FROM transaction_categories
+        WHERE (user_id IS NULL OR user_id = $1)
+          AND LOWER(name) = LOWER($2)
+          AND parent_id IS NOT DISTINCT FROM $3
+        ORDER BY user_id NULLS LAST
+        LIMIT 1
+      `, [userId, name, parentId]);
+
+      logDBOperation('findByName', 'transaction_categories', { userId, name, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findByName', 'transaction_categories', { userId, name }, error);
+      throw error;
+    }
+  }
+
+  // Count the user's subcategories of a category
+  static async countChildren(categoryId, userId) {
+    try {
+      const result = await database.query(`
+        SELECT COUNT(*) as count FROM transaction_categories
+        WHERE parent_id = $1 AND (user_id IS NULL OR user_id = $2)
+      `, [categoryId, userId]);
+
+      logDBOperation('countChildren', 'transaction_categories', { categoryId });
+      return parseInt(result.rows[0].count) || 0;
+    } catch (error) {
+      logDBOperation('countChildren', 'transaction_categories', { categoryId }, error);
+      throw error;
+    }
+  }
+
+  // Create a new user category
+  static async create(categoryData) {
+    try {
+      const {
+        user_id,
+        parent_id,
+        name,
+        description,
+        color,
+        icon,
+        sort_order
+      } = categoryData;
+
+      const result = await database.query(`
+        INSERT INTO transaction_categories (user_id, parent_id, name, description, color, icon, is_system, sort_order)
+        VALUES ($1, $2, $3, $4, $5, $6, false, $7)
+        RETURNING *
+      `, [user_id, parent_id || null, name, description || null, color || null, icon || null, sort_order || 0]);
+
+      logDBOperation('create', 'transaction_categories', { categoryId: result.rows[0].id, userId: user_id });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('create', 'transaction_categories', { userId: categoryData.user_id }, error);
+      throw error;
+    }
+  }
+
+  // Resolve category/subcategory labels to a category ID, creating user categories for unknown labels
+  static async resolveId(userId, category, subcategory = null, client = database) {
+    try {
+      if (!category || !String(category).trim()) return null;
+
+      const findOrCreate = async (name, parentId) => {
+        const existing = await this.findByName(userId, name, parentId, client);
+        if (existing) return existing.id;
+
+        await client.query(`
+          INSERT INTO transaction_categories (user_id, parent_id, name, is_system)
+          VALUES ($1, $2, $3, false)
+          ON CONFLICT DO NOTHING
+        `, [userId, parentId, name.trim()]);
+
+        const created = await this.findByName(userId, name, parentId, client);
+        return created ? created.id : null;
+      };
+
+      const categoryId = await findOrCreate(String(category), null);
+      if (!categoryId || !subcategory || !String(subcategory).trim()) return categoryId;
+
+      return await findOrCreate(String(subcategory), categoryId);
+    } catch (error) {
+      logDBOperation('resolveId', 'transaction_categories', { userId, category }, error);
+      throw error;
+    }
+  }
+
+  // Update a category and re-label the user's transactions that reference it
+  static async update(categoryId, userId, updateData) {
+    try {
+      return await database.transaction(async (client) => {
+        const setClause = Object.keys(updateData).map((key, index) => `${key} = $${index + 2}`).join(', ');
+        const values = [categoryId, ...Object.values(updateData)];
+
+        const result = await client.query(`
+          UPDATE transaction_categories SET ${setClause} WHERE id = $1 RETURNING *
+        `, values);
+
+        let relabelled = 0;
+        if (updateData.name !== undefined || updateData.parent_id !== undefined) {
+          relabelled = await this.relabelTransactions(client, userId, categoryId);
+        }
+
+        logDBOperation('update', 'transaction_categories', { categoryId, fieldsUpdated: Object.keys(updateData), relabelled });
+        return { category: result.rows[0], relabelled };
+      });
+    } catch (error) {
+      logDBOperation('update', 'transaction_categories', { categoryId }, error);
+      throw error;
+    }
+  }
+
+  // Move everything filed under source (transactions, budgets, subcategories) into target
+  static async merge(sourceId, targetId, userId, { targetIsTopLevel, deleteSource }) {
+    try {
+      return await database.transaction(async (client) => {
+        let movedTransactions = 0;
+
+        if (targetIsTopLevel) {
+          // Subcategories whose name already exists under the target fold into that subcategory
+          const collisions = await client.query(`
+            SELECT src.id as source_child_id, dst.id as target_child_id
+            FROM transaction_categories src
+            JOIN transaction_categories dst
+              ON dst.parent_id = $2
+             AND (dst.user_id IS NULL OR dst.user_id = $3)
+             AND LOWER(dst.name) = LOWER(src.name)
+            WHERE src.parent_id = $1 AND src.user_id = $3
+          `, [sourceId, targetId, userId]);
+
+          for (const { source_child_id, target_child_id } of collisions.rows) {
+            movedTransactions += await this.reassign(client, source_child_id, target_child_id, userId);
+            await client.query('DELETE FROM transaction_categories WHERE id = $1', [source_child_id]);
+          }
+
+          await client.query(`
+            UPDATE transaction_categories SET parent_id = $2
+            WHERE parent_id = $1 AND user_id = $3
+          `, [sourceId, targetId, userId]);
+        } else {
+          // A subcategory cannot have children, so the source's subcategories collapse into the target
+          const children = await client.query(`
+            SELECT id FROM transaction_categories WHERE parent_id = $1 AND user_id = $2
+          `, [sourceId, userId]);
+
+          for (const { id } of children.rows) {
+            movedTransactions += await this.reassign(client, id, targetId, userId);
+            await client.query('DELETE FROM transaction_categories WHERE id = $1', [id]);
+          }
+        }
+
+        movedTransactions += await this.reassign(client, sourceId, targetId, userId);
+
+        if (deleteSource) {
+          await client.query('DELETE FROM transaction_categories WHERE id = $1 AND user_id = $2', [sourceId, userId]);
+        }
+
+        const relabelled = await this.relabelTransactions(client, userId, targetId);
+
+        logDBOperation('merge', 'transaction_categories', { sourceId, targetId, movedTransactions, relabelled });
+        return { movedTransactions, relabelled };
+      });
+    } catch (error) {
+      logDBOperation('merge', 'transaction_categories', { sourceId, targetId }, error);
+      throw error;
+    }
+  }
+
+  // Delete a user category; its transactions and budgets move to the parent (or transactions become
+  // uncategorized). A top-level category with budgets is kept, since deleting it would cascade to them:
+  // returns { category, budgetCount } without deleting.
+  static async delete(categoryId, userId) {
+    try {
+      return await database.transaction(async (client) => {
+        // Locked so no budget can be attached to it meanwhile
+        const category = (await client.query(`
+          SELECT * FROM transaction_categories WHERE id = $1 AND user_id = $2
+          FOR UPDATE
+        `, [categoryId, userId])).rows[0];
+
+        if (!category) return null;
+
+        if (!category.parent_id) {
+          const budgets = await client.query('SELECT COUNT(*) as count FROM budgets WHERE category_id = $1', [categoryId]);
+          const budgetCount = parseInt(budgets.rows[0].count) || 0;
+          if (budgetCount > 0) {
+            logDBOperation('delete', 'transaction_categories', { categoryId, blockedByBudgets: budgetCount });
+            return { category, movedTransactions: 0, budgetCount };
+          }
+        }
+
+        let movedTransactions = 0;
+        if (category.parent_id) {
+          movedTransactions = await this.reassign(client, categoryId, category.parent_id, userId);
+          await this.relabelTransactions(client, userId, category.parent_id);
+        } else {
+          const result = await client.query(`
+            UPDATE transactions SET category_id = NULL, category = NULL, subcategory = NULL, updated_at = NOW()
+            WHERE category_id = $1 AND user_id = $2
+          `, [categoryId, userId]);
+          movedTransactions = result.rowCount;
+        }
+
+        await client.query('DELETE FROM transaction_categories WHERE id = $1', [categoryId]);
+
+        logDBOperation('delete', 'transaction_categories', { categoryId, movedTransactions });
+        return { category, movedTransactions, budgetCount: 0 };
+      });
+    } catch (error) {
+      logDBOperation('delete', 'transaction_categories', { categoryId }, error);
+      throw error;
+    }
+  }
+
+  // Point the user's transactions and budgets at another category (within a DB transaction)
+  static async reassign(client, fromId, toId, userId) {
+    const result = await client.query(`
+      UPDATE transactions SET category_id = $2, updated_at = NOW()
+      WHERE category_id = $1 AND user_id = $3
+    `, [fromId, toId, userId]);
+
+    await client.query(`
+      UPDATE budgets SET category_id = $2 WHERE category_id = $1 AND user_id = $3
+    `, [fromId, toId, userId]);
+
+    return result.rowCount;
+  }
+
+  // Rewrite the category/subcategory labels of the user's transactions filed under a category or its children
+  static async relabelTransactions(client, userId, categoryId) {
+    const result = await client.query(`
+      UPDATE transactions t SET
+        category = COALESCE(p.name, c.name),
+        subcategory = CASE WHEN p.id IS NULL THEN NULL ELSE c.name END,
+        updated_at = NOW()
+      FROM transaction_categories c
+      LEFT JOIN transaction_categories p ON c.parent_id = p.id
+      WHERE t.category_id = c.id
+        AND t.user_id = $1
+        AND (c.id = $2 OR c.parent_id = $2)
+    `, [userId, categoryId]);
+
+    return result.rowCount;
+  }
+}
+
+module.exports = TransactionCategoryModel;
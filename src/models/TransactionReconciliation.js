@@ -0,0 +1,193 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+// The booked row's fields a match may change (user edits carried over from the pending row), as jsonb
+const mergedFieldsJson = (alias) => `jsonb_build_object(
+  'category', ${alias}.category, 'subcategory', ${alias}.subcategory, 'category_id', ${alias}.category_id,
+  'category_source', ${alias}.category_source, 'notes', ${alias}.notes, 'tags', ${alias}.tags
+)`;
+
+// A match with the date, amount and description of both transactions
+const RECONCILIATION_SELECT = `
+  SELECT r.*,
+         p.transaction_date AS pending_date, p.amount AS pending_amount, p.description AS pending_description,
+         b.transaction_date AS booked_date, b.amount AS booked_amount, b.description AS booked_description,
+         b.account_id, b.currency
+  FROM transaction_reconciliations r
+  JOIN transactions p ON p.id = r.pending_transaction_id
+  JOIN transactions b ON b.id = r.booked_transaction_id
+`;
+
+class TransactionReconciliationModel {
+  // Apply a match: copy the pending row's user edits onto the booked row, retire the pending
+  // row and record both versions of the booked fields. Returns null when either row changed
+  // since matching (no longer pending, already retired or already matched).
+  static async apply(userId, { pendingId, bookedId, score, details, source = 'sync' }) {
+    try {
+      const reconciliation = await database.transaction(async (client) => {
+        const locked = await client.query(`
+          SELECT id, is_pending, is_duplicate, is_deleted FROM transactions
+          WHERE id = ANY($1::uuid[]) AND user_id = $2
+          ORDER BY id
+          FOR UPDATE
+        `, [[pendingId, bookedId], userId]);
+
+        const pending = locked.rows.find(row => row.id === pendingId);
+        const booked = locked.rows.find(row => row.id === bookedId);
+        if (!pending || !booked || !pending.is_pending || booked.is_pending
+            || pending.is_duplicate || booked.is_duplicate || pending.is_deleted || booked.is_deleted) {
+          return null;
+        }
+
+        const alreadyMatched = await client.query(`
+          SELECT 1 FROM transaction_reconciliations
+          WHERE status = 'applied' AND (pending_transaction_id = $1 OR booked_transaction_id = $2)
+        `, [pendingId, bookedId]);
+        if (alreadyMatched.rows.length > 0) return null;
+
+        const before = await client.query(`SELECT ${mergedFieldsJson('t')} AS fields FROM transactions t WHERE t.id = $1`, [bookedId]);
+
+        // A manual category wins over an automatic one; notes are kept from both; tags are united
+        const merged = await client.query(`
+          UPDATE transactions b SET
+            category = CASE WHEN p.category_source = 'manual' AND COALESCE(b.category_source, '') <> 'manual' THEN p.category ELSE b.category END,
+            subcategory = CASE WHEN p.category_source = 'manual' AND COALESCE(b.category_source, '') <> 'manual' THEN p.subcategory ELSE b.subcategory END,
+            category_id = CASE WHEN p.category_source = 'manual' AND COALESCE(b.category_source, '') <> 'manual' THEN p.category_id ELSE b.category_id END,
+            category_source = CASE WHEN p.category_source = 'manual' THEN 'manual' ELSE b.category_source END,
+            notes = CASE
+              WHEN NULLIF(p.notes, '') IS NULL OR p.notes = b.notes THEN b.notes
+              WHEN NULLIF(b.notes, '') IS NULL THEN p.notes
+              ELSE b.notes || E'\\n' || p.notes
+            END,
+            tags = (
+              SELECT COALESCE(jsonb_agg(DISTINCT tag), '[]'::jsonb)
+              FROM jsonb_array_elements(COALESCE(b.tags, '[]'::jsonb) || COALESCE(p.tags, '[]'::jsonb)) tag
+            )
+          FROM transactions p
+          WHERE b.id = $1 AND p.id = $2
+          RETURNING ${mergedFieldsJson('b')} AS fields
+        `, [bookedId, pendingId]);
+
+        await client.query('UPDATE transactions SET is_duplicate = true WHERE id = $1', [pendingId]);
+
+        const inserted = await client.query(`
+          INSERT INTO transaction_reconciliations (
+            user_id, pending_transaction_id, booked_transaction_id, score, match_details,
+            booked_before, booked_after, source
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING *
+        `, [
+          userId, pendingId, bookedId, score, JSON.stringify(details || {}),
+          before.rows[0].fields, merged.rows[0].fields, source
+        ]);
+
+        return inserted.rows[0];
+      });
+
+      logDBOperation('apply', 'transaction_reconciliations', { userId, pendingId, bookedId, applied: Boolean(reconciliation) });
+      return reconciliation;
+    } catch (error) {
+      logDBOperation('apply', 'transaction_reconciliations', { userId, pendingId, bookedId }, error);
+      throw error;
+    }
+  }
+
+  // Revert an applied match: the pending row is restored, and each booked field the match
+  // changed goes back to its previous value unless it was edited since.
+  // Returns null when there is no applied match with this ID for the user.
+  static async revert(userId, reconciliationId) {
+    try {
+      const reconciliation = await database.transaction(async (client) => {
+        const found = await client.query(`
+          SELECT * FROM transaction_reconciliations
+          WHERE id = $1 AND user_id = $2 AND status = 'applied'
+          FOR UPDATE
+        `, [reconciliationId, userId]);
+        if (found.rows.length === 0) return null;
+
+        const { pending_transaction_id, booked_transaction_id, booked_before, booked_after } = found.rows[0];
+        const restore = (field, cast = '') => `${field} = CASE
+          WHEN ${field} IS NOT DISTINCT FROM ($2::jsonb->>'${field}')${cast} THEN ($3::jsonb->>'${field}')${cast}
+          ELSE ${field} END`;
+
+        await client.query(`
+          UPDATE transactions SET
+            ${restore('category')},
+            ${restore('subcategory')},
+            ${restore('category_id', '::uuid')},
+            ${restore('category_source')},
+            ${restore('notes')},
+            tags = CASE WHEN tags IS NOT DISTINCT FROM $2::jsonb->'tags' THEN $3::jsonb->'tags' ELSE tags END
+          WHERE id = $1
+        `, [booked_transaction_id, JSON.stringify(booked_after), JSON.stringify(booked_before)]);
+
+        await client.query('UPDATE transactions SET is_duplicate = false WHERE id = $1', [pending_transaction_id]);
+
+        const updated = await client.query(`
+          UPDATE transaction_reconciliations SET status = 'reverted', reverted_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [reconciliationId]);
+
+        return updated.rows[0];
+      });
+
+      logDBOperation('revert', 'transaction_reconciliations', { userId, reconciliationId, reverted: Boolean(reconciliation) });
+      return reconciliation;
+    } catch (error) {
+      logDBOperation('revert', 'transaction_reconciliations', { userId, reconciliationId }, error);
+      throw error;
+    }
+  }
+
+  // Find a user's matches, newest first, with both transactions
+  static async findByUserId(userId, { status = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const result = await database.query(`
+        ${RECONCILIATION_SELECT}
+        WHERE r.user_id = $1 AND ($2::text IS NULL OR r.status = $2)
+        ORDER BY r.created_at DESC
+        LIMIT $3 OFFSET $4
+      `, [userId, status, limit, offset]);
+
+      logDBOperation('findByUserId', 'transaction_reconciliations', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'transaction_reconciliations', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Find one of a user's matches by ID
+  static async findById(userId, reconciliationId) {
+    try {
+      const result = await database.query(`
+        ${RECONCILIATION_SELECT}
+        WHERE r.id = $1 AND r.user_id = $2
+      `, [reconciliationId, userId]);
+
+      logDBOperation('findById', 'transaction_reconciliations', { reconciliationId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'transaction_reconciliations', { reconciliationId }, error);
+      throw error;
+    }
+  }
+
+  // Pending/booked pairs of reverted matches, so they are not matched again
+  static async findRevertedPairs(userId) {
+    try {
+      const result = await database.query(`
+        SELECT pending_transaction_id, booked_transaction_id FROM transaction_reconciliations
+        WHERE user_id = $1 AND status = 'reverted'
+      `, [userId]);
+
+      return new Set(result.rows.map(row => `${row.pending_transaction_id}:${row.booked_transaction_id}`));
+    } catch (error) {
+      logDBOperation('findRevertedPairs', 'transaction_reconciliations', { userId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TransactionReconciliationModel;
@@ -0,0 +1,131 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+// A transfer with the date, amount, description and account of both sides
+const TRANSFER_SELECT = `
+  SELECT tt.*,
+         o.transaction_date AS outgoing_date, o.amount AS outgoing_amount, o.description AS outgoing_description,
+         o.account_id AS outgoing_account_id, oa.account_name AS outgoing_account_name,
+         i.transaction_date AS incoming_date, i.amount AS incoming_amount, i.description AS incoming_description,
+         i.account_id AS incoming_account_id, ia.account_name AS incoming_account_name,
+         i.currency
+  FROM transaction_transfers tt
+  JOIN transactions o ON o.id = tt.outgoing_transaction_id
+  JOIN transactions i ON i.id = tt.incoming_transaction_id
+  LEFT JOIN bank_accounts oa ON oa.id = o.account_id
+  LEFT JOIN bank_accounts ia ON ia.id = i.account_id
+`;
+
+class TransactionTransferModel {
+  // Link two transactions as the sides of one transfer. Returns null when either is
+  // already part of a transfer or no longer a live transaction of the user.
+  static async link(userId, { outgoingId, incomingId, score, details }) {
+    try {
+      const transfer = await database.transaction(async (client) => {
+        const locked = await client.query(`
+          SELECT id, transfer_id, is_deleted, is_duplicate FROM transactions
+          WHERE id = ANY($1::uuid[]) AND user_id = $2
+          ORDER BY id
+          FOR UPDATE
+        `, [[outgoingId, incomingId], userId]);
+
+        if (locked.rows.length !== 2 || locked.rows.some(row => row.transfer_id || row.is_deleted || row.is_duplicate)) {
+          return null;
+        }
+
+        const inserted = await client.query(`
+          INSERT INTO transaction_transfers (user_id, outgoing_transaction_id, incoming_transaction_id, score, match_details)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING *
+        `, [userId, outgoingId, incomingId, score, JSON.stringify(details || {})]);
+
+        await client.query(`
+          UPDATE transactions SET transfer_id = $1 WHERE id = ANY($2::uuid[])
+        `, [inserted.rows[0].id, [outgoingId, incomingId]]);
+
+        return inserted.rows[0];
+      });
+
+      logDBOperation('link', 'transaction_transfers', { userId, outgoingId, incomingId, linked: Boolean(transfer) });
+      return transfer;
+    } catch (error) {
+      logDBOperation('link', 'transaction_transfers', { userId, outgoingId, incomingId }, error);
+      throw error;
+    }
+  }
+
+  // Unlink a transfer: both transactions count as income and spending again, and the pair
+  // is not detected again. Returns null when there is no linked transfer with this ID for the user.
+  static async dismiss(userId, transferId) {
+    try {
+      const transfer = await database.transaction(async (client) => {
+        const updated = await client.query(`
+          UPDATE transaction_transfers SET status = 'dismissed', dismissed_at = NOW()
+          WHERE id = $1 AND user_id = $2 AND status = 'linked'
+          RETURNING *
+        `, [transferId, userId]);
+        if (updated.rows.length === 0) return null;
+
+        await client.query('UPDATE transactions SET transfer_id = NULL WHERE transfer_id = $1', [transferId]);
+        return updated.rows[0];
+      });
+
+      logDBOperation('dismiss', 'transaction_transfers', { userId, transferId, dismissed: Boolean(transfer) });
+      return transfer;
+    } catch (error) {
+      logDBOperation('dismiss', 'transaction_transfers', { userId, transferId }, error);
+      throw error;
+    }
+  }
+
+  // Find a user's transfers, newest first
+  static async findByUserId(userId, { status = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const result = await database.query(`
+        ${TRANSFER_SELECT}
+        WHERE tt.user_id = $1 AND ($2::text IS NULL OR tt.status = $2)
+        ORDER BY o.transaction_date DESC, tt.created_at DESC
+        LIMIT $3 OFFSET $4
+      `, [userId, status, limit, offset]);
+
+      logDBOperation('findByUserId', 'transaction_transfers', { userId, found: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('findByUserId', 'transaction_transfers', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Find one of a user's transfers by ID
+  static async findById(userId, transferId) {
+    try {
+      const result = await database.query(`
+        ${TRANSFER_SELECT}
+        WHERE tt.id = $1 AND tt.user_id = $2
+      `, [transferId, userId]);
+
+      logDBOperation('findById', 'transaction_transfers', { transferId, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findById', 'transaction_transfers', { transferId }, error);
+      throw error;
+    }
+  }
+
+  // Outgoing/incoming pairs of dismissed transfers, so they are not linked again
+  static async findDismissedPairs(userId) {
+    try {
+      const result = await database.query(`
+        SELECT outgoing_transaction_id, incoming_transaction_id FROM transaction_transfers
+        WHERE user_id = $1 AND status = 'dismissed'
+      `, [userId]);
+
+      return new Set(result.rows.map(row => `${row.outgoing_transaction_id}:${row.incoming_transaction_id}`));
+    } catch (error) {
+      logDBOperation('findDismissedPairs', 'transaction_transfers', { userId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TransactionTransferModel;
@@ -22,6 +22,23 @@ class UserModel {
     }
   }
 
+  // Create default preferences row for a user
+  static async createDefaultPreferences(userId, currency = 'EUR') {
+    try {
+      const result = await database.query(`
+        INSERT INTO user_preferences (user_id, currency)
+        VALUES ($1, $2)
+        RETURNING *
+      `, [userId, currency]);
+
+      logDBOperation('createDefaultPreferences', 'user_preferences', { userId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('createDefaultPreferences', 'user_preferences', { userId }, error);
+      throw error;
+    }
+  }
+
   // Find user by email
   static async findByEmail(email) {
     try {
@@ -182,6 +199,26 @@ class UserModel {
     }
   }
 
+  // Remove the link to a Powens user (Powens user deleted), clearing its token
+  static async unlinkPowensUser(userId) {
+    try {
+      const result = await database.query(`
+        UPDATE users SET 
+          powens_user_id = NULL,
+          powens_permanent_token = NULL,
+          powens_token_expires_at = NOW()
+        WHERE id = $1 
+        RETURNING id
+      `, [userId]);
+      
+      logDBOperation('unlinkPowensUser', 'users', { userId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('unlinkPowensUser', 'users', { userId }, error);
+      throw error;
+    }
+  }
+
   // Get user with preferences
   static async findWithPreferences(id) {
     try {
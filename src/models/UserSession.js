@@ -0,0 +1,103 @@
+const database = require('../config/database');
+const { logger, logDBOperation } = require('../utils/logger');
+
+class UserSessionModel {
+  // Create a new session
+  static async create(sessionData) {
+    try {
+      const { user_id, session_token, device_info, ip_address, user_agent, expires_at } = sessionData;
+
+      const result = await database.query(`
+        INSERT INTO user_sessions (user_id, session_token, device_info, ip_address, user_agent, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [user_id, session_token, JSON.stringify(device_info || {}), ip_address, user_agent, expires_at]);
+
+      logDBOperation('create', 'user_sessions', { sessionId: result.rows[0].id, userId: user_id });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('create', 'user_sessions', { userId: sessionData.user_id }, error);
+      throw error;
+    }
+  }
+
+  // Find an active, unexpired session by token
+  static async findActiveByToken(sessionToken) {
+    try {
+      const result = await database.query(`
+        SELECT * FROM user_sessions
+        WHERE session_token = $1 AND is_active = true AND expires_at > NOW()
+      `, [sessionToken]);
+
+      logDBOperation('findActiveByToken', 'user_sessions', { found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('findActiveByToken', 'user_sessions', {}, error);
+      throw error;
+    }
+  }
+
+  // Update last accessed timestamp
+  static async touch(sessionId) {
+    try {
+      await database.query(`
+        UPDATE user_sessions SET last_accessed_at = NOW() WHERE id = $1
+      `, [sessionId]);
+
+      logDBOperation('touch', 'user_sessions', { sessionId });
+    } catch (error) {
+      logDBOperation('touch', 'user_sessions', { sessionId }, error);
+      throw error;
+    }
+  }
+
+  // Deactivate a session (logout)
+  static async deactivate(sessionToken) {
+    try {
+      const result = await database.query(`
+        UPDATE user_sessions SET is_active = false
+        WHERE session_token = $1 AND is_active = true
+        RETURNING *
+      `, [sessionToken]);
+
+      logDBOperation('deactivate', 'user_sessions', { deactivated: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      logDBOperation('deactivate', 'user_sessions', {}, error);
+      throw error;
+    }
+  }
+
+  // Deactivate all sessions for a user
+  static async deactivateAllForUser(userId) {
+    try {
+      const result = await database.query(`
+        UPDATE user_sessions SET is_active = false
+        WHERE user_id = $1 AND is_active = true
+      `, [userId]);
+
+      logDBOperation('deactivateAllForUser', 'user_sessions', { userId, deactivated: result.rowCount });
+      return result.rowCount;
+    } catch (error) {
+      logDBOperation('deactivateAllForUser', 'user_sessions', { userId }, error);
+      throw error;
+    }
+  }
+
+  // Remove expired and inactive sessions
+  static async cleanupExpired() {
+    try {
+      const result = await database.query(`
+        DELETE FROM user_sessions WHERE expires_at <= NOW() OR is_active = false
+      `);
+
+      logger.info('Expired user sessions cleaned up', { removed: result.rowCount });
+      return result.rowCount;
+    } catch (error) {
+      logDBOperation('cleanupExpired', 'user_sessions', {}, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UserSessionModel;
@@ -0,0 +1,109 @@
+const database = require('../config/database');
+const { logDBOperation } = require('../utils/logger');
+
+class WebhookEventModel {
+  // Store a received webhook. Events with an invalid signature are stored as failed and never processed.
+  // Returns null, storing nothing, when an accepted event already carries the same signature and date.
+  static async create(eventData) {
+    try {
+      const { provider, event_type, signature_valid, signature, signature_date, payload, raw_body, last_error } = eventData;
+
+      const result = await database.query(`
+        INSERT INTO webhook_events (provider, event_type, status, signature_valid, signature, signature_date, payload, raw_body, next_attempt_at, last_error)
+        VALUES ($1, $2, CASE WHEN $3 THEN 'received' ELSE 'failed' END, $3, $4, $5, $6, $7, CASE WHEN $3 THEN NOW() END, $8)
+        ON CONFLICT (provider, signature, signature_date) WHERE signature_valid DO NOTHING
+        RETURNING *
+      `, [
+        provider,
+        event_type || null,
+        signature_valid === true,
+        signature || null,
+        signature_date || null,
+        payload ? JSON.stringify(payload) : null,
+        raw_body,
+        last_error || null
+      ]);
+
+      const event = result.rows[0] || null;
+      logDBOperation('create', 'webhook_events', { eventId: event?.id, provider, eventType: event_type, duplicate: !event });
+      return event;
+    } catch (error) {
+      logDBOperation('create', 'webhook_events', { provider: eventData.provider }, error);
+      throw error;
+    }
+  }
+
+  // Claim up to limit events that are due, locking them for lockSeconds and counting the attempt.
+  // An event whose worker died is claimed again once its lock expires.
+  static async claimDue(limit = 10, lockSeconds = 600) {
+    try {
+      const result = await database.query(`
+        UPDATE webhook_events SET
+          attempts = attempts + 1,
+          locked_until = NOW() + make_interval(secs => $2)
+        WHERE id IN (
+          SELECT id FROM webhook_events
+          WHERE status <> 'processed'
+            AND next_attempt_at <= NOW()
+            AND (locked_until IS NULL OR locked_until < NOW())
+          ORDER BY received_at ASC
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [limit, lockSeconds]);
+
+      logDBOperation('claimDue', 'webhook_events', { claimed: result.rows.length });
+      return result.rows;
+    } catch (error) {
+      logDBOperation('claimDue', 'webhook_events', { limit }, error);
+      throw error;
+    }
+  }
+
+  // Mark an event as processed
+  static async markProcessed(eventId, processingResult = null) {
+    try {
+      const result = await database.query(`
+        UPDATE webhook_events SET
+          status = 'processed',
+          result = $2,
+          last_error = NULL,
+          next_attempt_at = NULL,
+          locked_until = NULL,
+          processed_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [eventId, processingResult ? JSON.stringify(processingResult) : null]);
+
+      logDBOperation('markProcessed', 'webhook_events', { eventId });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('markProcessed', 'webhook_events', { eventId }, error);
+      throw error;
+    }
+  }
+
+  // Mark an attempt as failed; retryInSeconds schedules the next one, null gives up
+  static async markFailed(eventId, errorMessage, retryInSeconds = null) {
+    try {
+      const result = await database.query(`
+        UPDATE webhook_events SET
+          status = 'failed',
+          last_error = $2,
+          next_attempt_at = CASE WHEN $3::integer IS NULL THEN NULL ELSE NOW() + make_interval(secs => $3) END,
+          locked_until = NULL
+        WHERE id = $1
+        RETURNING *
+      `, [eventId, errorMessage, retryInSeconds]);
+
+      logDBOperation('markFailed', 'webhook_events', { eventId, retry: retryInSeconds !== null });
+      return result.rows[0];
+    } catch (error) {
+      logDBOperation('markFailed', 'webhook_events', { eventId }, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookEventModel;
@@ -142,6 +142,66 @@ async function checkConnectionStatus() {
     }
 }
 
+// Show the signed-in user, or the login form when there is no session
+async function loadCurrentUser() {
+    const currentUser = document.getElementById('currentUser');
+    const loginSection = document.getElementById('loginSection');
+    const logoutButton = document.getElementById('logoutBtn');
+    
+    try {
+        const response = await fetch('/api/auth/me');
+        const data = await response.json();
+        
+        if (data.success) {
+            currentUser.textContent = data.data.email;
+            loginSection.style.display = 'none';
+            logoutButton.style.display = 'inline-block';
+            return true;
+        }
+    } catch (error) {
+        console.debug('Session check failed:', error.message);
+    }
+    
+    currentUser.textContent = 'Not signed in';
+    loginSection.style.display = 'block';
+    logoutButton.style.display = 'none';
+    return false;
+}
+
+// Log in with email and password (the server sets a session cookie)
+async function login(event) {
+    event.preventDefault();
+    
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                email: document.getElementById('loginEmail').value,
+                password: document.getElementById('loginPassword').value
+            })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error?.message || 'Login failed');
+        }
+        
+        showNotification(`Signed in as ${data.data.user.email}`, 'success');
+        await loadCurrentUser();
+        checkConnectionStatus();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'error');
+    }
+}
+
+// Log out and clear the session cookie
+async function logout() {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    showNotification('Signed out', 'info');
+    await loadCurrentUser();
+}
+
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     console.log('🔥 Dashboard initializing...');
@@ -155,8 +215,15 @@ document.addEventListener('DOMContentLoaded', function() {
         console.error('❌ Powens connector button not found');
     }
     
-    // Check initial connection status
-    checkConnectionStatus();
+    document.getElementById('loginForm').addEventListener('submit', login);
+    document.getElementById('logoutBtn').addEventListener('click', logout);
+    
+    // Check session, then initial connection status
+    loadCurrentUser().then(signedIn => {
+        if (signedIn) {
+            checkConnectionStatus();
+        }
+    });
     
     // Auto-refresh status every 30 seconds
     setInterval(checkConnectionStatus, 30000);
@@ -3,11 +3,13 @@ const router = express.Router();
 const { logger } = require('../utils/logger');
 const { MOCK_DATA } = require('../services/powens/constants');
 const BankAccountModel = require('../models/BankAccount');
+const fxService = require('../services/fxService');
+const cryptoHoldingService = require('../services/crypto/holdingService');
 
 /**
  * @route GET /api/accounts
  * @desc Get all bank accounts
- * @access Public
+ * @access Private
  */
 router.get('/', async (req, res, next) => {
   try {
@@ -27,9 +29,7 @@ router.get('/', async (req, res, next) => {
       return;
     }
 
-    // Use the default admin user UUID from the migration
-    // TODO: Implement proper user authentication and get user_id from token
-    const userId = '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
     
     const accounts = await BankAccountModel.findByUserId(userId);
     
@@ -68,7 +68,7 @@ router.get('/', async (req, res, next) => {
 /**
  * @route GET /api/accounts/:id
  * @desc Get specific account by ID
- * @access Public
+ * @access Private
  */
 router.get('/:id', async (req, res, next) => {
   try {
@@ -99,7 +99,7 @@ router.get('/:id', async (req, res, next) => {
 
     const account = await BankAccountModel.findById(id);
     
-    if (!account) {
+    if (!account || account.user_id !== req.user.id) {
       res.status(404).json({
         success: false,
         error: {
@@ -142,7 +142,7 @@ router.get('/:id', async (req, res, next) => {
 /**
  * @route POST /api/accounts/sync
  * @desc Synchronize account data from Powens API
- * @access Public
+ * @access Private
  */
 router.post('/sync', async (req, res, next) => {
   try {
@@ -169,7 +169,7 @@ router.post('/sync', async (req, res, next) => {
     // 3. Create/update accounts in the database
     // 4. Return sync results
     
-    const userId = '00000000-0000-0000-0000-000000000001'; // TODO: Get from authentication
+    const userId = req.user.id;
     const accounts = await BankAccountModel.findByUserId(userId);
     
     res.json({
@@ -190,7 +190,7 @@ router.post('/sync', async (req, res, next) => {
 /**
  * @route PUT /api/accounts/:id
  * @desc Update account information
- * @access Public
+ * @access Private
  */
 router.put('/:id', async (req, res, next) => {
   try {
@@ -215,7 +215,7 @@ router.put('/:id', async (req, res, next) => {
 
     // Validate account exists
     const existingAccount = await BankAccountModel.findById(id);
-    if (!existingAccount) {
+    if (!existingAccount || existingAccount.user_id !== req.user.id) {
       res.status(404).json({
         success: false,
         error: {
@@ -259,7 +259,7 @@ router.put('/:id', async (req, res, next) => {
 /**
  * @route DELETE /api/accounts/:id
  * @desc Delete account (deactivate)
- * @access Public
+ * @access Private
  */
 router.delete('/:id', async (req, res, next) => {
   try {
@@ -283,7 +283,7 @@ router.delete('/:id', async (req, res, next) => {
 
     // Validate account exists
     const existingAccount = await BankAccountModel.findById(id);
-    if (!existingAccount) {
+    if (!existingAccount || existingAccount.user_id !== req.user.id) {
       res.status(404).json({
         success: false,
         error: {
@@ -316,13 +316,24 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * @route GET /api/accounts/summary/:userId
  * @desc Get account summary for user
- * @access Public
+ * @access Private
  */
 router.get('/summary/:userId', async (req, res, next) => {
   try {
     const { userId } = req.params;
     
     logger.info('Account summary requested', { userId });
+
+    if (userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Access denied',
+          details: 'You can only view your own account summary'
+        }
+      });
+    }
     
     // Check if we should use mock data
     if (process.env.ENABLE_MOCK_DATA === 'true') {
@@ -332,6 +343,7 @@ router.get('/summary/:userId', async (req, res, next) => {
         savings_balance: MOCK_DATA.accounts.filter(a => a.type === 'SAVINGS').reduce((sum, a) => sum + a.balance, 0),
         investment_balance: MOCK_DATA.accounts.filter(a => a.type === 'INVESTMENT').reduce((sum, a) => sum + a.balance, 0),
         credit_balance: 0,
+        crypto_balance: 0,
         total_balance: MOCK_DATA.accounts.reduce((sum, a) => sum + a.balance, 0),
         last_update: new Date().toISOString()
       };
@@ -344,7 +356,11 @@ router.get('/summary/:userId', async (req, res, next) => {
       return;
     }
 
-    const summary = await BankAccountModel.getUserSummary(userId);
+    const currency = await fxService.getUserCurrency(userId);
+    const [summary, crypto] = await Promise.all([
+      BankAccountModel.getUserSummary(userId, currency),
+      cryptoHoldingService.getValuation(userId, currency)
+    ]);
     
     res.json({
       success: true,
@@ -355,7 +371,11 @@ router.get('/summary/:userId', async (req, res, next) => {
         savings_balance: parseFloat(summary.savings_balance) || 0,
         investment_balance: parseFloat(summary.investment_balance) || 0,
         credit_balance: parseFloat(summary.credit_balance) || 0,
-        total_balance: parseFloat(summary.total_balance) || 0,
+        crypto_balance: crypto.totalValue,
+        total_balance: (parseFloat(summary.total_balance) || 0) + crypto.totalValue,
+        currency,
+        unconverted_currencies: summary.unconverted_currencies || [],
+        unpriced_crypto_assets: crypto.unpricedAssets,
         last_update: summary.last_update
       }
     });
@@ -4,39 +4,187 @@ const { logger } = require('../utils/logger');
 const powensService = require('../services/powens/powensService');
 const BankConnectionModel = require('../models/BankConnection');
 const UserModel = require('../models/User');
+const authService = require('../services/authService');
+const { authenticate, SESSION_COOKIE } = require('../middleware/auth');
 
-// Default user ID for development (in production, get from session/JWT)
-const DEFAULT_USER_ID = '00000000-0000-0000-0000-000000000001';
+// Resolve the local user a Powens callback belongs to from the single-use state issued at init
+const resolveCallbackUser = async (state) => authService.consumePowensState(state);
+
+// Set the session cookie used by the dashboard
+const setSessionCookie = (res, token, expiresAt) => {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    expires: expiresAt
+  });
+};
+
+/**
+ * @route POST /api/auth/register
+ * @desc Register a new user and start a session
+ * @access Public
+ */
+router.post('/register', async (req, res, next) => {
+  try {
+    const { email, password, first_name, last_name } = req.body;
+
+    logger.info('User registration requested');
+
+    const validationErrors = authService.validateRegistration({ email, password });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: validationErrors
+        }
+      });
+    }
+
+    const existingUser = await UserModel.findByEmail(authService.normalizeEmail(email));
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'EMAIL_ALREADY_REGISTERED',
+          message: 'Email already registered',
+          details: 'An account with this email address already exists'
+        }
+      });
+    }
+
+    const user = await authService.register({ email, password, first_name, last_name });
+    const { token, expiresAt } = await authService.createSession(user, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    setSessionCookie(res, token, expiresAt);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: authService.toPublicUser(user),
+        token,
+        expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('❌ User registration failed', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/auth/login
+ * @desc Log in with email and password
+ * @access Public
+ */
+router.post('/login', async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await authService.verifyCredentials(email, password);
+    if (!user) {
+      logger.warn('Login failed', { ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_CREDENTIALS',
+          message: 'Invalid email or password',
+          details: 'The email or password provided is incorrect'
+        }
+      });
+    }
+
+    const { token, expiresAt } = await authService.createSession(user, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    setSessionCookie(res, token, expiresAt);
+
+    logger.info('User logged in', { userId: user.id });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: authService.toPublicUser(user),
+        token,
+        expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Login failed', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/auth/logout
+ * @desc Revoke the current session
+ * @access Private
+ */
+router.post('/logout', authenticate, async (req, res, next) => {
+  try {
+    await authService.logout(req.session.session_token);
+    res.clearCookie(SESSION_COOKIE);
+
+    logger.info('User logged out', { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('❌ Logout failed', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/auth/me
+ * @desc Get the authenticated user
+ * @access Private
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    message: 'Authenticated user retrieved',
+    data: authService.toPublicUser(req.user)
+  });
+});
 
 /**
  * @route POST /api/auth/powens/init
  * @desc Initialize Powens connection with CORRECT authentication flow
- * @access Public
+ * @access Private
  */
-router.post('/powens/init', async (req, res, next) => {
+router.post('/powens/init', authenticate, async (req, res, next) => {
   try {
-    const userId = req.user?.id || DEFAULT_USER_ID; // Get from auth in production
+    const userId = req.user.id;
     
     logger.info('🚀 POWENS CONNECTION INITIALIZATION (NEW FLOW)', { userId });
     
     try {
-      // STEP 1 & 3: Create permanent token and generate webview URL with temporary code
-      const authData = await powensService.generateAuthUrl(userId);
+      // STEP 1 & 3: Create permanent token and generate webview URL with temporary code.
+      // The state is random, single-use and tied to this session; the callback consumes it.
+      const state = await authService.issuePowensState(userId, req.session.id);
+      const authUrl = await powensService.generateAuthUrl(userId, { state });
       
       logger.info('✅ POWENS INITIALIZATION SUCCESSFUL (NEW FLOW)', {
         userId,
-        hasAuthUrl: !!authData.authUrl,
-        hasState: !!authData.state,
-        temporaryCodePreview: authData.temporaryCode
+        hasAuthUrl: !!authUrl
       });
       
       res.json({
         success: true,
         message: 'Powens initialization successful (new authentication flow)',
         data: {
-          authUrl: authData.authUrl,
-          state: authData.state,
-          temporaryCode: authData.temporaryCode, // Preview only
+          authUrl,
+          state,
           instructions: 'Redirect user to authUrl to connect their bank account',
           flow: 'NEW_OFFICIAL_FLOW',
           timestamp: new Date().toISOString()
@@ -62,7 +210,7 @@ router.post('/powens/init', async (req, res, next) => {
   } catch (error) {
     logger.error('❌ Powens initialization failed', { 
       error: error.message,
-      userId: req.user?.id || DEFAULT_USER_ID 
+      userId: req.user?.id 
     });
     next(error);
   }
@@ -141,14 +289,20 @@ router.get('/powens/callback', async (req, res, next) => {
     }
     
     try {
+      const callbackUser = await resolveCallbackUser(state);
+      if (!callbackUser) {
+        throw new Error('Callback state is unknown, expired or already used');
+      }
+      const userId = callbackUser.id;
+
       logger.info('🔄 STARTING NEW FLOW CALLBACK PROCESSING', { 
         callbackId,
         connectionParam: connectionParam.substring(0, 10) + '...',
-        userId: DEFAULT_USER_ID
+        userId
       });
       
       // STEP 4: Handle callback with new flow
-      const callbackData = await powensService.handleCallback(connectionParam, state, DEFAULT_USER_ID);
+      const callbackData = await powensService.handleCallback(connectionParam, state, userId);
       
       logger.info('✅ CALLBACK DATA RETRIEVED (NEW FLOW)', { 
         callbackId,
@@ -177,12 +331,12 @@ router.get('/powens/callback', async (req, res, next) => {
           callbackId,
           powensUserId: callbackData.powensUserId,
           bankName: bankName,
-          userId: DEFAULT_USER_ID,
+          userId,
           accountsToSave: callbackData.accounts.length
         });
         
         const connectionData = {
-          user_id: DEFAULT_USER_ID,
+          user_id: userId,
           powens_user_id: callbackData.powensUserId,
           powens_connection_id: connection_id || connection?.id || `conn_${Date.now()}`,
           bank_name: bankName,
@@ -219,19 +373,16 @@ router.get('/powens/callback', async (req, res, next) => {
           });
           try {
             const syncService = require('../services/syncService');
-            const syncResult = await syncService.syncConnection(savedConnection.id, {
+            const { job } = await syncService.enqueueConnectionSync(savedConnection, {
               type: 'initial',
               force: true,
-              includeTransactions: true,
-              userId: DEFAULT_USER_ID
+              includeTransactions: true
             });
             
-            logger.info('✅ DATA SYNC COMPLETED (NEW FLOW)', {
+            logger.info('✅ DATA SYNC QUEUED (NEW FLOW)', {
               callbackId,
               connectionId: savedConnection.id,
-              syncedAccounts: syncResult.accountsSynced,
-              syncedTransactions: syncResult.transactionsSynced,
-              syncStatus: syncResult.status
+              jobId: job.id
             });
           } catch (syncError) {
             // ENHANCED ERROR LOGGING
@@ -431,8 +582,21 @@ router.post('/powens/callback', async (req, res, next) => {
       });
     }
     
+    const callbackUser = await resolveCallbackUser(state);
+    if (!callbackUser) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATE',
+          message: 'Callback state is unknown, expired or already used',
+          details: 'Start the connection again from /api/auth/powens/init'
+        }
+      });
+    }
+    const userId = callbackUser.id;
+
     // Use new flow to handle callback
-    const callbackData = await powensService.handleCallback(connectionParam, state, DEFAULT_USER_ID);
+    const callbackData = await powensService.handleCallback(connectionParam, state, userId);
     
     // Save connection data
     let savedConnection = null;
@@ -441,7 +605,7 @@ router.post('/powens/callback', async (req, res, next) => {
       const connection = callbackData.connections[0];
       
       const connectionData = {
-        user_id: DEFAULT_USER_ID,
+        user_id: userId,
         powens_user_id: callbackData.powensUserId,
         powens_connection_id: connection_id || connection?.id || 'webhook',
         bank_name: connection?.bank?.name || firstAccount?.bank?.name || 'Unknown Bank',
@@ -464,11 +628,10 @@ router.post('/powens/callback', async (req, res, next) => {
       // Trigger data sync
       try {
         const syncService = require('../services/syncService');
-        await syncService.syncConnection(savedConnection.id, {
+        await syncService.enqueueConnectionSync(savedConnection, {
           type: 'initial',
           force: true,
-          includeTransactions: true,
-          userId: DEFAULT_USER_ID
+          includeTransactions: true
         });
       } catch (syncError) {
         logger.error('❌ Data sync failed in POST callback (NEW FLOW)', { error: syncError.message });
@@ -498,11 +661,11 @@ router.post('/powens/callback', async (req, res, next) => {
 /**
  * @route POST /api/auth/powens/refresh
  * @desc Refresh Powens access tokens (UPDATED FOR NEW FLOW)
- * @access Public
+ * @access Private
  */
-router.post('/powens/refresh', async (req, res, next) => {
+router.post('/powens/refresh', authenticate, async (req, res, next) => {
   try {
-    const userId = req.user?.id || DEFAULT_USER_ID;
+    const userId = req.user.id;
     
     logger.info('🔄 Token refresh requested (NEW FLOW)', { userId });
     
@@ -578,11 +741,11 @@ router.post('/powens/refresh', async (req, res, next) => {
 /**
  * @route GET /api/auth/powens/connections
  * @desc Get user's Powens connections
- * @access Public
+ * @access Private
  */
-router.get('/powens/connections', async (req, res, next) => {
+router.get('/powens/connections', authenticate, async (req, res, next) => {
   try {
-    const userId = req.user?.id || DEFAULT_USER_ID;
+    const userId = req.user.id;
     
     logger.info('📋 Powens connections requested', { userId });
     
@@ -622,12 +785,12 @@ router.get('/powens/connections', async (req, res, next) => {
 /**
  * @route DELETE /api/auth/powens/connections/:connectionId
  * @desc Delete a Powens connection
- * @access Public
+ * @access Private
  */
-router.delete('/powens/connections/:connectionId', async (req, res, next) => {
+router.delete('/powens/connections/:connectionId', authenticate, async (req, res, next) => {
   try {
     const { connectionId } = req.params;
-    const userId = req.user?.id || DEFAULT_USER_ID;
+    const userId = req.user.id;
     
     logger.info('🗑️ Powens connection deletion requested', { userId, connectionId });
     
@@ -677,11 +840,11 @@ router.delete('/powens/connections/:connectionId', async (req, res, next) => {
 /**
  * @route GET /api/auth/powens/debug/user-token
  * @desc Debug endpoint to check user's Powens token status
- * @access Public
+ * @access Private
  */
-router.get('/powens/debug/user-token', async (req, res, next) => {
+router.get('/powens/debug/user-token', authenticate, async (req, res, next) => {
   try {
-    const userId = req.user?.id || DEFAULT_USER_ID;
+    const userId = req.user.id;
     
     const userTokenData = await UserModel.getPowensToken(userId);
     
@@ -0,0 +1,297 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const BudgetModel = require('../models/Budget');
+const BudgetAlertModel = require('../models/BudgetAlert');
+const budgetService = require('../services/budgetService');
+
+// Fields a client may set on a budget
+const EDITABLE_FIELDS = ['name', 'category_id', 'amount', 'period', 'start_date', 'end_date', 'alert_threshold', 'is_active'];
+
+// Transform database format to API format
+const formatBudget = (budget) => ({
+  id: budget.id,
+  name: budget.name,
+  category_id: budget.category_id,
+  category_name: budget.category_name || null,
+  amount: parseFloat(budget.amount),
+  period: budget.period,
+  start_date: budget.start_date,
+  end_date: budget.end_date,
+  alert_threshold: parseFloat(budget.alert_threshold),
+  is_active: budget.is_active,
+  created_at: budget.created_at,
+  updated_at: budget.updated_at
+});
+
+const budgetNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'BUDGET_NOT_FOUND',
+    message: 'Budget not found',
+    details: `Budget with ID ${id} does not exist`
+  }
+});
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+/**
+ * @route GET /api/budgets
+ * @desc Get all budgets for the user
+ * @access Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const budgets = await BudgetModel.findByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Budgets retrieved successfully',
+      data: budgets.map(formatBudget),
+      meta: {
+        total: budgets.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving budgets:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/budgets/status
+ * @desc Spend against each active budget for its current period
+ * @access Private
+ */
+router.get('/status', async (req, res, next) => {
+  try {
+    const results = await budgetService.evaluateUserBudgets(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Budget status calculated',
+      data: results.filter(result => result.inPeriod),
+      meta: {
+        total: results.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error evaluating budgets:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/budgets/alerts
+ * @desc Get recorded budget threshold crossings
+ * @access Private
+ */
+router.get('/alerts', async (req, res, next) => {
+  try {
+    const { unacknowledged, budgetId, limit = 50 } = req.query;
+
+    const alerts = await BudgetAlertModel.findByUserId(req.user.id, {
+      unacknowledgedOnly: unacknowledged === 'true',
+      budgetId,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      message: 'Budget alerts retrieved',
+      data: alerts.map(alert => ({
+        id: alert.id,
+        budget_id: alert.budget_id,
+        budget_name: alert.budget_name,
+        period: alert.period,
+        period_start: alert.period_start,
+        period_end: alert.period_end,
+        threshold: parseFloat(alert.threshold),
+        spent_amount: parseFloat(alert.spent_amount),
+        budget_amount: parseFloat(alert.budget_amount),
+        acknowledged_at: alert.acknowledged_at,
+        created_at: alert.created_at
+      })),
+      meta: {
+        total: alerts.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving budget alerts:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/budgets/alerts/:alertId/acknowledge
+ * @desc Dismiss a budget alert
+ * @access Private
+ */
+router.post('/alerts/:alertId/acknowledge', async (req, res, next) => {
+  try {
+    const { alertId } = req.params;
+    const alert = await BudgetAlertModel.acknowledge(alertId, req.user.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ALERT_NOT_FOUND',
+          message: 'Alert not found',
+          details: `Alert with ID ${alertId} does not exist`
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert acknowledged',
+      data: { alertId, acknowledged_at: alert.acknowledged_at }
+    });
+  } catch (error) {
+    logger.error('Error acknowledging budget alert:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/budgets/:id
+ * @desc Get a budget with its current period status
+ * @access Private
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const budget = await BudgetModel.findById(id);
+
+    if (!budget || budget.user_id !== req.user.id) {
+      return budgetNotFound(res, id);
+    }
+
+    const status = budget.is_active ? await budgetService.evaluateBudget(budget) : null;
+
+    res.json({
+      success: true,
+      message: 'Budget retrieved successfully',
+      data: {
+        ...formatBudget(budget),
+        status
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving budget:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/budgets
+ * @desc Create a budget
+ * @access Private
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const errors = budgetService.validateBudget(req.body);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const budgetData = { user_id: req.user.id };
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) budgetData[field] = req.body[field];
+    }
+
+    const budget = await BudgetModel.create(budgetData);
+
+    logger.info('Budget created', { userId: req.user.id, budgetId: budget.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: formatBudget(budget)
+    });
+  } catch (error) {
+    logger.error('Error creating budget:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/budgets/:id
+ * @desc Update a budget
+ * @access Private
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingBudget = await BudgetModel.findById(id);
+    if (!existingBudget || existingBudget.user_id !== req.user.id) {
+      return budgetNotFound(res, id);
+    }
+
+    const errors = budgetService.validateBudget(req.body, { partial: true });
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const updateData = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return validationFailed(res, [`Provide at least one of: ${EDITABLE_FIELDS.join(', ')}`]);
+    }
+
+    const budget = await BudgetModel.update(id, updateData);
+
+    res.json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: formatBudget(budget)
+    });
+  } catch (error) {
+    logger.error('Error updating budget:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/budgets/:id
+ * @desc Delete a budget and its alerts
+ * @access Private
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingBudget = await BudgetModel.findById(id);
+    if (!existingBudget || existingBudget.user_id !== req.user.id) {
+      return budgetNotFound(res, id);
+    }
+
+    await BudgetModel.delete(id);
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully',
+      data: { budgetId: id, deleted: true }
+    });
+  } catch (error) {
+    logger.error('Error deleting budget:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
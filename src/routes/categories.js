@@ -0,0 +1,299 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const TransactionCategoryModel = require('../models/TransactionCategory');
+const categoryService = require('../services/categoryService');
+
+// Fields a client may set on a category
+const EDITABLE_FIELDS = ['name', 'parent_id', 'description', 'color', 'icon', 'sort_order'];
+
+// Transform database format to API format
+const formatCategory = (category) => ({
+  id: category.id,
+  parent_id: category.parent_id,
+  name: category.name,
+  description: category.description,
+  color: category.color,
+  icon: category.icon,
+  is_system: category.is_system,
+  is_active: category.is_active,
+  sort_order: category.sort_order,
+  ...(category.children ? { children: category.children.map(formatCategory) } : {})
+});
+
+const categoryNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'CATEGORY_NOT_FOUND',
+    message: 'Category not found',
+    details: `Category with ID ${id} does not exist`
+  }
+});
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+const categoryExists = (res, name) => res.status(409).json({
+  success: false,
+  error: {
+    code: 'CATEGORY_EXISTS',
+    message: 'Category already exists',
+    details: `A category named "${name}" already exists at this level`
+  }
+});
+
+const systemCategoryReadOnly = (res) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'SYSTEM_CATEGORY_READ_ONLY',
+    message: 'System categories cannot be modified',
+    details: 'Create your own category and merge the system category into it instead'
+  }
+});
+
+/**
+ * @route GET /api/categories
+ * @desc Get system and user categories as a tree (or a flat list with ?flat=true)
+ * @access Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { flat, includeInactive } = req.query;
+
+    const categories = await TransactionCategoryModel.findVisibleByUserId(req.user.id, {
+      includeInactive: includeInactive === 'true'
+    });
+
+    const data = flat === 'true' ? categories : categoryService.buildTree(categories);
+
+    res.json({
+      success: true,
+      message: 'Categories retrieved successfully',
+      data: data.map(formatCategory),
+      meta: {
+        total: categories.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving categories:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/categories
+ * @desc Create a category, or a subcategory when parent_id is given
+ * @access Private
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const errors = categoryService.validateCategory(req.body);
+
+    const parentError = await categoryService.checkParent(req.body.parent_id, userId);
+    if (parentError) errors.push(parentError);
+
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const name = req.body.name.trim();
+    if (await TransactionCategoryModel.findByName(userId, name, req.body.parent_id || null)) {
+      return categoryExists(res, name);
+    }
+
+    const categoryData = { user_id: userId };
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) categoryData[field] = req.body[field];
+    }
+    categoryData.name = name;
+
+    const category = await TransactionCategoryModel.create(categoryData);
+
+    logger.info('Category created', { userId, categoryId: category.id, parentId: category.parent_id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: formatCategory(category)
+    });
+  } catch (error) {
+    logger.error('Error creating category:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/categories/:id
+ * @desc Update or rename a user category; transactions filed under it are re-labelled
+ * @access Private
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const existingCategory = await TransactionCategoryModel.findById(id);
+    if (!categoryService.isVisibleTo(existingCategory, userId)) {
+      return categoryNotFound(res, id);
+    }
+    if (existingCategory.user_id === null) {
+      return systemCategoryReadOnly(res);
+    }
+
+    const errors = categoryService.validateCategory(req.body, { partial: true });
+    if (req.body.parent_id !== undefined) {
+      const parentError = await categoryService.checkParent(req.body.parent_id, userId, id);
+      if (parentError) errors.push(parentError);
+    }
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const updateData = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+    if (updateData.name !== undefined) updateData.name = updateData.name.trim();
+
+    if (Object.keys(updateData).length === 0) {
+      return validationFailed(res, [`Provide at least one of: ${EDITABLE_FIELDS.join(', ')}`]);
+    }
+
+    if (updateData.name !== undefined || updateData.parent_id !== undefined) {
+      const name = updateData.name ?? existingCategory.name;
+      const parentId = updateData.parent_id !== undefined ? updateData.parent_id : existingCategory.parent_id;
+      const clash = await TransactionCategoryModel.findByName(userId, name, parentId);
+      if (clash && clash.id !== id) {
+        return categoryExists(res, name);
+      }
+    }
+
+    const { category, relabelled } = await TransactionCategoryModel.update(id, userId, updateData);
+
+    logger.info('Category updated', { userId, categoryId: id, relabelled });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: {
+        ...formatCategory(category),
+        relabelled_transactions: relabelled
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating category:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/categories/:id/merge
+ * @desc Merge a category into another, moving its transactions, budgets and subcategories
+ * @access Private
+ */
+router.post('/:id/merge', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { target_id } = req.body;
+    const userId = req.user.id;
+
+    const source = await TransactionCategoryModel.findById(id);
+    if (!categoryService.isVisibleTo(source, userId)) {
+      return categoryNotFound(res, id);
+    }
+
+    if (!target_id) {
+      return validationFailed(res, ['target_id is required']);
+    }
+
+    const target = await TransactionCategoryModel.findById(target_id);
+    if (!categoryService.isVisibleTo(target, userId)) {
+      return validationFailed(res, ['target_id does not reference an existing category']);
+    }
+    if (target.id === source.id) {
+      return validationFailed(res, ['A category cannot be merged into itself']);
+    }
+    if (target.parent_id === source.id) {
+      return validationFailed(res, ['A category cannot be merged into one of its own subcategories']);
+    }
+
+    const result = await categoryService.mergeCategories(source, target, userId);
+
+    res.json({
+      success: true,
+      message: 'Categories merged successfully',
+      data: {
+        source_id: source.id,
+        target_id: target.id,
+        source_deleted: source.user_id === userId,
+        moved_transactions: result.movedTransactions,
+        relabelled_transactions: result.relabelled
+      }
+    });
+  } catch (error) {
+    logger.error('Error merging categories:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/categories/:id
+ * @desc Delete a user category; its transactions move to the parent category or become uncategorized
+ * @access Private
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const existingCategory = await TransactionCategoryModel.findById(id);
+    if (!categoryService.isVisibleTo(existingCategory, userId)) {
+      return categoryNotFound(res, id);
+    }
+    if (existingCategory.user_id === null) {
+      return systemCategoryReadOnly(res);
+    }
+
+    if (await TransactionCategoryModel.countChildren(id, userId) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CATEGORY_HAS_SUBCATEGORIES',
+          message: 'Category has subcategories',
+          details: 'Delete or merge its subcategories first, or merge the category into another one'
+        }
+      });
+    }
+
+    const { movedTransactions, budgetCount } = await TransactionCategoryModel.delete(id, userId);
+    if (budgetCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CATEGORY_HAS_BUDGETS',
+          message: 'Category has budgets',
+          details: `${budgetCount} budget(s) track this category. Delete them or move them to another category first, or merge the category into another one`
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: { categoryId: id, deleted: true, moved_transactions: movedTransactions }
+    });
+  } catch (error) {
+    logger.error('Error deleting category:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const TransactionModel = require('../models/Transaction');
+const TransactionCategoryModel = require('../models/TransactionCategory');
+const categoryService = require('../services/categoryService');
+const categorizerService = require('../services/categorizerService');
+
+const transactionNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'TRANSACTION_NOT_FOUND',
+    message: 'Transaction not found',
+    details: `Transaction with ID ${id} does not exist`
+  }
+});
+
+/**
+ * @route GET /api/categorizer/status
+ * @desc Training status of the user's categorizer
+ * @access Private
+ */
+router.get('/status', async (req, res, next) => {
+  try {
+    const status = await categorizerService.getStatus(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Categorizer status retrieved',
+      data: status
+    });
+  } catch (error) {
+    logger.error('Error retrieving categorizer status:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/categorizer/run
+ * @desc Classify imported transactions that have not been classified yet
+ * @access Private
+ */
+router.post('/run', async (req, res, next) => {
+  try {
+    const result = await categorizerService.classifyPending(req.user.id);
+
+    res.json({
+      success: true,
+      message: result.ready ? 'Categorizer run completed' : 'Not enough manual corrections to train the categorizer yet',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error running categorizer:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/categorizer/review
+ * @desc Transactions whose suggested category was below the confidence threshold
+ * @access Private
+ */
+router.get('/review', async (req, res, next) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const rows = await TransactionModel.findNeedingReview(req.user.id, {
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      message: 'Review queue retrieved',
+      data: rows.map(row => ({
+        id: row.id,
+        account_id: row.account_id,
+        date: row.transaction_date,
+        description: row.description,
+        merchant_name: row.merchant_name,
+        amount: parseFloat(row.amount),
+        category: row.category,
+        subcategory: row.subcategory,
+        suggestion: row.suggested_category_id ? {
+          category_id: row.suggested_category_id,
+          category: row.suggested_category,
+          subcategory: row.suggested_subcategory,
+          confidence: parseFloat(row.category_confidence)
+        } : null
+      })),
+      meta: {
+        total: rows.length > 0 ? parseInt(rows[0].total_count) : 0,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving review queue:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/categorizer/review/:transactionId
+ * @desc Resolve a queued transaction: accept the suggestion, or pass category_id to correct it
+ * @access Private
+ */
+router.post('/review/:transactionId', async (req, res, next) => {
+  try {
+    const { transactionId } = req.params;
+    const transaction = await TransactionModel.findById(transactionId);
+
+    if (!transaction || transaction.user_id !== req.user.id) {
+      return transactionNotFound(res, transactionId);
+    }
+
+    const categoryId = req.body.category_id || transaction.suggested_category_id;
+    const category = categoryId ? await TransactionCategoryModel.findById(categoryId) : null;
+
+    if (!categoryService.isVisibleTo(category, req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: [req.body.category_id
+            ? 'category_id does not reference an existing category'
+            : 'Transaction has no suggestion; provide category_id']
+        }
+      });
+    }
+
+    const updated = await TransactionModel.setCategory(transactionId, categoryId);
+    categorizerService.invalidate(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Transaction reviewed',
+      data: {
+        id: updated.id,
+        category_id: updated.category_id,
+        category: updated.category,
+        subcategory: updated.subcategory,
+        accepted_suggestion: categoryId === transaction.suggested_category_id
+      }
+    });
+  } catch (error) {
+    logger.error('Error reviewing transaction:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/categorizer/suggestions/:transactionId
+ * @desc Suggested category for a transaction, with confidence
+ * @access Private
+ */
+router.get('/suggestions/:transactionId', async (req, res, next) => {
+  try {
+    const { transactionId } = req.params;
+    const transaction = await TransactionModel.findById(transactionId);
+
+    if (!transaction || transaction.user_id !== req.user.id) {
+      return transactionNotFound(res, transactionId);
+    }
+
+    const suggestion = await categorizerService.suggest(req.user.id, transaction);
+
+    res.json({
+      success: true,
+      message: suggestion ? 'Suggestion generated' : 'Not enough manual corrections to train the categorizer yet',
+      data: suggestion
+    });
+  } catch (error) {
+    logger.error('Error generating category suggestion:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,340 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { requireAdmin } = require('../middleware/auth');
+const { toIsoDate } = require('../utils/recurrence');
+const CryptoWalletModel = require('../models/CryptoWallet');
+const CryptoHoldingModel = require('../models/CryptoHolding');
+const CryptoPriceModel = require('../models/CryptoPrice');
+const holdingService = require('../services/crypto/holdingService');
+
+// Fields a client may set on a wallet
+const EDITABLE_FIELDS = ['name', 'is_active'];
+
+// Transform database format to API format
+const formatWallet = (wallet) => ({
+  id: wallet.id,
+  name: wallet.name,
+  provider: wallet.provider,
+  is_active: wallet.is_active,
+  created_at: wallet.created_at,
+  updated_at: wallet.updated_at
+});
+
+const formatPrice = (price) => ({
+  asset: price.asset,
+  currency: price.currency,
+  price: parseFloat(price.price),
+  price_date: toIsoDate(price.price_date),
+  source: price.source
+});
+
+const walletNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'WALLET_NOT_FOUND',
+    message: 'Wallet not found',
+    details: `Wallet with ID ${id} does not exist`
+  }
+});
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+/**
+ * @route GET /api/crypto/holdings
+ * @desc Get the user's crypto holdings valued in their currency
+ * @access Private
+ */
+router.get('/holdings', async (req, res, next) => {
+  try {
+    const valuation = await holdingService.getValuation(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Crypto holdings retrieved successfully',
+      data: valuation,
+      meta: {
+        total: valuation.holdings.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving crypto holdings:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/crypto/wallets
+ * @desc Get the user's crypto wallets
+ * @access Private
+ */
+router.get('/wallets', async (req, res, next) => {
+  try {
+    const wallets = await CryptoWalletModel.findByUserId(req.user.id, req.query.includeInactive === 'true');
+
+    res.json({
+      success: true,
+      message: 'Crypto wallets retrieved successfully',
+      data: wallets.map(formatWallet),
+      meta: {
+        total: wallets.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving crypto wallets:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/crypto/wallets
+ * @desc Add a wallet whose holdings are kept up to date by hand (a hardware wallet, another exchange)
+ * @access Private
+ */
+router.post('/wallets', async (req, res, next) => {
+  try {
+    const errors = holdingService.validateWallet(req.body);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const wallet = await CryptoWalletModel.create({
+      user_id: req.user.id,
+      name: req.body.name.trim(),
+      provider: 'manual'
+    });
+
+    logger.info('Crypto wallet created', { userId: req.user.id, walletId: wallet.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Crypto wallet created successfully',
+      data: formatWallet(wallet)
+    });
+  } catch (error) {
+    logger.error('Error creating crypto wallet:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/crypto/wallets/:id
+ * @desc Rename a wallet or leave it out of valuations (is_active: false)
+ * @access Private
+ */
+router.put('/wallets/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingWallet = await CryptoWalletModel.findById(id);
+    if (!existingWallet || existingWallet.user_id !== req.user.id) {
+      return walletNotFound(res, id);
+    }
+
+    const errors = holdingService.validateWallet(req.body, { partial: true });
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const updateData = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return validationFailed(res, [`Provide at least one of: ${EDITABLE_FIELDS.join(', ')}`]);
+    }
+    if (updateData.name) updateData.name = updateData.name.trim();
+
+    const wallet = await CryptoWalletModel.update(id, updateData);
+
+    res.json({
+      success: true,
+      message: 'Crypto wallet updated successfully',
+      data: formatWallet(wallet)
+    });
+  } catch (error) {
+    logger.error('Error updating crypto wallet:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/crypto/wallets/:id
+ * @desc Delete a manual wallet and its holdings
+ * @access Private
+ */
+router.delete('/wallets/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingWallet = await CryptoWalletModel.findById(id);
+    if (!existingWallet || existingWallet.user_id !== req.user.id) {
+      return walletNotFound(res, id);
+    }
+    if (existingWallet.provider !== 'manual') {
+      return validationFailed(res, [`The ${existingWallet.name} wallet is fed by deposits; set is_active to false to hide it`]);
+    }
+
+    await CryptoWalletModel.delete(id);
+
+    res.json({
+      success: true,
+      message: 'Crypto wallet deleted successfully',
+      data: { walletId: id, deleted: true }
+    });
+  } catch (error) {
+    logger.error('Error deleting crypto wallet:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/crypto/wallets/:id/holdings/:asset
+ * @desc Set the quantity of an asset held in a wallet (also corrects a provider wallet after a withdrawal)
+ * @access Private
+ */
+router.put('/wallets/:id/holdings/:asset', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const wallet = await CryptoWalletModel.findById(id);
+    if (!wallet || wallet.user_id !== req.user.id) {
+      return walletNotFound(res, id);
+    }
+
+    const asset = holdingService.normalizeAsset(req.params.asset);
+    const errors = [
+      ...(asset ? [] : ['asset must be an asset symbol such as BTC or USDT_ETH']),
+      ...holdingService.validateQuantity(req.body.quantity)
+    ];
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const holding = await CryptoHoldingModel.upsert({
+      wallet_id: wallet.id,
+      user_id: req.user.id,
+      asset,
+      quantity: req.body.quantity
+    });
+
+    res.json({
+      success: true,
+      message: 'Crypto holding updated successfully',
+      data: {
+        id: holding.id,
+        walletId: holding.wallet_id,
+        asset: holding.asset,
+        quantity: holding.quantity,
+        updatedAt: holding.updated_at
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating crypto holding:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/crypto/holdings/:id
+ * @desc Remove an asset from a wallet
+ * @access Private
+ */
+router.delete('/holdings/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingHolding = await CryptoHoldingModel.findById(id);
+    if (!existingHolding || existingHolding.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'HOLDING_NOT_FOUND',
+          message: 'Holding not found',
+          details: `Holding with ID ${id} does not exist`
+        }
+      });
+    }
+
+    await CryptoHoldingModel.delete(id);
+
+    res.json({
+      success: true,
+      message: 'Crypto holding deleted successfully',
+      data: { holdingId: id, deleted: true }
+    });
+  } catch (error) {
+    logger.error('Error deleting crypto holding:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/crypto/prices
+ * @desc Latest stored price per asset on or before a date (used by the 'table' price source)
+ * @access Private
+ */
+router.get('/prices', async (req, res, next) => {
+  try {
+    const { date } = req.query;
+    if (date !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date)))) {
+      return validationFailed(res, ['date must be a date (YYYY-MM-DD)']);
+    }
+
+    const prices = await CryptoPriceModel.findLatest(null, date || null);
+
+    res.json({
+      success: true,
+      message: 'Crypto prices retrieved successfully',
+      data: prices.map(formatPrice),
+      meta: {
+        total: prices.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving crypto prices:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/crypto/prices
+ * @desc Store asset prices for the 'table' price source; prices are shared by all users
+ * @access Admin
+ */
+router.post('/prices', requireAdmin, async (req, res, next) => {
+  try {
+    const { prices, errors } = holdingService.parsePrices(req.body.prices);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const rows = await CryptoPriceModel.upsertMany(prices, 'manual');
+
+    res.status(201).json({
+      success: true,
+      message: 'Crypto prices stored successfully',
+      data: rows.map(formatPrice),
+      meta: {
+        total: rows.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error storing crypto prices:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
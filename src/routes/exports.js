@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const exportService = require('../services/exports/exportService');
+const { parseTransactionFilters } = require('../utils/transactionFilters');
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+/**
+ * Write a chunk, waiting for the socket to drain when its buffer is full.
+ * Rejects if the client goes away so the database cursor is released.
+ */
+const writeChunk = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed) {
+    reject(new Error('Client closed the connection during export'));
+    return;
+  }
+  if (!chunk || res.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const onDrain = () => {
+    res.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    res.off('drain', onDrain);
+    reject(new Error('Client closed the connection during export'));
+  };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+/**
+ * @route GET /api/exports
+ * @desc List the supported export formats
+ * @access Private
+ */
+router.get('/', (req, res) => {
+  const formats = exportService.getFormats();
+
+  res.json({
+    success: true,
+    message: 'Export formats retrieved',
+    data: {
+      transactions: formats,
+      accounts: ['csv', 'ndjson']
+    },
+    meta: {
+      total: formats.length,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * @route GET /api/exports/transactions
+ * @desc Stream transactions as CSV, OFX, NDJSON, Beancount or hledger, with the GET /api/transactions filters
+ * @access Private
+ */
+router.get('/transactions', async (req, res, next) => {
+  const userId = req.user.id;
+  const format = (req.query.format || 'csv').toLowerCase();
+
+  try {
+    const errors = [];
+    if (!exportService.isSupportedFormat(format)) {
+      errors.push(`format must be one of: ${exportService.getFormats().map(f => f.format).join(', ')}`);
+    }
+    const { filters, errors: filterErrors } = parseTransactionFilters(req.query);
+    errors.push(...filterErrors);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const { contentType } = exportService.getFormats().find(f => f.format === format);
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportService.buildFilename('transactions', format, filters)}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    logger.info('Transaction export requested', { userId, format, filters });
+
+    await exportService.streamTransactions(userId, filters, format, (chunk) => writeChunk(res, chunk));
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      // The status line is gone; cut the connection so the client sees a truncated download
+      logger.error('Transaction export aborted:', { userId, format, error: error.message });
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader('Content-Disposition');
+    logger.error('Error exporting transactions:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/exports/accounts
+ * @desc Export accounts with their ledger account names as CSV or NDJSON
+ * @access Private
+ */
+router.get('/accounts', async (req, res, next) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!exportService.isSupportedAccountFormat(format)) {
+      return validationFailed(res, ['format must be one of: csv, ndjson']);
+    }
+
+    const content = await exportService.exportAccounts(req.user.id, format);
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportService.buildFilename('accounts', format)}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(content);
+  } catch (error) {
+    logger.error('Error exporting accounts:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const fireService = require('../services/fireService');
+const fireSimulationService = require('../services/fireSimulationService');
+
+// Accepted assumption parameters and their valid ranges
+const PROJECTION_PARAMS = {
+  withdrawalRate: { min: 0.001, max: 0.2 },
+  returnRate: { min: -0.5, max: 0.5 },
+  inflationRate: { min: -0.1, max: 0.5 },
+  leanFactor: { min: 0, max: 1 },
+  fatFactor: { min: 1, max: 10 },
+  baristaIncome: { min: 0, max: Infinity },
+  currentAge: { min: 0, max: 120 },
+  retirementAge: { min: 0, max: 120 }
+};
+
+// Parse numeric parameters against their ranges, collecting validation errors
+const parseNumericParams = (source, spec) => {
+  const values = {};
+  const errors = [];
+
+  for (const [name, { min, max }] of Object.entries(spec)) {
+    if (source[name] === undefined || source[name] === '') continue;
+
+    const value = Number(source[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${name} must be a number between ${min} and ${max}`);
+      continue;
+    }
+    values[name] = value;
+  }
+
+  return { values, errors };
+};
+
+/**
+ * @route GET /api/fire/projection
+ * @desc FIRE number, Lean/Fat/Coast/Barista variants and projected FI year
+ * @access Private
+ */
+router.get('/projection', async (req, res, next) => {
+  try {
+    const { values, errors } = parseNumericParams(req.query, PROJECTION_PARAMS);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errors
+        }
+      });
+    }
+
+    const { currentAge, ...assumptions } = values;
+    const profile = {
+      currentAge: currentAge ?? fireService.ageFromDateOfBirth(req.user.date_of_birth)
+    };
+
+    logger.info('FIRE projection requested', { userId: req.user.id, assumptions });
+
+    const projection = await fireService.getProjection(req.user.id, assumptions, profile);
+
+    res.json({
+      success: true,
+      message: 'FIRE projection calculated',
+      data: projection,
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error calculating FIRE projection:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/fire/simulations
+ * @desc Monte Carlo simulation of portfolio survival with P10/P50/P90 bands per year
+ * @access Private
+ */
+router.post('/simulations', async (req, res, next) => {
+  try {
+    const input = req.body || {};
+    const errors = fireSimulationService.validateInput(input);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errors
+        }
+      });
+    }
+
+    logger.info('FIRE simulation requested', {
+      userId: req.user.id,
+      simulations: input.simulations,
+      seed: input.seed
+    });
+
+    const result = await fireSimulationService.runForUser(req.user.id, input);
+
+    res.json({
+      success: true,
+      message: 'FIRE simulation completed',
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error running FIRE simulation:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
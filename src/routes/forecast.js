@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { toIsoDate } = require('../utils/recurrence');
+const PlannedItemModel = require('../models/PlannedItem');
+const BankAccountModel = require('../models/BankAccount');
+const forecastService = require('../services/forecastService');
+
+// Fields a client may set on a planned item
+const EDITABLE_FIELDS = ['account_id', 'name', 'amount', 'planned_date', 'category', 'notes'];
+
+// Transform database format to API format
+const formatPlannedItem = (item) => ({
+  id: item.id,
+  account_id: item.account_id,
+  account_name: item.account_name,
+  name: item.name,
+  amount: parseFloat(item.amount),
+  planned_date: toIsoDate(item.planned_date),
+  category: item.category,
+  notes: item.notes,
+  created_at: item.created_at,
+  updated_at: item.updated_at
+});
+
+const plannedItemNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'PLANNED_ITEM_NOT_FOUND',
+    message: 'Planned item not found',
+    details: `Planned item with ID ${id} does not exist`
+  }
+});
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+// Check that an account belongs to the user
+const ownsAccount = async (userId, accountId) => {
+  const account = await BankAccountModel.findById(accountId);
+  return Boolean(account && account.user_id === userId);
+};
+
+/**
+ * @route GET /api/forecast
+ * @desc Projected daily balances per account for the next N months, with overdraft alerts for checking accounts
+ * @access Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { options, errors } = forecastService.parseForecastQuery(req.query);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const forecast = await forecastService.getForecast(req.user.id, options);
+
+    res.json({
+      success: true,
+      message: forecast.alerts.length > 0
+        ? 'Forecast computed; a checking account is projected to go negative'
+        : 'Forecast computed successfully',
+      data: forecast,
+      meta: {
+        total: forecast.accounts.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error computing forecast:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/forecast/items
+ * @desc Get the user's planned one-off items
+ * @access Private
+ */
+router.get('/items', async (req, res, next) => {
+  try {
+    const items = await PlannedItemModel.findByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Planned items retrieved successfully',
+      data: items.map(formatPlannedItem),
+      meta: {
+        total: items.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving planned items:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/forecast/items
+ * @desc Add a one-off planned income or expense (a tax payment, a vacation)
+ * @access Private
+ */
+router.post('/items', async (req, res, next) => {
+  try {
+    const errors = forecastService.validatePlannedItem(req.body);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+    if (!(await ownsAccount(req.user.id, req.body.account_id))) {
+      return validationFailed(res, ['account_id does not match one of your accounts']);
+    }
+
+    const itemData = { user_id: req.user.id };
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) itemData[field] = req.body[field];
+    }
+    itemData.name = itemData.name.trim();
+
+    const created = await PlannedItemModel.create(itemData);
+    const item = await PlannedItemModel.findById(created.id);
+
+    logger.info('Planned item created', { userId: req.user.id, itemId: item.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Planned item created successfully',
+      data: formatPlannedItem(item)
+    });
+  } catch (error) {
+    logger.error('Error creating planned item:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/forecast/items/:id
+ * @desc Update a planned item
+ * @access Private
+ */
+router.put('/items/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingItem = await PlannedItemModel.findById(id);
+    if (!existingItem || existingItem.user_id !== req.user.id) {
+      return plannedItemNotFound(res, id);
+    }
+
+    const errors = forecastService.validatePlannedItem(req.body, { partial: true });
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+    if (req.body.account_id !== undefined && !(await ownsAccount(req.user.id, req.body.account_id))) {
+      return validationFailed(res, ['account_id does not match one of your accounts']);
+    }
+
+    const updateData = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return validationFailed(res, [`Provide at least one of: ${EDITABLE_FIELDS.join(', ')}`]);
+    }
+
+    const item = await PlannedItemModel.update(id, updateData);
+
+    res.json({
+      success: true,
+      message: 'Planned item updated successfully',
+      data: formatPlannedItem(item)
+    });
+  } catch (error) {
+    logger.error('Error updating planned item:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/forecast/items/:id
+ * @desc Delete a planned item
+ * @access Private
+ */
+router.delete('/items/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingItem = await PlannedItemModel.findById(id);
+    if (!existingItem || existingItem.user_id !== req.user.id) {
+      return plannedItemNotFound(res, id);
+    }
+
+    await PlannedItemModel.delete(id);
+
+    res.json({
+      success: true,
+      message: 'Planned item deleted successfully',
+      data: { itemId: id, deleted: true }
+    });
+  } catch (error) {
+    logger.error('Error deleting planned item:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
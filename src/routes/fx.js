@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { requireAdmin } = require('../middleware/auth');
+const { toIsoDate } = require('../utils/recurrence');
+const FxRateModel = require('../models/FxRate');
+const fxService = require('../services/fxService');
+
+// File formats accepted by the ECB rates import
+const IMPORT_FORMATS = ['auto', 'xml', 'csv'];
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+/**
+ * @route GET /api/fx/rates
+ * @desc Euro reference rates in effect on a date (today by default), with the user's reporting currency
+ * @access Private
+ */
+router.get('/rates', async (req, res, next) => {
+  try {
+    const { date } = req.query;
+    if (date !== undefined && !fxService.parseDate(date)) {
+      return validationFailed(res, ['date must be a valid YYYY-MM-DD date']);
+    }
+
+    const [rates, coverage, currency] = await Promise.all([
+      FxRateModel.findOnDate(date || null),
+      FxRateModel.getCoverage(),
+      fxService.getUserCurrency(req.user.id)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Exchange rates retrieved successfully',
+      data: {
+        base: 'EUR',
+        date: date || toIsoDate(new Date()),
+        currency,
+        rates: rates.map(rate => ({
+          currency: rate.quote_currency,
+          rate: parseFloat(rate.rate),
+          rate_date: toIsoDate(rate.rate_date),
+          source: rate.source
+        })),
+        coverage: coverage.map(row => ({
+          currency: row.quote_currency,
+          first_date: toIsoDate(row.first_date),
+          last_date: toIsoDate(row.last_date),
+          rate_count: parseInt(row.rate_count) || 0
+        }))
+      },
+      meta: {
+        total: rates.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving exchange rates:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/fx/rates/import
+ * @desc Load an ECB euro reference rate file (daily or historical, XML or CSV); rates are shared by all users
+ * @access Admin
+ */
+router.post('/rates/import', requireAdmin, async (req, res, next) => {
+  try {
+    const { content, format = 'auto' } = req.body;
+
+    if (typeof content !== 'string' || content.trim() === '') {
+      return validationFailed(res, ['content must contain the ECB rates file as text']);
+    }
+    if (!IMPORT_FORMATS.includes(format)) {
+      return validationFailed(res, [`format must be one of: ${IMPORT_FORMATS.join(', ')}`]);
+    }
+
+    let parsed;
+    try {
+      parsed = fxService.parseFile(content, { format });
+    } catch (parseError) {
+      return validationFailed(res, [parseError.message]);
+    }
+    if (parsed.rates.length === 0) {
+      return validationFailed(res, parsed.errors.length > 0 ? parsed.errors.slice(0, 20) : ['No rates found in the file']);
+    }
+
+    const result = await fxService.importRates(parsed);
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rates imported successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error importing exchange rates:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
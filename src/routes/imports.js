@@ -0,0 +1,418 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const ImportProfileModel = require('../models/ImportProfile');
+const ImportBatchModel = require('../models/ImportBatch');
+const importService = require('../services/imports/importService');
+const csvImportService = require('../services/imports/csvImportService');
+const ofxImportService = require('../services/imports/ofxImportService');
+const qifImportService = require('../services/imports/qifImportService');
+const camtImportService = require('../services/imports/camtImportService');
+
+// Fields a client may set on an import profile
+const PROFILE_FIELDS = [
+  'name', 'delimiter', 'has_header', 'skip_rows', 'date_format',
+  'decimal_separator', 'thousands_separator', 'sign_convention', 'columns', 'default_currency'
+];
+
+const profileNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'IMPORT_PROFILE_NOT_FOUND',
+    message: 'Import profile not found',
+    details: `Import profile with ID ${id} does not exist`
+  }
+});
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+/**
+ * @route GET /api/imports
+ * @desc Get the user's import history
+ * @access Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const batches = await ImportBatchModel.findByUserId(req.user.id, {
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      message: 'Import history retrieved',
+      data: batches,
+      meta: {
+        total: batches.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving import history:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/imports/profiles
+ * @desc Get the user's CSV mapping profiles
+ * @access Private
+ */
+router.get('/profiles', async (req, res, next) => {
+  try {
+    const profiles = await ImportProfileModel.findByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Import profiles retrieved',
+      data: profiles,
+      meta: {
+        total: profiles.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving import profiles:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/imports/profiles
+ * @desc Create a CSV mapping profile
+ * @access Private
+ */
+router.post('/profiles', async (req, res, next) => {
+  try {
+    const errors = csvImportService.validateProfile(req.body);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const profileData = { user_id: req.user.id };
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) profileData[field] = req.body[field];
+    }
+    profileData.name = profileData.name.trim();
+
+    const profile = await ImportProfileModel.create(profileData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Import profile created',
+      data: profile
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return validationFailed(res, ['An import profile with this name already exists']);
+    }
+    logger.error('Error creating import profile:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/imports/profiles/:id
+ * @desc Update a CSV mapping profile
+ * @access Private
+ */
+router.put('/profiles/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingProfile = await ImportProfileModel.findById(id);
+    if (!existingProfile || existingProfile.user_id !== req.user.id) {
+      return profileNotFound(res, id);
+    }
+
+    const errors = csvImportService.validateProfile(req.body, { partial: true });
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const updateData = {};
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return validationFailed(res, [`Provide at least one of: ${PROFILE_FIELDS.join(', ')}`]);
+    }
+
+    const profile = await ImportProfileModel.update(id, updateData);
+
+    res.json({
+      success: true,
+      message: 'Import profile updated',
+      data: profile
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return validationFailed(res, ['An import profile with this name already exists']);
+    }
+    logger.error('Error updating import profile:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/imports/profiles/:id
+ * @desc Delete a CSV mapping profile
+ * @access Private
+ */
+router.delete('/profiles/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingProfile = await ImportProfileModel.findById(id);
+    if (!existingProfile || existingProfile.user_id !== req.user.id) {
+      return profileNotFound(res, id);
+    }
+
+    await ImportProfileModel.delete(id);
+
+    res.json({
+      success: true,
+      message: 'Import profile deleted',
+      data: { profileId: id, deleted: true }
+    });
+  } catch (error) {
+    logger.error('Error deleting import profile:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/imports/csv
+ * @desc Import a CSV statement into a manual account using a saved or inline mapping profile
+ * @access Private
+ */
+router.post('/csv', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { content, filename, profile_id, profile: inlineProfile, account_id, account, dry_run = false } = req.body;
+
+    if (typeof content !== 'string' || content.trim() === '') {
+      return validationFailed(res, ['content must contain the CSV file as text']);
+    }
+
+    let profile = inlineProfile;
+    if (profile_id) {
+      profile = await ImportProfileModel.findById(profile_id);
+      if (!profile || profile.user_id !== userId) {
+        return profileNotFound(res, profile_id);
+      }
+    } else {
+      const errors = csvImportService.validateProfile({ name: 'inline', ...(inlineProfile || {}) });
+      if (!inlineProfile || errors.length > 0) {
+        return validationFailed(res, inlineProfile ? errors : ['Provide profile_id or an inline profile']);
+      }
+    }
+
+    const { account: targetAccount, error: accountError } = await importService.resolveAccount(
+      userId, { account_id, account }, { create: dry_run !== true }
+    );
+    if (accountError) {
+      return validationFailed(res, [accountError]);
+    }
+
+    const { rows, errors: parseErrors } = csvImportService.parse(content, profile);
+    if (rows.length === 0 && parseErrors.length > 0 && parseErrors[0].row === null) {
+      return validationFailed(res, [parseErrors[0].message]);
+    }
+
+    const summary = await importService.importRows(userId, targetAccount, rows, {
+      sourceFormat: 'csv',
+      filename,
+      fileHash: importService.hashContent(content),
+      profileId: profile_id || null,
+      dryRun: dry_run === true,
+      parseErrors
+    });
+
+    res.status(dry_run === true ? 200 : 201).json({
+      success: true,
+      message: dry_run === true ? 'CSV import preview' : 'CSV import completed',
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Error importing CSV:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/imports/ofx
+ * @desc Import an OFX or QFX file (1.x SGML or 2.x XML); each statement goes to its own manual account
+ * @access Private
+ */
+router.post('/ofx', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { content, filename, account_id, account, dry_run = false } = req.body;
+
+    if (typeof content !== 'string' || content.trim() === '') {
+      return validationFailed(res, ['content must contain the OFX file as text']);
+    }
+
+    let statements;
+    try {
+      ({ statements } = ofxImportService.parse(content));
+    } catch (parseError) {
+      return validationFailed(res, [parseError.message]);
+    }
+
+    const { results, error } = await importService.importStatements(userId, statements, {
+      account_id,
+      account,
+      sourceFormat: 'ofx',
+      filename,
+      fileHash: importService.hashContent(content),
+      dryRun: dry_run === true
+    });
+    if (error) {
+      return validationFailed(res, [error]);
+    }
+
+    res.status(dry_run === true ? 200 : 201).json({
+      success: true,
+      message: dry_run === true ? 'OFX import preview' : 'OFX import completed',
+      data: results,
+      meta: {
+        total: results.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error importing OFX:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/imports/qif
+ * @desc Import a QIF file; files without an !Account header need account_id or account
+ * @access Private
+ */
+router.post('/qif', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const {
+      content,
+      filename,
+      account_id,
+      account,
+      date_format = 'MM/DD/YYYY',
+      decimal_separator = '.',
+      dry_run = false
+    } = req.body;
+
+    const errors = [];
+    if (typeof content !== 'string' || content.trim() === '') {
+      errors.push('content must contain the QIF file as text');
+    }
+    if (!qifImportService.isValidDateFormat(date_format)) {
+      errors.push('date_format must contain YYYY (or YY), MM (or M) and DD (or D), e.g. DD/MM/YYYY');
+    }
+    if (!['.', ','].includes(decimal_separator)) {
+      errors.push('decimal_separator must be "." or ","');
+    }
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const { statements } = qifImportService.parse(content, {
+      dateFormat: date_format,
+      decimalSeparator: decimal_separator
+    });
+    if (statements.length === 0) {
+      return validationFailed(res, ['No bank, cash, credit card or investment transactions found in the QIF file']);
+    }
+
+    const { results, error } = await importService.importStatements(userId, statements, {
+      account_id,
+      account,
+      sourceFormat: 'qif',
+      filename,
+      fileHash: importService.hashContent(content),
+      dryRun: dry_run === true
+    });
+    if (error) {
+      return validationFailed(res, [error]);
+    }
+
+    res.status(dry_run === true ? 200 : 201).json({
+      success: true,
+      message: dry_run === true ? 'QIF import preview' : 'QIF import completed',
+      data: results,
+      meta: {
+        total: results.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error importing QIF:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/imports/camt
+ * @desc Import an ISO 20022 camt.053 statement or camt.052 account report
+ * @access Private
+ */
+router.post('/camt', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { content, filename, account_id, account, dry_run = false } = req.body;
+
+    if (typeof content !== 'string' || content.trim() === '') {
+      return validationFailed(res, ['content must contain the camt XML file as text']);
+    }
+
+    let parsed;
+    try {
+      parsed = camtImportService.parse(content);
+    } catch (parseError) {
+      return validationFailed(res, [parseError.message]);
+    }
+
+    const { results, error } = await importService.importStatements(userId, parsed.statements, {
+      account_id,
+      account,
+      sourceFormat: parsed.format,
+      // An entry keeps its bank reference from the intraday camt.052 to the camt.053 statement
+      idScope: 'camt',
+      filename,
+      fileHash: importService.hashContent(content),
+      dryRun: dry_run === true
+    });
+    if (error) {
+      return validationFailed(res, [error]);
+    }
+
+    res.status(dry_run === true ? 200 : 201).json({
+      success: true,
+      message: dry_run === true ? `${parsed.format} import preview` : `${parsed.format} import completed`,
+      data: results,
+      meta: {
+        total: results.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error importing camt file:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
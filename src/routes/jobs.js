@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const JobModel = require('../models/Job');
+
+const jobNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'JOB_NOT_FOUND',
+    message: 'Job not found',
+    details: `Job with ID ${id} does not exist`
+  }
+});
+
+// Transform a database job into the API shape
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.max_attempts,
+  progress: job.progress,
+  result: job.result,
+  lastError: job.last_error,
+  nextAttemptAt: job.status === 'queued' || job.status === 'retrying' ? job.run_at : null,
+  createdAt: job.created_at,
+  startedAt: job.started_at,
+  completedAt: job.completed_at
+});
+
+/**
+ * @route GET /api/jobs/:id
+ * @desc Status, progress and result of a background job. A job that queued other jobs
+ *       (e.g. a sync of all connections) lists them with a count per status.
+ * @access Private
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const job = await JobModel.findById(req.params.id);
+    if (!job || job.user_id !== req.user.id) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    const data = formatJob(job);
+
+    const childIds = job.result?.jobIds || [];
+    if (childIds.length > 0) {
+      const children = await JobModel.findByIds(childIds);
+      data.jobs = children.map(formatJob);
+      data.jobSummary = children.reduce((summary, child) => {
+        summary[child.status] = (summary[child.status] || 0) + 1;
+        return summary;
+      }, { total: children.length });
+    }
+
+    res.json({
+      success: true,
+      data,
+      meta: { timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Error fetching job:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
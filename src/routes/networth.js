@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const netWorthService = require('../services/netWorthService');
+const fxService = require('../services/fxService');
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+/**
+ * @route GET /api/networth/history
+ * @desc Assets, liabilities and net worth at the end of each day, week or month
+ * @access Private
+ */
+router.get('/history', async (req, res, next) => {
+  try {
+    const { options, errors } = netWorthService.parseHistoryQuery(req.query);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const currency = await fxService.getUserCurrency(req.user.id);
+    const history = await netWorthService.getHistory(req.user.id, { ...options, currency });
+
+    res.json({
+      success: true,
+      message: 'Net worth history retrieved successfully',
+      data: history,
+      meta: {
+        total: history.length,
+        interval: options.interval,
+        startDate: options.startDate,
+        endDate: options.endDate,
+        currency,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving net worth history:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const { logger } = require('../utils/logger');
 const nexoService = require('../services/nexoService');
+const CryptoAddressModel = require('../models/CryptoAddress');
+const CryptoDepositModel = require('../models/CryptoDeposit');
+const { authenticate } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -87,12 +90,71 @@ router.get('/assets', async (req, res) => {
   }
 });
 
+// Transform database format to API format
+const formatAddress = (address) => ({
+  id: address.id,
+  referenceId: address.reference_id,
+  asset: address.asset,
+  blockchain: address.blockchain,
+  address: address.address,
+  depositCount: parseInt(address.deposit_count) || 0,
+  lastDepositAt: address.last_deposit_at || null,
+  createdAt: address.created_at
+});
+
+const formatDeposit = (deposit) => ({
+  id: deposit.id,
+  transactionId: deposit.transaction_id,
+  transactionHash: deposit.transaction_hash,
+  addressId: deposit.address_id,
+  referenceId: deposit.reference_id,
+  depositAddress: deposit.deposit_address,
+  blockchain: deposit.blockchain,
+  asset: deposit.asset,
+  amount: deposit.amount,
+  fiatValueUsd: deposit.fiat_value_usd !== null ? parseFloat(deposit.fiat_value_usd) : null,
+  depositedAt: deposit.deposited_at,
+  createdAt: deposit.created_at
+});
+
+/**
+ * @route GET /api/nexo/addresses
+ * @desc Get the deposit addresses created for the user
+ * @access Private
+ */
+router.get('/addresses', authenticate, async (req, res) => {
+  try {
+    const asset = req.query.asset ? String(req.query.asset).toUpperCase() : null;
+    const addresses = await CryptoAddressModel.findByUserId(req.user.id, { asset });
+
+    res.json({
+      success: true,
+      data: addresses.map(formatAddress),
+      meta: {
+        total: addresses.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting Nexo deposit addresses', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NEXO_ADDRESSES_ERROR',
+        message: 'Failed to get deposit addresses',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route POST /api/nexo/addresses
- * @desc Create a deposit address for a specific asset and reference ID
- * @access Public (for development)
+ * @desc Create a deposit address for a specific asset and reference ID, recorded for the user
+ * @access Private
  */
-router.post('/addresses', async (req, res) => {
+router.post('/addresses', authenticate, async (req, res) => {
   try {
     const { referenceId, asset } = req.body;
     
@@ -125,7 +187,18 @@ router.post('/addresses', async (req, res) => {
       });
     }
 
-    const addressData = await nexoService.createDepositAddress(referenceId, asset);
+    const addressData = await nexoService.createUserDepositAddress(req.user.id, referenceId, asset);
+    if (!addressData) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'REFERENCE_IN_USE',
+          message: 'Reference ID is already used by another user',
+          details: `Choose a different referenceId than ${referenceId}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
     
     res.json({
       success: true,
@@ -155,35 +228,69 @@ router.post('/addresses', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/nexo/deposits
+ * @desc Get deposits received on the user's addresses, filtered by asset and date
+ * @access Private
+ */
+router.get('/deposits', authenticate, async (req, res) => {
+  try {
+    const { filters, errors } = nexoService.parseDepositFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errors
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const deposits = await CryptoDepositModel.findByUserId(req.user.id, filters);
+
+    res.json({
+      success: true,
+      data: deposits.map(formatDeposit),
+      meta: {
+        total: deposits.length,
+        limit: filters.limit,
+        offset: filters.offset
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting Nexo deposits', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NEXO_DEPOSITS_ERROR',
+        message: 'Failed to get deposits',
+        details: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route POST /api/nexo/webhook
- * @desc Handle incoming webhooks from Nexo Payment Gateway
+ * @desc Handle incoming webhooks from Nexo Payment Gateway. The body arrives unparsed
+ *       (see server.js) so the signature is checked against the exact bytes Nexo signed.
  * @access Public (webhook endpoint)
  */
 router.post('/webhook', async (req, res) => {
   try {
     const signature = req.headers['x-signature'];
-    const eventData = req.body;
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body ?? {});
     
     logger.info('Received Nexo webhook', {
-      eventType: eventData?.eventType,
       hasSignature: !!signature,
-      transactionId: eventData?.data?.transactionId
+      size: rawBody.length
     });
 
-    if (!signature) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'MISSING_SIGNATURE',
-          message: 'X-Signature header is required',
-          details: 'Webhooks must include X-Signature header for verification'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    const result = await nexoService.handleWebhook(eventData, signature);
+    const result = await nexoService.handleWebhook(rawBody, signature, { sourceIp: req.ip });
     
     res.json({
       success: true,
@@ -193,13 +300,13 @@ router.post('/webhook', async (req, res) => {
   } catch (error) {
     logger.error('Error handling Nexo webhook', { 
       error: error.message,
-      eventType: req.body?.eventType
+      code: error.code
     });
     
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       error: {
-        code: 'WEBHOOK_ERROR',
+        code: error.status ? error.code : 'WEBHOOK_ERROR',
         message: 'Failed to process webhook',
         details: error.message
       },
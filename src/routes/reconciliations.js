@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { toIsoDate } = require('../utils/recurrence');
+const TransactionReconciliationModel = require('../models/TransactionReconciliation');
+const reconciliationService = require('../services/reconciliationService');
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+const reconciliationNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'RECONCILIATION_NOT_FOUND',
+    message: 'Reconciliation not found',
+    details: `No applied reconciliation with ID ${id}`
+  }
+});
+
+// Transform database format to API format
+const formatReconciliation = (reconciliation) => ({
+  id: reconciliation.id,
+  status: reconciliation.status,
+  source: reconciliation.source,
+  score: parseFloat(reconciliation.score),
+  matchDetails: reconciliation.match_details,
+  accountId: reconciliation.account_id,
+  currency: reconciliation.currency,
+  pending: {
+    id: reconciliation.pending_transaction_id,
+    date: toIsoDate(reconciliation.pending_date),
+    amount: parseFloat(reconciliation.pending_amount),
+    description: reconciliation.pending_description
+  },
+  booked: {
+    id: reconciliation.booked_transaction_id,
+    date: toIsoDate(reconciliation.booked_date),
+    amount: parseFloat(reconciliation.booked_amount),
+    description: reconciliation.booked_description
+  },
+  bookedBefore: reconciliation.booked_before,
+  bookedAfter: reconciliation.booked_after,
+  createdAt: reconciliation.created_at,
+  revertedAt: reconciliation.reverted_at
+});
+
+/**
+ * @route GET /api/reconciliations
+ * @desc Pending transactions matched to their booked counterpart, newest first; filter by status
+ * @access Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { filters, errors } = reconciliationService.parseListFilters(req.query);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const reconciliations = await TransactionReconciliationModel.findByUserId(req.user.id, filters);
+
+    res.json({
+      success: true,
+      message: 'Reconciliations retrieved successfully',
+      data: reconciliations.map(formatReconciliation),
+      meta: {
+        limit: filters.limit,
+        offset: filters.offset,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving reconciliations:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/reconciliations/run
+ * @desc Match the user's pending transactions now (this also runs after every sync)
+ * @access Private
+ */
+router.post('/run', async (req, res, next) => {
+  try {
+    const result = await reconciliationService.reconcileUser(req.user.id, { source: 'manual' });
+
+    res.json({
+      success: true,
+      message: 'Reconciliation completed',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error reconciling transactions:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/reconciliations/:id/revert
+ * @desc Undo a match: the pending transaction comes back and the booked one gets its previous
+ *       category, notes and tags (fields edited since the match are kept). The pair is not matched again.
+ * @access Private
+ */
+router.post('/:id/revert', async (req, res, next) => {
+  try {
+    const reconciliation = await reconciliationService.revert(req.user.id, req.params.id);
+    if (!reconciliation) {
+      return reconciliationNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Reconciliation reverted',
+      data: formatReconciliation(reconciliation)
+    });
+  } catch (error) {
+    logger.error('Error reverting reconciliation:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
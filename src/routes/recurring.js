@@ -0,0 +1,305 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { toIsoDate } = require('../utils/recurrence');
+const RecurringSeriesModel = require('../models/RecurringSeries');
+const BankAccountModel = require('../models/BankAccount');
+const recurringService = require('../services/recurringService');
+
+// Schedule fields only a declared series can change; detection owns them otherwise
+const SCHEDULE_FIELDS = ['expected_amount', 'cadence', 'next_expected_date', 'end_date', 'category'];
+
+const optionalDate = (value) => (value ? toIsoDate(value) : null);
+
+// Transform database format to API format
+const formatSeries = (series) => ({
+  id: series.id,
+  account_id: series.account_id,
+  account_name: series.account_name,
+  name: series.name,
+  direction: series.direction,
+  cadence: series.cadence,
+  category: series.category,
+  subcategory: series.subcategory,
+  currency: series.currency,
+  expected_amount: parseFloat(series.expected_amount),
+  average_amount: parseFloat(series.average_amount),
+  monthly_amount: recurringService.monthlyAmount(series),
+  occurrence_count: series.occurrence_count,
+  first_date: optionalDate(series.first_date),
+  last_date: optionalDate(series.last_date),
+  next_expected_date: toIsoDate(series.next_expected_date),
+  end_date: optionalDate(series.end_date),
+  status: series.status,
+  source: series.source,
+  flags: {
+    missed: series.is_missed,
+    price_changed: series.is_price_changed,
+    previous_amount: series.previous_amount === null ? null : parseFloat(series.previous_amount),
+    price_changed_at: optionalDate(series.price_changed_at)
+  },
+  is_subscription: series.is_subscription,
+  is_transfer: series.is_transfer,
+  is_dismissed: series.is_dismissed,
+  detected_at: series.detected_at
+});
+
+const seriesNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'RECURRING_SERIES_NOT_FOUND',
+    message: 'Recurring series not found',
+    details: `Recurring series with ID ${id} does not exist`
+  }
+});
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+/**
+ * @route GET /api/recurring
+ * @desc Recurring series with monthly fixed-cost totals; filter by direction, status or flagged=true
+ * @access Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { filters, errors } = recurringService.parseListFilters(req.query);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const series = await RecurringSeriesModel.findByUserId(req.user.id, filters);
+
+    res.json({
+      success: true,
+      message: 'Recurring series retrieved successfully',
+      data: series.map(formatSeries),
+      meta: {
+        total: series.length,
+        totals: recurringService.summarize(series),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving recurring series:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/recurring/subscriptions
+ * @desc Active subscriptions with monthly/yearly cost, upcoming renewals and price changes
+ * @access Private
+ */
+router.get('/subscriptions', async (req, res, next) => {
+  try {
+    const { subscriptions, totals, upcoming, priceChanged } = await recurringService.getSubscriptions(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Subscriptions retrieved successfully',
+      data: {
+        subscriptions: subscriptions.map(formatSeries),
+        upcoming: upcoming.map(formatSeries),
+        priceChanged: priceChanged.map(formatSeries),
+        totals
+      },
+      meta: {
+        total: subscriptions.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving subscriptions:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/recurring/detect
+ * @desc Re-run recurring series detection over the user's transactions
+ * @access Private
+ */
+router.post('/detect', async (req, res, next) => {
+  try {
+    const result = await recurringService.detectForUser(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Recurring series detection completed',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error detecting recurring series:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/recurring
+ * @desc Declare a recurring income or expense the history does not show yet
+ * @access Private
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const errors = recurringService.validateDeclaredSeries(req.body);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const account = await BankAccountModel.findById(req.body.account_id);
+    if (!account || account.user_id !== req.user.id) {
+      return validationFailed(res, ['account_id does not match one of your accounts']);
+    }
+
+    const series = await RecurringSeriesModel.createDeclared({
+      user_id: req.user.id,
+      account_id: account.id,
+      name: req.body.name.trim(),
+      cadence: req.body.cadence,
+      expected_amount: Number(req.body.expected_amount),
+      next_expected_date: req.body.next_expected_date,
+      end_date: req.body.end_date,
+      category: req.body.category,
+      currency: account.currency,
+      is_subscription: req.body.is_subscription
+    });
+
+    logger.info('Recurring series declared', { userId: req.user.id, seriesId: series.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring series created successfully',
+      data: formatSeries(series)
+    });
+  } catch (error) {
+    logger.error('Error creating recurring series:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/recurring/:id
+ * @desc A recurring series with its occurrences
+ * @access Private
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const series = await RecurringSeriesModel.findById(req.params.id);
+    if (!series || series.user_id !== req.user.id) {
+      return seriesNotFound(res, req.params.id);
+    }
+
+    const occurrences = await RecurringSeriesModel.findOccurrences(series.id);
+
+    res.json({
+      success: true,
+      message: 'Recurring series retrieved successfully',
+      data: {
+        ...formatSeries(series),
+        occurrences: occurrences.map(row => ({
+          id: row.id,
+          date: toIsoDate(row.transaction_date),
+          amount: parseFloat(row.amount),
+          currency: row.currency,
+          description: row.description,
+          merchant_name: row.merchant_name
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving recurring series:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PATCH /api/recurring/:id
+ * @desc Rename a series, mark it as a subscription or not, or dismiss it. Declared series can also change their schedule.
+ * @access Private
+ */
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const series = await RecurringSeriesModel.findById(req.params.id);
+    if (!series || series.user_id !== req.user.id) {
+      return seriesNotFound(res, req.params.id);
+    }
+
+    const { name, is_subscription, is_dismissed } = req.body;
+    const errors = [];
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+      errors.push('name must be a non-empty string');
+    }
+    for (const [field, value] of [['is_subscription', is_subscription], ['is_dismissed', is_dismissed]]) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        errors.push(`${field} must be a boolean`);
+      }
+    }
+
+    const scheduleFields = SCHEDULE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (scheduleFields.length > 0 && series.source !== 'declared') {
+      errors.push(`${scheduleFields.join(', ')} can only be changed on declared series`);
+    } else if (scheduleFields.length > 0) {
+      errors.push(...recurringService.validateDeclaredSeries(req.body, { partial: true }));
+    }
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const updateData = {
+      ...(name !== undefined && { name: name.trim() }),
+      ...(is_subscription !== undefined && { is_subscription }),
+      ...(is_dismissed !== undefined && { is_dismissed })
+    };
+    for (const field of scheduleFields) {
+      updateData[field] = field === 'expected_amount' ? Number(req.body[field]) : req.body[field];
+    }
+
+    const updated = await RecurringSeriesModel.update(series.id, updateData);
+
+    res.json({
+      success: true,
+      message: 'Recurring series updated successfully',
+      data: formatSeries(updated)
+    });
+  } catch (error) {
+    logger.error('Error updating recurring series:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/recurring/:id
+ * @desc Delete a declared series (detected series are dismissed instead)
+ * @access Private
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const series = await RecurringSeriesModel.findById(req.params.id);
+    if (!series || series.user_id !== req.user.id) {
+      return seriesNotFound(res, req.params.id);
+    }
+    if (series.source !== 'declared') {
+      return validationFailed(res, ['Detected series cannot be deleted; set is_dismissed instead']);
+    }
+
+    await RecurringSeriesModel.delete(series.id);
+
+    res.json({
+      success: true,
+      message: 'Recurring series deleted successfully',
+      data: { seriesId: series.id, deleted: true }
+    });
+  } catch (error) {
+    logger.error('Error deleting recurring series:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
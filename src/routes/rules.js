@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const CategorizationRuleModel = require('../models/CategorizationRule');
+const categorizationRuleService = require('../services/categorizationRuleService');
+
+// Fields a client may set on a rule
+const EDITABLE_FIELDS = [
+  'name', 'priority', 'is_active',
+  'description_pattern', 'merchant_pattern', 'min_amount', 'max_amount', 'account_id', 'powens_type',
+  'set_category_id', 'add_tags', 'set_notes'
+];
+
+// Transform database format to API format
+const formatRule = (rule) => ({
+  id: rule.id,
+  name: rule.name,
+  priority: rule.priority,
+  is_active: rule.is_active,
+  conditions: {
+    description_pattern: rule.description_pattern,
+    merchant_pattern: rule.merchant_pattern,
+    min_amount: rule.min_amount !== null ? parseFloat(rule.min_amount) : null,
+    max_amount: rule.max_amount !== null ? parseFloat(rule.max_amount) : null,
+    account_id: rule.account_id,
+    powens_type: rule.powens_type
+  },
+  actions: {
+    set_category_id: rule.set_category_id,
+    set_category: rule.set_category || null,
+    set_subcategory: rule.set_subcategory || null,
+    add_tags: rule.add_tags || [],
+    set_notes: rule.set_notes
+  },
+  created_at: rule.created_at,
+  updated_at: rule.updated_at
+});
+
+const ruleNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'RULE_NOT_FOUND',
+    message: 'Rule not found',
+    details: `Rule with ID ${id} does not exist`
+  }
+});
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+/**
+ * @route GET /api/rules
+ * @desc Get the user's categorization rules in evaluation order
+ * @access Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const rules = await CategorizationRuleModel.findByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Rules retrieved successfully',
+      data: rules.map(formatRule),
+      meta: {
+        total: rules.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving rules:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/rules/:id
+ * @desc Get a categorization rule
+ * @access Private
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const rule = await CategorizationRuleModel.findById(id);
+
+    if (!rule || rule.user_id !== req.user.id) {
+      return ruleNotFound(res, id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule retrieved successfully',
+      data: formatRule(rule)
+    });
+  } catch (error) {
+    logger.error('Error retrieving rule:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/rules
+ * @desc Create a categorization rule
+ * @access Private
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const errors = [
+      ...categorizationRuleService.validateRule(req.body),
+      ...await categorizationRuleService.checkReferences(req.body, req.user.id)
+    ];
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const ruleData = { user_id: req.user.id };
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) ruleData[field] = req.body[field];
+    }
+
+    const rule = await CategorizationRuleModel.create(ruleData);
+
+    logger.info('Categorization rule created', { userId: req.user.id, ruleId: rule.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      data: formatRule(rule)
+    });
+  } catch (error) {
+    logger.error('Error creating rule:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/rules/:id
+ * @desc Update a categorization rule
+ * @access Private
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingRule = await CategorizationRuleModel.findById(id);
+    if (!existingRule || existingRule.user_id !== req.user.id) {
+      return ruleNotFound(res, id);
+    }
+
+    const errors = [
+      ...categorizationRuleService.validateRule({ ...existingRule, ...req.body }),
+      ...await categorizationRuleService.checkReferences(req.body, req.user.id)
+    ];
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const updateData = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return validationFailed(res, [`Provide at least one of: ${EDITABLE_FIELDS.join(', ')}`]);
+    }
+
+    const rule = await CategorizationRuleModel.update(id, updateData);
+
+    res.json({
+      success: true,
+      message: 'Rule updated successfully',
+      data: formatRule(rule)
+    });
+  } catch (error) {
+    logger.error('Error updating rule:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/rules/:id
+ * @desc Delete a categorization rule
+ * @access Private
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingRule = await CategorizationRuleModel.findById(id);
+    if (!existingRule || existingRule.user_id !== req.user.id) {
+      return ruleNotFound(res, id);
+    }
+
+    await CategorizationRuleModel.delete(id);
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully',
+      data: { ruleId: id, deleted: true }
+    });
+  } catch (error) {
+    logger.error('Error deleting rule:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/rules/:id/apply
+ * @desc Re-run a rule over existing transactions (dry run by default); manually categorized
+ *       transactions are skipped unless force is true
+ * @access Private
+ */
+router.post('/:id/apply', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { dry_run = true, force = false, preview_limit } = req.body;
+
+    const rule = await CategorizationRuleModel.findById(id);
+    if (!rule || rule.user_id !== req.user.id) {
+      return ruleNotFound(res, id);
+    }
+
+    const result = await categorizationRuleService.applyToHistory(rule, req.user.id, {
+      dryRun: dry_run !== false,
+      force: force === true,
+      previewLimit: preview_limit
+    });
+
+    res.json({
+      success: true,
+      message: result.dryRun ? 'Rule dry run completed' : 'Rule applied to existing transactions',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error applying rule:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -6,18 +6,57 @@ const BankConnectionModel = require('../models/BankConnection');
 const BankAccountModel = require('../models/BankAccount');
 const TransactionModel = require('../models/Transaction');
 const UserModel = require('../models/User');
+const SyncLogModel = require('../models/SyncLog');
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+// Answer 202 with the queued sync job. When a matching sync is already queued or running,
+// that job is returned instead of queuing another.
+const jobAccepted = (res, { job, created }, message) => res.status(202).json({
+  success: true,
+  message: created ? message : 'A matching sync is already queued or running',
+  data: {
+    jobId: job.id,
+    status: job.status,
+    deduplicated: !created,
+    statusUrl: `/api/jobs/${job.id}`
+  }
+});
+
+// Sync run as returned by the history endpoints
+const formatSyncRun = (run) => ({
+  id: run.id,
+  connectionId: run.connection_id,
+  bankName: run.bank_name || null,
+  syncType: run.sync_type,
+  status: run.status,
+  startedAt: run.started_at,
+  completedAt: run.completed_at,
+  durationMs: run.duration_ms !== null ? Math.round(parseFloat(run.duration_ms)) : null,
+  itemsProcessed: run.items_processed,
+  itemsSucceeded: run.items_succeeded,
+  itemsFailed: run.items_failed,
+  errorMessage: run.error_message,
+  errorCount: (run.sync_metadata?.errors || []).length
+});
 
 /**
  * @route POST /api/sync/full
- * @desc Full sync for all user connections (the missing endpoint!)
- * @access Public
+ * @desc Queue a full sync of all user connections; returns the job to follow at /api/jobs/:id
+ * @access Private
  */
 router.post('/full', async (req, res, next) => {
   try {
     const { force = false, includeTransactions = true } = req.body;
     
-    // Use the default admin user UUID from the migration
-    const userId = '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
 
     logger.info('🚀 FULL SYNC REQUESTED', { 
       userId, 
@@ -26,38 +65,13 @@ router.post('/full', async (req, res, next) => {
       timestamp: new Date().toISOString()
     });
 
-    // Trigger sync for all user connections
-    const results = await syncService.syncAllUserConnections(userId, {
+    // Queue a sync for all user connections
+    const queued = await syncService.enqueueUserSync(userId, {
       force,
       includeTransactions
     });
 
-    const successCount = results.filter(r => r.status === 'success').length;
-    const errorCount = results.filter(r => r.status === 'failed').length;
-
-    logger.info('✅ FULL SYNC COMPLETED', {
-      userId,
-      totalConnections: results.length,
-      successful: successCount,
-      failed: errorCount,
-      successRate: results.length > 0 ? ((successCount / results.length) * 100).toFixed(1) + '%' : '0%'
-    });
-
-    res.json({
-      success: true,
-      message: `Full sync completed for ${results.length} connections`,
-      data: {
-        userId,
-        results,
-        summary: {
-          total: results.length,
-          successful: successCount,
-          failed: errorCount,
-          successRate: results.length > 0 ? ((successCount / results.length) * 100).toFixed(1) + '%' : '0%'
-        },
-        timestamp: new Date().toISOString()
-      }
-    });
+    jobAccepted(res, queued, 'Full sync queued for all connections');
 
   } catch (error) {
     logger.error('❌ FULL SYNC FAILED', { 
@@ -71,11 +85,11 @@ router.post('/full', async (req, res, next) => {
 /**
  * @route POST /api/sync/accounts
  * @desc Call getUserAccounts(), display response, and sync to database
- * @access Public
+ * @access Private
  */
 router.post('/accounts', async (req, res, next) => {
   try {
-    const userId = '00000000-0000-0000-0000-000000000001'; // Default admin user
+    const userId = req.user.id;
     
     logger.info('🏦 SYNC ACCOUNTS REQUESTED', { 
       userId,
@@ -213,11 +227,11 @@ router.post('/accounts', async (req, res, next) => {
 /**
  * @route GET /api/sync/debug/connections
  * @desc Debug endpoint to check what connections exist in database
- * @access Public
+ * @access Private
  */
 router.get('/debug/connections', async (req, res, next) => {
   try {
-    const userId = '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
     const connections = await BankConnectionModel.findByUserId(userId);
     
     // Get user's Powens token info
@@ -261,11 +275,11 @@ router.get('/debug/connections', async (req, res, next) => {
 /**
  * @route GET /api/sync/debug/accounts
  * @desc Debug endpoint to check what accounts exist in database
- * @access Public
+ * @access Private
  */
 router.get('/debug/accounts', async (req, res, next) => {
   try {
-    const userId = '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
     
     // Get all accounts for the user
     const accounts = await BankAccountModel.findByUserId(userId);
@@ -301,11 +315,11 @@ router.get('/debug/accounts', async (req, res, next) => {
 /**
  * @route GET /api/sync/debug/transactions
  * @desc Debug endpoint to check what transactions exist in database
- * @access Public
+ * @access Private
  */
 router.get('/debug/transactions', async (req, res, next) => {
   try {
-    const userId = '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
     const { limit = 50 } = req.query;
     
     // Get recent transactions for the user
@@ -342,11 +356,11 @@ router.get('/debug/transactions', async (req, res, next) => {
 /**
  * @route POST /api/sync/debug/test-token
  * @desc Debug endpoint to test user's Powens token by making API calls
- * @access Public
+ * @access Private
  */
 router.post('/debug/test-token', async (req, res, next) => {
   try {
-    const userId = '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
     
     // Get user's token
     const userTokenData = await UserModel.getPowensToken(userId);
@@ -429,8 +443,8 @@ router.post('/debug/test-token', async (req, res, next) => {
 
 /**
  * @route POST /api/sync/connection/:connectionId
- * @desc Manually trigger sync for a specific connection
- * @access Public
+ * @desc Queue a sync of a specific connection; returns the job to follow at /api/jobs/:id
+ * @access Private
  */
 router.post('/connection/:connectionId', async (req, res, next) => {
   try {
@@ -441,7 +455,7 @@ router.post('/connection/:connectionId', async (req, res, next) => {
 
     // Validate connection exists
     const connection = await BankConnectionModel.findById(connectionId);
-    if (!connection) {
+    if (!connection || connection.user_id !== req.user.id) {
       return res.status(404).json({
         success: false,
         error: {
@@ -452,19 +466,14 @@ router.post('/connection/:connectionId', async (req, res, next) => {
       });
     }
 
-    // Trigger sync
-    const result = await syncService.syncConnection(connectionId, {
+    // Queue sync
+    const queued = await syncService.enqueueConnectionSync(connection, {
       type: 'manual',
       force,
-      includeTransactions,
-      userId: connection.user_id
+      includeTransactions
     });
 
-    res.json({
-      success: true,
-      message: 'Sync completed',
-      data: result
-    });
+    jobAccepted(res, queued, 'Sync queued');
 
   } catch (error) {
     logger.error('Manual sync failed', { error: error.message });
@@ -474,8 +483,8 @@ router.post('/connection/:connectionId', async (req, res, next) => {
 
 /**
  * @route POST /api/sync/user/:userId
- * @desc Manually trigger sync for all user connections
- * @access Public
+ * @desc Queue a sync of all user connections; returns the job to follow at /api/jobs/:id
+ * @access Private
  */
 router.post('/user/:userId', async (req, res, next) => {
   try {
@@ -484,28 +493,24 @@ router.post('/user/:userId', async (req, res, next) => {
 
     logger.info('Manual sync all connections requested', { userId, force, includeTransactions });
 
-    // Trigger sync for all user connections
-    const results = await syncService.syncAllUserConnections(userId, {
+    if (userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Access denied',
+          details: 'You can only sync your own connections'
+        }
+      });
+    }
+
+    // Queue a sync for all user connections
+    const queued = await syncService.enqueueUserSync(userId, {
       force,
       includeTransactions
     });
 
-    const successCount = results.filter(r => r.status === 'success').length;
-    const errorCount = results.filter(r => r.status === 'failed').length;
-
-    res.json({
-      success: true,
-      message: `Sync completed for ${results.length} connections`,
-      data: {
-        results,
-        summary: {
-          total: results.length,
-          successful: successCount,
-          failed: errorCount,
-          successRate: results.length > 0 ? ((successCount / results.length) * 100).toFixed(1) + '%' : '0%'
-        }
-      }
-    });
+    jobAccepted(res, queued, 'Sync queued for all connections');
 
   } catch (error) {
     logger.error('Manual sync all failed', { error: error.message });
@@ -515,17 +520,16 @@ router.post('/user/:userId', async (req, res, next) => {
 
 /**
  * @route POST /api/sync/full-history-default
- * @desc Trigger full history sync for the default admin user (all connections)
- * @access Public
+ * @desc Queue a full history sync for the authenticated user (all connections)
+ * @access Private
  */
 router.post('/full-history-default', async (req, res, next) => {
   try {
     const { force = false } = req.body;
     
-    // Use the default admin user UUID from the migration
-    const userId = '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
 
-    logger.info('Full history sync for default user requested', { userId, force });
+    logger.info('Full history sync for authenticated user requested', { userId, force });
 
     // Get all connections for the user
     const connections = await BankConnectionModel.findByUserId(userId);
@@ -541,115 +545,40 @@ router.post('/full-history-default', async (req, res, next) => {
       });
     }
 
-    // Import the Powens sync service for direct access
-    const powensSyncService = require('../services/powens/powensSyncService');
-    
-    let results = [];
-    
-    // Trigger full history sync for each connection
-    for (const connection of connections) {
-      try {
-        logger.info('Starting full history sync for connection', {
-          connectionId: connection.id,
-          bankName: connection.bank_name
-        });
-        
-        const result = await powensSyncService.syncConnectionData(
-          userId, 
-          connection.id, 
-          { fullHistorySync: true }
-        );
-        
-        results.push({
-          connectionId: connection.id,
-          bankName: connection.bank_name,
-          status: 'success',
-          result
-        });
-        
-      } catch (error) {
-        logger.error('Full history sync failed for connection', {
-          connectionId: connection.id,
-          bankName: connection.bank_name,
-          error: error.message
-        });
-        
-        results.push({
-          connectionId: connection.id,
-          bankName: connection.bank_name,
-          status: 'failed',
-          error: error.message
-        });
-      }
-    }
+    // Queue a full history sync (no date filters) for each connection
+    const queued = await syncService.enqueueUserDataSync(userId, { fullHistorySync: true });
 
-    const successCount = results.filter(r => r.status === 'success').length;
-    const errorCount = results.filter(r => r.status === 'failed').length;
-
-    res.json({
-      success: true,
-      message: `Full history sync completed for ${results.length} connections - fetched ALL available transactions`,
-      data: {
-        userId,
-        syncType: 'FULL_HISTORY_SYNC',
-        note: 'This sync fetched all available transaction history without date filters from Powens API',
-        results,
-        summary: {
-          total: results.length,
-          successful: successCount,
-          failed: errorCount,
-          successRate: results.length > 0 ? ((successCount / results.length) * 100).toFixed(1) + '%' : '0%'
-        },
-        timestamp: new Date().toISOString()
-      }
-    });
+    jobAccepted(res, queued, `Full history sync queued for ${connections.length} connections`);
 
   } catch (error) {
-    logger.error('Full history sync for default user failed', { error: error.message });
+    logger.error('Full history sync for authenticated user failed', { error: error.message });
     next(error);
   }
 });
 
 /**
  * @route POST /api/sync/user-default
- * @desc Manually trigger sync for the default admin user
- * @access Public
+ * @desc Queue a sync of all connections of the authenticated user
+ * @access Private
  */
 router.post('/user-default', async (req, res, next) => {
   try {
     const { force = false, includeTransactions = true } = req.body;
     
-    // Use the default admin user UUID from the migration
-    const userId = '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
 
-    logger.info('Manual sync for default user requested', { userId, force, includeTransactions });
+    logger.info('Manual sync for authenticated user requested', { userId, force, includeTransactions });
 
-    // Trigger sync for all user connections
-    const results = await syncService.syncAllUserConnections(userId, {
+    // Queue a sync for all user connections
+    const queued = await syncService.enqueueUserSync(userId, {
       force,
       includeTransactions
     });
 
-    const successCount = results.filter(r => r.status === 'success').length;
-    const errorCount = results.filter(r => r.status === 'failed').length;
-
-    res.json({
-      success: true,
-      message: `Sync completed for ${results.length} connections`,
-      data: {
-        userId,
-        results,
-        summary: {
-          total: results.length,
-          successful: successCount,
-          failed: errorCount,
-          successRate: results.length > 0 ? ((successCount / results.length) * 100).toFixed(1) + '%' : '0%'
-        }
-      }
-    });
+    jobAccepted(res, queued, 'Sync queued for all connections');
 
   } catch (error) {
-    logger.error('Manual sync for default user failed', { error: error.message });
+    logger.error('Manual sync for authenticated user failed', { error: error.message });
     next(error);
   }
 });
@@ -657,12 +586,24 @@ router.post('/user-default', async (req, res, next) => {
 /**
  * @route GET /api/sync/status/:connectionId
  * @desc Get sync status for a connection
- * @access Public
+ * @access Private
  */
 router.get('/status/:connectionId', async (req, res, next) => {
   try {
     const { connectionId } = req.params;
 
+    const connection = await BankConnectionModel.findById(connectionId);
+    if (!connection || connection.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CONNECTION_NOT_FOUND',
+          message: 'Connection not found',
+          details: `Connection with ID ${connectionId} does not exist`
+        }
+      });
+    }
+
     const status = await syncService.getSyncStatus(connectionId);
 
     res.json({
@@ -679,12 +620,17 @@ router.get('/status/:connectionId', async (req, res, next) => {
 
 /**
  * @route GET /api/sync/stats
- * @desc Get sync service statistics
- * @access Public
+ * @desc Get sync statistics from the recorded sync runs of the last `days` (default 30)
+ * @access Private
  */
 router.get('/stats', async (req, res, next) => {
   try {
-    const stats = syncService.getStats();
+    const { options, errors } = syncService.parseStatsOptions(req.query);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const stats = await syncService.getStats(req.user.id, options);
 
     res.json({
       success: true,
@@ -698,10 +644,78 @@ router.get('/stats', async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/sync/history
+ * @desc Recorded sync runs, most recent first; filter by connectionId, status, startDate and endDate
+ * @access Private
+ */
+router.get('/history', async (req, res, next) => {
+  try {
+    const { filters, errors } = syncService.parseHistoryFilters(req.query);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const runs = await SyncLogModel.findByUserId(req.user.id, filters);
+
+    res.json({
+      success: true,
+      message: 'Sync history retrieved',
+      data: runs.map(formatSyncRun),
+      meta: { limit: filters.limit, offset: filters.offset }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get sync history', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/sync/history/:id
+ * @desc One sync run with its steps and timings, sync period and error list
+ * @access Private
+ */
+router.get('/history/:id', async (req, res, next) => {
+  try {
+    const run = await SyncLogModel.findById(req.params.id);
+    if (!run || run.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SYNC_RUN_NOT_FOUND',
+          message: 'Sync run not found',
+          details: `Sync run with ID ${req.params.id} does not exist`
+        }
+      });
+    }
+
+    const metadata = run.sync_metadata || {};
+
+    res.json({
+      success: true,
+      message: 'Sync run retrieved',
+      data: {
+        ...formatSyncRun(run),
+        syncId: metadata.syncId || null,
+        reason: metadata.reason || null,
+        includeTransactions: metadata.includeTransactions ?? null,
+        syncPeriod: metadata.syncPeriod || null,
+        steps: metadata.steps || [],
+        errors: metadata.errors || []
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get sync run', { error: error.message });
+    next(error);
+  }
+});
+
 /**
  * @route POST /api/sync/full-history/:connectionId
- * @desc Sync all available transaction history for a connection (no date filter)
- * @access Public
+ * @desc Queue a sync of all available transaction history for a connection (no date filter)
+ * @access Private
  */
 router.post('/full-history/:connectionId', async (req, res, next) => {
   try {
@@ -712,7 +726,7 @@ router.post('/full-history/:connectionId', async (req, res, next) => {
 
     // Validate connection exists
     const connection = await BankConnectionModel.findById(connectionId);
-    if (!connection) {
+    if (!connection || connection.user_id !== req.user.id) {
       return res.status(404).json({
         success: false,
         error: {
@@ -723,28 +737,10 @@ router.post('/full-history/:connectionId', async (req, res, next) => {
       });
     }
 
-    // Import the Powens sync service for direct access
-    const powensSyncService = require('../services/powens/powensSyncService');
-    
-    // Trigger sync with full history option
-    const result = await powensSyncService.syncConnectionData(
-      connection.user_id, 
-      connectionId, 
-      { fullHistorySync: true }
-    );
+    // Queue sync with full history option
+    const queued = await syncService.enqueueConnectionDataSync(connection, { fullHistorySync: true });
 
-    res.json({
-      success: true,
-      message: 'Full history sync completed - fetched ALL available transactions from Powens',
-      data: {
-        connectionId,
-        userId: connection.user_id,
-        bankName: connection.bank_name,
-        syncResults: result,
-        note: 'This sync fetched all available transaction history without date filters',
-        timestamp: new Date().toISOString()
-      }
-    });
+    jobAccepted(res, queued, 'Full history sync queued');
 
   } catch (error) {
     logger.error('Full history sync failed', { 
@@ -758,17 +754,16 @@ router.post('/full-history/:connectionId', async (req, res, next) => {
 
 /**
  * @route POST /api/sync/incremental-default
- * @desc Trigger incremental sync for default user using last_update parameter
- * @access Public
+ * @desc Queue an incremental sync for the authenticated user using last_update parameter
+ * @access Private
  */
 router.post('/incremental-default', async (req, res, next) => {
   try {
     const { force = false } = req.body;
     
-    // Use the default admin user UUID from the migration
-    const userId = '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
 
-    logger.info('Incremental sync for default user requested', { userId, force });
+    logger.info('Incremental sync for authenticated user requested', { userId, force });
 
     // Get all connections for the user
     const connections = await BankConnectionModel.findByUserId(userId);
@@ -784,85 +779,21 @@ router.post('/incremental-default', async (req, res, next) => {
       });
     }
 
-    // Import the Powens sync service for direct access
-    const powensSyncService = require('../services/powens/powensSyncService');
-    
-    let results = [];
-    
-    // Trigger incremental sync for each connection (default behavior with last_update)
-    for (const connection of connections) {
-      try {
-        const lastSyncTimestamp = await BankConnectionModel.getLastSyncTimestamp(connection.id);
-        
-        logger.info('Starting incremental sync for connection', {
-          connectionId: connection.id,
-          bankName: connection.bank_name,
-          lastSyncTimestamp,
-          strategy: lastSyncTimestamp ? 'incremental' : 'initial'
-        });
-        
-        const result = await powensSyncService.syncConnectionData(
-          userId, 
-          connection.id, 
-          { fullHistorySync: false } // Use incremental sync logic
-        );
-        
-        results.push({
-          connectionId: connection.id,
-          bankName: connection.bank_name,
-          lastSyncTimestamp,
-          strategy: lastSyncTimestamp ? 'incremental' : 'initial',
-          status: 'success',
-          result
-        });
-        
-      } catch (error) {
-        logger.error('Incremental sync failed for connection', {
-          connectionId: connection.id,
-          bankName: connection.bank_name,
-          error: error.message
-        });
-        
-        results.push({
-          connectionId: connection.id,
-          bankName: connection.bank_name,
-          status: 'failed',
-          error: error.message
-        });
-      }
-    }
-
-    const successCount = results.filter(r => r.status === 'success').length;
-    const errorCount = results.filter(r => r.status === 'failed').length;
+    // Queue an incremental sync (last_update parameter) for each connection
+    const queued = await syncService.enqueueUserDataSync(userId, { fullHistorySync: false });
 
-    res.json({
-      success: true,
-      message: `Incremental sync completed for ${results.length} connections using last_update parameter`,
-      data: {
-        userId,
-        syncType: 'INCREMENTAL_SYNC_PHASE1',
-        note: 'This sync uses Powens last_update parameter for efficient incremental synchronization',
-        results,
-        summary: {
-          total: results.length,
-          successful: successCount,
-          failed: errorCount,
-          successRate: results.length > 0 ? ((successCount / results.length) * 100).toFixed(1) + '%' : '0%'
-        },
-        timestamp: new Date().toISOString()
-      }
-    });
+    jobAccepted(res, queued, `Incremental sync queued for ${connections.length} connections`);
 
   } catch (error) {
-    logger.error('Incremental sync for default user failed', { error: error.message });
+    logger.error('Incremental sync for authenticated user failed', { error: error.message });
     next(error);
   }
 });
 
 /**
  * @route POST /api/sync/accounts-only/:connectionId
- * @desc Sync only accounts (no transactions) for a connection
- * @access Public
+ * @desc Queue a sync of accounts only (no transactions) for a connection
+ * @access Private
  */
 router.post('/accounts-only/:connectionId', async (req, res, next) => {
   try {
@@ -873,7 +804,7 @@ router.post('/accounts-only/:connectionId', async (req, res, next) => {
 
     // Validate connection exists
     const connection = await BankConnectionModel.findById(connectionId);
-    if (!connection) {
+    if (!connection || connection.user_id !== req.user.id) {
       return res.status(404).json({
         success: false,
         error: {
@@ -884,19 +815,14 @@ router.post('/accounts-only/:connectionId', async (req, res, next) => {
       });
     }
 
-    // Trigger sync without transactions
-    const result = await syncService.syncConnection(connectionId, {
+    // Queue sync without transactions
+    const queued = await syncService.enqueueConnectionSync(connection, {
       type: 'manual',
       force,
-      includeTransactions: false,
-      userId: connection.user_id
+      includeTransactions: false
     });
 
-    res.json({
-      success: true,
-      message: 'Accounts sync completed',
-      data: result
-    });
+    jobAccepted(res, queued, 'Accounts sync queued');
 
   } catch (error) {
     logger.error('Accounts-only sync failed', { error: error.message });
@@ -3,11 +3,16 @@ const router = express.Router();
 const { logger } = require('../utils/logger');
 const { MOCK_DATA } = require('../services/powens/constants');
 const TransactionModel = require('../models/Transaction');
+const TransactionCategoryModel = require('../models/TransactionCategory');
+const categoryService = require('../services/categoryService');
+const categorizerService = require('../services/categorizerService');
+const fxService = require('../services/fxService');
+const { parseTransactionFilters } = require('../utils/transactionFilters');
 
 /**
  * @route GET /api/transactions
  * @desc Get all transactions with optional filters
- * @access Public
+ * @access Private
  */
 router.get('/', async (req, res, next) => {
   try {
@@ -84,18 +89,22 @@ router.get('/', async (req, res, next) => {
     }
 
     // Build filters for database query
-    const filters = {};
-    if (accountId) filters.account_id = accountId;
-    if (startDate) filters.date_from = startDate;
-    if (endDate) filters.date_to = endDate;
-    if (category) filters.category = category;
-    if (type) filters.type = type.toUpperCase();
+    const { filters, errors } = parseTransactionFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errors
+        }
+      });
+    }
 
-    // Use the default admin user UUID from the migration
-    // TODO: Implement proper user authentication and get user_id from token
-    const userId = '00000000-0000-0000-0000-000000000001';
+    const userId = req.user.id;
     
-    const transactions = await TransactionModel.findByUserId(userId, filters, {
+    const transactions = await TransactionModel.findByUserId(userId, {
+      ...filters,
       limit: parseInt(limit),
       offset: parseInt(offset)
     });
@@ -111,6 +120,8 @@ router.get('/', async (req, res, next) => {
       amount: parseFloat(transaction.amount),
       currency: transaction.currency || 'EUR',
       category: transaction.category,
+      subcategory: transaction.subcategory,
+      category_id: transaction.category_id,
       type: transaction.transaction_type,
       balance_after: parseFloat(transaction.balance_after) || null,
       merchant_name: transaction.merchant_name,
@@ -136,92 +147,10 @@ router.get('/', async (req, res, next) => {
   }
 });
 
-/**
- * @route GET /api/transactions/:id
- * @desc Get specific transaction by ID
- * @access Public
- */
-router.get('/:id', async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    logger.info('Transaction details requested', { transactionId: id });
-    
-    // Check if we should use mock data
-    if (process.env.ENABLE_MOCK_DATA === 'true') {
-      // Search through all transactions
-      let foundTransaction = null;
-      Object.values(MOCK_DATA.transactions).forEach(accountTransactions => {
-        const transaction = accountTransactions.find(tx => tx.id === id);
-        if (transaction) {
-          foundTransaction = transaction;
-        }
-      });
-      
-      if (foundTransaction) {
-        res.json({
-          success: true,
-          message: 'Transaction retrieved successfully (mock data)',
-          data: foundTransaction
-        });
-      } else {
-        res.status(404).json({
-          success: false,
-          error: {
-            code: 'TRANSACTION_NOT_FOUND',
-            message: 'Transaction not found',
-            details: `Transaction with ID ${id} does not exist`
-          }
-        });
-      }
-      return;
-    }
-
-    const transaction = await TransactionModel.findById(id);
-    
-    if (!transaction) {
-      res.status(404).json({
-        success: false,
-        error: {
-          code: 'TRANSACTION_NOT_FOUND',
-          message: 'Transaction not found',
-          details: `Transaction with ID ${id} does not exist`
-        }
-      });
-      return;
-    }
-
-    // Transform database format to API format
-    const transformedTransaction = {
-      id: transaction.id.toString(),
-      account_id: transaction.account_id.toString(),
-      date: transaction.transaction_date,
-      description: transaction.description,
-      amount: parseFloat(transaction.amount),
-      currency: transaction.currency || 'EUR',
-      category: transaction.category,
-      type: transaction.transaction_type,
-      balance_after: parseFloat(transaction.balance_after) || null,
-      merchant_name: transaction.merchant_name,
-      merchant_category: transaction.merchant_category,
-      is_pending: transaction.is_pending || false,
-      powens_transaction_id: transaction.powens_transaction_id
-    };
-
-    res.json({
-      success: true,
-      message: 'Transaction retrieved successfully',
-      data: transformedTransaction
-    });
-  } catch (error) {
-    logger.error('Error retrieving transaction:', error);
-    next(error);
-  }
-});
-
 /**
  * @route POST /api/transactions/sync
  * @desc Synchronize transaction data from Powens API
- * @access Public
+ * @access Private
  */
 router.post('/sync', async (req, res, next) => {
   try {
@@ -265,8 +194,8 @@ router.post('/sync', async (req, res, next) => {
     // 2. Create/update transactions in the database
     // 3. Return sync results
     
-    const userId = '00000000-0000-0000-0000-000000000001'; // TODO: Get from authentication
-    const filters = accountId ? { account_id: accountId } : {};
+    const userId = req.user.id;
+    const filters = accountId ? { accountId } : {};
     const transactionCount = await TransactionModel.countByUserId(userId, filters);
     
     res.json({
@@ -290,7 +219,7 @@ router.post('/sync', async (req, res, next) => {
 /**
  * @route GET /api/transactions/summary
  * @desc Get transaction summary and statistics
- * @access Public
+ * @access Private
  */
 router.get('/summary', async (req, res, next) => {
   try {
@@ -360,15 +289,16 @@ router.get('/summary', async (req, res, next) => {
         startDate.setDate(endDate.getDate() - 30);
     }
 
-    const userId = '00000000-0000-0000-0000-000000000001'; // TODO: Get from authentication
+    const userId = req.user.id;
     const filters = {
       date_from: startDate.toISOString().split('T')[0],
       date_to: endDate.toISOString().split('T')[0]
     };
-    
-    if (accountId) filters.account_id = accountId;
 
-    const summary = await TransactionModel.getSummary(userId, filters);
+    // Internal transfers only count towards a single account's flows
+    const summary = await TransactionModel.getUserSummary(userId, filters.date_from, filters.date_to, null, {
+      accountId: accountId || null
+    });
     
     res.json({
       success: true,
@@ -385,7 +315,9 @@ router.get('/summary', async (req, res, next) => {
           totalIncome: parseFloat(summary.total_income) || 0,
           totalExpenses: parseFloat(summary.total_expenses) || 0,
           netFlow: parseFloat(summary.net_flow) || 0,
-          averageTransaction: parseFloat(summary.average_amount) || 0
+          averageTransaction: parseFloat(summary.average_amount) || 0,
+          transferTransactions: parseInt(summary.transfer_transactions) || 0,
+          totalTransferred: parseFloat(summary.total_transferred) || 0
         },
         timestamp: new Date().toISOString()
       }
@@ -398,8 +330,8 @@ router.get('/summary', async (req, res, next) => {
 
 /**
  * @route GET /api/transactions/categories
- * @desc Get transaction categories with spending amounts
- * @access Public
+ * @desc Get spending by category, rolled up from subcategories to their parent category
+ * @access Private
  */
 router.get('/categories', async (req, res, next) => {
   try {
@@ -466,25 +398,28 @@ router.get('/categories', async (req, res, next) => {
         startDate.setDate(endDate.getDate() - 30);
     }
 
-    const userId = '00000000-0000-0000-0000-000000000001'; // TODO: Get from authentication
-    const filters = {
-      date_from: startDate.toISOString().split('T')[0],
-      date_to: endDate.toISOString().split('T')[0]
+    const dateRange = {
+      startDate: startDate.toISOString().split('T')[0],
+      endDate: endDate.toISOString().split('T')[0]
     };
-    
-    if (accountId) filters.account_id = accountId;
 
-    const categories = await TransactionModel.getCategoryBreakdown(userId, filters);
+    const currency = await fxService.getUserCurrency(req.user.id);
+    const rows = await TransactionModel.getCategoryBreakdown(
+      req.user.id, dateRange.startDate, dateRange.endDate, { accountId, currency }
+    );
+    const categories = categoryService.buildBreakdown(rows);
     
     res.json({
       success: true,
       message: 'Transaction categories retrieved',
-      data: categories.map(cat => ({
-        category: cat.category,
-        total_amount: parseFloat(cat.total_amount) || 0,
-        transaction_count: parseInt(cat.transaction_count) || 0,
-        percentage: parseFloat(cat.percentage) || 0
-      }))
+      data: categories,
+      meta: {
+        period,
+        dateRange,
+        currency,
+        total: categories.length,
+        timestamp: new Date().toISOString()
+      }
     });
   } catch (error) {
     logger.error('Error retrieving transaction categories:', error);
@@ -492,4 +427,165 @@ router.get('/categories', async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/transactions/:id
+ * @desc Get specific transaction by ID
+ * @access Private
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    logger.info('Transaction details requested', { transactionId: id });
+    
+    // Check if we should use mock data
+    if (process.env.ENABLE_MOCK_DATA === 'true') {
+      // Search through all transactions
+      let foundTransaction = null;
+      Object.values(MOCK_DATA.transactions).forEach(accountTransactions => {
+        const transaction = accountTransactions.find(tx => tx.id === id);
+        if (transaction) {
+          foundTransaction = transaction;
+        }
+      });
+      
+      if (foundTransaction) {
+        res.json({
+          success: true,
+          message: 'Transaction retrieved successfully (mock data)',
+          data: foundTransaction
+        });
+      } else {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: 'TRANSACTION_NOT_FOUND',
+            message: 'Transaction not found',
+            details: `Transaction with ID ${id} does not exist`
+          }
+        });
+      }
+      return;
+    }
+
+    const transaction = await TransactionModel.findById(id);
+    
+    if (!transaction || transaction.user_id !== req.user.id) {
+      res.status(404).json({
+        success: false,
+        error: {
+          code: 'TRANSACTION_NOT_FOUND',
+          message: 'Transaction not found',
+          details: `Transaction with ID ${id} does not exist`
+        }
+      });
+      return;
+    }
+
+    // Transform database format to API format
+    const transformedTransaction = {
+      id: transaction.id.toString(),
+      account_id: transaction.account_id.toString(),
+      date: transaction.transaction_date,
+      description: transaction.description,
+      amount: parseFloat(transaction.amount),
+      currency: transaction.currency || 'EUR',
+      category: transaction.category,
+      subcategory: transaction.subcategory,
+      category_id: transaction.category_id,
+      type: transaction.transaction_type,
+      balance_after: parseFloat(transaction.balance_after) || null,
+      merchant_name: transaction.merchant_name,
+      merchant_category: transaction.merchant_category,
+      is_pending: transaction.is_pending || false,
+      powens_transaction_id: transaction.powens_transaction_id
+    };
+
+    res.json({
+      success: true,
+      message: 'Transaction retrieved successfully',
+      data: transformedTransaction
+    });
+  } catch (error) {
+    logger.error('Error retrieving transaction:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/transactions/:id/category
+ * @desc File a transaction under a category (category_id null clears it)
+ * @access Private
+ */
+router.put('/:id/category', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { category_id } = req.body;
+
+    const transaction = await TransactionModel.findById(id);
+    if (!transaction || transaction.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TRANSACTION_NOT_FOUND',
+          message: 'Transaction not found',
+          details: `Transaction with ID ${id} does not exist`
+        }
+      });
+    }
+
+    if (category_id === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: ['category_id is required (null to clear)']
+        }
+      });
+    }
+
+    let updated;
+    if (category_id === null) {
+      updated = await TransactionModel.update(id, {
+        category_id: null,
+        category: null,
+        subcategory: null,
+        category_source: 'manual',
+        needs_review: false,
+        suggested_category_id: null
+      });
+    } else {
+      const category = await TransactionCategoryModel.findById(category_id);
+      if (!categoryService.isVisibleTo(category, req.user.id)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Request validation failed',
+            details: ['category_id does not reference an existing category']
+          }
+        });
+      }
+      updated = await TransactionModel.setCategory(id, category_id);
+    }
+
+    // Manual corrections are the categorizer's training data
+    categorizerService.invalidate(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Transaction category updated',
+      data: {
+        id: updated.id,
+        category_id: updated.category_id,
+        category: updated.category,
+        subcategory: updated.subcategory
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating transaction category:', error);
+    next(error);
+  }
+});
+
 module.exports = router;
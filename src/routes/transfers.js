@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { toIsoDate } = require('../utils/recurrence');
+const TransactionTransferModel = require('../models/TransactionTransfer');
+const transferService = require('../services/transferService');
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Request validation failed',
+    details: errors
+  }
+});
+
+const transferNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'TRANSFER_NOT_FOUND',
+    message: 'Transfer not found',
+    details: `No linked transfer with ID ${id}`
+  }
+});
+
+// Transform database format to API format
+const formatTransfer = (transfer) => ({
+  id: transfer.id,
+  status: transfer.status,
+  score: parseFloat(transfer.score),
+  matchDetails: transfer.match_details,
+  amount: Math.abs(parseFloat(transfer.incoming_amount)),
+  currency: transfer.currency,
+  outgoing: {
+    id: transfer.outgoing_transaction_id,
+    accountId: transfer.outgoing_account_id,
+    accountName: transfer.outgoing_account_name,
+    date: toIsoDate(transfer.outgoing_date),
+    amount: parseFloat(transfer.outgoing_amount),
+    description: transfer.outgoing_description
+  },
+  incoming: {
+    id: transfer.incoming_transaction_id,
+    accountId: transfer.incoming_account_id,
+    accountName: transfer.incoming_account_name,
+    date: toIsoDate(transfer.incoming_date),
+    amount: parseFloat(transfer.incoming_amount),
+    description: transfer.incoming_description
+  },
+  createdAt: transfer.created_at,
+  dismissedAt: transfer.dismissed_at
+});
+
+/**
+ * @route GET /api/transfers
+ * @desc Internal transfers between the user's accounts, newest first; filter by status
+ * @access Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { filters, errors } = transferService.parseListFilters(req.query);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const transfers = await TransactionTransferModel.findByUserId(req.user.id, filters);
+
+    res.json({
+      success: true,
+      message: 'Transfers retrieved successfully',
+      data: transfers.map(formatTransfer),
+      meta: {
+        limit: filters.limit,
+        offset: filters.offset,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving transfers:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/transfers/detect
+ * @desc Detect the user's internal transfers now (this also runs after every sync)
+ * @access Private
+ */
+router.post('/detect', async (req, res, next) => {
+  try {
+    const result = await transferService.detectForUser(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Transfer detection completed',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error detecting transfers:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/transfers/:id/dismiss
+ * @desc Unlink a wrongly detected transfer: both transactions count as income and spending again
+ *       and the pair is not detected again
+ * @access Private
+ */
+router.post('/:id/dismiss', async (req, res, next) => {
+  try {
+    const transfer = await transferService.dismiss(req.user.id, req.params.id);
+    if (!transfer) {
+      return transferNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer dismissed',
+      data: formatTransfer(transfer)
+    });
+  } catch (error) {
+    logger.error('Error dismissing transfer:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,97 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const { logger } = require('../utils/logger');
-const powensService = require('../services/powens/powensService');
+const powensWebhookService = require('../services/powens/powensWebhookService');
 
-/**
- * @route POST /api/webhooks/powens
- * @desc Handle Powens webhooks for connection events
- * @access Public (should be secured with webhook signature in production)
- */
-router.post('/powens', async (req, res, next) => {
-  try {
-    const webhookData = req.body;
-    
-    logger.info('Powens webhook received', { 
-      type: webhookData.type || 'unknown',
-      userId: webhookData.user?.id,
-      connectionId: webhookData.connection?.id,
-      headers: req.headers,
-      body: webhookData
-    });
+// Verify, store and acknowledge a Powens webhook; processing happens from the inbox afterwards.
+// The body arrives unparsed (see server.js) because the signature covers the exact bytes sent.
+const receivePowensWebhook = async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body ?? {});
 
-    // Capture the authorization token for data sync
-    if (req.headers.authorization) {
-      global.lastWebhookAuth = req.headers.authorization;
-    }
-
-    // Process the webhook
-    const result = await powensService.handleWebhook(webhookData);
-    
-    logger.info('Powens webhook processed successfully', { 
-      type: webhookData.type,
-      result: result
-    });
+  const { event, accepted, rejection } = await powensWebhookService.receive({
+    method: req.method,
+    path: req.baseUrl + req.path,
+    headers: req.headers,
+    rawBody,
+    eventType: req.params.eventType
+  });
 
-    res.status(200).json({
-      success: true,
-      message: 'Webhook processed successfully',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    logger.error('Powens webhook processing failed', { 
-      error: error.message,
-      body: req.body
-    });
-    
-    // Still return 200 to prevent Powens from retrying
-    res.status(200).json({
+  if (!accepted) {
+    return res.status(401).json({
       success: false,
-      error: error.message,
+      error: {
+        code: 'INVALID_WEBHOOK',
+        message: 'Webhook rejected',
+        details: rejection
+      },
       timestamp: new Date().toISOString()
     });
   }
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook received',
+    data: { eventId: event.id },
+    timestamp: new Date().toISOString()
+  });
+
+  powensWebhookService.processInBackground();
+};
+
+/**
+ * @route POST /api/webhooks/powens/:eventType?
+ * @desc Receive Powens webhooks. Configure one URL per event type in the Powens console
+ *       (e.g. /api/webhooks/powens/CONNECTION_SYNCED); requests must carry a valid BI-Signature.
+ * @access Public (signed webhook endpoint)
+ */
+router.post('/powens/:eventType?', async (req, res, next) => {
+  try {
+    logger.info('Powens webhook received', { eventType: req.params.eventType || 'unspecified' });
+    await receivePowensWebhook(req, res);
+  } catch (error) {
+    logger.error('Powens webhook could not be stored', { error: error.message });
+    next(error);
+  }
 });
 
 /**
  * @route POST /
- * @desc Handle Powens webhooks sent to root (fallback)
- * @access Public
+ * @desc Receive Powens webhooks sent to root (fallback)
+ * @access Public (signed webhook endpoint)
  */
 router.post('/', async (req, res, next) => {
   try {
-    const webhookData = req.body;
-    
-    logger.info('Powens webhook received at root', { 
-      userAgent: req.get('User-Agent'),
-      contentType: req.get('Content-Type'),
-      body: webhookData,
-      headers: req.headers
-    });
-
-    // Check if this is from Powens/Budgea
+    // Only Powens/Budgea requests are handled here; they still need a valid signature
     const userAgent = req.get('User-Agent') || '';
-    if (userAgent.includes('Budgea') || userAgent.includes('Powens')) {
-      // Capture the authorization token for data sync
-      if (req.headers.authorization) {
-        global.lastWebhookAuth = req.headers.authorization;
-        logger.info('Captured webhook authorization token', { 
-          tokenPreview: req.headers.authorization.substring(0, 20) + '...'
-        });
-      }
-
-      // Process as Powens webhook
-      const result = await powensService.handleWebhook(webhookData);
-      
-      logger.info('Root Powens webhook processed', { 
-        result: result
-      });
-
-      return res.status(200).json({
-        success: true,
-        message: 'Powens webhook processed at root',
-        timestamp: new Date().toISOString()
-      });
+    if (req.get('BI-Signature') || userAgent.includes('Budgea') || userAgent.includes('Powens')) {
+      logger.info('Powens webhook received at root', { userAgent });
+      return await receivePowensWebhook(req, res);
     }
 
     // Not a Powens webhook
@@ -101,16 +75,8 @@ router.post('/', async (req, res, next) => {
       message: 'Use /api/webhooks/powens for Powens webhooks'
     });
   } catch (error) {
-    logger.error('Root webhook processing failed', { 
-      error: error.message,
-      body: req.body
-    });
-    
-    res.status(200).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    logger.error('Root webhook could not be stored', { error: error.message });
+    next(error);
   }
 });
 
@@ -9,7 +9,9 @@ const database = require('./config/database');
 const rateLimitMiddleware = require('./middleware/rateLimit');
 const errorHandler = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
+const { authenticate } = require('./middleware/auth');
 const scheduledSync = require('./jobs/scheduledSync');
+const jobQueueService = require('./services/jobQueueService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -19,6 +21,21 @@ const syncRoutes = require('./routes/sync');
 const apiDocsRoutes = require('./routes/apiDocs');
 const webhookRoutes = require('./routes/webhooks');
 const nexoRoutes = require('./routes/nexo');
+const fireRoutes = require('./routes/fire');
+const budgetRoutes = require('./routes/budgets');
+const categoryRoutes = require('./routes/categories');
+const ruleRoutes = require('./routes/rules');
+const categorizerRoutes = require('./routes/categorizer');
+const importRoutes = require('./routes/imports');
+const exportRoutes = require('./routes/exports');
+const netWorthRoutes = require('./routes/networth');
+const recurringRoutes = require('./routes/recurring');
+const forecastRoutes = require('./routes/forecast');
+const fxRoutes = require('./routes/fx');
+const cryptoRoutes = require('./routes/crypto');
+const jobRoutes = require('./routes/jobs');
+const reconciliationRoutes = require('./routes/reconciliations');
+const transferRoutes = require('./routes/transfers');
 const webauthRoutes = require('./domains/banking/routes/webauthRoutes'); // Use domain version
 const option2Routes = require('./domains/banking/routes/option2Routes'); // Use domain version
 
@@ -47,7 +64,12 @@ app.use(cors({
   credentials: true
 }));
 
-// Request parsing
+// Request parsing. Signed webhooks keep their raw body: the signature covers the exact bytes sent
+const isSignedWebhook = (req) => req.method === 'POST' && (
+  req.path === '/' || req.path === '/api/nexo/webhook' || req.path.startsWith('/api/webhooks/powens')
+);
+const rawWebhookBody = express.raw({ type: '*/*', limit: '1mb' });
+app.use((req, res, next) => (isSignedWebhook(req) ? rawWebhookBody(req, res, next) : next()));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -89,11 +111,26 @@ app.use('/', webhookRoutes);
 
 // API routes - ORIGINAL STRUCTURE
 app.use('/api/auth', authRoutes);
-app.use('/api/auth/powens', webauthRoutes); // Option 1: Webauth routes for bank connections
-app.use('/api/auth/powens', option2Routes); // Option 2: Manual API routes for bank connections
-app.use('/api/accounts', accountRoutes);
-app.use('/api/transactions', transactionRoutes);
-app.use('/api/sync', syncRoutes);
+app.use('/api/auth/powens', authenticate, webauthRoutes); // Option 1: Webauth routes for bank connections
+app.use('/api/auth/powens', authenticate, option2Routes); // Option 2: Manual API routes for bank connections
+app.use('/api/accounts', authenticate, accountRoutes);
+app.use('/api/transactions', authenticate, transactionRoutes);
+app.use('/api/sync', authenticate, syncRoutes);
+app.use('/api/fire', authenticate, fireRoutes);
+app.use('/api/budgets', authenticate, budgetRoutes);
+app.use('/api/categories', authenticate, categoryRoutes);
+app.use('/api/rules', authenticate, ruleRoutes);
+app.use('/api/categorizer', authenticate, categorizerRoutes);
+app.use('/api/imports', authenticate, importRoutes);
+app.use('/api/exports', authenticate, exportRoutes);
+app.use('/api/networth', authenticate, netWorthRoutes);
+app.use('/api/recurring', authenticate, recurringRoutes);
+app.use('/api/forecast', authenticate, forecastRoutes);
+app.use('/api/fx', authenticate, fxRoutes);
+app.use('/api/crypto', authenticate, cryptoRoutes);
+app.use('/api/jobs', authenticate, jobRoutes);
+app.use('/api/reconciliations', authenticate, reconciliationRoutes);
+app.use('/api/transfers', authenticate, transferRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/nexo', nexoRoutes);
 
@@ -175,12 +212,20 @@ async function startServer() {
       logger.info('Scheduled sync jobs disabled by configuration');
     }
 
+    // Run queued background jobs (syncs) in this instance
+    if (process.env.ENABLE_JOB_WORKER !== 'false') {
+      jobQueueService.start();
+    } else {
+      logger.info('Job queue worker disabled by configuration');
+    }
+
     // Start server
     app.listen(PORT, () => {
       logger.info(`FIRE Planning API server started`, {
         port: PORT,
         environment: process.env.NODE_ENV || 'development',
         scheduledSync: process.env.ENABLE_SCHEDULED_SYNC !== 'false',
+        jobWorker: process.env.ENABLE_JOB_WORKER !== 'false',
         timestamp: new Date().toISOString()
       });
       
@@ -200,10 +245,29 @@ async function startServer() {
             status: `http://localhost:${PORT}/api/sync/status`,
             health: `http://localhost:${PORT}/api/sync/health`
           },
+          fire: {
+            projection: `http://localhost:${PORT}/api/fire/projection`,
+            simulations: `http://localhost:${PORT}/api/fire/simulations`
+          },
+          budgets: `http://localhost:${PORT}/api/budgets`,
+          categories: `http://localhost:${PORT}/api/categories`,
+          rules: `http://localhost:${PORT}/api/rules`,
+          categorizer: `http://localhost:${PORT}/api/categorizer/status`,
+          imports: `http://localhost:${PORT}/api/imports`,
+          exports: `http://localhost:${PORT}/api/exports`,
+          networth: `http://localhost:${PORT}/api/networth/history`,
+          recurring: `http://localhost:${PORT}/api/recurring`,
+          forecast: `http://localhost:${PORT}/api/forecast`,
+          fx: `http://localhost:${PORT}/api/fx/rates`,
+          crypto: `http://localhost:${PORT}/api/crypto/holdings`,
+          jobs: `http://localhost:${PORT}/api/jobs/JOB_ID`,
+          reconciliations: `http://localhost:${PORT}/api/reconciliations`,
+          transfers: `http://localhost:${PORT}/api/transfers`,
           nexoApi: {
             status: `http://localhost:${PORT}/api/nexo/status`,
             assets: `http://localhost:${PORT}/api/nexo/assets`,
             addresses: `http://localhost:${PORT}/api/nexo/addresses`,
+            deposits: `http://localhost:${PORT}/api/nexo/deposits`,
             config: `http://localhost:${PORT}/api/nexo/config`
           },
           // Option 1 - Webauth endpoints for bank connections
@@ -260,9 +324,11 @@ async function startServer() {
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
   
-  // Stop scheduled jobs
+  // Stop scheduled jobs and stop taking queued jobs; a job still running is taken over
+  // by another worker once its lease expires
   try {
     scheduledSync.stop();
+    jobQueueService.stop();
     logger.info('Scheduled sync jobs stopped');
   } catch (error) {
     logger.error('Error stopping scheduled jobs', { error: error.message });
@@ -274,9 +340,11 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
   
-  // Stop scheduled jobs
+  // Stop scheduled jobs and stop taking queued jobs; a job still running is taken over
+  // by another worker once its lease expires
   try {
     scheduledSync.stop();
+    jobQueueService.stop();
     logger.info('Scheduled sync jobs stopped');
   } catch (error) {
     logger.error('Error stopping scheduled jobs', { error: error.message });
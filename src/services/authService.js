@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../utils/logger');
+const UserModel = require('../models/User');
+const UserSessionModel = require('../models/UserSession');
+const PowensAuthStateModel = require('../models/PowensAuthState');
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+// How long a Powens connection flow may take between init and callback
+const POWENS_STATE_TTL_MINUTES = 30;
+
+/**
+ * Authentication Service
+ *
+ * Handles local user accounts: password hashing, JWT issuance and the
+ * user_sessions rows that back each token so logout can revoke it.
+ */
+class AuthService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET;
+    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '7d';
+
+    if (!this.jwtSecret) {
+      logger.warn('JWT_SECRET not configured. Authentication will reject all tokens.');
+    }
+  }
+
+  /**
+   * Normalize an email address for storage and lookup
+   */
+  normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+  }
+
+  /**
+   * Validate registration input, returning a list of problems
+   */
+  validateRegistration({ email, password }) {
+    const errors = [];
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(this.normalizeEmail(email))) {
+      errors.push('A valid email address is required');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Register a new user with a hashed password and default preferences
+   */
+  async register({ email, password, first_name, last_name }) {
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    const user = await UserModel.create({
+      email: this.normalizeEmail(email),
+      password_hash: passwordHash,
+      first_name,
+      last_name
+    });
+    await UserModel.createDefaultPreferences(user.id);
+
+    logger.info('User registered', { userId: user.id });
+    return user;
+  }
+
+  /**
+   * Check credentials. Returns the user or null when they do not match.
+   */
+  async verifyCredentials(email, password) {
+    const user = await UserModel.findByEmail(this.normalizeEmail(email));
+
+    if (!user || !user.password_hash || !user.is_active || typeof password !== 'string') {
+      return null;
+    }
+
+    const matches = await bcrypt.compare(password, user.password_hash);
+    return matches ? user : null;
+  }
+
+  /**
+   * Create a session row and sign a JWT referencing it
+   */
+  async createSession(user, { ipAddress, userAgent } = {}) {
+    if (!this.jwtSecret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    const sessionToken = crypto.randomBytes(32).toString('hex');
+    const token = jwt.sign({ sub: user.id, sid: sessionToken }, this.jwtSecret, {
+      expiresIn: this.jwtExpiresIn
+    });
+    const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+    await UserSessionModel.create({
+      user_id: user.id,
+      session_token: sessionToken,
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      expires_at: expiresAt
+    });
+    await UserModel.updateLastLogin(user.id);
+
+    logger.info('User session created', { userId: user.id, expiresAt });
+    return { token, expiresAt };
+  }
+
+  /**
+   * Resolve a JWT to its active session and user. Returns null if invalid.
+   */
+  async verifyToken(token) {
+    if (!this.jwtSecret || !token) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, this.jwtSecret);
+    } catch (error) {
+      logger.debug('JWT verification failed', { error: error.message });
+      return null;
+    }
+
+    const session = await UserSessionModel.findActiveByToken(payload.sid);
+    if (!session || session.user_id !== payload.sub) {
+      return null;
+    }
+
+    const user = await UserModel.findById(session.user_id);
+    if (!user || !user.is_active) {
+      return null;
+    }
+
+    await UserSessionModel.touch(session.id);
+    return { user, session };
+  }
+
+  /**
+   * Revoke the session behind a token
+   */
+  async logout(sessionToken) {
+    const session = await UserSessionModel.deactivate(sessionToken);
+    logger.info('User session revoked', { userId: session?.user_id });
+    return !!session;
+  }
+
+  /**
+   * Issue a random single-use state for a Powens connection flow started from a session.
+   * Only its hash is stored.
+   */
+  async issuePowensState(userId, sessionId) {
+    const state = crypto.randomBytes(32).toString('base64url');
+
+    await PowensAuthStateModel.create({
+      user_id: userId,
+      session_id: sessionId,
+      state_hash: this.hashPowensState(state),
+      expires_at: new Date(Date.now() + POWENS_STATE_TTL_MINUTES * 60 * 1000)
+    });
+
+    return state;
+  }
+
+  /**
+   * Consume a Powens callback state and return the active user who started the flow,
+   * or null when the state is unknown, already used, expired or its session has ended
+   */
+  async consumePowensState(state) {
+    if (typeof state !== 'string' || state.length === 0 || state.length > 128) {
+      return null;
+    }
+
+    const consumed = await PowensAuthStateModel.consume(this.hashPowensState(state));
+    if (!consumed) {
+      return null;
+    }
+
+    const user = await UserModel.findById(consumed.user_id);
+    return user && user.is_active ? user : null;
+  }
+
+  /**
+   * Hash under which a Powens state is stored
+   */
+  hashPowensState(state) {
+    return crypto.createHash('sha256').update(state).digest('hex');
+  }
+
+  /**
+   * Strip credentials and internal columns from a user row
+   */
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      locale: user.locale,
+      timezone: user.timezone,
+      email_verified: user.email_verified,
+      is_admin: user.is_admin === true,
+      created_at: user.created_at,
+      last_login_at: user.last_login_at
+    };
+  }
+}
+
+module.exports = new AuthService();
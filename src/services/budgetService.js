@@ -0,0 +1,161 @@
+const { logger } = require('../utils/logger');
+const BudgetModel = require('../models/Budget');
+const BudgetAlertModel = require('../models/BudgetAlert');
+
+// Supported budget periods
+const BUDGET_PERIOD = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly'
+};
+
+// Always alert when a budget is fully spent, in addition to its own alert_threshold
+const OVERSPEND_THRESHOLD = 1.0;
+
+/**
+ * Budget Service
+ *
+ * Validates budgets and evaluates spending against them for the current
+ * calendar period, recording each threshold crossing once per period.
+ */
+class BudgetService {
+  /**
+   * Validate budget input, returning a list of problems.
+   * With partial=true only the provided fields are checked (updates).
+   */
+  validateBudget(data, { partial = false } = {}) {
+    const errors = [];
+    const has = (field) => data[field] !== undefined;
+
+    if ((!partial || has('name')) && (typeof data.name !== 'string' || data.name.trim() === '')) {
+      errors.push('name is required');
+    }
+    if ((!partial || has('amount')) && !(Number(data.amount) > 0)) {
+      errors.push('amount must be a positive number');
+    }
+    if ((!partial || has('period')) && !Object.values(BUDGET_PERIOD).includes(data.period)) {
+      errors.push(`period must be one of: ${Object.values(BUDGET_PERIOD).join(', ')}`);
+    }
+    if (has('alert_threshold') && !(Number(data.alert_threshold) > 0 && Number(data.alert_threshold) <= 1)) {
+      errors.push('alert_threshold must be between 0 and 1');
+    }
+    for (const field of ['start_date', 'end_date']) {
+      if (has(field) && data[field] !== null && Number.isNaN(Date.parse(data[field]))) {
+        errors.push(`${field} must be a valid date`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Calendar bounds (inclusive, YYYY-MM-DD) of the period containing referenceDate
+   */
+  getPeriodBounds(period, referenceDate = new Date()) {
+    const year = referenceDate.getUTCFullYear();
+    const month = referenceDate.getUTCMonth();
+    let start;
+    let end;
+
+    switch (period) {
+      case BUDGET_PERIOD.WEEKLY: {
+        // ISO weeks start on Monday
+        const dayOffset = (referenceDate.getUTCDay() + 6) % 7;
+        start = new Date(Date.UTC(year, month, referenceDate.getUTCDate() - dayOffset));
+        end = new Date(Date.UTC(year, month, referenceDate.getUTCDate() - dayOffset + 6));
+        break;
+      }
+      case BUDGET_PERIOD.YEARLY:
+        start = new Date(Date.UTC(year, 0, 1));
+        end = new Date(Date.UTC(year, 11, 31));
+        break;
+      case BUDGET_PERIOD.MONTHLY:
+      default:
+        start = new Date(Date.UTC(year, month, 1));
+        end = new Date(Date.UTC(year, month + 1, 0));
+    }
+
+    return {
+      start: start.toISOString().split('T')[0],
+      end: end.toISOString().split('T')[0]
+    };
+  }
+
+  /**
+   * Compute spend for a budget's current period and record newly crossed thresholds
+   */
+  async evaluateBudget(budget, referenceDate = new Date()) {
+    const today = referenceDate.toISOString().split('T')[0];
+    const startDate = this.toDateString(budget.start_date);
+    const endDate = budget.end_date ? this.toDateString(budget.end_date) : null;
+
+    if (today < startDate || (endDate && today > endDate)) {
+      return { budgetId: budget.id, inPeriod: false };
+    }
+
+    const bounds = this.getPeriodBounds(budget.period, referenceDate);
+    const periodStart = bounds.start < startDate ? startDate : bounds.start;
+    const periodEnd = endDate && bounds.end > endDate ? endDate : bounds.end;
+
+    const { spent, transaction_count } = await BudgetModel.getSpend(budget, periodStart, periodEnd);
+    const amount = parseFloat(budget.amount);
+    const ratio = amount > 0 ? spent / amount : 0;
+
+    const thresholds = [...new Set([parseFloat(budget.alert_threshold) || 0.8, OVERSPEND_THRESHOLD])].sort((a, b) => a - b);
+    const newAlerts = [];
+
+    for (const threshold of thresholds) {
+      if (ratio >= threshold) {
+        const alert = await BudgetAlertModel.createIfNew({
+          budget_id: budget.id,
+          user_id: budget.user_id,
+          period_start: periodStart,
+          period_end: periodEnd,
+          threshold,
+          spent_amount: spent,
+          budget_amount: amount
+        });
+        if (alert) newAlerts.push(alert);
+      }
+    }
+
+    return {
+      budgetId: budget.id,
+      inPeriod: true,
+      period: { start: periodStart, end: periodEnd },
+      amount,
+      spent: Math.round(spent * 100) / 100,
+      remaining: Math.round((amount - spent) * 100) / 100,
+      ratio: Math.round(ratio * 10000) / 10000,
+      transactionCount: transaction_count,
+      newAlerts
+    };
+  }
+
+  /**
+   * Evaluate all active budgets for a user
+   */
+  async evaluateUserBudgets(userId, referenceDate = new Date()) {
+    const budgets = await BudgetModel.findByUserId(userId, { activeOnly: true });
+    const results = [];
+
+    for (const budget of budgets) {
+      results.push(await this.evaluateBudget(budget, referenceDate));
+    }
+
+    const alertCount = results.reduce((sum, r) => sum + (r.newAlerts?.length || 0), 0);
+    if (budgets.length > 0) {
+      logger.info('Budgets evaluated', { userId, budgets: budgets.length, newAlerts: alertCount });
+    }
+
+    return results;
+  }
+
+  toDateString(value) {
+    return value instanceof Date
+      ? new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate())).toISOString().split('T')[0]
+      : String(value).split('T')[0];
+  }
+}
+
+module.exports = new BudgetService();
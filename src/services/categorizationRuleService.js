@@ -0,0 +1,195 @@
+const { logger } = require('../utils/logger');
+const { evaluateRules, parseTags, isSafePattern } = require('../utils/ruleEngine');
+const TransactionModel = require('../models/Transaction');
+const TransactionCategoryModel = require('../models/TransactionCategory');
+const BankAccountModel = require('../models/BankAccount');
+
+const CONDITION_FIELDS = ['description_pattern', 'merchant_pattern', 'min_amount', 'max_amount', 'account_id', 'powens_type'];
+const ACTION_FIELDS = ['set_category_id', 'add_tags', 'set_notes'];
+
+// Retroactive runs page through history in batches and cap the dry-run preview
+const APPLY_LIMITS = {
+  BATCH_SIZE: 500,
+  DEFAULT_PREVIEW: 100,
+  MAX_PREVIEW: 500
+};
+
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Categorization Rule Service
+ *
+ * Validates user rules and runs a single rule over a user's transaction
+ * history, either as a dry-run preview or for real.
+ */
+class CategorizationRuleService {
+  /**
+   * Validate rule input, returning a list of problems.
+   * With partial=true only the provided fields are checked (updates).
+   */
+  validateRule(data, { partial = false } = {}) {
+    const errors = [];
+    const has = (field) => data[field] !== undefined && data[field] !== null;
+
+    if ((!partial || data.name !== undefined) && (typeof data.name !== 'string' || data.name.trim() === '')) {
+      errors.push('name is required');
+    }
+    if (has('priority') && !Number.isInteger(Number(data.priority))) {
+      errors.push('priority must be an integer');
+    }
+
+    if (has('description_pattern')) {
+      if (typeof data.description_pattern !== 'string' || data.description_pattern.length > MAX_PATTERN_LENGTH) {
+        errors.push(`description_pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+      } else {
+        try {
+          new RegExp(data.description_pattern, 'i');
+          if (!isSafePattern(data.description_pattern)) {
+            errors.push('description_pattern must not use backreferences or repeat a group holding a quantifier or alternation, like (a+)+ or (a|b)*');
+          }
+        } catch (error) {
+          errors.push(`description_pattern is not a valid regular expression: ${error.message}`);
+        }
+      }
+    }
+    for (const field of ['min_amount', 'max_amount']) {
+      if (has(field) && !Number.isFinite(Number(data[field]))) {
+        errors.push(`${field} must be a number`);
+      }
+    }
+    if (has('min_amount') && has('max_amount') && Number(data.min_amount) > Number(data.max_amount)) {
+      errors.push('min_amount must not exceed max_amount');
+    }
+    if (has('add_tags') && (!Array.isArray(data.add_tags) || data.add_tags.some(tag => typeof tag !== 'string' || tag.trim() === ''))) {
+      errors.push('add_tags must be an array of non-empty strings');
+    }
+
+    if (!partial) {
+      if (!CONDITION_FIELDS.some(has)) {
+        errors.push(`At least one condition is required: ${CONDITION_FIELDS.join(', ')}`);
+      }
+      if (!ACTION_FIELDS.some(field => field === 'add_tags' ? has(field) && data.add_tags.length > 0 : has(field))) {
+        errors.push(`At least one action is required: ${ACTION_FIELDS.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that the account and category a rule references belong to the user
+   */
+  async checkReferences(data, userId) {
+    const errors = [];
+
+    if (data.account_id) {
+      const account = await BankAccountModel.findById(data.account_id);
+      if (!account || account.user_id !== userId) {
+        errors.push('account_id does not reference one of your accounts');
+      }
+    }
+    if (data.set_category_id) {
+      const category = await TransactionCategoryModel.findById(data.set_category_id);
+      if (!category || (category.user_id !== null && category.user_id !== userId)) {
+        errors.push('set_category_id does not reference an existing category');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run one rule over the user's existing transactions.
+   * With dryRun the matching rows are returned with their before/after values and nothing is written.
+   * Manually categorized transactions are skipped (and listed as such in a dry run) unless force is set.
+   */
+  async applyToHistory(rule, userId, { dryRun = true, force = false, previewLimit = APPLY_LIMITS.DEFAULT_PREVIEW } = {}) {
+    const maxPreview = Math.min(Math.max(parseInt(previewLimit) || APPLY_LIMITS.DEFAULT_PREVIEW, 1), APPLY_LIMITS.MAX_PREVIEW);
+    const preview = [];
+    let scanned = 0;
+    let affected = 0;
+    let skipped = 0;
+    let afterId = null;
+
+    for (;;) {
+      // A dry run also reads manual rows, to report which ones are skipped
+      const batch = await TransactionModel.findRuleCandidates(userId, rule, {
+        afterId,
+        limit: APPLY_LIMITS.BATCH_SIZE,
+        includeManual: dryRun || force
+      });
+      if (batch.length === 0) break;
+
+      for (const transaction of batch) {
+        scanned++;
+        const { changes, matchedRuleIds } = evaluateRules([rule], transaction);
+        if (matchedRuleIds.length === 0 || Object.keys(changes).length === 0) continue;
+
+        if (transaction.category_source === 'manual' && !force) {
+          skipped++;
+          if (preview.length < maxPreview) {
+            preview.push({ ...this.describeChange(transaction, {}), skipped: 'manual_category' });
+          }
+          continue;
+        }
+
+        affected++;
+        if (dryRun) {
+          if (preview.length < maxPreview) {
+            preview.push(this.describeChange(transaction, changes));
+          }
+        } else {
+          const updateData = { ...changes };
+          if (updateData.tags) updateData.tags = JSON.stringify(updateData.tags);
+          if (updateData.category_id) {
+            Object.assign(updateData, { category_source: 'rule', needs_review: false, suggested_category_id: null });
+          }
+          await TransactionModel.update(transaction.id, updateData);
+        }
+      }
+
+      afterId = batch[batch.length - 1].id;
+      if (batch.length < APPLY_LIMITS.BATCH_SIZE) break;
+    }
+
+    logger.info('Categorization rule applied to history', { userId, ruleId: rule.id, dryRun, force, scanned, affected, skipped });
+
+    return {
+      ruleId: rule.id,
+      dryRun,
+      force,
+      scanned,
+      affected,
+      ...(dryRun ? { skipped, preview, previewTruncated: affected + skipped > preview.length } : { updated: affected })
+    };
+  }
+
+  /**
+   * Before/after view of a transaction for dry-run previews
+   */
+  describeChange(transaction, changes) {
+    const before = {
+      category: transaction.category,
+      subcategory: transaction.subcategory,
+      tags: parseTags(transaction.tags),
+      notes: transaction.notes
+    };
+
+    return {
+      id: transaction.id,
+      date: transaction.transaction_date,
+      description: transaction.description,
+      merchant_name: transaction.merchant_name,
+      amount: parseFloat(transaction.amount),
+      before,
+      after: {
+        category: changes.category !== undefined ? changes.category : before.category,
+        subcategory: changes.category !== undefined ? changes.subcategory : before.subcategory,
+        tags: changes.tags || before.tags,
+        notes: changes.notes !== undefined ? changes.notes : before.notes
+      }
+    };
+  }
+}
+
+module.exports = new CategorizationRuleService();
@@ -0,0 +1,154 @@
+const { logger } = require('../utils/logger');
+const { tokenize, train, predict } = require('../utils/naiveBayes');
+const TransactionModel = require('../models/Transaction');
+
+// Categorizer settings; the review threshold can be tuned per deployment
+const CATEGORIZER_CONFIG = {
+  CONFIDENCE_THRESHOLD: parseFloat(process.env.CATEGORIZER_CONFIDENCE_THRESHOLD) || 0.8,
+  MIN_TRAINING_EXAMPLES: 10,
+  MIN_LABELS: 2,
+  MAX_TRAINING_EXAMPLES: 5000,
+  BATCH_SIZE: 1000,
+  MODEL_TTL_MS: 60 * 60 * 1000
+};
+
+/**
+ * Categorizer Service
+ *
+ * Learns each user's categorization from their manual corrections with a
+ * naive Bayes classifier over description and merchant tokens. Confident
+ * suggestions are applied through TransactionModel.autoCategorize; the rest
+ * are queued for review.
+ */
+class CategorizerService {
+  constructor() {
+    this.models = new Map();
+  }
+
+  /**
+   * Tokens for a transaction; merchant tokens are prefixed so they weigh separately
+   */
+  featuresFor(transaction) {
+    return [
+      ...tokenize(transaction.description),
+      ...tokenize(transaction.merchant_name).map(token => `m:${token}`)
+    ];
+  }
+
+  /**
+   * Get (or train) the user's model. Returns null when there is too little training data.
+   */
+  async getModel(userId) {
+    const cached = this.models.get(userId);
+    if (cached && Date.now() - cached.trainedAt < CATEGORIZER_CONFIG.MODEL_TTL_MS) {
+      return cached.model;
+    }
+
+    const rows = await TransactionModel.findManuallyCategorized(userId, CATEGORIZER_CONFIG.MAX_TRAINING_EXAMPLES);
+    const labels = new Map();
+    const examples = [];
+
+    for (const row of rows) {
+      const tokens = this.featuresFor(row);
+      if (tokens.length === 0) continue;
+
+      labels.set(row.category_id, { category_id: row.category_id, category: row.category, subcategory: row.subcategory });
+      examples.push({ label: row.category_id, tokens });
+    }
+
+    let model = null;
+    if (examples.length >= CATEGORIZER_CONFIG.MIN_TRAINING_EXAMPLES && labels.size >= CATEGORIZER_CONFIG.MIN_LABELS) {
+      model = { classifier: train(examples), labels, exampleCount: examples.length };
+    }
+
+    this.models.set(userId, { model, trainedAt: Date.now() });
+    logger.info('Categorizer trained', { userId, examples: examples.length, labels: labels.size, ready: Boolean(model) });
+
+    return model;
+  }
+
+  /**
+   * Drop the cached model so the next use retrains (after a manual correction)
+   */
+  invalidate(userId) {
+    this.models.delete(userId);
+  }
+
+  /**
+   * Suggest a category for a transaction
+   */
+  async suggest(userId, transaction) {
+    const model = await this.getModel(userId);
+    if (!model) return null;
+
+    const [best, ...alternatives] = predict(model.classifier, this.featuresFor(transaction));
+    if (!best) return null;
+
+    return {
+      ...model.labels.get(best.label),
+      confidence: Math.round(best.probability * 10000) / 10000,
+      alternatives: alternatives.slice(0, 2).map(alt => ({
+        ...model.labels.get(alt.label),
+        confidence: Math.round(alt.probability * 10000) / 10000
+      }))
+    };
+  }
+
+  /**
+   * Classify the user's imported transactions that have not been classified yet.
+   * Confident suggestions are applied; the rest go to the review queue.
+   */
+  async classifyPending(userId) {
+    const model = await this.getModel(userId);
+    if (!model) {
+      return { ready: false, classified: 0, queuedForReview: 0 };
+    }
+
+    const pending = await TransactionModel.findPendingClassification(userId, CATEGORIZER_CONFIG.BATCH_SIZE);
+    let classified = 0;
+    let queuedForReview = 0;
+
+    for (const transaction of pending) {
+      const suggestion = await this.suggest(userId, transaction);
+
+      if (!suggestion) {
+        // Nothing to learn from (no usable tokens), so a person has to decide
+        await TransactionModel.flagForReview(transaction.id, null, 0);
+        queuedForReview++;
+      } else if (suggestion.confidence >= CATEGORIZER_CONFIG.CONFIDENCE_THRESHOLD) {
+        await TransactionModel.autoCategorize(transaction.id, suggestion.category, suggestion.subcategory, {
+          source: 'classifier',
+          confidence: suggestion.confidence
+        });
+        classified++;
+      } else {
+        await TransactionModel.flagForReview(transaction.id, suggestion.category_id, suggestion.confidence);
+        queuedForReview++;
+      }
+    }
+
+    if (pending.length > 0) {
+      logger.info('Categorizer run completed', { userId, pending: pending.length, classified, queuedForReview });
+    }
+
+    return { ready: true, classified, queuedForReview, remaining: pending.length === CATEGORIZER_CONFIG.BATCH_SIZE };
+  }
+
+  /**
+   * Training status for the user's model
+   */
+  async getStatus(userId) {
+    const model = await this.getModel(userId);
+
+    return {
+      ready: Boolean(model),
+      trainingExamples: model ? model.exampleCount : 0,
+      categories: model ? model.labels.size : 0,
+      confidenceThreshold: CATEGORIZER_CONFIG.CONFIDENCE_THRESHOLD,
+      minTrainingExamples: CATEGORIZER_CONFIG.MIN_TRAINING_EXAMPLES,
+      minCategories: CATEGORIZER_CONFIG.MIN_LABELS
+    };
+  }
+}
+
+module.exports = new CategorizerService();
@@ -0,0 +1,170 @@
+const { logger } = require('../utils/logger');
+const TransactionCategoryModel = require('../models/TransactionCategory');
+
+// Categories form a two-level tree: top-level categories and their subcategories
+const MAX_NAME_LENGTH = 100;
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Category Service
+ *
+ * Manages the category tree (system categories plus each user's own
+ * categories and subcategories) and builds tree-shaped spending rollups.
+ */
+class CategoryService {
+  /**
+   * Validate category input, returning a list of problems.
+   * With partial=true only the provided fields are checked (updates).
+   */
+  validateCategory(data, { partial = false } = {}) {
+    const errors = [];
+    const has = (field) => data[field] !== undefined;
+
+    if (!partial || has('name')) {
+      if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push('name is required');
+      } else if (data.name.trim().length > MAX_NAME_LENGTH) {
+        errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+    }
+    if (has('color') && data.color !== null && !HEX_COLOR.test(data.color)) {
+      errors.push('color must be a hex color such as #1abc9c');
+    }
+    if (has('sort_order') && !Number.isInteger(Number(data.sort_order))) {
+      errors.push('sort_order must be an integer');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether the user may see (and file transactions under) a category
+   */
+  isVisibleTo(category, userId) {
+    return Boolean(category) && (category.user_id === null || category.user_id === userId);
+  }
+
+  /**
+   * Check that parentId can hold a subcategory for this user.
+   * Returns an error message, or null when the parent is acceptable.
+   */
+  async checkParent(parentId, userId, categoryId = null) {
+    if (parentId === null || parentId === undefined) return null;
+
+    const parent = await TransactionCategoryModel.findById(parentId);
+    if (!this.isVisibleTo(parent, userId)) {
+      return 'parent_id does not reference an existing category';
+    }
+    if (parent.parent_id) {
+      return 'Subcategories cannot have subcategories of their own';
+    }
+    if (categoryId && parent.id === categoryId) {
+      return 'A category cannot be its own parent';
+    }
+    if (categoryId && await TransactionCategoryModel.countChildren(categoryId, userId) > 0) {
+      return 'A category with subcategories cannot become a subcategory';
+    }
+
+    return null;
+  }
+
+  /**
+   * Nest a flat category list into top-level categories with subcategories
+   */
+  buildTree(categories) {
+    const roots = [];
+    const byId = new Map();
+
+    for (const category of categories) {
+      byId.set(category.id, { ...category, children: [] });
+    }
+    for (const node of byId.values()) {
+      const parent = node.parent_id ? byId.get(node.parent_id) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else if (!node.parent_id) {
+        roots.push(node);
+      }
+    }
+
+    return roots;
+  }
+
+  /**
+   * Roll up per-category spending rows into top-level totals with subcategory detail.
+   * Rows come from TransactionModel.getCategoryBreakdown.
+   */
+  buildBreakdown(rows) {
+    const groups = new Map();
+    let grandTotal = 0;
+
+    for (const row of rows) {
+      const key = row.category_id || 'uncategorized';
+      const amount = parseFloat(row.total_amount) || 0;
+      const count = parseInt(row.transaction_count) || 0;
+      grandTotal += amount;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          category_id: row.category_id || null,
+          category: row.category || 'Uncategorized',
+          color: row.color || null,
+          icon: row.icon || null,
+          total_amount: 0,
+          transaction_count: 0,
+          subcategories: []
+        });
+      }
+
+      const group = groups.get(key);
+      group.total_amount += amount;
+      group.transaction_count += count;
+
+      if (row.subcategory_id) {
+        group.subcategories.push({
+          category_id: row.subcategory_id,
+          category: row.subcategory,
+          total_amount: amount,
+          transaction_count: count
+        });
+      }
+    }
+
+    const withShare = (item) => ({
+      ...item,
+      total_amount: Math.round(item.total_amount * 100) / 100,
+      percentage: grandTotal > 0 ? Math.round((item.total_amount / grandTotal) * 10000) / 100 : 0
+    });
+
+    return [...groups.values()]
+      .map(group => ({
+        ...withShare(group),
+        subcategories: group.subcategories
+          .sort((a, b) => b.total_amount - a.total_amount)
+          .map(withShare)
+      }))
+      .sort((a, b) => b.total_amount - a.total_amount);
+  }
+
+  /**
+   * Merge source into target for a user. System categories are never deleted;
+   * merging one only moves the user's own transactions, budgets and subcategories.
+   */
+  async mergeCategories(source, target, userId) {
+    const result = await TransactionCategoryModel.merge(source.id, target.id, userId, {
+      targetIsTopLevel: !target.parent_id,
+      deleteSource: source.user_id === userId
+    });
+
+    logger.info('Categories merged', {
+      userId,
+      sourceId: source.id,
+      targetId: target.id,
+      movedTransactions: result.movedTransactions
+    });
+
+    return result;
+  }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,144 @@
+const { logger } = require('../../utils/logger');
+const { toIsoDate } = require('../../utils/recurrence');
+const CryptoHoldingModel = require('../../models/CryptoHolding');
+const fxService = require('../fxService');
+const { getPriceSource } = require('./priceSources');
+
+// Nexo asset symbols: BTC, ETH, USDT_ETH...
+const ASSET_PATTERN = /^[A-Z0-9_]{1,20}$/;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Crypto Holding Service
+ *
+ * Values crypto wallets like accounts: each holding's quantity times its price
+ * from the configured price source, converted into the user's currency.
+ * Holdings without a price (or whose price currency has no FX rate) are listed
+ * with a null value and left out of the totals.
+ */
+class CryptoHoldingService {
+  /**
+   * Value a user's holdings in currency (the user's preferred currency when omitted)
+   */
+  async getValuation(userId, currency = null) {
+    const targetCurrency = currency || await fxService.getUserCurrency(userId);
+    const holdings = await CryptoHoldingModel.findByUserId(userId);
+    const source = getPriceSource();
+
+    const assets = [...new Set(holdings.map(h => h.asset))];
+    const [prices, convert] = await Promise.all([
+      assets.length > 0 ? source.getPrices(assets) : new Map(),
+      fxService.getConverter()
+    ]);
+
+    const unpricedAssets = new Set();
+    let totalValue = 0;
+
+    const valued = holdings.map(holding => {
+      const quantity = parseFloat(holding.quantity);
+      const price = prices.get(holding.asset);
+      const value = price ? convert(quantity * price.price, price.currency, targetCurrency) : null;
+
+      if (value === null) unpricedAssets.add(holding.asset);
+      else totalValue += value;
+
+      return {
+        id: holding.id,
+        walletId: holding.wallet_id,
+        walletName: holding.wallet_name,
+        provider: holding.provider,
+        asset: holding.asset,
+        quantity: holding.quantity,
+        price: price ? price.price : null,
+        priceCurrency: price ? price.currency : null,
+        priceDate: price && price.date ? toIsoDate(price.date) : null,
+        value: value !== null ? round(value) : null,
+        updatedAt: holding.updated_at
+      };
+    });
+
+    if (unpricedAssets.size > 0) {
+      logger.warn('Crypto holdings without a price', { userId, assets: [...unpricedAssets], source: source.name });
+    }
+
+    return {
+      currency: targetCurrency,
+      priceSource: source.name,
+      totalValue: round(totalValue),
+      unpricedAssets: [...unpricedAssets],
+      holdings: valued
+    };
+  }
+
+  /**
+   * Normalize an asset symbol (upper case), or null when it is not a valid symbol
+   */
+  normalizeAsset(asset) {
+    const symbol = String(asset || '').trim().toUpperCase();
+    return ASSET_PATTERN.test(symbol) ? symbol : null;
+  }
+
+  /**
+   * Validate a wallet payload; returns a list of error messages
+   */
+  validateWallet(data, { partial = false } = {}) {
+    const errors = [];
+    const has = (field) => data[field] !== undefined;
+
+    if (!partial || has('name')) {
+      if (typeof data.name !== 'string' || data.name.trim() === '' || data.name.length > 255) {
+        errors.push('name is required (at most 255 characters)');
+      }
+    }
+    if (has('is_active') && typeof data.is_active !== 'boolean') {
+      errors.push('is_active must be a boolean');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a holding quantity; returns a list of error messages
+   */
+  validateQuantity(quantity) {
+    const value = Number(quantity);
+    if (quantity === null || quantity === '' || !Number.isFinite(value) || value < 0) {
+      return ['quantity must be a number of 0 or more'];
+    }
+    return [];
+  }
+
+  /**
+   * Validate prices for the crypto_prices table; returns { prices, errors }.
+   * A later entry for the same asset, currency and date replaces an earlier one.
+   */
+  parsePrices(items) {
+    const errors = [];
+    const prices = new Map();
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return { prices: [], errors: ['prices must be a non-empty array'] };
+    }
+
+    items.forEach((item, index) => {
+      const asset = this.normalizeAsset(item?.asset);
+      const currency = String(item?.currency || 'EUR').toUpperCase();
+      const price = Number(item?.price);
+      const date = item?.date || toIsoDate(new Date());
+
+      if (!asset) errors.push(`prices[${index}].asset must be an asset symbol such as BTC or USDT_ETH`);
+      if (!/^[A-Z]{3}$/.test(currency)) errors.push(`prices[${index}].currency must be a 3-letter currency code`);
+      if (!(price > 0)) errors.push(`prices[${index}].price must be a positive number`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+        errors.push(`prices[${index}].date must be a date (YYYY-MM-DD)`);
+      }
+
+      prices.set(`${asset}|${currency}|${date}`, { asset, currency, price, date });
+    });
+
+    return { prices: [...prices.values()], errors };
+  }
+}
+
+module.exports = new CryptoHoldingService();
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const CryptoPriceModel = require('../../models/CryptoPrice');
+
+/**
+ * Crypto price sources. Each source resolves getPrices(assets, date) to a Map of
+ * asset -> { price, currency, date } and leaves out assets it has no price for.
+ * CRYPTO_PRICE_SOURCE selects the source holdings are valued with (default 'table');
+ * more sources (an exchange API, an aggregator) can be added with registerPriceSource.
+ */
+
+const DEFAULT_CURRENCY = 'EUR';
+
+/**
+ * Latest price per asset on or before the date from the crypto_prices table
+ */
+const table = {
+  name: 'table',
+  description: 'Prices stored in the crypto_prices table (POST /api/crypto/prices)',
+  getPrices: async (assets, date = null) => {
+    const rows = await CryptoPriceModel.findLatest(assets, date);
+    return new Map(rows.map(row => [row.asset, {
+      price: parseFloat(row.price),
+      currency: row.currency,
+      date: row.price_date
+    }]));
+  }
+};
+
+/**
+ * Prices from a local JSON file at CRYPTO_PRICE_FILE, read on every call:
+ * { "currency": "EUR", "date": "2024-06-03", "prices": { "BTC": 62000, "ETH": { "price": 3700, "currency": "USD" } } }
+ * The date is ignored - the file holds a single set of prices.
+ */
+const file = {
+  name: 'file',
+  description: 'A local JSON price file (CRYPTO_PRICE_FILE)',
+  getPrices: async (assets) => {
+    const path = process.env.CRYPTO_PRICE_FILE;
+    if (!path) {
+      throw new Error('CRYPTO_PRICE_FILE is not set');
+    }
+
+    const content = JSON.parse(await fs.promises.readFile(path, 'utf8'));
+    const currency = content.currency || DEFAULT_CURRENCY;
+    const prices = new Map();
+
+    for (const asset of assets) {
+      const entry = content.prices?.[asset];
+      const price = typeof entry === 'object' && entry !== null ? entry.price : entry;
+      if (price === null || price === undefined || !Number.isFinite(Number(price))) continue;
+      prices.set(asset, {
+        price: Number(price),
+        currency: (typeof entry === 'object' && entry.currency) || currency,
+        date: content.date || null
+      });
+    }
+
+    return prices;
+  }
+};
+
+const PRICE_SOURCES = new Map([table, file].map(source => [source.name, source]));
+
+/**
+ * Add a price source, or replace the one with the same name
+ */
+const registerPriceSource = (source) => {
+  if (!source || !source.name || typeof source.getPrices !== 'function') {
+    throw new Error('A price source needs a name and a getPrices(assets, date) function');
+  }
+  PRICE_SOURCES.set(source.name, source);
+};
+
+/**
+ * The source named by CRYPTO_PRICE_SOURCE, or the one asked for
+ */
+const getPriceSource = (name = process.env.CRYPTO_PRICE_SOURCE || 'table') => {
+  const source = PRICE_SOURCES.get(name);
+  if (!source) {
+    throw new Error(`Unknown crypto price source '${name}' (available: ${[...PRICE_SOURCES.keys()].join(', ')})`);
+  }
+  return source;
+};
+
+module.exports = {
+  getPriceSource,
+  registerPriceSource
+};
@@ -0,0 +1,322 @@
+/**
+ * Transaction export formats. Each format renders a stream in three steps:
+ * begin(context) once, transaction(row, context) per row, end(context) once.
+ * The context carries the account and category mapping built by exportService
+ * and is also where a format keeps state between rows.
+ */
+
+// bank_accounts.account_type -> ledger account root
+const LEDGER_ROOTS = {
+  checking: 'Assets:Bank',
+  savings: 'Assets:Savings',
+  investment: 'Assets:Investments',
+  credit: 'Liabilities:CreditCard',
+  loan: 'Liabilities:Loans'
+};
+
+// bank_accounts.account_type -> OFX ACCTTYPE
+const OFX_ACCOUNT_TYPES = {
+  checking: 'CHECKING',
+  savings: 'SAVINGS',
+  investment: 'MONEYMRKT',
+  credit: 'CREDITLINE',
+  loan: 'CREDITLINE'
+};
+
+const CSV_COLUMNS = [
+  'id', 'date', 'processed_date', 'account', 'bank', 'description', 'merchant', 'amount', 'currency',
+  'type', 'category', 'subcategory', 'tags', 'notes', 'reference', 'is_pending'
+];
+
+/**
+ * YYYY-MM-DD for a DATE column; pg returns those as local-midnight Date objects
+ */
+const formatDate = (value) => {
+  if (!value) return '';
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const formatAmount = (value) => Number(value).toFixed(2);
+
+const parseTags = (tags) => {
+  if (Array.isArray(tags)) return tags;
+  if (typeof tags === 'string') {
+    try {
+      return JSON.parse(tags);
+    } catch (error) {
+      return [];
+    }
+  }
+  return [];
+};
+
+const singleLine = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * One component of a Beancount/hledger account name: ASCII letters, digits and dashes, capitalized
+ */
+const ledgerSegment = (text) => {
+  const cleaned = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return cleaned ? cleaned[0].toUpperCase() + cleaned.slice(1) : 'Unknown';
+};
+
+/**
+ * Ledger account for a bank account, e.g. Assets:Bank:Acme-Bank:Checking
+ */
+const bankLedgerAccount = (account) =>
+  `${LEDGER_ROOTS[account.account_type] || LEDGER_ROOTS.checking}:${ledgerSegment(account.bank_name || 'Manual')}:${ledgerSegment(account.account_name)}`;
+
+/**
+ * Ledger account for the other side of a transaction, from its category:
+ * Expenses:Food:Groceries for outflows, Income:Salary for inflows
+ */
+const categoryLedgerAccount = (category, subcategory, isOutflow) => {
+  const root = isOutflow ? 'Expenses' : 'Income';
+  const parts = [root, ledgerSegment(category || 'Uncategorized')];
+  if (subcategory) parts.push(ledgerSegment(subcategory));
+  return parts.join(':');
+};
+
+const accountFor = (row, context) => context.accounts.get(row.account_id) || {
+  account_name: row.account_name,
+  bank_name: row.bank_name,
+  account_type: row.account_type,
+  currency: row.account_currency,
+  ledgerAccount: bankLedgerAccount(row)
+};
+
+const csvField = (value, { text = false } = {}) => {
+  let field = value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheets from evaluating user-controlled text as a formula
+  if (text && /^[=+\-@\t\r]/.test(field)) field = `'${field}`;
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+const xmlText = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const beancountString = (text) => `"${singleLine(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+const csv = {
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  description: 'Comma-separated values with a header row',
+  begin: () => `${CSV_COLUMNS.join(',')}\r\n`,
+  transaction: (row, context) => {
+    const account = accountFor(row, context);
+    return [
+      csvField(row.id),
+      csvField(formatDate(row.transaction_date)),
+      csvField(formatDate(row.processed_date)),
+      csvField(account.account_name, { text: true }),
+      csvField(account.bank_name, { text: true }),
+      csvField(row.description, { text: true }),
+      csvField(row.merchant_name, { text: true }),
+      csvField(formatAmount(row.amount)),
+      csvField(row.currency),
+      csvField(row.transaction_type),
+      csvField(row.category, { text: true }),
+      csvField(row.subcategory, { text: true }),
+      csvField(parseTags(row.tags).join('|'), { text: true }),
+      csvField(row.notes, { text: true }),
+      csvField(row.reference_number, { text: true }),
+      csvField(row.is_pending ? 'true' : 'false')
+    ].join(',') + '\r\n';
+  },
+  end: () => ''
+};
+
+const ndjson = {
+  contentType: 'application/x-ndjson; charset=utf-8',
+  extension: 'ndjson',
+  description: 'One JSON object per line',
+  begin: () => '',
+  transaction: (row, context) => `${JSON.stringify({
+    id: row.id,
+    account_id: row.account_id,
+    account_name: accountFor(row, context).account_name,
+    date: formatDate(row.transaction_date),
+    processed_date: formatDate(row.processed_date) || null,
+    description: row.description,
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+    type: row.transaction_type,
+    category: row.category,
+    subcategory: row.subcategory,
+    category_id: row.category_id,
+    merchant_name: row.merchant_name,
+    reference_number: row.reference_number,
+    balance_after: row.balance_after === null ? null : parseFloat(row.balance_after),
+    is_pending: row.is_pending || false,
+    tags: parseTags(row.tags),
+    notes: row.notes
+  })}\n`,
+  end: () => ''
+};
+
+/**
+ * Every ledger account an export touches, with the date it is first used
+ */
+const ledgerAccounts = (context) => {
+  const opened = new Map();
+  for (const account of context.accounts.values()) {
+    if (account.first_date) opened.set(account.ledgerAccount, { date: account.first_date });
+  }
+  for (const category of context.categories) {
+    const name = categoryLedgerAccount(category.category, category.subcategory, category.is_outflow);
+    const existing = opened.get(name);
+    if (!existing || formatDate(category.first_date) < formatDate(existing.date)) {
+      opened.set(name, { date: category.first_date });
+    }
+  }
+  return [...opened.entries()].sort(([a], [b]) => a.localeCompare(b));
+};
+
+const beancount = {
+  contentType: 'text/plain; charset=utf-8',
+  extension: 'beancount',
+  description: 'Beancount ledger with open directives per account',
+  begin: (context) => {
+    const lines = [
+      `; FIRE Planning export generated ${context.generatedAt}`,
+      'option "title" "FIRE Planning export"',
+      `option "operating_currency" "${context.operatingCurrency}"`,
+      ''
+    ];
+    // No currency constraint on open: an account can hold transactions in several currencies
+    for (const [name, { date }] of ledgerAccounts(context)) {
+      lines.push(`${formatDate(date)} open ${name}`);
+    }
+    return `${lines.join('\n')}\n\n`;
+  },
+  transaction: (row, context) => {
+    const account = accountFor(row, context);
+    const flag = row.is_pending ? '!' : '*';
+    const payee = row.merchant_name ? `${beancountString(row.merchant_name)} ` : '';
+    const tags = parseTags(row.tags)
+      .map(tag => String(tag).replace(/[^A-Za-z0-9\-_/.]/g, '-'))
+      .filter(Boolean)
+      .map(tag => ` #${tag}`)
+      .join('');
+    const lines = [
+      `${formatDate(row.transaction_date)} ${flag} ${payee}${beancountString(row.description)}${tags}`,
+      `  transaction_id: "${row.id}"`
+    ];
+    if (row.notes) lines.push(`  note: ${beancountString(row.notes)}`);
+    lines.push(`  ${account.ledgerAccount}  ${formatAmount(row.amount)} ${row.currency}`);
+    lines.push(`  ${categoryLedgerAccount(row.category, row.subcategory, Number(row.amount) < 0)}`);
+    return `${lines.join('\n')}\n\n`;
+  },
+  end: () => ''
+};
+
+const hledger = {
+  contentType: 'text/plain; charset=utf-8',
+  extension: 'journal',
+  description: 'hledger/Ledger journal with account declarations',
+  begin: (context) => {
+    const lines = [`; FIRE Planning export generated ${context.generatedAt}`, ''];
+    for (const [name] of ledgerAccounts(context)) {
+      lines.push(`account ${name}`);
+    }
+    return `${lines.join('\n')}\n\n`;
+  },
+  transaction: (row, context) => {
+    const account = accountFor(row, context);
+    const status = row.is_pending ? '!' : '*';
+    // A ";" would start a comment, and "|" separates payee from note
+    const clean = (text) => singleLine(text).replace(/;/g, ',').replace(/\|/g, '/');
+    const description = row.merchant_name
+      ? `${clean(row.merchant_name)} | ${clean(row.description)}`
+      : clean(row.description);
+    const tags = [`transaction_id:${row.id}`, ...parseTags(row.tags).map(tag => `${clean(tag).replace(/[\s:,]/g, '-')}:`)];
+    const lines = [`${formatDate(row.transaction_date)} ${status} ${description}  ; ${tags.join(', ')}`];
+    if (row.notes) lines.push(`    ; ${clean(row.notes)}`);
+    lines.push(`    ${account.ledgerAccount}  ${formatAmount(row.amount)} ${row.currency}`);
+    lines.push(`    ${categoryLedgerAccount(row.category, row.subcategory, Number(row.amount) < 0)}`);
+    return `${lines.join('\n')}\n\n`;
+  },
+  end: () => ''
+};
+
+const ofxDate = (value) => formatDate(value).replace(/-/g, '');
+
+const ofxStatementClose = (account) => [
+  '</BANKTRANLIST>',
+  `<LEDGERBAL><BALAMT>${formatAmount(account.balance || 0)}</BALAMT><DTASOF>${ofxDate(account.last_balance_update || account.last_date)}</DTASOF></LEDGERBAL>`,
+  '</STMTRS></STMTTRNRS>'
+].join('\n') + '\n';
+
+const ofx = {
+  contentType: 'application/x-ofx; charset=utf-8',
+  extension: 'ofx',
+  description: 'OFX 2.1.1 bank statements, one per account',
+  // Statements are written one account at a time
+  orderBy: 'account',
+  begin: (context) => [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>' +
+      `<DTSERVER>${context.generatedAt.replace(/[-:T]/g, '').slice(0, 14)}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+    '<BANKMSGSRSV1>'
+  ].join('\n') + '\n',
+  transaction: (row, context) => {
+    let output = '';
+
+    if (context.ofxAccountId !== row.account_id) {
+      if (context.ofxAccountId) output += ofxStatementClose(accountFor({ account_id: context.ofxAccountId }, context));
+      context.ofxAccountId = row.account_id;
+      context.ofxStatements = (context.ofxStatements || 0) + 1;
+
+      const account = accountFor(row, context);
+      output += [
+        `<STMTTRNRS><TRNUID>${context.ofxStatements}</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>`,
+        `<STMTRS><CURDEF>${xmlText(account.currency || row.currency)}</CURDEF>`,
+        `<BANKACCTFROM><BANKID>${xmlText(account.bic || account.bank_name || 'MANUAL')}</BANKID>` +
+          `<ACCTID>${xmlText((account.iban || account.account_number || row.account_id).slice(0, 22))}</ACCTID>` +
+          `<ACCTTYPE>${OFX_ACCOUNT_TYPES[account.account_type] || 'CHECKING'}</ACCTTYPE></BANKACCTFROM>`,
+        `<BANKTRANLIST><DTSTART>${ofxDate(account.first_date || row.transaction_date)}</DTSTART><DTEND>${ofxDate(account.last_date || row.transaction_date)}</DTEND>`
+      ].join('\n') + '\n';
+    }
+
+    const name = singleLine(row.merchant_name || row.description).slice(0, 32);
+    output += [
+      '<STMTTRN>',
+      `<TRNTYPE>${Number(row.amount) < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+      `<DTPOSTED>${ofxDate(row.transaction_date)}</DTPOSTED>`,
+      row.processed_date ? `<DTAVAIL>${ofxDate(row.processed_date)}</DTAVAIL>` : null,
+      `<TRNAMT>${formatAmount(row.amount)}</TRNAMT>`,
+      `<FITID>${row.id}</FITID>`,
+      row.reference_number ? `<REFNUM>${xmlText(singleLine(row.reference_number).slice(0, 32))}</REFNUM>` : null,
+      `<NAME>${xmlText(name)}</NAME>`,
+      `<MEMO>${xmlText(singleLine(row.description).slice(0, 255))}</MEMO>`,
+      '</STMTTRN>'
+    ].filter(Boolean).join('') + '\n';
+
+    return output;
+  },
+  end: (context) => {
+    const close = context.ofxAccountId ? ofxStatementClose(accountFor({ account_id: context.ofxAccountId }, context)) : '';
+    return `${close}</BANKMSGSRSV1>\n</OFX>\n`;
+  }
+};
+
+const EXPORT_FORMATS = { csv, ndjson, ofx, beancount, hledger };
+
+module.exports = {
+  EXPORT_FORMATS,
+  bankLedgerAccount,
+  csvField,
+  formatDate
+};
@@ -0,0 +1,162 @@
+const { logger } = require('../../utils/logger');
+const BankAccountModel = require('../../models/BankAccount');
+const TransactionModel = require('../../models/Transaction');
+const { EXPORT_FORMATS, bankLedgerAccount, csvField, formatDate } = require('./exportFormats');
+
+const EXPORT_CONFIG = {
+  BATCH_SIZE: 500,
+  DEFAULT_CURRENCY: 'EUR'
+};
+
+// Formats the account list can be exported in
+const ACCOUNT_EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const ACCOUNT_COLUMNS = [
+  'id', 'account_name', 'bank_name', 'account_type', 'currency', 'balance', 'available_balance',
+  'iban', 'account_number', 'is_active', 'last_balance_update', 'ledger_account'
+];
+
+/**
+ * Export Service
+ *
+ * Streams a user's transactions in the formats from exportFormats. Rows are
+ * read through a database cursor in batches and written as they arrive, so
+ * exporting years of history keeps memory flat.
+ */
+class ExportService {
+  /**
+   * Supported transaction formats with their content types
+   */
+  getFormats() {
+    return Object.entries(EXPORT_FORMATS).map(([format, definition]) => ({
+      format,
+      extension: definition.extension,
+      contentType: definition.contentType,
+      description: definition.description
+    }));
+  }
+
+  isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+  }
+
+  isSupportedAccountFormat(format) {
+    return ACCOUNT_EXPORT_FORMATS.includes(format);
+  }
+
+  /**
+   * Map every account (inactive ones included, they still own history) to a
+   * unique ledger account name
+   */
+  async getAccountMapping(userId) {
+    const accounts = await BankAccountModel.findByUserId(userId, { includeInactive: true });
+    const mapping = new Map();
+    const usedNames = new Set();
+
+    for (const account of accounts) {
+      let ledgerAccount = bankLedgerAccount(account);
+      if (usedNames.has(ledgerAccount)) ledgerAccount = `${ledgerAccount}-${account.id.slice(0, 8)}`;
+      usedNames.add(ledgerAccount);
+      mapping.set(account.id, { ...account, ledgerAccount });
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Everything a format needs before the first row: accounts with the date range
+   * they cover in this export, and the categories used
+   */
+  async buildContext(userId, filters) {
+    const [accounts, overview] = await Promise.all([
+      this.getAccountMapping(userId),
+      TransactionModel.getExportOverview(userId, filters)
+    ]);
+
+    let operatingCurrency = EXPORT_CONFIG.DEFAULT_CURRENCY;
+    let mostTransactions = 0;
+    for (const range of overview.accounts) {
+      const account = accounts.get(range.account_id);
+      if (!account) continue;
+      account.first_date = range.first_date;
+      account.last_date = range.last_date;
+      if (parseInt(range.transaction_count) > mostTransactions && account.currency) {
+        mostTransactions = parseInt(range.transaction_count);
+        operatingCurrency = account.currency;
+      }
+    }
+
+    return {
+      accounts,
+      categories: overview.categories,
+      operatingCurrency,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Stream transactions matching filters (see parseTransactionFilters) in a format.
+   * write(chunk) must resolve once the chunk is accepted, so slow clients slow the
+   * cursor down instead of filling memory. Returns the number of transactions written.
+   */
+  async streamTransactions(userId, filters, format, write) {
+    const definition = EXPORT_FORMATS[format];
+    const context = await this.buildContext(userId, filters);
+
+    await write(definition.begin(context));
+
+    const count = await TransactionModel.streamByUserId(userId, filters, async (rows) => {
+      await write(rows.map(row => definition.transaction(row, context)).join(''));
+    }, { batchSize: EXPORT_CONFIG.BATCH_SIZE, orderBy: definition.orderBy });
+
+    await write(definition.end(context));
+
+    logger.info('Transaction export completed', { userId, format, count });
+    return count;
+  }
+
+  /**
+   * The account list with its ledger mapping, as CSV or NDJSON text
+   */
+  async exportAccounts(userId, format) {
+    const accounts = [...(await this.getAccountMapping(userId)).values()].map(account => ({
+      id: account.id,
+      account_name: account.account_name,
+      bank_name: account.bank_name,
+      account_type: account.account_type,
+      currency: account.currency,
+      balance: parseFloat(account.balance) || 0,
+      available_balance: account.available_balance === null || account.available_balance === undefined
+        ? null
+        : parseFloat(account.available_balance),
+      iban: account.iban,
+      account_number: account.account_number,
+      is_active: account.is_active,
+      last_balance_update: account.last_balance_update,
+      ledger_account: account.ledgerAccount
+    }));
+
+    if (format === 'ndjson') {
+      return accounts.map(account => `${JSON.stringify(account)}\n`).join('');
+    }
+
+    const field = (value) => csvField(value instanceof Date ? value.toISOString() : value, { text: typeof value === 'string' });
+    return [
+      ACCOUNT_COLUMNS.join(','),
+      ...accounts.map(account => ACCOUNT_COLUMNS.map(column => field(account[column])).join(','))
+    ].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Attachment filename such as transactions-2024-01-01_2024-12-31.beancount
+   */
+  buildFilename(kind, format, filters = {}) {
+    const extension = kind === 'accounts' ? format : EXPORT_FORMATS[format].extension;
+    const range = filters.startDate || filters.endDate
+      ? `-${filters.startDate || 'start'}_${filters.endDate || formatDate(new Date())}`
+      : `-${formatDate(new Date())}`;
+    return `${kind}${range}.${extension}`;
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,248 @@
+const { logger } = require('../utils/logger');
+const TransactionModel = require('../models/Transaction');
+const BankAccountModel = require('../models/BankAccount');
+const fxService = require('./fxService');
+const cryptoHoldingService = require('./crypto/holdingService');
+
+// Default planning assumptions (decimals, annual)
+const FIRE_DEFAULTS = {
+  WITHDRAWAL_RATE: 0.04,
+  RETURN_RATE: 0.07,
+  INFLATION_RATE: 0.02,
+  LEAN_FACTOR: 0.7,
+  FAT_FACTOR: 1.5,
+  RETIREMENT_AGE: 65
+};
+
+// Longest horizon the projection searches before declaring FI unreachable
+const MAX_PROJECTION_MONTHS = 100 * 12;
+
+/**
+ * FIRE (Financial Independence, Retire Early) Service
+ *
+ * Derives spending, savings rate and investable assets from the user's
+ * synced data and projects when each FI target is reached. All amounts
+ * are expressed in today's money: growth uses the real (inflation-adjusted)
+ * return rate.
+ */
+class FireService {
+  /**
+   * Build the financial snapshot FIRE calculations start from.
+   * Income and expenses cover the trailing 12 months and are annualized
+   * when the transaction history is shorter than that. Amounts are
+   * converted into the user's preferred currency. Crypto holdings count
+   * as investable assets.
+   */
+  async getFinancialSnapshot(userId) {
+    const endDate = new Date();
+    const startDate = new Date(endDate);
+    startDate.setFullYear(endDate.getFullYear() - 1);
+
+    const currency = await fxService.getUserCurrency(userId);
+    const [transactionSummary, accountSummary, dateRange, crypto] = await Promise.all([
+      TransactionModel.getUserSummary(userId, this.toDateString(startDate), this.toDateString(endDate), currency),
+      BankAccountModel.getUserSummary(userId, currency),
+      TransactionModel.getDateRange(userId),
+      cryptoHoldingService.getValuation(userId, currency)
+    ]);
+
+    // Months of history inside the trailing window, used to annualize
+    const firstDate = dateRange?.first_date ? new Date(dateRange.first_date) : null;
+    const windowStart = firstDate && firstDate > startDate ? firstDate : startDate;
+    const observedMonths = firstDate
+      ? Math.min(12, Math.max(1, (endDate - windowStart) / (1000 * 60 * 60 * 24 * 30.4375)))
+      : 0;
+    const annualizeFactor = observedMonths > 0 ? 12 / observedMonths : 0;
+
+    const annualIncome = (parseFloat(transactionSummary.total_income) || 0) * annualizeFactor;
+    const annualExpenses = (parseFloat(transactionSummary.total_expenses) || 0) * annualizeFactor;
+    const annualSavings = annualIncome - annualExpenses;
+
+    const investableAssets =
+      (parseFloat(accountSummary.savings_balance) || 0) +
+      (parseFloat(accountSummary.investment_balance) || 0) +
+      crypto.totalValue;
+
+    const unconvertedCurrencies = [...new Set([
+      ...(transactionSummary.unconverted_currencies || []),
+      ...(accountSummary.unconverted_currencies || [])
+    ])];
+
+    return {
+      currency,
+      unconvertedCurrencies,
+      annualIncome: this.round(annualIncome),
+      annualExpenses: this.round(annualExpenses),
+      annualSavings: this.round(annualSavings),
+      savingsRate: annualIncome > 0 ? this.round(annualSavings / annualIncome, 4) : null,
+      investableAssets: this.round(investableAssets),
+      cryptoValue: crypto.totalValue,
+      netWorth: this.round((parseFloat(accountSummary.total_balance) || 0) + crypto.totalValue),
+      observedMonths: this.round(observedMonths, 1),
+      period: {
+        startDate: this.toDateString(windowStart),
+        endDate: this.toDateString(endDate)
+      }
+    };
+  }
+
+  /**
+   * Compute the FIRE number, its variants and projected FI dates
+   */
+  async getProjection(userId, assumptions = {}, profile = {}) {
+    const snapshot = await this.getFinancialSnapshot(userId);
+    const projection = this.calculateProjection(snapshot, assumptions, profile);
+
+    logger.info('FIRE projection calculated', {
+      userId,
+      fireNumber: projection.fireNumber.target,
+      yearsToFI: projection.fireNumber.yearsToReach
+    });
+
+    return { snapshot, ...projection };
+  }
+
+  /**
+   * Pure projection from a snapshot - no database access
+   */
+  calculateProjection(snapshot, assumptions = {}, profile = {}) {
+    const {
+      withdrawalRate = FIRE_DEFAULTS.WITHDRAWAL_RATE,
+      returnRate = FIRE_DEFAULTS.RETURN_RATE,
+      inflationRate = FIRE_DEFAULTS.INFLATION_RATE,
+      leanFactor = FIRE_DEFAULTS.LEAN_FACTOR,
+      fatFactor = FIRE_DEFAULTS.FAT_FACTOR,
+      retirementAge = FIRE_DEFAULTS.RETIREMENT_AGE
+    } = assumptions;
+    const { currentAge = null } = profile;
+
+    const realReturn = (1 + returnRate) / (1 + inflationRate) - 1;
+    const baristaIncome = assumptions.baristaIncome ?? snapshot.annualExpenses / 2;
+    const monthlySavings = Math.max(snapshot.annualSavings, 0) / 12;
+    const startBalance = snapshot.investableAssets;
+
+    const target = (annualSpending) => this.round(Math.max(annualSpending, 0) / withdrawalRate);
+    const describe = (targetAmount, annualSpending) => {
+      const months = this.monthsToTarget(startBalance, monthlySavings, realReturn, () => targetAmount);
+      return this.describeTarget(targetAmount, annualSpending, startBalance, months);
+    };
+
+    const fireNumber = target(snapshot.annualExpenses);
+    const leanSpending = snapshot.annualExpenses * leanFactor;
+    const fatSpending = snapshot.annualExpenses * fatFactor;
+    const baristaSpending = snapshot.annualExpenses - baristaIncome;
+
+    return {
+      assumptions: {
+        withdrawalRate,
+        returnRate,
+        inflationRate,
+        realReturnRate: this.round(realReturn, 4),
+        leanFactor,
+        fatFactor,
+        baristaIncome: this.round(baristaIncome),
+        retirementAge,
+        currentAge
+      },
+      fireNumber: describe(fireNumber, snapshot.annualExpenses),
+      variants: {
+        lean: describe(target(leanSpending), leanSpending),
+        fat: describe(target(fatSpending), fatSpending),
+        barista: describe(target(baristaSpending), Math.max(baristaSpending, 0)),
+        coast: this.calculateCoast(fireNumber, startBalance, monthlySavings, realReturn, currentAge, retirementAge)
+      }
+    };
+  }
+
+  /**
+   * Coast FI: the balance that, with no further contributions, grows into
+   * the FIRE number by the retirement age
+   */
+  calculateCoast(fireNumber, startBalance, monthlySavings, realReturn, currentAge, retirementAge) {
+    if (currentAge === null || currentAge === undefined) {
+      return {
+        target: null,
+        reason: 'Provide currentAge (or set date_of_birth) to compute Coast FI'
+      };
+    }
+
+    const yearsToRetirement = Math.max(retirementAge - currentAge, 0);
+    const coastTargetAt = (month) =>
+      fireNumber / Math.pow(1 + realReturn, Math.max(yearsToRetirement - month / 12, 0));
+
+    const months = this.monthsToTarget(startBalance, monthlySavings, realReturn, coastTargetAt);
+    const coastNumber = this.round(coastTargetAt(0));
+
+    return {
+      ...this.describeTarget(coastNumber, null, startBalance, months),
+      yearsToRetirement
+    };
+  }
+
+  /**
+   * Simulate monthly contributions and growth until the balance meets the
+   * target returned by targetAt(month). Returns null if never reached.
+   */
+  monthsToTarget(startBalance, monthlySavings, annualRealReturn, targetAt) {
+    const monthlyReturn = Math.pow(1 + annualRealReturn, 1 / 12) - 1;
+    let balance = startBalance;
+
+    for (let month = 0; month <= MAX_PROJECTION_MONTHS; month++) {
+      if (balance >= targetAt(month)) {
+        return month;
+      }
+      balance = balance * (1 + monthlyReturn) + monthlySavings;
+    }
+
+    return null;
+  }
+
+  /**
+   * Shape a target into the API response format
+   */
+  describeTarget(targetAmount, annualSpending, currentBalance, months) {
+    const reached = months === 0;
+    let projectedDate = null;
+
+    if (months !== null) {
+      projectedDate = new Date();
+      projectedDate.setMonth(projectedDate.getMonth() + months);
+    }
+
+    return {
+      target: targetAmount,
+      annualSpending: annualSpending === null ? null : this.round(annualSpending),
+      progress: targetAmount > 0 ? this.round(Math.min(currentBalance / targetAmount, 1), 4) : 1,
+      reached,
+      yearsToReach: months === null ? null : this.round(months / 12, 1),
+      projectedYear: projectedDate ? projectedDate.getFullYear() : null,
+      projectedDate: projectedDate ? this.toDateString(projectedDate) : null
+    };
+  }
+
+  /**
+   * Age in whole years from a date of birth
+   */
+  ageFromDateOfBirth(dateOfBirth) {
+    if (!dateOfBirth) return null;
+
+    const dob = new Date(dateOfBirth);
+    const now = new Date();
+    let age = now.getFullYear() - dob.getFullYear();
+    if (now.getMonth() < dob.getMonth() || (now.getMonth() === dob.getMonth() && now.getDate() < dob.getDate())) {
+      age--;
+    }
+    return age;
+  }
+
+  toDateString(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new FireService();
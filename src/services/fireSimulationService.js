@@ -0,0 +1,219 @@
+const { logger } = require('../utils/logger');
+const { createRandom, createNormal, generateSeed } = require('../utils/random');
+const fireService = require('./fireService');
+
+// Nominal annual return assumptions per asset class (mean and standard deviation)
+const ASSET_CLASSES = {
+  stocks: { expectedReturn: 0.08, volatility: 0.17 },
+  bonds: { expectedReturn: 0.04, volatility: 0.06 },
+  cash: { expectedReturn: 0.02, volatility: 0.01 },
+  real_estate: { expectedReturn: 0.06, volatility: 0.12 },
+  crypto: { expectedReturn: 0.15, volatility: 0.70 }
+};
+
+const INFLATION_ASSUMPTION = { mean: 0.02, volatility: 0.01 };
+
+const SIMULATION_LIMITS = {
+  DEFAULT_SIMULATIONS: 5000,
+  MAX_SIMULATIONS: 20000,
+  MAX_YEARS: 100
+};
+
+/**
+ * FIRE Monte Carlo Simulation Service
+ *
+ * Runs randomized return/inflation paths over an accumulation phase
+ * (contributions) followed by a withdrawal phase (spending) and reports
+ * how often the portfolio survives. Values are in today's money.
+ */
+class FireSimulationService {
+  /**
+   * Validate simulation input, returning a list of problems
+   */
+  validateInput(input) {
+    const errors = [];
+    const { allocation, withdrawalYears = 30, yearsToRetirement = 0, simulations, seed } = input;
+
+    if (!allocation || typeof allocation !== 'object' || Array.isArray(allocation)) {
+      errors.push('allocation is required, e.g. { "stocks": 0.6, "bonds": 0.4 }');
+    } else {
+      const entries = Object.entries(allocation);
+      for (const [asset, weight] of entries) {
+        if (!ASSET_CLASSES[asset] && !input.assetAssumptions?.[asset]) {
+          errors.push(`Unknown asset class "${asset}" - provide assetAssumptions for it or use one of: ${Object.keys(ASSET_CLASSES).join(', ')}`);
+        }
+        if (typeof weight !== 'number' || weight < 0) {
+          errors.push(`allocation.${asset} must be a non-negative number`);
+        }
+      }
+      const total = entries.reduce((sum, [, weight]) => sum + (Number(weight) || 0), 0);
+      if (entries.length === 0 || Math.abs(total - 1) > 0.001) {
+        errors.push('allocation weights must sum to 1');
+      }
+    }
+
+    if (!Number.isInteger(withdrawalYears) || withdrawalYears < 1) {
+      errors.push('withdrawalYears must be a positive integer');
+    }
+    if (!Number.isInteger(yearsToRetirement) || yearsToRetirement < 0) {
+      errors.push('yearsToRetirement must be a non-negative integer');
+    }
+    if (withdrawalYears + yearsToRetirement > SIMULATION_LIMITS.MAX_YEARS) {
+      errors.push(`yearsToRetirement + withdrawalYears must not exceed ${SIMULATION_LIMITS.MAX_YEARS}`);
+    }
+    if (simulations !== undefined &&
+        (!Number.isInteger(simulations) || simulations < 1 || simulations > SIMULATION_LIMITS.MAX_SIMULATIONS)) {
+      errors.push(`simulations must be an integer between 1 and ${SIMULATION_LIMITS.MAX_SIMULATIONS}`);
+    }
+    if (seed !== undefined && (!Number.isInteger(seed) || seed < 0)) {
+      errors.push('seed must be a non-negative integer');
+    }
+    for (const [asset, assumption] of Object.entries(input.assetAssumptions || {})) {
+      const { expectedReturn, volatility } = assumption || {};
+      if ((expectedReturn !== undefined && typeof expectedReturn !== 'number') ||
+          (volatility !== undefined && (typeof volatility !== 'number' || volatility < 0))) {
+        errors.push(`assetAssumptions.${asset} needs numeric expectedReturn and non-negative volatility`);
+      } else if (!ASSET_CLASSES[asset] && (expectedReturn === undefined || volatility === undefined)) {
+        errors.push(`assetAssumptions.${asset} must define both expectedReturn and volatility`);
+      }
+    }
+    for (const field of ['startBalance', 'annualContribution', 'annualSpending']) {
+      if (input[field] !== undefined && (typeof input[field] !== 'number' || input[field] < 0)) {
+        errors.push(`${field} must be a non-negative number`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run a simulation for a user, defaulting balances and cash flows to
+   * their synced data
+   */
+  async runForUser(userId, input) {
+    const snapshot = await fireService.getFinancialSnapshot(userId);
+
+    const result = this.simulate({
+      ...input,
+      startBalance: input.startBalance ?? snapshot.investableAssets,
+      annualContribution: input.annualContribution ?? Math.max(snapshot.annualSavings, 0),
+      annualSpending: input.annualSpending ?? snapshot.annualExpenses
+    });
+
+    logger.info('FIRE simulation completed', {
+      userId,
+      seed: result.seed,
+      simulations: result.simulations,
+      successProbability: result.successProbability
+    });
+
+    return { snapshot, ...result };
+  }
+
+  /**
+   * Pure Monte Carlo simulation - deterministic for a given seed
+   */
+  simulate(input) {
+    const {
+      allocation,
+      startBalance = 0,
+      annualContribution = 0,
+      annualSpending = 0,
+      yearsToRetirement = 0,
+      withdrawalYears = 30,
+      simulations = SIMULATION_LIMITS.DEFAULT_SIMULATIONS,
+      assetAssumptions = {},
+      inflation = {}
+    } = input;
+    const seed = input.seed ?? generateSeed();
+
+    const normal = createNormal(createRandom(seed));
+    const assets = Object.entries(allocation)
+      .filter(([, weight]) => weight > 0)
+      .map(([name, weight]) => ({ name, weight, ...ASSET_CLASSES[name], ...assetAssumptions[name] }));
+    const inflationMean = inflation.mean ?? INFLATION_ASSUMPTION.mean;
+    const inflationVolatility = inflation.volatility ?? INFLATION_ASSUMPTION.volatility;
+
+    const totalYears = yearsToRetirement + withdrawalYears;
+    // balances[year][path], year 0 is the starting balance
+    const balances = Array.from({ length: totalYears + 1 }, () => new Float64Array(simulations));
+    let survived = 0;
+
+    for (let path = 0; path < simulations; path++) {
+      let balance = startBalance;
+      let depleted = false;
+      balances[0][path] = balance;
+
+      for (let year = 1; year <= totalYears; year++) {
+        if (!depleted) {
+          let nominalReturn = 0;
+          for (const asset of assets) {
+            const assetReturn = asset.expectedReturn + asset.volatility * normal();
+            nominalReturn += asset.weight * Math.max(assetReturn, -1);
+          }
+          const inflationRate = inflationMean + inflationVolatility * normal();
+          const realReturn = (1 + nominalReturn) / (1 + inflationRate) - 1;
+
+          const cashFlow = year <= yearsToRetirement ? annualContribution : -annualSpending;
+          balance = balance * (1 + realReturn) + cashFlow;
+
+          if (balance <= 0) {
+            balance = 0;
+            depleted = true;
+          }
+        }
+        balances[year][path] = balance;
+      }
+
+      if (!depleted) survived++;
+    }
+
+    const currentYear = new Date().getFullYear();
+    const bands = balances.map((yearBalances, year) => {
+      const sorted = Float64Array.from(yearBalances).sort();
+      return {
+        year: currentYear + year,
+        phase: year === 0 ? 'start' : year <= yearsToRetirement ? 'accumulation' : 'withdrawal',
+        p10: this.round(this.percentile(sorted, 0.1)),
+        p50: this.round(this.percentile(sorted, 0.5)),
+        p90: this.round(this.percentile(sorted, 0.9))
+      };
+    });
+
+    return {
+      seed,
+      simulations,
+      successProbability: this.round(survived / simulations, 4),
+      inputs: {
+        startBalance: this.round(startBalance),
+        annualContribution: this.round(annualContribution),
+        annualSpending: this.round(annualSpending),
+        yearsToRetirement,
+        withdrawalYears,
+        allocation,
+        assets: assets.map(({ name, weight, expectedReturn, volatility }) => ({ name, weight, expectedReturn, volatility })),
+        inflation: { mean: inflationMean, volatility: inflationVolatility }
+      },
+      bands
+    };
+  }
+
+  /**
+   * Linear-interpolated percentile of a sorted array
+   */
+  percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  }
+
+  round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new FireSimulationService();
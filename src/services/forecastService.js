@@ -0,0 +1,203 @@
+const { logger } = require('../utils/logger');
+const { toIsoDate, addDays, addMonths, occurrencesBetween } = require('../utils/recurrence');
+const BankAccountModel = require('../models/BankAccount');
+const RecurringSeriesModel = require('../models/RecurringSeries');
+const PlannedItemModel = require('../models/PlannedItem');
+
+// Forecast horizon limits (months)
+const FORECAST_CONFIG = {
+  DEFAULT_MONTHS: 3,
+  MAX_MONTHS: 24
+};
+
+// Account types whose projected balance must not go below zero
+const OVERDRAFT_ACCOUNT_TYPES = ['checking'];
+
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Forecast Service
+ *
+ * Projects each account's daily balance from its current balance, the
+ * recurring series (detected and declared) and one-off planned items, and
+ * flags the days a checking account would be overdrawn.
+ */
+class ForecastService {
+  /**
+   * Validate months and accountId from the query string
+   */
+  parseForecastQuery(query = {}) {
+    const errors = [];
+    const options = { months: FORECAST_CONFIG.DEFAULT_MONTHS };
+
+    if (query.months !== undefined) {
+      const months = Number(query.months);
+      if (Number.isInteger(months) && months >= 1 && months <= FORECAST_CONFIG.MAX_MONTHS) options.months = months;
+      else errors.push(`months must be a whole number between 1 and ${FORECAST_CONFIG.MAX_MONTHS}`);
+    }
+    if (query.accountId) options.accountId = query.accountId;
+
+    return { options, errors };
+  }
+
+  /**
+   * Validate a planned item, returning a list of problems.
+   * With partial=true only the provided fields are checked (updates).
+   */
+  validatePlannedItem(data, { partial = false } = {}) {
+    const errors = [];
+    const has = (field) => data[field] !== undefined;
+
+    if ((!partial || has('name')) && (typeof data.name !== 'string' || data.name.trim() === '')) {
+      errors.push('name is required');
+    }
+    if (!partial && !data.account_id) {
+      errors.push('account_id is required');
+    }
+    if ((!partial || has('amount')) && !(Number(data.amount) !== 0 && Number.isFinite(Number(data.amount)))) {
+      errors.push('amount must be a non-zero number (negative for expenses)');
+    }
+    if ((!partial || has('planned_date')) && !isDate(data.planned_date)) {
+      errors.push('planned_date must be a date (YYYY-MM-DD)');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Dates a series is expected on within the forecast window. An occurrence that is
+   * overdue but still within its grace period is expected on the first forecast day;
+   * one past its grace period (missed) is assumed skipped.
+   */
+  seriesDates(series, startDate, endDate) {
+    const next = toIsoDate(series.next_expected_date);
+    const endOfSeries = series.end_date ? toIsoDate(series.end_date) : null;
+    const dates = occurrencesBetween(next, series.cadence, startDate, endDate, { endDate: endOfSeries });
+
+    if (next < startDate && series.source === 'detected' && series.status === 'active') {
+      dates.unshift(startDate);
+    }
+
+    return dates;
+  }
+
+  /**
+   * Cash-flow events (recurring occurrences and planned items) between two dates
+   */
+  async getEvents(userId, accountIds, startDate, endDate) {
+    const [seriesList, plannedItems] = await Promise.all([
+      RecurringSeriesModel.findByUserId(userId),
+      PlannedItemModel.findByUserId(userId, { startDate, endDate })
+    ]);
+    const events = [];
+
+    for (const series of seriesList) {
+      if (series.status === 'ended' || !accountIds.has(series.account_id)) continue;
+
+      for (const date of this.seriesDates(series, startDate, endDate)) {
+        events.push({
+          date,
+          account_id: series.account_id,
+          name: series.name,
+          amount: parseFloat(series.expected_amount),
+          source: series.source === 'declared' ? 'declared' : 'recurring',
+          series_id: series.id
+        });
+      }
+    }
+
+    for (const item of plannedItems) {
+      if (!accountIds.has(item.account_id)) continue;
+
+      events.push({
+        date: toIsoDate(item.planned_date),
+        account_id: item.account_id,
+        name: item.name,
+        amount: parseFloat(item.amount),
+        source: 'planned',
+        planned_item_id: item.id
+      });
+    }
+
+    return events.sort((a, b) => a.date.localeCompare(b.date) || a.amount - b.amount);
+  }
+
+  /**
+   * Project daily balances per account for the next `months` months
+   */
+  async getForecast(userId, { months = FORECAST_CONFIG.DEFAULT_MONTHS, accountId = null } = {}) {
+    const today = toIsoDate(new Date());
+    const startDate = addDays(today, 1);
+    const endDate = addMonths(today, months);
+
+    const accounts = (await BankAccountModel.findByUserId(userId))
+      .filter(account => !accountId || account.id === accountId);
+    const events = await this.getEvents(userId, new Set(accounts.map(account => account.id)), startDate, endDate);
+
+    const eventsByAccountDay = new Map();
+    for (const event of events) {
+      const key = `${event.account_id}|${event.date}`;
+      eventsByAccountDay.set(key, (eventsByAccountDay.get(key) || 0) + event.amount);
+    }
+
+    const alerts = [];
+    const projections = accounts.map(account => {
+      const watchOverdraft = OVERDRAFT_ACCOUNT_TYPES.includes(account.account_type);
+      const startingBalance = parseFloat(account.balance) || 0;
+      let balance = startingBalance;
+      let lowest = { balance: startingBalance, date: today };
+      let overdraft = null;
+      const daily = [];
+
+      for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+        const change = eventsByAccountDay.get(`${account.id}|${date}`) || 0;
+        balance = round2(balance + change);
+        if (balance < lowest.balance) lowest = { balance, date };
+
+        const negative = watchOverdraft && balance < 0;
+        daily.push({ date, balance, change: round2(change), ...(negative && { negative }) });
+
+        // Group consecutive overdrawn days into one alert
+        if (negative && !overdraft) {
+          overdraft = { account_id: account.id, account_name: account.account_name, from: date, to: date, lowest_balance: balance, lowest_balance_date: date };
+          alerts.push(overdraft);
+        } else if (negative) {
+          overdraft.to = date;
+          if (balance < overdraft.lowest_balance) {
+            overdraft.lowest_balance = balance;
+            overdraft.lowest_balance_date = date;
+          }
+        } else {
+          overdraft = null;
+        }
+      }
+
+      return {
+        account_id: account.id,
+        account_name: account.account_name,
+        account_type: account.account_type,
+        currency: account.currency,
+        starting_balance: startingBalance,
+        ending_balance: balance,
+        lowest_balance: lowest.balance,
+        lowest_balance_date: lowest.date,
+        daily
+      };
+    });
+
+    logger.info('Cash-flow forecast computed', { userId, months, accounts: accounts.length, events: events.length, alerts: alerts.length });
+
+    return {
+      startDate,
+      endDate,
+      months,
+      accounts: projections,
+      events,
+      alerts: alerts.sort((a, b) => a.from.localeCompare(b.from))
+    };
+  }
+}
+
+module.exports = new ForecastService();
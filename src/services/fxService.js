@@ -0,0 +1,170 @@
+const { logger } = require('../utils/logger');
+const { parseXml, children } = require('../utils/xml');
+const { parseCsv } = require('../utils/csv');
+const FxRateModel = require('../models/FxRate');
+const UserModel = require('../models/User');
+
+const DEFAULT_CURRENCY = 'EUR';
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+
+/**
+ * FX Service
+ *
+ * Loads ECB euro reference rates (daily or historical files, XML or CSV) into
+ * fx_rates and resolves each user's reporting currency. Conversion itself runs
+ * in SQL through fx_convert() so summaries can use each transaction's date.
+ */
+class FxService {
+  /**
+   * YYYY-MM-DD from an ECB date: 2024-06-03 (XML, historical CSV) or 03 June 2024 (daily CSV)
+   */
+  parseDate(value) {
+    const text = String(value || '').trim();
+    let year;
+    let month;
+    let day;
+
+    let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (match) {
+      [year, month, day] = match.slice(1).map(Number);
+    } else if ((match = /^(\d{1,2}) ([A-Za-z]+) (\d{4})$/.exec(text))) {
+      day = Number(match[1]);
+      month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+      year = Number(match[3]);
+      if (month === 0) return null;
+    } else {
+      return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Rate from its text, or null for N/A and malformed values
+   */
+  parseRate(value) {
+    const text = String(value || '').trim();
+    if (!/^\d+(\.\d+)?$/.test(text)) return null;
+    const rate = parseFloat(text);
+    return rate > 0 ? rate : null;
+  }
+
+  /**
+   * Rates from eurofxref-daily.xml / eurofxref-hist.xml:
+   * <Cube time="2024-06-03"><Cube currency="USD" rate="1.0850"/>...</Cube>
+   */
+  parseXml(content) {
+    const rates = [];
+    const errors = [];
+    const visit = (node) => {
+      if (node.name === 'Cube' && node.attributes.time !== undefined) {
+        const date = this.parseDate(node.attributes.time);
+        if (!date) {
+          errors.push(`Invalid date: ${node.attributes.time}`);
+          return;
+        }
+        for (const cube of children(node, 'Cube')) {
+          const rate = this.parseRate(cube.attributes.rate);
+          const currency = (cube.attributes.currency || '').toUpperCase();
+          if (rate && /^[A-Z]{3}$/.test(currency)) rates.push({ date, currency, rate });
+          else errors.push(`Invalid rate on ${date}: ${cube.attributes.currency} ${cube.attributes.rate}`);
+        }
+        return;
+      }
+      node.children.forEach(visit);
+    };
+
+    visit(parseXml(content));
+    return { rates, errors };
+  }
+
+  /**
+   * Rates from eurofxref.csv / eurofxref-hist.csv: a Date column, one column per
+   * currency, N/A where a currency had no rate that day
+   */
+  parseCsv(content) {
+    const [header, ...rows] = parseCsv(content);
+    const rates = [];
+    const errors = [];
+
+    if (!header || header[0].trim().toLowerCase() !== 'date') {
+      throw new Error('Not an ECB rates CSV: the first column must be Date');
+    }
+    const currencies = header.map(name => name.trim().toUpperCase());
+
+    for (const row of rows) {
+      const date = this.parseDate(row[0]);
+      if (!date) {
+        errors.push(`Invalid date: ${row[0]}`);
+        continue;
+      }
+      for (let column = 1; column < row.length; column++) {
+        const currency = currencies[column];
+        const rate = this.parseRate(row[column]);
+        if (/^[A-Z]{3}$/.test(currency || '') && rate) rates.push({ date, currency, rate });
+      }
+    }
+
+    return { rates, errors };
+  }
+
+  /**
+   * Parse an ECB file (format 'xml', 'csv' or 'auto'); throws when the file is malformed
+   */
+  parseFile(content, { format = 'auto' } = {}) {
+    const resolvedFormat = format === 'auto' ? (content.trimStart().startsWith('<') ? 'xml' : 'csv') : format;
+    const { rates, errors } = resolvedFormat === 'xml' ? this.parseXml(content) : this.parseCsv(content);
+    return { format: resolvedFormat, rates, errors };
+  }
+
+  /**
+   * Store the rates of a parsed ECB file
+   */
+  async importRates({ format, rates, errors }) {
+    const imported = await FxRateModel.upsertMany(rates, 'ecb');
+    const dates = rates.map(r => r.date).sort();
+    const summary = {
+      format,
+      imported,
+      currencies: [...new Set(rates.map(r => r.currency))].sort(),
+      firstDate: dates[0],
+      lastDate: dates[dates.length - 1],
+      errors: errors.slice(0, 20)
+    };
+
+    logger.info('ECB rates imported', { imported, currencies: summary.currencies.length, firstDate: summary.firstDate, lastDate: summary.lastDate });
+    return summary;
+  }
+
+  /**
+   * Converter at the rates in effect on a date (today when omitted), for amounts
+   * computed outside SQL. Same rules as fx_convert(): returns null when a currency has no rate.
+   */
+  async getConverter(date = null) {
+    const rows = await FxRateModel.findOnDate(date);
+    const eurRates = new Map(rows.map(row => [row.quote_currency, parseFloat(row.rate)]));
+    eurRates.set('EUR', 1);
+
+    return (amount, from, to) => {
+      if (amount === null || amount === undefined) return null;
+      if (!from || !to || from.toUpperCase() === to.toUpperCase()) return amount;
+      const fromRate = eurRates.get(from.toUpperCase());
+      const toRate = eurRates.get(to.toUpperCase());
+      return fromRate && toRate ? amount / fromRate * toRate : null;
+    };
+  }
+
+  /**
+   * The currency a user's summaries are reported in (user_preferences.currency)
+   */
+  async getUserCurrency(userId) {
+    const user = await UserModel.findWithPreferences(userId);
+    return (user && user.currency) || DEFAULT_CURRENCY;
+  }
+}
+
+module.exports = new FxService();
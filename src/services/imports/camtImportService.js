@@ -0,0 +1,219 @@
+const { parseXml, child, children, text } = require('../../utils/xml');
+
+// Message root -> repeated statement element and the format recorded on the batch
+const MESSAGE_TYPES = {
+  BkToCstmrStmt: { element: 'Stmt', format: 'camt.053' },
+  BkToCstmrAcctRpt: { element: 'Rpt', format: 'camt.052' }
+};
+
+// Balance type codes, in order of preference
+const BALANCE_CODES = {
+  OPENING: ['OPBD', 'PRCD'],
+  CLOSING: ['CLBD', 'ITBD'],
+  AVAILABLE: ['CLAV', 'ITAV']
+};
+
+// References banks fill with a placeholder rather than a real value
+const EMPTY_REFERENCES = ['NOTPROVIDED', 'NONREF'];
+
+/**
+ * camt Import Service
+ *
+ * Turns ISO 20022 camt.053 statements and camt.052 account reports into
+ * statements for importService: one transaction per booked Ntry, the account
+ * from Acct and balances from Bal.
+ */
+class CamtImportService {
+  /**
+   * YYYY-MM-DD from a Dt or DtTm element (null if missing or invalid)
+   */
+  parseDate(node) {
+    const value = text(node, 'Dt') || text(node, 'DtTm');
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Signed amount from an Amt element and its CdtDbtInd sibling (null if invalid)
+   */
+  parseSignedAmount(node) {
+    const value = text(node, 'Amt');
+    if (!value || !/^\d+(\.\d+)?$/.test(value)) return null;
+
+    const amount = parseFloat(value);
+    return text(node, 'CdtDbtInd') === 'DBIT' ? -amount : amount;
+  }
+
+  /**
+   * Parse a camt.053 or camt.052 document.
+   * Returns { format, statements: [{ account, rows, errors, ledgerBalance }] } or throws on unreadable input.
+   */
+  parse(content) {
+    const document = parseXml(content);
+    const messageName = Object.keys(MESSAGE_TYPES).find(name => child(document, name));
+    if (document.name !== 'Document' || !messageName) {
+      throw new Error('Not a camt.053 or camt.052 document: BkToCstmrStmt or BkToCstmrAcctRpt not found');
+    }
+
+    const { element, format } = MESSAGE_TYPES[messageName];
+    const statements = children(child(document, messageName), element).map(statement => this.parseStatement(statement));
+
+    if (statements.length === 0) {
+      throw new Error(`The ${format} document contains no ${element} element`);
+    }
+    return { format, statements };
+  }
+
+  /**
+   * Map one Stmt/Rpt to account info, rows and balances
+   */
+  parseStatement(statement) {
+    const accountNode = child(statement, 'Acct');
+    const iban = text(accountNode, 'Id', 'IBAN');
+    const accountNumber = iban || text(accountNode, 'Id', 'Othr', 'Id');
+    const currency = (text(accountNode, 'Ccy') || 'EUR').toUpperCase();
+    const institution = child(accountNode, 'Svcr', 'FinInstnId');
+    const bankName = text(institution, 'Nm') || text(institution, 'BICFI') || text(institution, 'BIC') || null;
+
+    const account = {
+      name: text(accountNode, 'Nm') || `${bankName || 'camt'} ${accountNumber ? `••${accountNumber.slice(-4)}` : 'account'}`,
+      bank_name: bankName,
+      account_number: accountNumber,
+      iban,
+      currency
+    };
+
+    const rows = [];
+    const errors = [];
+
+    children(statement, 'Ntry').forEach((entry, i) => {
+      const sourceRow = i + 1;
+
+      // Pending (PDNG) and informational (INFO) entries may still change or disappear
+      const status = text(entry, 'Sts', 'Cd') || text(entry, 'Sts') || 'BOOK';
+      if (status !== 'BOOK') return;
+
+      const transactionDate = this.parseDate(child(entry, 'BookgDt'));
+      const amount = this.parseSignedAmount(entry);
+      if (!transactionDate) {
+        errors.push({ row: sourceRow, message: 'Missing or invalid BookgDt' });
+        return;
+      }
+      if (amount === null) {
+        errors.push({ row: sourceRow, message: `Invalid Amt "${text(entry, 'Amt') || ''}"` });
+        return;
+      }
+
+      rows.push(this.mapEntry(entry, { sourceRow, transactionDate, amount, currency }));
+    });
+
+    return { account, rows, errors, ledgerBalance: this.parseBalances(statement, rows) };
+  }
+
+  /**
+   * Map a booked Ntry (and its NtryDtls/TxDtls) to an import row
+   */
+  mapEntry(entry, { sourceRow, transactionDate, amount, currency }) {
+    const details = children(child(entry, 'NtryDtls'), 'TxDtls');
+    const firstDetails = details[0] || null;
+
+    // The counterparty is the creditor of outgoing payments and the debtor of incoming ones
+    const side = amount < 0 ? 'Cdtr' : 'Dbtr';
+    const parties = child(firstDetails, 'RltdPties');
+    const counterpartyName = text(parties, side, 'Nm') || text(parties, side, 'Pty', 'Nm') || null;
+    const counterpartyIban = text(parties, `${side}Acct`, 'Id', 'IBAN') || null;
+    const counterpartyAccount = counterpartyIban || text(parties, `${side}Acct`, 'Id', 'Othr', 'Id') || null;
+    const counterpartyBic = text(firstDetails, 'RltdAgts', `${side}Agt`, 'FinInstnId', 'BICFI') ||
+      text(firstDetails, 'RltdAgts', `${side}Agt`, 'FinInstnId', 'BIC') || null;
+
+    const remittance = details
+      .flatMap(tx => [
+        ...children(child(tx, 'RmtInf'), 'Ustrd').map(node => node.text),
+        ...children(child(tx, 'RmtInf'), 'Strd').map(node => text(node, 'CdtrRefInf', 'Ref'))
+      ])
+      .filter(Boolean);
+    const description = remittance.join(' ') ||
+      text(firstDetails, 'AddtlTxInf') ||
+      text(entry, 'AddtlNtryInf') ||
+      counterpartyName ||
+      'camt entry';
+
+    const endToEndId = text(firstDetails, 'Refs', 'EndToEndId');
+    const accountServicerReference = text(entry, 'AcctSvcrRef') ||
+      (details.length === 1 ? text(firstDetails, 'Refs', 'AcctSvcrRef') : null);
+    const isReference = (value) => value && !EMPTY_REFERENCES.includes(value.toUpperCase());
+
+    return {
+      sourceRow,
+      transaction_date: transactionDate,
+      processed_date: this.parseDate(child(entry, 'ValDt')) || transactionDate,
+      amount: Math.round(amount * 100) / 100,
+      description: description.replace(/\s+/g, ' ').trim(),
+      currency: (child(entry, 'Amt')?.attributes.Ccy || currency).toUpperCase(),
+      merchant_name: counterpartyName,
+      reference_number: isReference(endToEndId) ? endToEndId : null,
+      // The bank's own reference is unique per account; entries without one fall back to the content hash
+      external_id: isReference(accountServicerReference) ? accountServicerReference : null,
+      metadata: {
+        entry_reference: text(entry, 'NtryRef'),
+        counterparty_name: counterpartyName,
+        counterparty_iban: counterpartyIban,
+        counterparty_account: counterpartyAccount,
+        counterparty_bic: counterpartyBic,
+        bank_transaction_code: text(entry, 'BkTxCd', 'Domn', 'Cd') || text(entry, 'BkTxCd', 'Prtry', 'Cd'),
+        reversal: text(entry, 'RvslInd') === 'true',
+        ...(details.length > 1 ? { batch_size: details.length } : {})
+      }
+    };
+  }
+
+  /**
+   * Statement balance for the account: the closing (or interim) booked balance, or the
+   * opening balance plus the booked entries when the statement has no closing balance.
+   * Also reports whether opening + entries reconciles with closing.
+   */
+  parseBalances(statement, rows) {
+    const balances = children(statement, 'Bal').map(balance => ({
+      code: text(balance, 'Tp', 'CdOrPrtry', 'Cd') || text(balance, 'Tp', 'CdOrPrtry', 'Prtry'),
+      amount: this.parseSignedAmount(balance),
+      date: this.parseDate(child(balance, 'Dt'))
+    })).filter(balance => balance.amount !== null);
+
+    const pick = (codes) => codes.map(code => balances.find(balance => balance.code === code)).find(Boolean) || null;
+    const opening = pick(BALANCE_CODES.OPENING);
+    const closing = pick(BALANCE_CODES.CLOSING);
+    const available = pick(BALANCE_CODES.AVAILABLE);
+    const entriesTotal = Math.round(rows.reduce((sum, row) => sum + row.amount, 0) * 100) / 100;
+
+    if (closing) {
+      return {
+        amount: closing.amount,
+        available: available ? available.amount : null,
+        asOf: closing.date,
+        opening: opening ? opening.amount : null,
+        reconciled: opening ? Math.round((opening.amount + entriesTotal) * 100) === Math.round(closing.amount * 100) : null
+      };
+    }
+
+    if (opening) {
+      const lastBooking = rows.reduce((latest, row) => (row.transaction_date > latest ? row.transaction_date : latest), opening.date || '');
+      return {
+        amount: Math.round((opening.amount + entriesTotal) * 100) / 100,
+        available: available ? available.amount : null,
+        asOf: lastBooking || null,
+        opening: opening.amount,
+        reconciled: null
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new CamtImportService();
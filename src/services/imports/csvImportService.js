@@ -0,0 +1,262 @@
+const { parseCsv, detectDelimiter } = require('../../utils/csv');
+
+// Fields a profile can map to a CSV column (by header name or 0-based index)
+const COLUMN_FIELDS = ['date', 'description', 'amount', 'debit', 'credit', 'balance', 'currency', 'merchant', 'reference', 'category'];
+
+const DELIMITERS = { auto: null, ',': ',', ';': ';', tab: '\t', '\t': '\t', '|': '|' };
+
+const SIGN_CONVENTION = {
+  SIGNED: 'signed', // Debits are negative
+  INVERTED: 'inverted' // Debits are positive (typical of credit card statements)
+};
+
+// Date format tokens; any other character in the format is a literal separator
+const DATE_TOKENS = ['YYYY', 'YY', 'MM', 'DD', 'M', 'D'];
+
+/**
+ * CSV Import Service
+ *
+ * Validates column-mapping profiles and turns CSV text into the normalized
+ * rows importService stores.
+ */
+class CsvImportService {
+  /**
+   * Validate profile input, returning a list of problems.
+   * With partial=true only the provided fields are checked (updates).
+   */
+  validateProfile(data, { partial = false } = {}) {
+    const errors = [];
+    const has = (field) => data[field] !== undefined && data[field] !== null;
+
+    if ((!partial || data.name !== undefined) && (typeof data.name !== 'string' || data.name.trim() === '')) {
+      errors.push('name is required');
+    }
+    if (has('delimiter') && !(data.delimiter in DELIMITERS)) {
+      errors.push(`delimiter must be one of: ${Object.keys(DELIMITERS).filter(d => d !== '\t').join(', ')}`);
+    }
+    if (has('decimal_separator') && !['.', ','].includes(data.decimal_separator)) {
+      errors.push('decimal_separator must be "." or ","');
+    }
+    if (has('thousands_separator') && ![',', '.', ' ', '\''].includes(data.thousands_separator)) {
+      errors.push('thousands_separator must be one of: ",", ".", " ", "\'"');
+    }
+    if (has('decimal_separator') && has('thousands_separator') && data.decimal_separator === data.thousands_separator) {
+      errors.push('decimal_separator and thousands_separator must differ');
+    }
+    if (has('sign_convention') && !Object.values(SIGN_CONVENTION).includes(data.sign_convention)) {
+      errors.push(`sign_convention must be one of: ${Object.values(SIGN_CONVENTION).join(', ')}`);
+    }
+    if (has('skip_rows') && !(Number.isInteger(Number(data.skip_rows)) && Number(data.skip_rows) >= 0)) {
+      errors.push('skip_rows must be a non-negative integer');
+    }
+    if (has('date_format') && !this.isValidDateFormat(data.date_format)) {
+      errors.push('date_format must contain YYYY (or YY), MM (or M) and DD (or D), e.g. DD/MM/YYYY');
+    }
+
+    if (!partial || has('columns')) {
+      const columns = data.columns;
+      if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+        errors.push('columns must map fields to header names or column indexes');
+      } else {
+        const unknown = Object.keys(columns).filter(field => !COLUMN_FIELDS.includes(field));
+        if (unknown.length > 0) {
+          errors.push(`Unknown column fields: ${unknown.join(', ')}. Allowed: ${COLUMN_FIELDS.join(', ')}`);
+        }
+        if (columns.date === undefined) errors.push('columns.date is required');
+        if (columns.description === undefined && columns.merchant === undefined) {
+          errors.push('columns.description or columns.merchant is required');
+        }
+        if (columns.amount === undefined && columns.debit === undefined && columns.credit === undefined) {
+          errors.push('Map columns.amount, or columns.debit and/or columns.credit');
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  isValidDateFormat(format) {
+    if (typeof format !== 'string') return false;
+    const hasYear = format.includes('YY');
+    const hasMonth = format.includes('M');
+    const hasDay = format.includes('D');
+    return hasYear && hasMonth && hasDay;
+  }
+
+  /**
+   * Parse a date string with a format such as DD/MM/YYYY into YYYY-MM-DD (null if invalid)
+   */
+  parseDate(value, format) {
+    if (!value) return null;
+    const text = value.trim();
+    const parts = {};
+    let position = 0;
+    let formatIndex = 0;
+
+    while (formatIndex < format.length) {
+      const token = DATE_TOKENS.find(t => format.startsWith(t, formatIndex));
+
+      if (token) {
+        // Single-letter tokens take one or two digits
+        const match = token.length === 1
+          ? text.slice(position).match(/^\d{1,2}/)
+          : text.slice(position).match(new RegExp(`^\\d{${token.length}}`));
+        if (!match) return null;
+
+        parts[token[0]] = { value: parseInt(match[0], 10), token };
+        position += match[0].length;
+        formatIndex += token.length;
+      } else {
+        if (text[position] !== format[formatIndex]) return null;
+        position++;
+        formatIndex++;
+      }
+    }
+    if (position !== text.length || !parts.Y || !parts.M || !parts.D) return null;
+
+    const year = parts.Y.token === 'YY' ? 2000 + parts.Y.value : parts.Y.value;
+    const date = new Date(Date.UTC(year, parts.M.value - 1, parts.D.value));
+    if (date.getUTCMonth() !== parts.M.value - 1 || date.getUTCDate() !== parts.D.value) return null;
+
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Parse an amount such as "1 234,56", "(12.00)", "12.00-" or "€-5" (null if invalid)
+   */
+  parseAmount(value, { decimalSeparator = '.', thousandsSeparator = null } = {}) {
+    if (value === undefined || value === null) return null;
+    let text = String(value).trim();
+    if (text === '') return null;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1);
+    }
+    if (text.endsWith('-')) {
+      negative = !negative;
+      text = text.slice(0, -1);
+    }
+
+    text = text.replace(/[^\d.,'\s+-]/g, '');
+    if (thousandsSeparator) {
+      text = text.split(thousandsSeparator).join('');
+    }
+    text = text.replace(/\s/g, '');
+    if (decimalSeparator === ',') {
+      text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+      text = text.replace(/,/g, '');
+    }
+
+    if (!/^[+-]?\d*\.?\d+$/.test(text)) return null;
+    const amount = parseFloat(text);
+    return negative ? -amount : amount;
+  }
+
+  /**
+   * Map profile column specs (header name or index) to column indexes
+   */
+  resolveColumns(columns, header) {
+    const indexes = {};
+    const missing = [];
+    const normalizedHeader = header ? header.map(name => name.trim().toLowerCase()) : null;
+
+    for (const [field, spec] of Object.entries(columns)) {
+      if (spec === null || spec === undefined || spec === '') continue;
+
+      if (Number.isInteger(Number(spec)) && String(spec).trim() !== '') {
+        indexes[field] = Number(spec);
+      } else if (normalizedHeader) {
+        const index = normalizedHeader.indexOf(String(spec).trim().toLowerCase());
+        if (index === -1) missing.push(`${field} ("${spec}")`);
+        else indexes[field] = index;
+      } else {
+        missing.push(`${field} ("${spec}" needs has_header or a column index)`);
+      }
+    }
+
+    return { indexes, missing };
+  }
+
+  /**
+   * Parse CSV text with a profile into normalized rows plus per-row errors
+   */
+  parse(text, profile) {
+    const skipRows = parseInt(profile.skip_rows) || 0;
+    // Detect on the lines after any preamble, which rarely shares the table's delimiter
+    const delimiter = DELIMITERS[profile.delimiter || 'auto'] ||
+      detectDelimiter(text.split(/\r?\n/).slice(skipRows).join('\n'));
+    const allRows = parseCsv(text, { delimiter }).slice(skipRows);
+    const hasHeader = profile.has_header !== false;
+    const header = hasHeader ? allRows[0] || [] : null;
+    const dataRows = hasHeader ? allRows.slice(1) : allRows;
+    // Row numbers in errors are 1-based and count the header and skipped rows
+    const firstRowNumber = skipRows + (hasHeader ? 2 : 1);
+
+    const { indexes, missing } = this.resolveColumns(profile.columns || {}, header);
+    if (missing.length > 0) {
+      return { rows: [], errors: [{ row: null, message: `Columns not found in header: ${missing.join(', ')}` }], delimiter };
+    }
+
+    const numberFormat = {
+      decimalSeparator: profile.decimal_separator || '.',
+      thousandsSeparator: profile.thousands_separator || null
+    };
+    const inverted = profile.sign_convention === SIGN_CONVENTION.INVERTED;
+    const cell = (row, field) => (indexes[field] !== undefined ? (row[indexes[field]] || '').trim() : '');
+
+    const rows = [];
+    const errors = [];
+
+    dataRows.forEach((row, i) => {
+      const sourceRow = firstRowNumber + i;
+
+      const transactionDate = this.parseDate(cell(row, 'date'), profile.date_format || 'YYYY-MM-DD');
+      if (!transactionDate) {
+        errors.push({ row: sourceRow, message: `Invalid date "${cell(row, 'date')}"` });
+        return;
+      }
+
+      let amount;
+      if (indexes.amount !== undefined) {
+        amount = this.parseAmount(cell(row, 'amount'), numberFormat);
+        if (amount !== null && inverted) amount = -amount;
+      } else {
+        const debit = this.parseAmount(cell(row, 'debit'), numberFormat);
+        const credit = this.parseAmount(cell(row, 'credit'), numberFormat);
+        amount = debit === null && credit === null ? null : Math.abs(credit || 0) - Math.abs(debit || 0);
+      }
+      if (amount === null || Number.isNaN(amount)) {
+        errors.push({ row: sourceRow, message: 'Missing or invalid amount' });
+        return;
+      }
+
+      const merchant = cell(row, 'merchant');
+      const description = cell(row, 'description') || merchant;
+      if (!description) {
+        errors.push({ row: sourceRow, message: 'Missing description' });
+        return;
+      }
+
+      const balance = indexes.balance !== undefined ? this.parseAmount(cell(row, 'balance'), numberFormat) : null;
+
+      rows.push({
+        sourceRow,
+        transaction_date: transactionDate,
+        amount: Math.round(amount * 100) / 100,
+        description,
+        currency: (cell(row, 'currency') || profile.default_currency || 'EUR').toUpperCase().slice(0, 3),
+        merchant_name: merchant || null,
+        reference_number: cell(row, 'reference') || null,
+        category: cell(row, 'category') || null,
+        balance_after: balance
+      });
+    });
+
+    return { rows, errors, delimiter };
+  }
+}
+
+module.exports = new CsvImportService();
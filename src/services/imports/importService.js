@@ -0,0 +1,372 @@
+const crypto = require('crypto');
+const { logger } = require('../../utils/logger');
+const BankConnectionModel = require('../../models/BankConnection');
+const BankAccountModel = require('../../models/BankAccount');
+const TransactionModel = require('../../models/Transaction');
+const ImportBatchModel = require('../../models/ImportBatch');
+const postSyncService = require('../postSyncService');
+
+const IMPORT_DEFAULTS = {
+  BANK_NAME: 'Manual import',
+  ACCOUNT_TYPE: 'checking',
+  CURRENCY: 'EUR',
+  PREVIEW_ROWS: 20,
+  LOOKUP_CHUNK: 1000,
+  MAX_REPORTED_ERRORS: 100
+};
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'investment', 'credit', 'loan'];
+
+/**
+ * Import Service
+ *
+ * Format-independent part of file imports: picks the manual account the rows
+ * land in, derives deterministic IDs so re-imports are skipped, stores the
+ * transactions and records the batch.
+ */
+class ImportService {
+  /**
+   * Resolve the account an import targets: an existing manual account (account_id)
+   * or one found/created under a manual connection (account), matched on
+   * account.account_number when given, otherwise on account.name.
+   * Returns { account } or { error }. With create=false (dry runs) nothing is written and a
+   * not-yet-existing account comes back as an unsaved placeholder.
+   */
+  async resolveAccount(userId, { account_id, account } = {}, { create = true } = {}) {
+    if (account_id) {
+      const existing = await BankAccountModel.findById(account_id);
+      if (!existing || existing.user_id !== userId) {
+        return { error: 'account_id does not reference one of your accounts' };
+      }
+
+      const connection = await BankConnectionModel.findById(existing.connection_id);
+      if (!connection || connection.connection_type !== 'manual') {
+        return { error: 'Files can only be imported into manual accounts; Powens accounts are filled by sync' };
+      }
+
+      return { account: existing };
+    }
+
+    if (!account || typeof account.name !== 'string' || account.name.trim() === '') {
+      return { error: 'Provide account_id or account.name' };
+    }
+    if (account.type && !ACCOUNT_TYPES.includes(account.type)) {
+      return { error: `account.type must be one of: ${ACCOUNT_TYPES.join(', ')}` };
+    }
+
+    const bankName = (account.bank_name || IMPORT_DEFAULTS.BANK_NAME).trim();
+
+    if (!create) {
+      const connection = await BankConnectionModel.findExistingConnection(userId, bankName, 'manual');
+      const existing = connection && await this.findManualAccount(connection.id, account);
+      return {
+        account: existing || {
+          id: null,
+          account_name: account.name.trim(),
+          currency: account.currency || IMPORT_DEFAULTS.CURRENCY
+        }
+      };
+    }
+
+    const connection = await BankConnectionModel.findOrCreateManual(userId, bankName);
+    const existing = await this.findManualAccount(connection.id, account);
+    if (existing) return { account: existing };
+
+    const created = await BankAccountModel.create({
+      user_id: userId,
+      connection_id: connection.id,
+      account_name: account.name.trim(),
+      account_type: account.type || IMPORT_DEFAULTS.ACCOUNT_TYPE,
+      currency: account.currency || IMPORT_DEFAULTS.CURRENCY,
+      bank_name: bankName,
+      account_number: account.account_number || null,
+      iban: account.iban || null,
+      balance: 0,
+      account_metadata: { source: 'manual_import' }
+    });
+
+    logger.info('Manual account created for import', { userId, accountId: created.id, bankName });
+    return { account: created };
+  }
+
+  /**
+   * Look up an account under a manual connection by number, then by name
+   */
+  async findManualAccount(connectionId, account) {
+    if (account.account_number) {
+      const byNumber = await BankAccountModel.findByConnectionAndNumber(connectionId, account.account_number);
+      if (byNumber) return byNumber;
+    }
+    return BankAccountModel.findByConnectionAndName(connectionId, account.name.trim());
+  }
+
+  /**
+   * Deterministic ID for an imported row. The occurrence counter keeps genuinely
+   * identical rows within one file (two equal payments on the same day) apart.
+   */
+  buildImportId(accountId, row, occurrence) {
+    const key = [
+      accountId,
+      row.transaction_date,
+      Number(row.amount).toFixed(2),
+      (row.description || '').trim().replace(/\s+/g, ' ').toLowerCase(),
+      row.reference_number || '',
+      occurrence
+    ].join('|');
+
+    return `import:${crypto.createHash('sha256').update(key).digest('hex')}`;
+  }
+
+  /**
+   * SHA-256 of an uploaded file, recorded on the batch
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Store normalized rows in an account, skipping rows that were imported before.
+   * Rows: { transaction_date, amount, description, processed_date?, currency?, merchant_name?,
+   * reference_number?, category?, subcategory?, balance_after?, external_id?, metadata? }.
+   * external_id (e.g. a bank's own transaction ID) replaces the content hash when the format
+   * provides one, scoped by idScope (defaults to sourceFormat). statementBalance
+   * ({ amount, available?, asOf }) sets the account balance from the statement instead of
+   * from running balances on the rows.
+   */
+  async importRows(userId, account, rows, options = {}) {
+    const {
+      sourceFormat,
+      idScope = sourceFormat,
+      filename = null,
+      fileHash = null,
+      profileId = null,
+      dryRun = false,
+      parseErrors = [],
+      statementBalance = null
+    } = options;
+
+    const occurrences = new Map();
+    const prepared = rows.map(row => {
+      let importId;
+      if (row.external_id) {
+        importId = `import:${idScope}:${account.id}:${row.external_id}`;
+      } else {
+        const baseKey = this.buildImportId(account.id, row, 0);
+        const occurrence = occurrences.get(baseKey) || 0;
+        occurrences.set(baseKey, occurrence + 1);
+        importId = occurrence === 0 ? baseKey : this.buildImportId(account.id, row, occurrence);
+      }
+      return { ...row, importId };
+    });
+
+    const existing = new Set();
+    for (let i = 0; i < prepared.length; i += IMPORT_DEFAULTS.LOOKUP_CHUNK) {
+      const chunk = prepared.slice(i, i + IMPORT_DEFAULTS.LOOKUP_CHUNK).map(row => row.importId);
+      for (const id of await TransactionModel.findExistingPowensIds(userId, chunk)) existing.add(id);
+    }
+
+    const fresh = prepared.filter(row => !existing.has(row.importId));
+    const errors = [...parseErrors];
+    let imported = 0;
+    let balanceUpdated = false;
+
+    if (!dryRun) {
+      for (const row of fresh) {
+        try {
+          await TransactionModel.findOrCreateByPowensId({
+            user_id: userId,
+            account_id: account.id,
+            powens_transaction_id: row.importId,
+            transaction_date: row.transaction_date,
+            processed_date: row.processed_date || row.transaction_date,
+            amount: row.amount,
+            currency: row.currency || account.currency || IMPORT_DEFAULTS.CURRENCY,
+            description: row.description,
+            transaction_type: row.amount >= 0 ? 'credit' : 'debit',
+            category: row.category || null,
+            subcategory: row.subcategory || null,
+            merchant_name: row.merchant_name || null,
+            reference_number: row.reference_number || null,
+            balance_after: row.balance_after ?? null,
+            is_pending: false,
+            powens_metadata: { import: { format: sourceFormat, filename, row: row.sourceRow, ...(row.metadata || {}) } }
+          });
+          imported++;
+        } catch (error) {
+          errors.push({ row: row.sourceRow, message: error.message });
+        }
+      }
+
+      if (statementBalance) {
+        balanceUpdated = await this.applyStatementBalance(account, statementBalance);
+      } else {
+        await this.updateBalanceFromRows(account, prepared);
+      }
+    }
+
+    const summary = {
+      accountId: account.id,
+      accountName: account.account_name,
+      sourceFormat,
+      dryRun,
+      rowsTotal: rows.length + parseErrors.length,
+      rowsImported: dryRun ? 0 : imported,
+      rowsNew: fresh.length,
+      rowsDuplicate: prepared.length - fresh.length,
+      rowsFailed: errors.length,
+      errors: errors.slice(0, IMPORT_DEFAULTS.MAX_REPORTED_ERRORS)
+    };
+    if (statementBalance) {
+      summary.statementBalance = { ...statementBalance, applied: balanceUpdated };
+    }
+
+    if (dryRun) {
+      summary.preview = fresh.slice(0, IMPORT_DEFAULTS.PREVIEW_ROWS).map(({ importId, ...row }) => row);
+      return summary;
+    }
+
+    const batch = await ImportBatchModel.create({
+      user_id: userId,
+      account_id: account.id,
+      profile_id: profileId,
+      source_format: sourceFormat,
+      filename,
+      file_hash: fileHash,
+      rows_total: summary.rowsTotal,
+      rows_imported: summary.rowsImported,
+      rows_duplicate: summary.rowsDuplicate,
+      rows_failed: summary.rowsFailed,
+      errors: summary.errors
+    });
+    summary.batchId = batch.id;
+
+    logger.info('File import completed', {
+      userId,
+      batchId: batch.id,
+      sourceFormat,
+      imported: summary.rowsImported,
+      duplicates: summary.rowsDuplicate,
+      failed: summary.rowsFailed
+    });
+
+    if (imported > 0) {
+      await this.afterImport(userId);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Import parsed statements ({ account, rows, errors, ledgerBalance }) each into its own
+   * manual account. account_id or account from the request overrides the account info of
+   * the file, which only makes sense for single-statement files. Returns { results } or { error }.
+   */
+  async importStatements(userId, statements, options = {}) {
+    const { account_id, account, sourceFormat, idScope, filename = null, fileHash = null, dryRun = false } = options;
+
+    if ((account_id || account) && statements.length > 1) {
+      return {
+        error: `The file contains ${statements.length} accounts; omit account_id and account to import each into its own account`
+      };
+    }
+
+    // Resolve every target first so a statement without account info fails the whole file up front
+    const targets = [];
+    for (const [index, statement] of statements.entries()) {
+      let selector;
+      if (account_id) {
+        selector = { account_id };
+      } else if (account) {
+        selector = { account: { ...(statement.account || {}), ...account } };
+      } else if (statement.account) {
+        selector = { account: statement.account };
+      } else {
+        return { error: `Statement ${index + 1} has no account information; provide account_id or account` };
+      }
+
+      const { account: target, error } = await this.resolveAccount(userId, selector, { create: !dryRun });
+      if (error) return { error };
+      targets.push(target);
+    }
+
+    const results = [];
+    for (const [index, statement] of statements.entries()) {
+      results.push(await this.importRows(userId, targets[index], statement.rows, {
+        sourceFormat,
+        idScope,
+        filename,
+        fileHash,
+        dryRun,
+        parseErrors: statement.errors,
+        statementBalance: statement.ledgerBalance
+      }));
+    }
+
+    return { results };
+  }
+
+  /**
+   * Set the account balance from the latest row that carries a running balance (rows in
+   * file order). Of several rows on the latest date, the last one booked that day counts.
+   */
+  async updateBalanceFromRows(account, rows) {
+    const withBalance = rows.filter(row => row.balance_after !== null && row.balance_after !== undefined);
+    if (withBalance.length === 0) return;
+
+    const latestDate = withBalance.reduce((max, row) => (row.transaction_date > max ? row.transaction_date : max), withBalance[0].transaction_date);
+    const latestDay = withBalance.filter(row => row.transaction_date === latestDate);
+    const latest = this.isNewestFirst(withBalance) ? latestDay[0] : latestDay[latestDay.length - 1];
+    await this.applyStatementBalance(account, { amount: latest.balance_after, asOf: latest.transaction_date });
+  }
+
+  /**
+   * Whether rows (in file order, all with a running balance) list the newest first: their
+   * dates go down, or, when they share one date, their balances chain from the bottom up
+   */
+  isNewestFirst(rows) {
+    const first = rows[0].transaction_date;
+    const last = rows[rows.length - 1].transaction_date;
+    if (first !== last) return first > last;
+
+    // In booking order each balance is the previous one plus the row's own amount
+    const chains = (earlier, later) =>
+      Math.abs(parseFloat(earlier.balance_after) + parseFloat(later.amount) - parseFloat(later.balance_after)) < 0.005;
+    let chronological = 0;
+    let newestFirst = 0;
+    for (let i = 1; i < rows.length; i++) {
+      if (chains(rows[i - 1], rows[i])) chronological++;
+      if (chains(rows[i], rows[i - 1])) newestFirst++;
+    }
+    return newestFirst > chronological;
+  }
+
+  /**
+   * Set the account balance from a statement unless a more recent statement was
+   * already applied, so importing an old file does not roll the balance back
+   */
+  async applyStatementBalance(account, { amount, available = null, asOf = null }) {
+    const metadata = account.account_metadata || {};
+    const lastAsOf = metadata.statement_balance_as_of;
+    if (asOf && lastAsOf && asOf < lastAsOf) {
+      logger.info('Statement balance older than the current one, not applied', { accountId: account.id, asOf, lastAsOf });
+      return false;
+    }
+
+    await BankAccountModel.updateBalance(account.id, amount, available);
+    if (asOf) {
+      await BankAccountModel.update(account.id, {
+        account_metadata: JSON.stringify({ ...metadata, statement_balance_as_of: asOf })
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Same follow-up as a sync: reconcile, link transfers, categorize the new rows, then re-check budgets
+   */
+  async afterImport(userId) {
+    return postSyncService.run(userId);
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,152 @@
+const { parseOfx, child, value, findAll } = require('../../utils/ofx');
+
+// Statement response aggregates and the account aggregate each one carries
+const STATEMENT_TYPES = {
+  STMTRS: 'BANKACCTFROM',
+  CCSTMTRS: 'CCACCTFROM',
+  INVSTMTRS: 'INVACCTFROM'
+};
+
+// OFX ACCTTYPE -> bank_accounts.account_type
+const ACCOUNT_TYPE_MAP = {
+  CHECKING: 'checking',
+  SAVINGS: 'savings',
+  MONEYMRKT: 'savings',
+  CD: 'savings',
+  CREDITLINE: 'credit'
+};
+
+/**
+ * OFX Import Service
+ *
+ * Turns OFX/QFX files (1.x SGML and 2.x XML) into statements for importService:
+ * account info, STMTTRN rows keyed by FITID, and the LEDGERBAL balance.
+ */
+class OfxImportService {
+  /**
+   * Parse an OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]) into YYYY-MM-DD (null if invalid)
+   */
+  parseDate(text) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec((text || '').trim());
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Parse an OFX amount; some exporters write a decimal comma
+   */
+  parseAmount(text) {
+    if (text === null || text === undefined) return null;
+    const normalized = String(text).trim().replace(/\s/g, '').replace(',', '.');
+    if (!/^[+-]?\d*\.?\d+$/.test(normalized)) return null;
+    return parseFloat(normalized);
+  }
+
+  /**
+   * Parse an OFX file into one statement per account.
+   * Returns { statements: [{ account, rows, errors, ledgerBalance }] } or throws on unreadable input.
+   */
+  parse(text) {
+    const ofx = parseOfx(text);
+    const institution = value(child(child(child(ofx, 'SIGNONMSGSRSV1'), 'SONRS'), 'FI'), 'ORG');
+
+    const statements = [];
+    for (const [statementType, accountAggregate] of Object.entries(STATEMENT_TYPES)) {
+      for (const statement of findAll(ofx, statementType)) {
+        statements.push(this.parseStatement(statement, accountAggregate, institution));
+      }
+    }
+
+    if (statements.length === 0) {
+      throw new Error('No bank, credit card or investment statement found in the OFX file');
+    }
+    return { statements };
+  }
+
+  /**
+   * Map one statement response to account info, rows and ledger balance
+   */
+  parseStatement(statement, accountAggregate, institution) {
+    const accountInfo = child(statement, accountAggregate);
+    const accountNumber = value(accountInfo, 'ACCTID');
+    const currency = (value(statement, 'CURDEF') || 'EUR').toUpperCase();
+    const bankName = institution || value(accountInfo, 'BANKID') || value(accountInfo, 'BROKERID') || null;
+
+    let accountType = 'investment';
+    if (accountAggregate === 'BANKACCTFROM') {
+      accountType = ACCOUNT_TYPE_MAP[(value(accountInfo, 'ACCTTYPE') || '').toUpperCase()] || 'checking';
+    } else if (accountAggregate === 'CCACCTFROM') {
+      accountType = 'credit';
+    }
+
+    const account = {
+      name: `${bankName || 'OFX'} ${accountType}${accountNumber ? ` ${this.maskAccountNumber(accountNumber)}` : ''}`,
+      bank_name: bankName,
+      account_number: accountNumber,
+      type: accountType,
+      currency
+    };
+
+    const rows = [];
+    const errors = [];
+
+    findAll(statement, 'STMTTRN').forEach((transaction, i) => {
+      const sourceRow = i + 1;
+      const transactionDate = this.parseDate(value(transaction, 'DTPOSTED'));
+      const amount = this.parseAmount(value(transaction, 'TRNAMT'));
+
+      if (!transactionDate) {
+        errors.push({ row: sourceRow, message: `Invalid DTPOSTED "${value(transaction, 'DTPOSTED') || ''}"` });
+        return;
+      }
+      if (amount === null) {
+        errors.push({ row: sourceRow, message: `Invalid TRNAMT "${value(transaction, 'TRNAMT') || ''}"` });
+        return;
+      }
+
+      // NAME is the payee; MEMO carries the bank's longer label
+      const payee = value(transaction, 'NAME') || value(transaction, 'PAYEE', 'NAME');
+      const memo = value(transaction, 'MEMO');
+      const description = [payee, memo && memo !== payee ? memo : null].filter(Boolean).join(' - ') ||
+        value(transaction, 'TRNTYPE') || 'OFX transaction';
+      const fitId = value(transaction, 'FITID');
+
+      rows.push({
+        sourceRow,
+        transaction_date: transactionDate,
+        processed_date: this.parseDate(value(transaction, 'DTAVAIL')) || transactionDate,
+        amount: Math.round(amount * 100) / 100,
+        description,
+        // CURRENCY means TRNAMT is in that currency; ORIGCURRENCY amounts are already converted to CURDEF
+        currency: (value(transaction, 'CURRENCY', 'CURSYM') || currency).toUpperCase(),
+        merchant_name: payee || null,
+        reference_number: value(transaction, 'CHECKNUM') || value(transaction, 'REFNUM') || null,
+        external_id: fitId || null,
+        metadata: { trntype: value(transaction, 'TRNTYPE'), fitid: fitId }
+      });
+    });
+
+    const ledgerAmount = this.parseAmount(value(statement, 'LEDGERBAL', 'BALAMT'));
+    const ledgerBalance = ledgerAmount === null ? null : {
+      amount: ledgerAmount,
+      available: this.parseAmount(value(statement, 'AVAILBAL', 'BALAMT')),
+      asOf: this.parseDate(value(statement, 'LEDGERBAL', 'DTASOF'))
+    };
+
+    return { account, rows, errors, ledgerBalance };
+  }
+
+  /**
+   * Last four characters of an account number, for display names
+   */
+  maskAccountNumber(accountNumber) {
+    return `••${String(accountNumber).slice(-4)}`;
+  }
+}
+
+module.exports = new OfxImportService();
@@ -0,0 +1,265 @@
+const csvImportService = require('./csvImportService');
+
+// QIF !Type / !Account T values -> bank_accounts.account_type
+const ACCOUNT_TYPE_MAP = {
+  bank: 'checking',
+  cash: 'checking',
+  ccard: 'credit',
+  invst: 'investment',
+  port: 'investment',
+  'oth a': 'savings',
+  'oth l': 'loan'
+};
+
+// Investment actions that move cash, with the sign of their effect on the cash balance.
+// Share-only actions (ShrsIn, ReinvDiv, StkSplit, ...) are skipped.
+const INVESTMENT_CASH_ACTIONS = {
+  buy: -1,
+  buyx: -1,
+  miscexp: -1,
+  miscexpx: -1,
+  xout: -1,
+  sell: 1,
+  sellx: 1,
+  div: 1,
+  divx: 1,
+  intinc: 1,
+  intincx: 1,
+  cglong: 1,
+  cglongx: 1,
+  cgshort: 1,
+  cgshortx: 1,
+  miscinc: 1,
+  miscincx: 1,
+  xin: 1
+};
+
+/**
+ * QIF Import Service
+ *
+ * Turns QIF files into statements for importService. QIF has no transaction IDs,
+ * so rows are de-duplicated on their content hash; dates follow the exporter's
+ * locale and are read with a date_format such as MM/DD/YYYY.
+ */
+class QifImportService {
+  // Same format tokens as CSV profiles; only their order is used
+  isValidDateFormat(format) {
+    return csvImportService.isValidDateFormat(format);
+  }
+
+  /**
+   * Parse a QIF date ("1/15/2024", "1/15'24", "15.01.2024", " 1/ 5/99") into YYYY-MM-DD.
+   * Only the order of Y, M and D in the format matters; two-digit years after an
+   * apostrophe are 20xx, otherwise they pivot at 50.
+   */
+  parseDate(text, format = 'MM/DD/YYYY') {
+    if (!text) return null;
+    const compact = text.replace(/\s/g, '');
+    const parts = compact.split(/[/.\-']/);
+    if (parts.length !== 3 || parts.some(part => !/^\d{1,4}$/.test(part))) return null;
+
+    const order = ['Y', 'M', 'D'].sort((a, b) => format.indexOf(a) - format.indexOf(b));
+    const values = {};
+    order.forEach((token, i) => { values[token] = parseInt(parts[i], 10); });
+
+    let year = values.Y;
+    if (parts[order.indexOf('Y')].length <= 2) {
+      year += compact.includes('\'') || year < 50 ? 2000 : 1900;
+    }
+
+    const date = new Date(Date.UTC(year, values.M - 1, values.D));
+    if (date.getUTCMonth() !== values.M - 1 || date.getUTCDate() !== values.D) return null;
+
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Split an L/S field into category, subcategory or transfer account.
+   * "Food:Groceries/Class" -> Food / Groceries; "[Savings]" -> transfer to Savings.
+   */
+  parseCategory(text) {
+    if (!text) return {};
+    const transfer = /^\[(.+)\]/.exec(text.trim());
+    if (transfer) return { category: 'Transfer', transferAccount: transfer[1] };
+
+    const [category, subcategory] = text.split('/')[0].split(':').map(part => part.trim());
+    return { category: category || null, subcategory: subcategory || null };
+  }
+
+  /**
+   * Parse a QIF file into statements, one per !Account section (or a single
+   * unnamed one when the file has no !Account header).
+   * Options: dateFormat (default MM/DD/YYYY), decimalSeparator (default ".").
+   */
+  parse(text, { dateFormat = 'MM/DD/YYYY', decimalSeparator = '.' } = {}) {
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const lines = input.split(/\r?\n/);
+    const numberFormat = { decimalSeparator, thousandsSeparator: decimalSeparator === ',' ? '.' : ',' };
+
+    const statements = [];
+    let current = null;
+    let section = null; // 'account', a transaction type, or null for lists that are not imported
+    let record = {};
+    let recordLine = null;
+
+    const statementFor = (account) => {
+      const statement = { account, rows: [], errors: [], ledgerBalance: null };
+      statements.push(statement);
+      return statement;
+    };
+
+    const finishRecord = () => {
+      if (recordLine === null) return;
+      if (section === 'account') {
+        current = statementFor(this.toAccount(record));
+        const balance = csvImportService.parseAmount(record.$, numberFormat);
+        if (balance !== null) {
+          current.ledgerBalance = { amount: balance, asOf: this.parseDate(record['/'], dateFormat) };
+        }
+      } else if (section) {
+        if (!current) current = statementFor(null);
+        if (section === 'invst') {
+          this.addInvestmentRow(current, record, recordLine, { dateFormat, numberFormat });
+        } else {
+          this.addRow(current, record, recordLine, { dateFormat, numberFormat });
+        }
+      }
+      record = {};
+      recordLine = null;
+    };
+
+    lines.forEach((rawLine, i) => {
+      const line = rawLine.trimEnd();
+      if (line.trim() === '') return;
+
+      if (line.startsWith('!')) {
+        finishRecord();
+        const header = line.slice(1).trim().toLowerCase();
+        if (header === 'account') {
+          section = 'account';
+        } else if (header.startsWith('type:')) {
+          // Transactions belong to the last !Account block; category, class and
+          // security lists are not imported
+          const type = header.slice(5).trim();
+          section = ACCOUNT_TYPE_MAP[type] ? type : null;
+        }
+        // !Option:AutoSwitch and !Clear:AutoSwitch only toggle how Quicken reads lists
+        return;
+      }
+
+      if (line === '^') {
+        finishRecord();
+        return;
+      }
+
+      if (recordLine === null) recordLine = i + 1;
+      const code = line[0];
+      const content = line.slice(1).trim();
+
+      // Split lines repeat (S category, E memo, $ amount); keep them as lists
+      if (section !== 'account' && ['S', 'E', '$'].includes(code)) {
+        record.splits = record.splits || [];
+        if (code === 'S' || record.splits.length === 0) record.splits.push({});
+        record.splits[record.splits.length - 1][code] = content;
+      } else if (record[code] === undefined) {
+        record[code] = content;
+      } else if (code === 'A') {
+        record.A += `, ${content}`;
+      }
+    });
+    finishRecord();
+
+    // Account lists (!Option:AutoSwitch) produce blocks without transactions
+    return {
+      statements: statements.filter(statement =>
+        statement.rows.length > 0 || statement.errors.length > 0 || statement.ledgerBalance)
+    };
+  }
+
+  /**
+   * Account info from an !Account block
+   */
+  toAccount(record) {
+    if (!record.N) return null;
+    return {
+      name: record.N,
+      type: ACCOUNT_TYPE_MAP[(record.T || '').toLowerCase()] || 'checking'
+    };
+  }
+
+  /**
+   * Add a bank, cash, credit card or asset/liability record
+   */
+  addRow(statement, record, sourceRow, { dateFormat, numberFormat }) {
+    const transactionDate = this.parseDate(record.D, dateFormat);
+    if (!transactionDate) {
+      statement.errors.push({ row: sourceRow, message: `Invalid date "${record.D || ''}"` });
+      return;
+    }
+
+    const amount = csvImportService.parseAmount(record.T ?? record.U, numberFormat);
+    if (amount === null) {
+      statement.errors.push({ row: sourceRow, message: 'Missing or invalid amount' });
+      return;
+    }
+
+    const firstSplit = (record.splits || [])[0] || {};
+    const { category, subcategory, transferAccount } = this.parseCategory(record.L || firstSplit.S);
+    const description = [record.P, record.M && record.M !== record.P ? record.M : null].filter(Boolean).join(' - ');
+
+    statement.rows.push({
+      sourceRow,
+      transaction_date: transactionDate,
+      amount: Math.round(amount * 100) / 100,
+      description: description || category || 'QIF transaction',
+      merchant_name: record.P || null,
+      reference_number: record.N || null,
+      category: category || null,
+      subcategory: subcategory || null,
+      metadata: {
+        cleared: record.C || null,
+        ...(transferAccount ? { transfer_account: transferAccount } : {}),
+        ...(record.splits ? { splits: record.splits.length } : {})
+      }
+    });
+  }
+
+  /**
+   * Add an investment record as a cash movement, if the action moves cash
+   */
+  addInvestmentRow(statement, record, sourceRow, { dateFormat, numberFormat }) {
+    const action = (record.N || '').toLowerCase();
+    const sign = INVESTMENT_CASH_ACTIONS[action];
+    if (!sign) return;
+
+    const transactionDate = this.parseDate(record.D, dateFormat);
+    if (!transactionDate) {
+      statement.errors.push({ row: sourceRow, message: `Invalid date "${record.D || ''}"` });
+      return;
+    }
+
+    const amount = csvImportService.parseAmount(record.T ?? record.U, numberFormat);
+    if (amount === null) {
+      statement.errors.push({ row: sourceRow, message: 'Missing or invalid amount' });
+      return;
+    }
+
+    const security = record.Y || null;
+    statement.rows.push({
+      sourceRow,
+      transaction_date: transactionDate,
+      amount: Math.round(sign * Math.abs(amount) * 100) / 100,
+      description: [record.N, security, record.M].filter(Boolean).join(' - '),
+      merchant_name: record.P || null,
+      category: 'Investments',
+      metadata: {
+        action: record.N,
+        security,
+        quantity: csvImportService.parseAmount(record.Q, numberFormat),
+        price: csvImportService.parseAmount(record.I, numberFormat)
+      }
+    });
+  }
+}
+
+module.exports = new QifImportService();
@@ -0,0 +1,159 @@
+const os = require('os');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const JobModel = require('../models/Job');
+
+// Worker lease, heartbeat and polling intervals, and the retry policy
+const JOB_QUEUE = {
+  LEASE_SECONDS: 120,
+  HEARTBEAT_SECONDS: 30,
+  POLL_INTERVAL_MS: 5000,
+  MAX_ATTEMPTS: 5,
+  BASE_DELAY_SECONDS: 30
+};
+
+/**
+ * Job Queue Service
+ *
+ * Postgres-backed background jobs. Callers enqueue a job and get its ID right away;
+ * a worker in every server instance leases due jobs one at a time (FOR UPDATE SKIP LOCKED),
+ * keeps the lease alive with heartbeats while the handler runs, and retries failures with
+ * exponential backoff until the job is dead-lettered. A job whose worker dies is taken
+ * over by another worker once its lease expires.
+ */
+class JobQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.handlers = new Map();
+    this.isRunning = false;
+    this.isBusy = false;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Register the function running jobs of a type: handler(payload, context, job), where
+   * context.reportProgress(progress) saves progress on the job. Its return value is stored
+   * as the job result; throwing fails the attempt.
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Queue a job; returns { job, created }. With a dedupeKey, a queued, running or retrying
+   * job with the same key is returned instead of adding another (created = false).
+   */
+  async enqueue(type, payload, { userId = null, dedupeKey = null, maxAttempts = JOB_QUEUE.MAX_ATTEMPTS, runAt = null } = {}) {
+    const { job, created } = await JobModel.enqueue({
+      type,
+      user_id: userId,
+      payload,
+      dedupe_key: dedupeKey,
+      max_attempts: maxAttempts,
+      run_at: runAt
+    });
+
+    logger.info(created ? 'Job queued' : 'Job already queued', { jobId: job.id, type, dedupeKey });
+    this.wake();
+    return { job, created };
+  }
+
+  /**
+   * Start polling for jobs in this process
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    logger.info('Job queue worker started', { workerId: this.workerId, types: Array.from(this.handlers.keys()) });
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Stop polling. A job still running keeps its lease until it ends or the lease expires.
+   */
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Poll right away when idle, so a job queued by this instance starts without waiting
+   */
+  wake() {
+    if (this.isRunning && !this.isBusy) {
+      this.schedulePoll(0);
+    }
+  }
+
+  schedulePoll(delayMs) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), delayMs);
+  }
+
+  /**
+   * Run the next due job, then poll again: immediately after a job, otherwise after the poll interval
+   */
+  async poll() {
+    if (this.isBusy) return;
+    this.isBusy = true;
+
+    let claimed = null;
+    try {
+      await JobModel.reapExpired();
+      claimed = await JobModel.claimNext(this.workerId, Array.from(this.handlers.keys()), JOB_QUEUE.LEASE_SECONDS);
+      if (claimed) {
+        await this.runJob(claimed);
+      }
+    } catch (error) {
+      logger.error('Job queue poll failed', { error: error.message });
+    } finally {
+      this.isBusy = false;
+      if (this.isRunning) {
+        this.schedulePoll(claimed ? 0 : JOB_QUEUE.POLL_INTERVAL_MS);
+      }
+    }
+  }
+
+  /**
+   * Run one leased job with heartbeats and record its outcome
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    const keepLease = async (progress = null) => {
+      try {
+        const held = await JobModel.heartbeat(job.id, this.workerId, JOB_QUEUE.LEASE_SECONDS, progress);
+        if (!held) {
+          logger.warn('Job lease lost to another worker', { jobId: job.id, type: job.type });
+        }
+      } catch (error) {
+        logger.warn('Job heartbeat failed', { jobId: job.id, error: error.message });
+      }
+    };
+    const heartbeat = setInterval(() => keepLease(), JOB_QUEUE.HEARTBEAT_SECONDS * 1000);
+
+    logger.info('Job started', { jobId: job.id, type: job.type, attempt: job.attempts });
+
+    try {
+      const result = await handler(job.payload, { reportProgress: keepLease }, job);
+      await JobModel.complete(job.id, this.workerId, result ?? null);
+      logger.info('Job completed', { jobId: job.id, type: job.type });
+    } catch (error) {
+      const retry = job.attempts < job.max_attempts;
+      const delay = JOB_QUEUE.BASE_DELAY_SECONDS * 2 ** (job.attempts - 1);
+      await JobModel.fail(job.id, this.workerId, error.message, retry ? delay : null);
+
+      logger.error(retry ? 'Job failed, will retry' : 'Job failed on its last attempt', {
+        jobId: job.id,
+        type: job.type,
+        attempt: job.attempts,
+        retryInSeconds: retry ? delay : null,
+        error: error.message
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,83 @@
+const { logger } = require('../utils/logger');
+const AccountBalanceHistoryModel = require('../models/AccountBalanceHistory');
+
+// Supported history intervals with the range returned when no startDate is given
+const HISTORY_INTERVALS = {
+  day: { days: 1, defaultDays: 90, maxPoints: 1100 },
+  week: { days: 7, defaultDays: 52 * 7, maxPoints: 520 },
+  month: { days: 31, defaultDays: 365 * 2, maxPoints: 240 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Net Worth Service
+ *
+ * Builds the net worth timeline from account_balance_history. Accounts with
+ * transactions older than their first recorded balance are backfilled first,
+ * so the timeline reaches back as far as the transaction history does.
+ */
+class NetWorthService {
+  /**
+   * Validate interval, startDate and endDate from the query string.
+   * Returns { options, errors } with both dates filled in (YYYY-MM-DD).
+   */
+  parseHistoryQuery(query = {}) {
+    const errors = [];
+    const interval = (query.interval || 'month').toLowerCase();
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+    if (!HISTORY_INTERVALS[interval]) {
+      errors.push(`interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}`);
+      return { options: null, errors };
+    }
+
+    for (const field of ['startDate', 'endDate']) {
+      if (query[field] && !isDate(query[field])) {
+        errors.push(`${field} must be a date (YYYY-MM-DD)`);
+      }
+    }
+    if (errors.length > 0) {
+      return { options: null, errors };
+    }
+
+    const { days: periodDays, defaultDays, maxPoints } = HISTORY_INTERVALS[interval];
+    const endDate = query.endDate || new Date().toISOString().slice(0, 10);
+    const startDate = query.startDate ||
+      new Date(Date.parse(endDate) - defaultDays * DAY_MS).toISOString().slice(0, 10);
+
+    const days = (Date.parse(endDate) - Date.parse(startDate)) / DAY_MS;
+    if (days < 0) {
+      errors.push('startDate must be before endDate');
+    } else if (days / periodDays > maxPoints) {
+      errors.push(`range is too long for interval '${interval}' (at most ${maxPoints} points)`);
+    }
+
+    return { options: { interval, startDate, endDate }, errors };
+  }
+
+  /**
+   * Net worth at the end of each interval between startDate and endDate, in currency
+   */
+  async getHistory(userId, { interval, startDate, endDate, currency }) {
+    const missing = await AccountBalanceHistoryModel.findAccountsMissingHistory(userId);
+    if (missing.length > 0) {
+      const inserted = await AccountBalanceHistoryModel.backfill(userId, missing);
+      logger.info('Backfilled balance history from transactions', { userId, accounts: missing.length, inserted });
+    }
+
+    const rows = await AccountBalanceHistoryModel.getNetWorthSeries(userId, { interval, startDate, endDate, currency });
+
+    return rows.map(row => ({
+      periodStart: row.period_start,
+      periodEnd: row.period_end,
+      assets: parseFloat(row.assets) || 0,
+      liabilities: parseFloat(row.liabilities) || 0,
+      netWorth: parseFloat(row.net_worth) || 0,
+      accountCount: parseInt(row.account_count) || 0,
+      unconvertedCurrencies: row.unconverted_currencies || []
+    }));
+  }
+}
+
+module.exports = new NetWorthService();
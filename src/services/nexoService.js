@@ -1,5 +1,15 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const { logger } = require('../utils/logger');
+const CryptoAddressModel = require('../models/CryptoAddress');
+const CryptoDepositModel = require('../models/CryptoDeposit');
+const NexoWebhookInboxModel = require('../models/NexoWebhookInbox');
+
+// Paging limits for the deposit ledger
+const DEPOSIT_LIST_DEFAULTS = {
+  LIMIT: 100,
+  MAX_LIMIT: 500
+};
 
 /**
  * Nexo Payment Gateway API Service
@@ -215,36 +225,35 @@ class NexoService {
   /**
    * Verify webhook signature for incoming webhook events
    * 
-   * @param {Object} eventData - The webhook event data
+   * Nexo signs `${body}/${webhookSecret}` with SHA256. The hash is computed over the
+   * body exactly as received - re-serializing the parsed JSON would change key order
+   * or whitespace - and compared in constant time.
+   * 
+   * @param {string} rawBody - The request body as received
    * @param {string} receivedSignature - The X-SIGNATURE header value
    * @returns {boolean} True if signature is valid
    */
-  verifyWebhookSignature(eventData, receivedSignature) {
+  verifyWebhookSignature(rawBody, receivedSignature) {
     try {
       if (!this.webhookSecret) {
         logger.warn('Nexo webhook secret not configured, cannot verify signature');
         return false;
       }
+      if (typeof receivedSignature !== 'string' || typeof rawBody !== 'string') {
+        return false;
+      }
 
-      const crypto = require('crypto');
-      
-      // Create the data string as per Nexo documentation
-      const dataString = `${JSON.stringify(eventData)}/${this.webhookSecret}`;
-      
-      // Compute SHA256 hash
       const computedSignature = `0x${crypto
         .createHash('sha256')
-        .update(dataString)
+        .update(`${rawBody}/${this.webhookSecret}`)
         .digest('hex')}`;
-      
-      const isValid = receivedSignature === computedSignature;
-      
-      logger.debug('Nexo webhook signature verification', {
-        isValid,
-        receivedSignature: receivedSignature?.substring(0, 10) + '...',
-        computedSignature: computedSignature?.substring(0, 10) + '...'
-      });
-      
+
+      const received = Buffer.from(receivedSignature.trim().toLowerCase());
+      const computed = Buffer.from(computedSignature);
+      const isValid = received.length === computed.length && crypto.timingSafeEqual(received, computed);
+
+      logger.debug('Nexo webhook signature verification', { isValid });
+
       return isValid;
     } catch (error) {
       logger.error('Error verifying Nexo webhook signature', {
@@ -255,52 +264,99 @@ class NexoService {
   }
 
   /**
-   * Handle incoming webhook events from Nexo
+   * Handle an incoming webhook request from Nexo
+   * 
+   * Every request is stored in nexo_webhook_inbox first, then verified. Requests with
+   * a missing or invalid signature, a body that is not JSON, or a transactionId that was
+   * already processed are rejected with an error carrying status and code.
    * 
-   * @param {Object} eventData - The webhook event data
+   * @param {string} rawBody - The request body as received
    * @param {string} signature - The X-SIGNATURE header value
+   * @param {Object} context - { sourceIp }
    * @returns {Promise<Object>} Processing result
    */
-  async handleWebhook(eventData, signature) {
+  async handleWebhook(rawBody, signature, { sourceIp = null } = {}) {
+    let eventData = null;
     try {
-      logger.info('Handling Nexo webhook event', {
-        eventType: eventData?.eventType,
-        transactionId: eventData?.data?.transactionId,
-        asset: eventData?.data?.asset,
-        amount: eventData?.data?.amount
-      });
+      eventData = JSON.parse(rawBody);
+    } catch (parseError) {
+      // Stored as received; rejected below
+    }
+    const transactionId = eventData?.data?.transactionId || null;
 
-      // Verify signature
-      if (!this.verifyWebhookSignature(eventData, signature)) {
-        throw new Error('Invalid webhook signature');
-      }
+    const inboxEvent = await NexoWebhookInboxModel.create({
+      event_type: eventData?.eventType,
+      transaction_id: transactionId,
+      signature,
+      raw_body: rawBody,
+      payload: eventData,
+      source_ip: sourceIp
+    });
+
+    const reject = async (status, code, message, signatureValid = false) => {
+      await NexoWebhookInboxModel.markStatus(inboxEvent.id, 'rejected', { signatureValid, error: message });
+      logger.warn('Nexo webhook rejected', { inboxEventId: inboxEvent.id, code, transactionId });
+      const error = new Error(message);
+      error.status = status;
+      error.code = code;
+      throw error;
+    };
+
+    logger.info('Handling Nexo webhook event', {
+      inboxEventId: inboxEvent.id,
+      eventType: eventData?.eventType,
+      transactionId,
+      asset: eventData?.data?.asset,
+      amount: eventData?.data?.amount
+    });
 
+    if (!signature) {
+      await reject(400, 'MISSING_SIGNATURE', 'X-Signature header is required');
+    }
+    if (!this.verifyWebhookSignature(rawBody, signature)) {
+      await reject(401, 'INVALID_SIGNATURE', 'Invalid webhook signature');
+    }
+    if (!eventData || typeof eventData !== 'object') {
+      await reject(400, 'INVALID_PAYLOAD', 'Webhook body must be a JSON object', true);
+    }
+    if (transactionId && await NexoWebhookInboxModel.isProcessed(transactionId, inboxEvent.id)) {
+      await reject(409, 'EVENT_ALREADY_PROCESSED', `Event for transaction ${transactionId} was already processed`, true);
+    }
+
+    try {
+      let result;
       // Process different event types
       switch (eventData.eventType) {
         case 'PG_DEPOSIT':
-          return await this.handleDepositEvent(eventData.data);
+          result = await this.handleDepositEvent(eventData.data || {});
+          break;
         
         default:
           logger.warn('Unknown Nexo webhook event type', {
             eventType: eventData.eventType
           });
-          return {
+          result = {
             success: true,
             message: 'Event received but not processed (unknown type)',
             eventType: eventData.eventType
           };
       }
+
+      await NexoWebhookInboxModel.markStatus(inboxEvent.id, 'processed', { signatureValid: true });
+      return { ...result, inboxEventId: inboxEvent.id };
     } catch (error) {
       logger.error('Error handling Nexo webhook', {
         error: error.message,
         eventType: eventData?.eventType
       });
+      await NexoWebhookInboxModel.markStatus(inboxEvent.id, 'failed', { signatureValid: true, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Handle deposit webhook events
+   * Handle deposit webhook events: store the deposit once per transactionId,
+   * linked to the address (and so the user) it was sent to
    * 
    * @param {Object} depositData - Deposit event data
    * @returns {Promise<Object>} Processing result
@@ -315,16 +371,41 @@ class NexoService {
         referenceId: depositData.referenceId
       });
 
-      // Here you would typically:
-      // 1. Store the deposit information in your database
-      // 2. Update user balances
-      // 3. Send notifications
-      // 4. Trigger any business logic
-      
-      // For now, we'll just log and return success
+      const amount = parseFloat(depositData.amount);
+      if (!depositData.transactionId || !depositData.asset || !Number.isFinite(amount)) {
+        throw new Error('Deposit event must include transactionId, asset and a numeric amount');
+      }
+
+      const fiatValue = parseFloat(depositData.fiat?.usd?.value);
+      const depositedAt = depositData.timestamp && !Number.isNaN(Date.parse(depositData.timestamp))
+        ? depositData.timestamp
+        : null;
+
+      const { deposit, created } = await CryptoDepositModel.record({
+        transaction_id: depositData.transactionId,
+        reference_id: depositData.referenceId,
+        deposit_address: depositData.depositAddress,
+        transaction_hash: depositData.transactionHash,
+        asset: depositData.asset,
+        amount: depositData.amount,
+        fiat_value_usd: Number.isFinite(fiatValue) ? fiatValue : null,
+        deposited_at: depositedAt,
+        raw_event: depositData
+      });
+
+      if (!deposit.user_id) {
+        logger.warn('Nexo deposit does not match a known address', {
+          transactionId: depositData.transactionId,
+          referenceId: depositData.referenceId,
+          depositAddress: depositData.depositAddress
+        });
+      }
+
       return {
         success: true,
-        message: 'Deposit event processed successfully',
+        message: created ? 'Deposit event processed successfully' : 'Deposit already recorded',
+        duplicate: !created,
+        depositId: deposit.id,
         transactionId: depositData.transactionId,
         asset: depositData.asset,
         amount: depositData.amount
@@ -338,6 +419,61 @@ class NexoService {
     }
   }
 
+  /**
+   * Create a deposit address for a user and record it under their account.
+   * A reference ID belongs to the user who first used it.
+   *
+   * @returns {Promise<Object|null>} Address data from Nexo, or null when the reference belongs to another user
+   */
+  async createUserDepositAddress(userId, referenceId, asset) {
+    const owner = await CryptoAddressModel.findOwnerOfReference(referenceId);
+    if (owner && owner !== userId) {
+      return null;
+    }
+
+    const addressData = await this.createDepositAddress(referenceId, asset);
+
+    await CryptoAddressModel.upsert({
+      user_id: userId,
+      reference_id: addressData?.referenceId || referenceId,
+      asset: addressData?.asset || asset,
+      blockchain: addressData?.blockchain,
+      address: addressData?.address
+    });
+
+    return addressData;
+  }
+
+  /**
+   * Validate asset, startDate, endDate, limit and offset from the deposits query string
+   */
+  parseDepositFilters(query = {}) {
+    const errors = [];
+    const filters = {};
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+    if (query.asset) filters.asset = String(query.asset).toUpperCase();
+    for (const field of ['startDate', 'endDate']) {
+      if (!query[field]) continue;
+      if (isDate(query[field])) filters[field] = query[field];
+      else errors.push(`${field} must be a date (YYYY-MM-DD)`);
+    }
+    if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+      errors.push('startDate must be before endDate');
+    }
+
+    filters.limit = query.limit !== undefined ? parseInt(query.limit) : DEPOSIT_LIST_DEFAULTS.LIMIT;
+    filters.offset = query.offset !== undefined ? parseInt(query.offset) : 0;
+    if (!(filters.limit >= 1 && filters.limit <= DEPOSIT_LIST_DEFAULTS.MAX_LIMIT)) {
+      errors.push(`limit must be between 1 and ${DEPOSIT_LIST_DEFAULTS.MAX_LIMIT}`);
+    }
+    if (!(filters.offset >= 0)) {
+      errors.push('offset must be 0 or more');
+    }
+
+    return { filters, errors };
+  }
+
   /**
    * Get API configuration info (for debugging/status)
    */
@@ -0,0 +1,85 @@
+const { logger } = require('../utils/logger');
+const budgetService = require('./budgetService');
+const categorizerService = require('./categorizerService');
+const reconciliationService = require('./reconciliationService');
+const transferService = require('./transferService');
+
+// Steps run after new transactions are written, in order. Steps with needsTransactions
+// are skipped by syncs that did not fetch transactions; counts maps a result to step counts.
+const POST_SYNC_STEPS = [
+  {
+    name: 'reconciliation',
+    label: 'Reconciliation',
+    needsTransactions: true,
+    run: (userId) => reconciliationService.reconcileUser(userId),
+    counts: (result) => ({ processed: result.pendingScanned, succeeded: result.matched })
+  },
+  {
+    name: 'transfers',
+    label: 'Transfer detection',
+    needsTransactions: true,
+    run: (userId) => transferService.detectForUser(userId),
+    counts: (result) => ({ processed: result.transactionsScanned, succeeded: result.linked })
+  },
+  {
+    name: 'categorization',
+    label: 'Categorization',
+    needsTransactions: true,
+    run: (userId) => categorizerService.classifyPending(userId)
+  },
+  {
+    name: 'budgets',
+    label: 'Budget evaluation',
+    needsTransactions: false,
+    run: (userId) => budgetService.evaluateUserBudgets(userId)
+  }
+];
+
+/**
+ * Post-Sync Service
+ *
+ * Follow-up shared by everything that writes transactions (sync jobs, webhooks,
+ * imports): retire reconciled pending rows, link internal transfers, categorize
+ * new rows, then re-check budgets. A failing step is logged and reported, and the
+ * next steps still run.
+ */
+class PostSyncService {
+  get steps() {
+    return POST_SYNC_STEPS;
+  }
+
+  /**
+   * Run one step for a user. Returns { result } or { error }; never throws.
+   */
+  async runStep(step, userId) {
+    try {
+      return { result: await step.run(userId) };
+    } catch (error) {
+      logger.error(`${step.label} failed`, { userId, error: error.message });
+      return { error };
+    }
+  }
+
+  /**
+   * Run every step for a user. Returns the counts of each step that reports some,
+   * and errors as "<Step>: <message>" strings.
+   */
+  async run(userId, { includeTransactions = true } = {}) {
+    const summary = { errors: [] };
+
+    for (const step of POST_SYNC_STEPS) {
+      if (step.needsTransactions && !includeTransactions) continue;
+
+      const { result, error } = await this.runStep(step, userId);
+      if (error) {
+        summary.errors.push(`${step.label}: ${error.message}`);
+      } else if (step.counts) {
+        summary[step.name] = step.counts(result);
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new PostSyncService();
@@ -256,7 +256,7 @@ class PowensAuthService {
       const {
         redirectUri = process.env.POWENS_REDIRECT_URI,
         connectorId = null,
-        state = userId
+        state = null
       } = options;
 
       // CRITICAL FIX: Use exact redirect URI from environment
@@ -268,7 +268,7 @@ class PowensAuthService {
         redirectUri,
         envValue: process.env.POWENS_REDIRECT_URI,
         connectorId,
-        state,
+        hasState: !!state,
         step: 'REDIRECT_URI_CONFIG'
       });
 
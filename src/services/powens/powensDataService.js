@@ -5,6 +5,10 @@ const { POWENS_API_URL } = require('./constants');
 // Models
 const UserModel = require('../../models/User');
 
+// Transactions requested per page, and a bound on pages so a paging bug cannot loop forever
+const TRANSACTION_PAGE_SIZE = 1000;
+const MAX_TRANSACTION_PAGES = 500;
+
 /**
  * Powens Data Collection Service
  * Handles fetching bank accounts, transactions, and connections from Powens API
@@ -340,6 +344,85 @@ class PowensDataService {
     }
   }
 
+  /**
+   * Get every transaction of one account, following pagination to the last page.
+   * Powens' last_update filter returns the transactions created, modified or deleted since
+   * then (deleted ones are included with `deleted` set); minDate/maxDate filter by booking date.
+   * Throws rather than returning a partial list, so a caller never checkpoints past missed pages.
+   */
+  async getAllAccountTransactions(accessToken, powensAccountId, options = {}) {
+    const {
+      minDate = null,
+      maxDate = null,
+      lastUpdate = null,
+      includeDeleted = true,
+      userId = null
+    } = options;
+
+    let powensUserId = 'me';
+    if (userId) {
+      const userTokenData = await UserModel.getPowensToken(userId);
+      if (userTokenData && userTokenData.powens_user_id) {
+        powensUserId = userTokenData.powens_user_id;
+      }
+    }
+
+    const endpoint = `/users/${powensUserId}/accounts/${powensAccountId}/transactions`;
+    const transactions = [];
+    let offset = 0;
+
+    try {
+      for (let page = 1; page <= MAX_TRANSACTION_PAGES; page++) {
+        const params = new URLSearchParams({
+          limit: TRANSACTION_PAGE_SIZE.toString(),
+          offset: offset.toString()
+        });
+        if (lastUpdate) params.append('last_update', lastUpdate);
+        if (minDate) params.append('min_date', minDate);
+        if (maxDate) params.append('max_date', maxDate);
+        if (includeDeleted) params.append('all', '');
+
+        const response = await axios.get(`${this.apiUrl}${endpoint}?${params}`, {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        const pageTransactions = response.data.transactions || [];
+        transactions.push(...pageTransactions);
+
+        // A full page may be followed by more; Powens also links the next page when there is one
+        const hasNextPage = Boolean(response.data._links?.next) || pageTransactions.length === TRANSACTION_PAGE_SIZE;
+        if (!hasNextPage || pageTransactions.length === 0) {
+          logger.info('✅ Retrieved account transactions', {
+            powensAccountId,
+            powensUserId,
+            pages: page,
+            transactionCount: transactions.length,
+            lastUpdate,
+            dateRange: { minDate, maxDate }
+          });
+          return transactions;
+        }
+
+        offset += pageTransactions.length;
+      }
+
+      throw new Error(`More than ${MAX_TRANSACTION_PAGES} pages of transactions`);
+    } catch (error) {
+      logger.error('❌ Failed to get account transactions', {
+        error: error.message,
+        status: error.response?.status,
+        responseData: error.response?.data,
+        endpoint,
+        offset,
+        options
+      });
+      throw new Error(`Failed to retrieve transactions for account ${powensAccountId}: ${error.message}`);
+    }
+  }
+
   /**
    * Get a specific bank transaction by ID
    * Based on Powens API: GET /users/{userId}/transactions/{transactionId}
@@ -74,6 +74,10 @@ class PowensService {
     return this.data.getUserTransactions(accessToken, options);
   }
 
+  async getAllAccountTransactions(accessToken, powensAccountId, options = {}) {
+    return this.data.getAllAccountTransactions(accessToken, powensAccountId, options);
+  }
+
   async getTransaction(accessToken, transactionId, userId = null) {
     return this.data.getTransaction(accessToken, transactionId, userId);
   }
@@ -104,12 +108,12 @@ class PowensService {
     return this.sync.handleCallback(connectionId, state, userId);
   }
 
-  async syncConnectionData(userId, connectionId) {
-    return this.sync.syncConnectionData(userId, connectionId);
+  async syncConnectionData(userId, connectionId, options = {}) {
+    return this.sync.syncConnectionData(userId, connectionId, options);
   }
 
-  async handleWebhook(webhookData) {
-    return this.sync.handleWebhook(webhookData);
+  async handleWebhook(webhookData, eventType = null) {
+    return this.sync.handleWebhook(webhookData, eventType);
   }
 
   async syncUserAccounts(userId) {
@@ -9,6 +9,19 @@ const BankConnectionModel = require('../../models/BankConnection');
 const BankAccountModel = require('../../models/BankAccount');
 const TransactionModel = require('../../models/Transaction');
 const UserModel = require('../../models/User');
+const postSyncService = require('../postSyncService');
+
+// Minutes re-read before an account's checkpoint on each incremental transaction sync
+const CHECKPOINT_OVERLAP_MINUTES = 10;
+
+// Powens webhook event types and the method handling each; TRANSACTION* events use handleTransactionsEvent
+const POWENS_WEBHOOK_HANDLERS = {
+  CONNECTION_SYNCED: 'handleConnectionSynced',
+  CONNECTION_DELETED: 'handleConnectionDeleted',
+  ACCOUNT_SYNCED: 'handleAccountSynced',
+  ACCOUNT_DISABLED: 'handleAccountDisabled',
+  USER_DELETED: 'handleUserDeleted'
+};
 
 /**
  * Powens Sync Service
@@ -169,184 +182,76 @@ class PowensSyncService {
         }
       }
 
-      // PHASE 1: Intelligent Incremental Sync using last_update parameter
+      // Sync transactions account by account from each account's checkpoint; accounts without
+      // one yet (or a full history sync) start from a date window
       const { fullHistorySync = false } = options;
-      const lastSyncTimestamp = await BankConnectionModel.getLastSyncTimestamp(connectionId);
-      const existingTransactionCount = await TransactionModel.countByConnectionId(connectionId);
-      
-      let transactionOptions = { 
-        limit: 2000,
-        userId,
-        includeDeleted: true // Always include deleted transactions for complete sync
-      };
-      
-      // Determine sync strategy
-      if (fullHistorySync) {
-        // Full history sync - no filters, get everything
-        logger.info('🔄 FULL HISTORY SYNC: Fetching ALL available transactions', { 
-          connectionId,
-          existingCount: existingTransactionCount
-        });
-      } else if (lastSyncTimestamp) {
-        // INCREMENTAL SYNC: Use last_update parameter for efficiency
-        transactionOptions.lastUpdate = lastSyncTimestamp;
-        logger.info('🔄 INCREMENTAL SYNC: Using last_update parameter', { 
-          connectionId,
-          lastSyncTimestamp,
-          existingCount: existingTransactionCount,
-          strategy: 'efficient_incremental'
-        });
-      } else if (existingTransactionCount === 0) {
-        // First sync - get 1 year of historical data
-        const oneYearAgo = new Date();
-        oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-        transactionOptions.minDate = oneYearAgo.toISOString().split('T')[0];
-        logger.info('🔄 FIRST SYNC: Fetching 1 year of historical transactions', { 
-          fromDate: transactionOptions.minDate,
-          connectionId,
-          strategy: 'initial_historical'
-        });
-      } else {
-        // Fallback: Regular sync with date range (should rarely happen)
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-        transactionOptions.minDate = thirtyDaysAgo.toISOString().split('T')[0];
-        logger.warn('🔄 FALLBACK SYNC: Using 30-day date range (missing last_sync_timestamp)', { 
-          fromDate: transactionOptions.minDate,
-          connectionId,
-          existingCount: existingTransactionCount,
-          strategy: 'fallback_date_range'
-        });
-      }
-      
-      const powensTransactions = await this.dataService.getUserTransactions(
-        accessToken,
-        transactionOptions
-      );
+      const oneYearAgo = new Date();
+      oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+      const initialWindow = fullHistorySync ? null : { startDate: oneYearAgo.toISOString().split('T')[0] };
 
-      // Process each transaction with enhanced logging and tracking
-      let processedTransactions = 0;
-      let skippedTransactions = 0;
-      let failedTransactions = 0;
-      let updatedTransactions = 0;
+      const localAccounts = (await BankAccountModel.findByConnectionId(connectionId))
+        .filter(account => account.powens_account_id);
+
+      let totalTransactions = 0;
       let createdTransactions = 0;
+      let updatedTransactions = 0;
+      let failedTransactions = 0;
+      let failedAccounts = 0;
       const transactionErrors = [];
 
-      for (const powensTransaction of powensTransactions) {
-        let transactionData = null;
+      for (const account of localAccounts) {
         try {
-          processedTransactions++;
-          logger.info('🔄 PROCESSING TRANSACTION', {
-            powensTransactionId: powensTransaction.id,
-            transactionValue: powensTransaction.value,
-            transactionDate: powensTransaction.date,
-            progress: `${processedTransactions}/${powensTransactions.length}`
+          const accountResult = await this.syncAccountTransactions(accessToken, userId, account, {
+            window: initialWindow,
+            fullHistory: fullHistorySync
           });
 
-          // Find the corresponding account
-          const account = await BankAccountModel.findByPowensId(powensTransaction.id_account);
-          
-          if (!account) {
-            skippedTransactions++;
-            logger.error('❌ ACCOUNT NOT FOUND FOR TRANSACTION', {
-              powensTransactionId: powensTransaction.id,
-              powensAccountId: powensTransaction.id_account,
-              transactionValue: powensTransaction.value,
-              skipReason: 'ACCOUNT_NOT_FOUND'
-            });
-            continue;
-          }
-
-          transactionData = this.dataService.mapPowensTransactionToLocal(
-            powensTransaction, 
-            userId, 
-            account.id
-          );
-          
-          const result = await TransactionModel.findOrCreateByPowensId(transactionData);
-          
-          // Track what actually happened
-          if (result && result.created_at) {
-            // Check if this is a newly created transaction vs updated
-            const isNew = new Date(result.created_at).getTime() > (Date.now() - 5000); // Created in last 5 seconds
-            if (isNew) {
-              createdTransactions++;
-              logger.info('✅ NEW TRANSACTION CREATED', {
-                powensTransactionId: powensTransaction.id,
-                transactionId: result.id,
-                amount: result.amount
-              });
-            } else {
-              updatedTransactions++;
-              logger.info('✅ EXISTING TRANSACTION UPDATED', {
-                powensTransactionId: powensTransaction.id,
-                transactionId: result.id,
-                amount: result.amount
-              });
-            }
-          }
-          
-          syncedTransactions++;
-        } catch (transactionError) {
-          failedTransactions++;
-          const errorInfo = {
-            powensTransactionId: powensTransaction.id,
-            accountId: powensTransaction.id_account,
-            error: transactionError.message,
-            errorCode: transactionError.code,
-            constraint: transactionError.constraint,
-            transactionValue: powensTransaction.value,
-            transactionDate: powensTransaction.date
-          };
-          
-          transactionErrors.push(errorInfo);
-          
-          logger.error('❌ TRANSACTION SYNC FAILED', errorInfo);
-          // Continue with other transactions
+          totalTransactions += accountResult.processed;
+          syncedTransactions += accountResult.synced;
+          createdTransactions += accountResult.created;
+          updatedTransactions += accountResult.updated;
+          failedTransactions += accountResult.failed;
+          transactionErrors.push(...accountResult.errors);
+        } catch (accountError) {
+          failedAccounts++;
+          transactionErrors.push({ accountId: account.id, error: accountError.message });
+          logger.error('❌ ACCOUNT TRANSACTIONS SYNC FAILED', {
+            accountId: account.id,
+            powensAccountId: account.powens_account_id,
+            error: accountError.message
+          });
         }
       }
 
       // Calculate final statistics
-      const totalTransactions = powensTransactions.length;
-      const successRate = ((syncedTransactions / totalTransactions) * 100).toFixed(1);
-      const syncStatus = failedTransactions === 0 ? 'success' : 
-                        failedTransactions < totalTransactions / 2 ? 'partial_success' : 'failed';
+      const successRate = totalTransactions > 0 ? ((syncedTransactions / totalTransactions) * 100).toFixed(1) : '100.0';
+      let syncStatus = failedTransactions === 0 ? 'success' : 
+                       failedTransactions < totalTransactions / 2 ? 'partial_success' : 'failed';
+      if (failedAccounts > 0) {
+        syncStatus = failedAccounts === localAccounts.length ? 'failed' : 'partial_success';
+      }
 
       // Update sync status with detailed info
-      const syncMessage = failedTransactions > 0 ? 
-        `${failedTransactions} transactions failed out of ${totalTransactions}` : null;
+      const syncMessage = transactionErrors.length > 0 ? 
+        `${failedTransactions} transactions and ${failedAccounts} accounts failed out of ${localAccounts.length} accounts` : null;
       
       await BankConnectionModel.updateSyncStatus(connectionId, syncStatus, syncMessage);
 
-      // PHASE 1: Update last_sync_timestamp for efficient incremental sync
-      // Only update timestamp if sync was successful or partially successful
+      // Record when the connection last synced; incremental syncs use the account checkpoints
       if (syncStatus === 'success' || syncStatus === 'partial_success') {
-        const currentTimestamp = new Date().toISOString();
-        await BankConnectionModel.updateLastSyncTimestamp(connectionId, currentTimestamp);
-        
-        logger.info('✅ Updated last_sync_timestamp for incremental sync', {
-          connectionId,
-          timestamp: currentTimestamp,
-          strategy: lastSyncTimestamp ? 'incremental' : 'initial'
-        });
-      } else {
-        logger.warn('⚠️ Skipping timestamp update due to sync failure', {
-          connectionId,
-          syncStatus,
-          keepingTimestamp: lastSyncTimestamp
-        });
+        await BankConnectionModel.updateLastSyncTimestamp(connectionId, new Date().toISOString());
       }
 
       logger.info('✅ Connection sync completed with detailed statistics', { 
         userId, 
         connectionId, 
         syncedAccounts,
+        accounts: localAccounts.length,
+        failedAccounts,
         totalTransactions,
-        processedTransactions,
         syncedTransactions,
         createdTransactions,
         updatedTransactions,
-        skippedTransactions,
         failedTransactions,
         successRate: `${successRate}%`,
         syncStatus,
@@ -361,7 +266,7 @@ class PowensSyncService {
         createdTransactions,
         updatedTransactions,
         failedTransactions,
-        skippedTransactions,
+        failedAccounts,
         successRate: parseFloat(successRate),
         syncStatus,
         errors: transactionErrors
@@ -380,111 +285,344 @@ class PowensSyncService {
   }
 
   /**
-   * Handle webhook from Powens after connection is established
+   * Sync the transactions of one local account, paging through every result.
+   * From the account's checkpoint, Powens returns what was created, modified or deleted since
+   * (backdated and late-posted entries included); without one, or for a full history sync,
+   * transactions are fetched by booking date from window.startDate (all history when null).
+   * The checkpoint advances only when every transaction was saved, so failures are fetched again.
    */
-  async handleWebhook(webhookData) {
-    try {
-      logger.info('🔄 Processing Powens webhook', { 
-        type: webhookData.type || 'unknown',
-        userId: webhookData.user?.id,
-        hasConnection: !!webhookData.connection,
-        webhookId: webhookData.id,
-        platform: webhookData.platform
-      });
+  async syncAccountTransactions(accessToken, userId, account, { window = null, fullHistory = false } = {}) {
+    const checkpoint = fullHistory ? null : account.transactions_last_update;
+    const fetchStartedAt = new Date();
+    const fetchOptions = { userId, includeDeleted: true };
+
+    if (checkpoint) {
+      // Overlap the previous run a little so changes committed out of order are not missed
+      const since = new Date(new Date(checkpoint).getTime() - CHECKPOINT_OVERLAP_MINUTES * 60 * 1000);
+      fetchOptions.lastUpdate = since.toISOString();
+    } else if (window) {
+      fetchOptions.minDate = window.startDate;
+      fetchOptions.maxDate = window.endDate || null;
+    }
 
-      // For any successful signin, try to sync data
-      if (webhookData.signin || webhookData.platform === 'sharedAccess') {
-        logger.info('✅ Detected successful signin, triggering data sync');
-        
-        const userId = '00000000-0000-0000-0000-000000000001'; // Default user
-        
-        // Get user's token from database
-        const userTokenData = await UserModel.getPowensToken(userId);
-        if (userTokenData && userTokenData.powens_permanent_token) {
-          const token = userTokenData.powens_permanent_token;
-          
-          // 🔧 FIX: Define powensUserId in proper scope for error handling
-          let powensUserId = userTokenData.powens_user_id || 'me';
-          
-          try {
-            // Try to fetch and sync data using the token
-            const [connections, accounts, transactions] = await Promise.all([
-              this.dataService.getUserConnections(token),
-              this.dataService.getUserAccounts(token, userId),
-              this.dataService.getUserTransactions(token, { limit: 100, userId })
-            ]);
-            
-            logger.info('✅ Webhook data fetch successful', {
-              connections: connections.length,
-              accounts: accounts.length,
-              transactions: transactions.length,
-              powensUserId // Now properly defined in scope
-            });
-            
-            // Store the data if we got any
-            if (accounts.length > 0) {
-              // Create connection record
-              const firstAccount = accounts[0];
-              const connectionData = {
-                user_id: userId,
-                powens_user_id: powensUserId,
-                powens_connection_id: webhookData.id || 'webhook_conn',
-                bank_name: firstAccount.bank?.name || 'Unknown Bank',
-                bank_logo_url: firstAccount.bank?.logo_url,
-                access_token: token,
-                refresh_token: token,
-                token_expires_at: userTokenData.powens_token_expires_at || new Date(Date.now() + (3600 * 24 * 365 * 1000)),
-                token_source: 'webhook'
-              };
-              
-              const savedConnection = await BankConnectionModel.create(connectionData);
-              logger.info('✅ Connection created from webhook', { 
-                connectionId: savedConnection.id,
-                powensUserId
-              });
-              
-              // Sync accounts
-              for (const account of accounts) {
-                const accountData = this.dataService.mapPowensAccountToLocal(account, userId, savedConnection.id);
-                await BankAccountModel.findOrCreateByPowensId(accountData);
-              }
-              
-              // Sync transactions
-              for (const transaction of transactions) {
-                const account = await BankAccountModel.findByPowensId(transaction.id_account);
-                if (account) {
-                  const transactionData = this.dataService.mapPowensTransactionToLocal(transaction, userId, account.id);
-                  await TransactionModel.findOrCreateByPowensId(transactionData);
-                }
-              }
-              
-              await BankConnectionModel.updateSyncStatus(savedConnection.id, 'success');
-              
-              return { 
-                success: true, 
-                connection: savedConnection,
-                syncedAccounts: accounts.length,
-                syncedTransactions: transactions.length,
-                powensUserId
-              };
-            }
-            
-          } catch (syncError) {
-            logger.error('❌ Webhook data sync failed', { 
-              error: syncError.message,
-              powensUserId // Now properly defined in scope
-            });
-          }
+    const powensTransactions = await this.dataService.getAllAccountTransactions(
+      accessToken,
+      account.powens_account_id,
+      fetchOptions
+    );
+
+    const result = {
+      mode: checkpoint ? 'checkpoint' : (window ? 'window' : 'full_history'),
+      processed: powensTransactions.length,
+      synced: 0,
+      created: 0,
+      updated: 0,
+      failed: 0,
+      errors: [],
+      checkpoint: checkpoint || null
+    };
+    let latestUpdate = null;
+
+    for (const powensTransaction of powensTransactions) {
+      try {
+        const transactionData = this.dataService.mapPowensTransactionToLocal(powensTransaction, userId, account.id);
+        const saved = await TransactionModel.findOrCreateByPowensId(transactionData);
+
+        // Rows created during this sync count as new, others as updated
+        if (saved && new Date(saved.created_at) >= fetchStartedAt) {
+          result.created++;
+        } else {
+          result.updated++;
+        }
+        result.synced++;
+
+        const lastUpdate = transactionData.powens_last_update;
+        if (lastUpdate && !isNaN(lastUpdate.getTime()) && (!latestUpdate || lastUpdate > latestUpdate)) {
+          latestUpdate = lastUpdate;
         }
+      } catch (transactionError) {
+        result.failed++;
+        result.errors.push({
+          powensTransactionId: powensTransaction.id,
+          accountId: account.id,
+          error: transactionError.message
+        });
+        logger.error('❌ TRANSACTION SYNC FAILED', {
+          powensTransactionId: powensTransaction.id,
+          accountId: account.id,
+          error: transactionError.message
+        });
       }
+    }
 
-      return { success: true, message: 'Webhook processed' };
+    if (result.failed === 0) {
+      // With nothing returned, a first sync starts the checkpoint at the time of the fetch
+      const nextCheckpoint = latestUpdate || (checkpoint ? null : fetchStartedAt);
+      const updated = await BankAccountModel.updateTransactionCheckpoint(account.id, nextCheckpoint);
+      result.checkpoint = updated?.transactions_last_update || result.checkpoint;
+    }
+
+    logger.info('✅ Account transactions synced', {
+      accountId: account.id,
+      mode: result.mode,
+      processed: result.processed,
+      created: result.created,
+      updated: result.updated,
+      failed: result.failed,
+      checkpoint: result.checkpoint
+    });
+
+    return result;
+  }
+
+  /**
+   * Handle a Powens webhook event. Each event type updates only what its payload carries
+   * (connection, accounts, transactions), without refetching from the API.
+   * Events that wrote transactions are followed by the post-sync steps, as after a sync job.
+   * Returns a summary stored with the webhook event; errors are thrown so the event is retried.
+   */
+  async handleWebhook(webhookData, eventType = null) {
+    const type = this.resolveWebhookEventType(webhookData, eventType);
+    const handler = POWENS_WEBHOOK_HANDLERS[type] || (type?.startsWith('TRANSACTION') ? 'handleTransactionsEvent' : null);
+
+    logger.info('🔄 Processing Powens webhook', { eventType: type || 'unknown' });
+
+    if (!handler) {
+      logger.warn('⚠️ Unsupported Powens webhook event, ignored', { eventType: type });
+      return { eventType: type, handled: false, message: 'Unsupported event type' };
+    }
+
+    // Every handled payload refers to a Powens user; events for unknown users are not retried
+    const powensUserId = this.getWebhookPowensUserId(webhookData, type);
+    const localUser = powensUserId ? await UserModel.findByPowensUserId(powensUserId) : null;
+    if (!localUser) {
+      logger.warn('⚠️ Webhook references unknown Powens user, ignored', { eventType: type, powensUserId });
+      return { eventType: type, handled: false, message: 'Unknown Powens user' };
+    }
+
+    try {
+      const result = await this[handler](localUser, webhookData, powensUserId);
+      logger.info('✅ Powens webhook processed', { eventType: type, userId: localUser.id, ...result });
+
+      // Post-sync failures are logged with the event but do not make it retry
+      if (result.syncedTransactions > 0) {
+        result.postSync = await postSyncService.run(localUser.id);
+      }
+      return { eventType: type, handled: true, ...result };
     } catch (error) {
-      logger.error('❌ Webhook processing failed', { error: error.message });
+      logger.error('❌ Webhook processing failed', { eventType: type, userId: localUser.id, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Event type from the webhook URL, else the payload's type. Payloads posted without
+   * a type but carrying a connection are treated as CONNECTION_SYNCED.
+   */
+  resolveWebhookEventType(webhookData, eventType) {
+    const type = eventType || webhookData.type;
+    if (type) return String(type).toUpperCase();
+    return webhookData.connection ? 'CONNECTION_SYNCED' : null;
+  }
+
+  /**
+   * Powens user ID of a webhook payload; USER_DELETED payloads are the user object itself
+   */
+  getWebhookPowensUserId(webhookData, type) {
+    return webhookData.user?.id
+      || webhookData.id_user
+      || webhookData.connection?.id_user
+      || (type === 'USER_DELETED' ? webhookData.id : null);
+  }
+
+  /**
+   * CONNECTION_SYNCED: upsert the connection, then its embedded accounts and their transactions
+   */
+  async handleConnectionSynced(user, webhookData, powensUserId) {
+    const powensConnection = webhookData.connection;
+    if (!powensConnection?.id) {
+      throw new Error('CONNECTION_SYNCED payload has no connection');
+    }
+
+    const connection = await this.upsertWebhookConnection(user.id, powensConnection, powensUserId);
+    const summary = await this.upsertWebhookAccounts(user.id, connection.id, powensConnection.accounts || []);
+
+    // A connection in error (e.g. SCARequired, wrongpass) is reported on its sync status
+    const connectionError = powensConnection.error || powensConnection.state || null;
+    await BankConnectionModel.updateSyncStatus(
+      connection.id,
+      connectionError ? 'failed' : summary.failedTransactions > 0 ? 'partial_success' : 'success',
+      connectionError
+    );
+
+    return { connectionId: connection.id, ...summary };
+  }
+
+  /**
+   * CONNECTION_DELETED: deactivate the connection and its accounts
+   */
+  async handleConnectionDeleted(user, webhookData) {
+    const powensConnectionId = webhookData.connection?.id || webhookData.id_connection || webhookData.id;
+    const connection = powensConnectionId
+      ? await BankConnectionModel.findByPowensConnectionId(powensConnectionId, user.id)
+      : null;
+
+    if (!connection) {
+      return { message: 'Connection not found', powensConnectionId };
+    }
+
+    await BankConnectionModel.deactivate(connection.id);
+    const accounts = await BankAccountModel.deactivateByConnectionId(connection.id);
+    return { connectionId: connection.id, deactivatedAccounts: accounts.length };
+  }
+
+  /**
+   * ACCOUNT_SYNCED: upsert the account and its embedded transactions
+   */
+  async handleAccountSynced(user, webhookData, powensUserId) {
+    const powensAccount = webhookData.account || webhookData;
+    if (!powensAccount.id || !powensAccount.id_connection) {
+      throw new Error('ACCOUNT_SYNCED payload has no account or connection ID');
+    }
+
+    const connection = await this.upsertWebhookConnection(user.id, {
+      id: powensAccount.id_connection,
+      connector: powensAccount.bank
+    }, powensUserId);
+    const summary = await this.upsertWebhookAccounts(user.id, connection.id, [powensAccount]);
+
+    return { connectionId: connection.id, ...summary };
+  }
+
+  /**
+   * ACCOUNT_DISABLED: deactivate the account; its history is kept
+   */
+  async handleAccountDisabled(user, webhookData) {
+    const powensAccountId = webhookData.account?.id || webhookData.id;
+    const account = powensAccountId ? await BankAccountModel.findByPowensId(powensAccountId) : null;
+
+    if (!account || account.user_id !== user.id) {
+      return { message: 'Account not found', powensAccountId };
+    }
+
+    await BankAccountModel.deactivate(account.id);
+    return { accountId: account.id, deactivated: true };
+  }
+
+  /**
+   * USER_DELETED: unlink the Powens user and deactivate all its connections and accounts
+   */
+  async handleUserDeleted(user) {
+    const connections = await BankConnectionModel.deactivatePowensByUserId(user.id);
+
+    let deactivatedAccounts = 0;
+    for (const connection of connections) {
+      const accounts = await BankAccountModel.deactivateByConnectionId(connection.id);
+      deactivatedAccounts += accounts.length;
+    }
+
+    await UserModel.unlinkPowensUser(user.id);
+    return { deactivatedConnections: connections.length, deactivatedAccounts };
+  }
+
+  /**
+   * Transaction events: upsert the embedded transactions into their known accounts
+   */
+  async handleTransactionsEvent(user, webhookData) {
+    const transactions = Array.isArray(webhookData.transactions)
+      ? webhookData.transactions
+      : webhookData.transaction ? [webhookData.transaction] : [];
+
+    return this.upsertWebhookTransactions(user.id, transactions);
+  }
+
+  /**
+   * Find or create the local connection for a Powens connection object
+   */
+  async upsertWebhookConnection(userId, powensConnection, powensUserId) {
+    const bank = powensConnection.connector || powensConnection.bank || {};
+
+    return BankConnectionModel.upsertPowensConnection({
+      user_id: userId,
+      powens_user_id: powensUserId ? String(powensUserId) : null,
+      powens_connection_id: powensConnection.id,
+      bank_name: bank.name || `Powens connection ${powensConnection.id}`,
+      bank_logo_url: bank.logo_url || null
+    });
+  }
+
+  /**
+   * Upsert Powens accounts into a connection, with the transactions embedded in each account
+   */
+  async upsertWebhookAccounts(userId, connectionId, powensAccounts) {
+    const summary = { syncedAccounts: 0, failedAccounts: 0, syncedTransactions: 0, failedTransactions: 0, skippedTransactions: 0 };
+
+    for (const powensAccount of powensAccounts) {
+      try {
+        const accountData = this.dataService.mapPowensAccountToLocal(powensAccount, userId, connectionId);
+        const account = await BankAccountModel.findOrCreateByPowensId(accountData);
+
+        // An account synced again after being disabled is active again
+        if (!account.is_active && !powensAccount.disabled) {
+          await BankAccountModel.update(account.id, { is_active: true });
+        }
+        summary.syncedAccounts++;
+      } catch (accountError) {
+        summary.failedAccounts++;
+        logger.error('❌ Webhook account upsert failed', { powensAccountId: powensAccount.id, error: accountError.message });
+        continue;
+      }
+
+      const result = await this.upsertWebhookTransactions(userId, powensAccount.transactions || [], powensAccount.id);
+      summary.syncedTransactions += result.syncedTransactions;
+      summary.failedTransactions += result.failedTransactions;
+      summary.skippedTransactions += result.skippedTransactions;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Upsert Powens transactions; each goes to the user's account matching its id_account
+   * (or defaultPowensAccountId when the transaction does not carry one)
+   */
+  async upsertWebhookTransactions(userId, powensTransactions, defaultPowensAccountId = null) {
+    const summary = { syncedTransactions: 0, failedTransactions: 0, skippedTransactions: 0 };
+    const accounts = new Map();
+
+    for (const powensTransaction of powensTransactions) {
+      try {
+        const powensAccountId = powensTransaction.id_account || defaultPowensAccountId;
+        if (!accounts.has(powensAccountId)) {
+          const account = powensAccountId ? await BankAccountModel.findByPowensId(powensAccountId) : null;
+          accounts.set(powensAccountId, account && account.user_id === userId ? account : null);
+        }
+
+        const account = accounts.get(powensAccountId);
+        if (!account) {
+          summary.skippedTransactions++;
+          logger.warn('⚠️ Webhook transaction for unknown account skipped', {
+            powensTransactionId: powensTransaction.id,
+            powensAccountId
+          });
+          continue;
+        }
+
+        const transactionData = this.dataService.mapPowensTransactionToLocal(powensTransaction, userId, account.id);
+        await TransactionModel.findOrCreateByPowensId(transactionData);
+        summary.syncedTransactions++;
+      } catch (transactionError) {
+        summary.failedTransactions++;
+        logger.error('❌ Webhook transaction upsert failed', {
+          powensTransactionId: powensTransaction.id,
+          error: transactionError.message
+        });
+      }
+    }
+
+    return summary;
+  }
+
   /**
    * Sync accounts for a user (used by the simplified interface)
    */
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { logger } = require('../../utils/logger');
+const WebhookEventModel = require('../../models/WebhookEvent');
+const powensSyncService = require('./powensSyncService');
+
+// Processing attempts per event, and the delay before each retry (doubling)
+const WEBHOOK_RETRY = {
+  MAX_ATTEMPTS: 6,
+  BASE_DELAY_SECONDS: 60,
+  LOCK_SECONDS: 600,
+  BATCH_SIZE: 10
+};
+
+// Largest gap accepted between BI-Signature-Date and the time a webhook is received
+const SIGNATURE_MAX_AGE_SECONDS = 300;
+
+/**
+ * Powens Webhook Service
+ *
+ * Verifies Powens webhook signatures, stores every webhook in webhook_events and
+ * processes the inbox asynchronously. The HTTP handler only verifies and stores,
+ * so Powens gets its 200 quickly; processing runs right after and is retried with
+ * backoff by the webhookRetry job when it fails or the server stops mid-sync.
+ */
+class PowensWebhookService {
+  constructor() {
+    this.webhookSecret = process.env.POWENS_WEBHOOK_SECRET;
+    this.isProcessing = false;
+
+    if (!this.webhookSecret) {
+      logger.warn('Powens webhook secret not configured. Powens webhooks will be rejected.');
+    }
+  }
+
+  /**
+   * Verify the BI-Signature header: base64 HMAC-SHA256, keyed with the webhook secret,
+   * of "<METHOD>.<path>.<BI-Signature-Date>.<raw body>"
+   */
+  verifySignature({ method, path, signatureDate, rawBody, signature }) {
+    if (!this.webhookSecret || typeof signature !== 'string' || !signatureDate) {
+      return false;
+    }
+
+    const computed = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${method.toUpperCase()}.${path}.${signatureDate}.${rawBody}`)
+      .digest();
+    const received = Buffer.from(signature.trim(), 'base64');
+
+    return received.length === computed.length && crypto.timingSafeEqual(received, computed);
+  }
+
+  /**
+   * Whether a BI-Signature-Date is within SIGNATURE_MAX_AGE_SECONDS of now, either way,
+   * so a captured request cannot be replayed later
+   */
+  isSignatureDateFresh(signatureDate, now = new Date()) {
+    const signedAt = Date.parse(signatureDate);
+    return Number.isFinite(signedAt) && Math.abs(now.getTime() - signedAt) <= SIGNATURE_MAX_AGE_SECONDS * 1000;
+  }
+
+  /**
+   * Verify and store a received webhook. Returns { event, accepted }; an event with an
+   * invalid or stale signature is stored for auditing but never processed. A replay of an
+   * accepted event (same signature and date) is rejected, and stored as such.
+   */
+  async receive({ method, path, headers, rawBody, eventType = null }) {
+    let payload = null;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (parseError) {
+      // Stored as received
+    }
+
+    const signature = headers['bi-signature'];
+    const signatureDate = headers['bi-signature-date'];
+    const signatureValid = this.verifySignature({ method, path, signatureDate, rawBody, signature });
+    const signatureFresh = signatureValid && this.isSignatureDateFresh(signatureDate);
+    let accepted = signatureFresh && payload !== null && typeof payload === 'object';
+
+    let rejection = null;
+    if (!signatureValid) rejection = this.webhookSecret ? 'Invalid or missing BI-Signature' : 'POWENS_WEBHOOK_SECRET is not configured';
+    else if (!signatureFresh) rejection = `BI-Signature-Date is more than ${SIGNATURE_MAX_AGE_SECONDS} seconds from the current time`;
+    else if (!accepted) rejection = 'Body is not a JSON object';
+
+    const eventData = {
+      provider: 'powens',
+      event_type: eventType || payload?.type,
+      signature_valid: accepted,
+      signature,
+      signature_date: signatureDate,
+      payload,
+      raw_body: rawBody,
+      last_error: rejection
+    };
+    let event = await WebhookEventModel.create(eventData);
+
+    if (!event) {
+      accepted = false;
+      rejection = 'Webhook already received with this BI-Signature and BI-Signature-Date';
+      event = await WebhookEventModel.create({ ...eventData, signature_valid: false, last_error: rejection });
+    }
+
+    if (!accepted) {
+      logger.warn('Powens webhook rejected', { eventId: event.id, reason: rejection });
+    } else {
+      logger.info('Powens webhook stored', { eventId: event.id, eventType: event.event_type });
+    }
+
+    return { event, accepted, rejection };
+  }
+
+  /**
+   * Process due events from the inbox. Safe to call concurrently (events are claimed
+   * with SKIP LOCKED); calls made while this instance is already processing are skipped.
+   */
+  async processPending() {
+    if (this.isProcessing) return { processed: 0, failed: 0, skipped: true };
+    this.isProcessing = true;
+
+    const summary = { processed: 0, failed: 0 };
+    try {
+      let events;
+      do {
+        events = await WebhookEventModel.claimDue(WEBHOOK_RETRY.BATCH_SIZE, WEBHOOK_RETRY.LOCK_SECONDS);
+        for (const event of events) {
+          if (await this.processEvent(event)) summary.processed++;
+          else summary.failed++;
+        }
+      } while (events.length === WEBHOOK_RETRY.BATCH_SIZE);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    if (summary.processed > 0 || summary.failed > 0) {
+      logger.info('Powens webhook inbox processed', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Run one claimed event; returns true when it was processed
+   */
+  async processEvent(event) {
+    try {
+      const result = await powensSyncService.handleWebhook(event.payload, event.event_type);
+      await WebhookEventModel.markProcessed(event.id, result);
+      return true;
+    } catch (error) {
+      const retry = event.attempts < WEBHOOK_RETRY.MAX_ATTEMPTS;
+      const delay = WEBHOOK_RETRY.BASE_DELAY_SECONDS * 2 ** (event.attempts - 1);
+      await WebhookEventModel.markFailed(event.id, error.message, retry ? delay : null);
+
+      logger.error('Powens webhook processing failed', {
+        eventId: event.id,
+        attempt: event.attempts,
+        retryInSeconds: retry ? delay : null,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Start processing in the background, after the webhook has been acknowledged
+   */
+  processInBackground() {
+    setImmediate(() => {
+      this.processPending().catch(error => {
+        logger.error('Powens webhook inbox processing failed', { error: error.message });
+      });
+    });
+  }
+}
+
+module.exports = new PowensWebhookService();
@@ -0,0 +1,104 @@
+const { logger } = require('../utils/logger');
+const { matchPendingTransactions } = require('../utils/reconciliation');
+const { toIsoDate, addDays } = require('../utils/recurrence');
+const TransactionModel = require('../models/Transaction');
+const TransactionReconciliationModel = require('../models/TransactionReconciliation');
+
+// Pending rows older than this are not matched any more; list paging limits
+const RECONCILIATION_CONFIG = {
+  LOOKBACK_DAYS: 45,
+  LIST_LIMIT: 50,
+  MAX_LIST_LIMIT: 200
+};
+
+const RECONCILIATION_STATUS = ['applied', 'reverted'];
+
+/**
+ * Reconciliation Service
+ *
+ * Matches pending transactions to the booked transactions that replaced them,
+ * moves the user's edits onto the booked row and retires the pending one.
+ * Every match is recorded and can be reverted.
+ */
+class ReconciliationService {
+  /**
+   * Reconcile a user's recent pending transactions. source ('sync' or 'manual') is recorded
+   * with each match. Returns counts of what was scanned and matched.
+   */
+  async reconcileUser(userId, { source = 'sync', asOf = new Date() } = {}) {
+    const since = addDays(toIsoDate(asOf), -RECONCILIATION_CONFIG.LOOKBACK_DAYS);
+    const candidates = await TransactionModel.findReconciliationCandidates(userId, since);
+    const pending = candidates.filter(row => row.is_pending);
+    const summary = { pendingScanned: pending.length, matched: 0, skipped: 0 };
+
+    if (pending.length === 0) {
+      return summary;
+    }
+
+    const booked = candidates.filter(row => !row.is_pending);
+    const excludedPairs = await TransactionReconciliationModel.findRevertedPairs(userId);
+    const matches = matchPendingTransactions(pending, booked, { excludedPairs });
+
+    for (const match of matches) {
+      const applied = await TransactionReconciliationModel.apply(userId, {
+        pendingId: match.pending.id,
+        bookedId: match.booked.id,
+        score: match.score,
+        details: match.details,
+        source
+      });
+
+      // A row that changed since it was read (e.g. a concurrent sync) is left for the next run
+      if (applied) {
+        summary.matched++;
+      } else {
+        summary.skipped++;
+      }
+    }
+
+    logger.info('Pending transactions reconciled', { userId, ...summary });
+    return summary;
+  }
+
+  /**
+   * Revert one of the user's applied matches and return it; null when there is none with this ID
+   */
+  async revert(userId, reconciliationId) {
+    const reverted = await TransactionReconciliationModel.revert(userId, reconciliationId);
+    if (!reverted) {
+      return null;
+    }
+
+    logger.info('Reconciliation reverted', { userId, reconciliationId });
+    return TransactionReconciliationModel.findById(userId, reconciliationId);
+  }
+
+  /**
+   * Parse status, limit and offset for the match list. Returns { filters, errors }.
+   */
+  parseListFilters(query = {}) {
+    const filters = { limit: RECONCILIATION_CONFIG.LIST_LIMIT, offset: 0 };
+    const errors = [];
+
+    if (query.status !== undefined) {
+      if (RECONCILIATION_STATUS.includes(query.status)) filters.status = query.status;
+      else errors.push(`status must be one of: ${RECONCILIATION_STATUS.join(', ')}`);
+    }
+
+    if (query.limit !== undefined) {
+      const limit = parseInt(query.limit);
+      if (Number.isInteger(limit) && limit >= 1 && limit <= RECONCILIATION_CONFIG.MAX_LIST_LIMIT) filters.limit = limit;
+      else errors.push(`limit must be an integer between 1 and ${RECONCILIATION_CONFIG.MAX_LIST_LIMIT}`);
+    }
+
+    if (query.offset !== undefined) {
+      const offset = parseInt(query.offset);
+      if (Number.isInteger(offset) && offset >= 0) filters.offset = offset;
+      else errors.push('offset must be a non-negative integer');
+    }
+
+    return { filters, errors };
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,176 @@
+const { logger } = require('../utils/logger');
+const { CADENCES, detectSeries, toIsoDate, addDays } = require('../utils/recurrence');
+const RecurringSeriesModel = require('../models/RecurringSeries');
+const TransactionModel = require('../models/Transaction');
+
+// Detection settings; two years plus a margin so yearly series show twice
+const RECURRING_CONFIG = {
+  LOOKBACK_DAYS: 800,
+  UPCOMING_DAYS: 30
+};
+
+const SERIES_STATUS = ['active', 'missed', 'ended'];
+const SERIES_DIRECTIONS = ['expense', 'income'];
+
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * Recurring Service
+ *
+ * Runs recurring series detection over a user's transaction history, stores
+ * the result, and derives the fixed-cost and subscription views from it.
+ */
+class RecurringService {
+  /**
+   * Detect series for one user and persist them. Returns counts per flag.
+   */
+  async detectForUser(userId, { asOf = new Date() } = {}) {
+    const since = addDays(toIsoDate(asOf), -RECURRING_CONFIG.LOOKBACK_DAYS);
+    const transactions = await TransactionModel.findForRecurringDetection(userId, since);
+    const series = detectSeries(transactions, { asOf });
+    const saved = await RecurringSeriesModel.saveDetected(userId, series);
+
+    const summary = {
+      transactionsScanned: transactions.length,
+      detected: saved,
+      subscriptions: series.filter(s => s.is_subscription).length,
+      missed: series.filter(s => s.status === 'missed').length,
+      priceChanged: series.filter(s => s.is_price_changed).length
+    };
+
+    logger.info('Recurring series detection completed', { userId, ...summary });
+    return summary;
+  }
+
+  /**
+   * Detect series for every user with recent transactions (daily job)
+   */
+  async detectAll() {
+    const since = addDays(toIsoDate(new Date()), -RECURRING_CONFIG.LOOKBACK_DAYS);
+    const userIds = await TransactionModel.findUserIdsWithTransactionsSince(since);
+    let failed = 0;
+
+    for (const userId of userIds) {
+      try {
+        await this.detectForUser(userId);
+      } catch (error) {
+        failed++;
+        logger.error('Recurring series detection failed for user', { userId, error: error.message });
+      }
+    }
+
+    return { users: userIds.length, failed };
+  }
+
+  /**
+   * Validate a declared series, returning a list of problems.
+   * With partial=true only the provided fields are checked (updates).
+   */
+  validateDeclaredSeries(data, { partial = false } = {}) {
+    const errors = [];
+    const has = (field) => data[field] !== undefined;
+
+    if ((!partial || has('name')) && (typeof data.name !== 'string' || data.name.trim() === '')) {
+      errors.push('name is required');
+    }
+    if (!partial && !data.account_id) {
+      errors.push('account_id is required');
+    }
+    if ((!partial || has('expected_amount')) && !(Number(data.expected_amount) !== 0 && Number.isFinite(Number(data.expected_amount)))) {
+      errors.push('expected_amount must be a non-zero number (negative for expenses)');
+    }
+    if ((!partial || has('cadence')) && !CADENCES[data.cadence]) {
+      errors.push(`cadence must be one of: ${Object.keys(CADENCES).join(', ')}`);
+    }
+    if ((!partial || has('next_expected_date')) && !isDate(data.next_expected_date)) {
+      errors.push('next_expected_date must be a date (YYYY-MM-DD)');
+    }
+    if (has('end_date') && data.end_date !== null && !isDate(data.end_date)) {
+      errors.push('end_date must be a date (YYYY-MM-DD)');
+    }
+    if (has('is_subscription') && typeof data.is_subscription !== 'boolean') {
+      errors.push('is_subscription must be a boolean');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate list filters from the query string
+   */
+  parseListFilters(query = {}) {
+    const errors = [];
+    const filters = {};
+
+    if (query.direction) {
+      if (SERIES_DIRECTIONS.includes(query.direction)) filters.direction = query.direction;
+      else errors.push(`direction must be one of: ${SERIES_DIRECTIONS.join(', ')}`);
+    }
+    if (query.status) {
+      if (SERIES_STATUS.includes(query.status)) filters.status = query.status;
+      else errors.push(`status must be one of: ${SERIES_STATUS.join(', ')}`);
+    }
+    filters.flaggedOnly = query.flagged === 'true';
+    filters.includeDismissed = query.includeDismissed === 'true';
+
+    return { filters, errors };
+  }
+
+  /**
+   * Amount of a series per month, from its cadence
+   */
+  monthlyAmount(series) {
+    return Math.round(parseFloat(series.expected_amount) * CADENCES[series.cadence].perYear / 12 * 100) / 100;
+  }
+
+  /**
+   * Monthly totals of active recurring expenses and income (the fixed costs).
+   * Recurring transfers between the user's accounts are neither.
+   */
+  summarize(seriesList) {
+    const totals = { monthlyExpenses: 0, monthlyIncome: 0 };
+    const today = toIsoDate(new Date());
+
+    for (const series of seriesList) {
+      if (series.status === 'ended' || series.is_dismissed || series.is_transfer) continue;
+      if (series.end_date && toIsoDate(series.end_date) < today) continue;
+      const monthly = this.monthlyAmount(series);
+      if (series.direction === 'expense') totals.monthlyExpenses += -monthly;
+      else totals.monthlyIncome += monthly;
+    }
+
+    totals.monthlyExpenses = Math.round(totals.monthlyExpenses * 100) / 100;
+    totals.monthlyIncome = Math.round(totals.monthlyIncome * 100) / 100;
+    totals.monthlyNet = Math.round((totals.monthlyIncome - totals.monthlyExpenses) * 100) / 100;
+    return totals;
+  }
+
+  /**
+   * Active subscriptions with their monthly and yearly cost, renewals due in the
+   * next 30 days and those whose price just changed
+   */
+  async getSubscriptions(userId) {
+    const subscriptions = (await RecurringSeriesModel.findByUserId(userId, { subscriptionsOnly: true }))
+      .filter(series => series.status !== 'ended' && !series.is_transfer);
+    const today = toIsoDate(new Date());
+    const horizon = addDays(today, RECURRING_CONFIG.UPCOMING_DAYS);
+
+    const monthlyCost = subscriptions.reduce((sum, series) => sum - this.monthlyAmount(series), 0);
+
+    return {
+      subscriptions,
+      totals: {
+        count: subscriptions.length,
+        monthlyCost: Math.round(monthlyCost * 100) / 100,
+        yearlyCost: Math.round(monthlyCost * 12 * 100) / 100
+      },
+      upcoming: subscriptions.filter(series => {
+        const next = toIsoDate(series.next_expected_date);
+        return next >= today && next <= horizon;
+      }),
+      priceChanged: subscriptions.filter(series => series.is_price_changed)
+    };
+  }
+}
+
+module.exports = new RecurringService();
@@ -2,7 +2,11 @@ const { logger } = require('../utils/logger');
 const powensService = require('./powens/powensService');
 const BankConnectionModel = require('../models/BankConnection');
 const BankAccountModel = require('../models/BankAccount');
-const TransactionModel = require('../models/Transaction');
+const SyncLogModel = require('../models/SyncLog');
+const JobModel = require('../models/Job');
+const postSyncService = require('./postSyncService');
+const jobQueueService = require('./jobQueueService');
+const powensSyncService = require('./powens/powensSyncService');
 
 // Sync status constants
 const SYNC_STATUS = {
@@ -21,15 +25,115 @@ const SYNC_TYPE = {
   INITIAL: 'initial'
 };
 
+// Status written to sync_logs for each final sync status
+const SYNC_LOG_STATUS = {
+  [SYNC_STATUS.SUCCESS]: 'completed',
+  [SYNC_STATUS.PARTIAL]: 'partial',
+  [SYNC_STATUS.FAILED]: 'failed'
+};
+
+// Background job types run by the job queue
+const SYNC_JOB_TYPE = {
+  CONNECTION: 'sync_connection', // syncConnection
+  CONNECTION_DATA: 'sync_connection_data', // Powens incremental or full-history sync (powensSyncService)
+  USER: 'sync_user' // Queues a connection job of either type for each of a user's connections
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Sync history listing limits and the default statistics window
+const SYNC_HISTORY_DEFAULTS = {
+  LIMIT: 50,
+  MAX_LIMIT: 200,
+  STATS_DAYS: 30,
+  MAX_STATS_DAYS: 365
+};
+
 class SyncService {
   constructor() {
-    this.activeJobs = new Map(); // Track running sync jobs
-    this.syncStats = {
-      totalSyncs: 0,
-      successfulSyncs: 0,
-      failedSyncs: 0,
-      lastSyncTime: null
-    };
+    // Sync jobs are run by the job queue worker
+    jobQueueService.registerHandler(SYNC_JOB_TYPE.CONNECTION, (payload, context) => this.syncConnection(payload.connectionId, {
+      ...payload.options,
+      onProgress: context.reportProgress
+    }));
+    jobQueueService.registerHandler(SYNC_JOB_TYPE.CONNECTION_DATA, async (payload) => {
+      const result = await powensSyncService.syncConnectionData(payload.userId, payload.connectionId, payload.options);
+      result.postSync = await postSyncService.run(payload.userId);
+      return result;
+    });
+    jobQueueService.registerHandler(SYNC_JOB_TYPE.USER, (payload) => this.runUserSyncJob(payload));
+  }
+
+  /**
+   * Queue a syncConnection run for one connection; returns { job, created }
+   */
+  async enqueueConnectionSync(connection, options = {}) {
+    return this.queueConnectionJob(SYNC_JOB_TYPE.CONNECTION, connection, options);
+  }
+
+  /**
+   * Queue a Powens incremental sync, or with { fullHistorySync: true } a full-history sync, for one connection
+   */
+  async enqueueConnectionDataSync(connection, options = {}) {
+    return this.queueConnectionJob(SYNC_JOB_TYPE.CONNECTION_DATA, connection, options);
+  }
+
+  /**
+   * Queue a syncConnection run for each of a user's connections, as one job
+   */
+  async enqueueUserSync(userId, options = {}) {
+    return this.queueUserJob(SYNC_JOB_TYPE.CONNECTION, userId, options);
+  }
+
+  /**
+   * Queue a Powens incremental or full-history sync for each of a user's connections, as one job
+   */
+  async enqueueUserDataSync(userId, options = {}) {
+    return this.queueUserJob(SYNC_JOB_TYPE.CONNECTION_DATA, userId, options);
+  }
+
+  /**
+   * Every sync of a connection shares one dedupe key, so a connection is never synced
+   * twice at once, across all server instances
+   */
+  async queueConnectionJob(jobType, connection, options) {
+    return jobQueueService.enqueue(jobType, {
+      connectionId: connection.id,
+      userId: connection.user_id,
+      options
+    }, {
+      userId: connection.user_id,
+      dedupeKey: `sync:${connection.id}`
+    });
+  }
+
+  /**
+   * Queue the job running runUserSyncJob for jobType
+   */
+  async queueUserJob(jobType, userId, options) {
+    return jobQueueService.enqueue(SYNC_JOB_TYPE.USER, { userId, jobType, options }, {
+      userId,
+      dedupeKey: `sync_user:${userId}:${jobType}`
+    });
+  }
+
+  /**
+   * Job handler for SYNC_JOB_TYPE.USER: queue a connection sync for each connection.
+   * The queued job IDs are the result; GET /api/jobs/:id reports their progress.
+   */
+  async runUserSyncJob({ userId, jobType, options }) {
+    // Manual connections hold file imports; there is nothing to pull from Powens
+    const connections = (await BankConnectionModel.findByUserId(userId))
+      .filter(connection => connection.connection_type !== 'manual');
+
+    const jobs = [];
+    for (const connection of connections) {
+      const { job, created } = await this.queueConnectionJob(jobType, connection, options);
+      jobs.push({ jobId: job.id, connectionId: connection.id, bankName: connection.bank_name, deduplicated: !created });
+    }
+
+    logger.info('Queued sync for all user connections', { userId, jobType, total: connections.length });
+    return { jobIds: jobs.map(job => job.jobId), jobs };
   }
 
   /**
@@ -40,19 +144,15 @@ class SyncService {
       type = SYNC_TYPE.MANUAL,
       force = false,
       includeTransactions = true,
-      userId = null
+      onProgress = null
     } = options;
 
     const syncId = `${connectionId}-${Date.now()}`;
+    const steps = [];
+    const stepErrors = [];
+    let syncLog = null;
     
     try {
-      // Prevent duplicate sync jobs
-      if (this.activeJobs.has(connectionId) && !force) {
-        logger.warn('Sync already in progress for connection', { connectionId });
-        return { status: 'already_running', syncId: this.activeJobs.get(connectionId) };
-      }
-
-      this.activeJobs.set(connectionId, syncId);
       logger.info('Starting sync job', { syncId, connectionId, type });
 
       // Get connection details
@@ -71,16 +171,28 @@ class SyncService {
         return { status: 'skipped', reason: shouldSync.reason };
       }
 
+      // Record the run before anything is synced, so interrupted runs show up in the history
+      const syncPeriod = includeTransactions ? this.getTransactionSyncPeriod(type, connection.last_sync_at) : null;
+      syncLog = await SyncLogModel.start({
+        user_id: connection.user_id,
+        connection_id: connectionId,
+        sync_type: type,
+        sync_metadata: { syncId, reason: shouldSync.reason, includeTransactions, syncPeriod }
+      });
+
       // Update sync status
       await BankConnectionModel.updateSyncStatus(connectionId, SYNC_STATUS.IN_PROGRESS);
 
       // Refresh token if needed
-      const validToken = await this.ensureValidToken(connection);
+      const validToken = await this.timeStep(steps, 'token', () => this.ensureValidToken(connection), onProgress);
 
       // Execute sync steps
       const syncResult = await this.executeSyncSteps(validToken, connection, {
         includeTransactions,
-        type
+        syncPeriod,
+        steps,
+        errors: stepErrors,
+        onProgress
       });
 
       // Update final status
@@ -88,9 +200,7 @@ class SyncService {
       await BankConnectionModel.updateSyncStatus(connectionId, finalStatus, 
         syncResult.errors.length > 0 ? syncResult.errors.join(', ') : null
       );
-
-      // Update statistics
-      this.updateSyncStats(finalStatus);
+      await this.completeSyncLog(syncLog, finalStatus, steps, syncResult.errors);
 
       logger.info('Sync completed', {
         syncId,
@@ -104,6 +214,7 @@ class SyncService {
       return {
         status: finalStatus,
         syncId,
+        syncLogId: syncLog.id,
         ...syncResult
       };
 
@@ -112,11 +223,11 @@ class SyncService {
       
       // Update error status
       await BankConnectionModel.updateSyncStatus(connectionId, SYNC_STATUS.FAILED, error.message);
-      this.updateSyncStats(SYNC_STATUS.FAILED);
+      if (syncLog) {
+        await this.completeSyncLog(syncLog, SYNC_STATUS.FAILED, steps, stepErrors, error.message);
+      }
 
       throw error;
-    } finally {
-      this.activeJobs.delete(connectionId);
     }
   }
 
@@ -210,85 +321,104 @@ class SyncService {
   }
 
   /**
-   * Execute the actual sync steps
+   * Execute the actual sync steps, recording each in steps (name, timing and item counts)
+   * and item-level errors in errors, so both survive a step that aborts the sync
    */
   async executeSyncSteps(accessToken, connection, options) {
-    const { includeTransactions, type } = options;
-    const errors = [];
+    const { includeTransactions, syncPeriod, steps = [], errors = [], onProgress = null } = options;
     let accountsSynced = 0;
     let transactionsSynced = 0;
 
     try {
       // Step 1: Sync accounts
       logger.info('Syncing accounts', { connectionId: connection.id });
-      const accounts = await powensService.getUserAccounts(accessToken);
-      
-      for (const powensAccount of accounts) {
-        try {
-          const accountData = powensService.mapPowensAccountToLocal(
-            powensAccount, 
-            connection.user_id, 
-            connection.id
-          );
-          
-          await BankAccountModel.findOrCreateByPowensId(accountData);
-          accountsSynced++;
-        } catch (accountError) {
-          logger.error('Account sync failed', { 
-            accountId: powensAccount.id, 
-            error: accountError.message 
-          });
-          errors.push(`Account ${powensAccount.id}: ${accountError.message}`);
+      await this.timeStep(steps, 'accounts', async (step) => {
+        const accounts = await powensService.getUserAccounts(accessToken);
+        step.processed = accounts.length;
+        
+        for (const powensAccount of accounts) {
+          try {
+            const accountData = powensService.mapPowensAccountToLocal(
+              powensAccount, 
+              connection.user_id, 
+              connection.id
+            );
+            
+            await BankAccountModel.findOrCreateByPowensId(accountData);
+            accountsSynced++;
+          } catch (accountError) {
+            logger.error('Account sync failed', { 
+              accountId: powensAccount.id, 
+              error: accountError.message 
+            });
+            errors.push(`Account ${powensAccount.id}: ${accountError.message}`);
+          }
         }
-      }
+
+        step.succeeded = accountsSynced;
+        step.failed = accounts.length - accountsSynced;
+      }, onProgress);
 
       // Step 2: Sync transactions (if requested)
       if (includeTransactions) {
         logger.info('Syncing transactions', { connectionId: connection.id });
-        
-        // Determine transaction sync period based on sync type
-        const syncPeriod = this.getTransactionSyncPeriod(type, connection.last_sync_at);
-        
-        const transactions = await powensService.getUserTransactions(accessToken, {
-          limit: 1000,
-          minDate: syncPeriod.startDate,
-          maxDate: syncPeriod.endDate
-        });
-
-        for (const powensTransaction of transactions) {
-          try {
-            // Find the corresponding account
-            const account = await BankAccountModel.findByPowensId(powensTransaction.id_account);
-            if (account) {
-              const transactionData = powensService.mapPowensTransactionToLocal(
-                powensTransaction,
+        await this.timeStep(steps, 'transactions', async (step) => {
+          const accounts = (await BankAccountModel.findByConnectionId(connection.id))
+            .filter(account => account.powens_account_id);
+          step.processed = 0;
+          step.failed = 0;
+          step.accounts = {};
+
+          // Each account pages through its changes since its own checkpoint; syncPeriod only
+          // applies to accounts that have not completed a sync yet
+          for (const account of accounts) {
+            try {
+              const accountResult = await powensSyncService.syncAccountTransactions(
+                accessToken,
                 connection.user_id,
-                account.id
+                account,
+                { window: syncPeriod }
               );
-              
-              await TransactionModel.findOrCreateByPowensId(transactionData);
-              transactionsSynced++;
-            } else {
-              logger.warn('Account not found for transaction', { 
-                transactionId: powensTransaction.id,
-                accountId: powensTransaction.id_account 
+
+              step.processed += accountResult.processed;
+              step.failed += accountResult.failed;
+              step.accounts[account.id] = { mode: accountResult.mode, processed: accountResult.processed };
+              transactionsSynced += accountResult.synced;
+              errors.push(...accountResult.errors.map(item => `Transaction ${item.powensTransactionId}: ${item.error}`));
+            } catch (accountError) {
+              step.failed++;
+              logger.error('Account transactions sync failed', { 
+                accountId: account.id, 
+                error: accountError.message 
               });
+              errors.push(`Account ${account.id} transactions: ${accountError.message}`);
             }
-          } catch (transactionError) {
-            logger.error('Transaction sync failed', { 
-              transactionId: powensTransaction.id, 
-              error: transactionError.message 
-            });
-            errors.push(`Transaction ${powensTransaction.id}: ${transactionError.message}`);
           }
-        }
+
+          step.succeeded = transactionsSynced;
+        }, onProgress);
+      }
+
+      // Steps 3-6: reconciliation, transfers, categorization and budgets; a sync without
+      // transactions only re-evaluates budgets
+      for (const postSyncStep of postSyncService.steps) {
+        if (postSyncStep.needsTransactions && !includeTransactions) continue;
+
+        await this.timeStep(steps, postSyncStep.name, async (step) => {
+          const { result, error } = await postSyncService.runStep(postSyncStep, connection.user_id);
+          if (error) {
+            errors.push(`${postSyncStep.label}: ${error.message}`);
+          } else if (postSyncStep.counts) {
+            Object.assign(step, postSyncStep.counts(result));
+          }
+        }, onProgress);
       }
 
       return {
         accountsSynced,
         transactionsSynced,
         errors,
-        syncPeriod: includeTransactions ? this.getTransactionSyncPeriod(type, connection.last_sync_at) : null
+        syncPeriod
       };
 
     } catch (error) {
@@ -296,13 +426,58 @@ class SyncService {
         connectionId: connection.id, 
         error: error.message 
       });
-      errors.push(`Execution failed: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Determine the appropriate transaction sync period
+   * Run one sync step and record it in steps with its duration; a step that throws
+   * is recorded as failed before the error propagates. onProgress, when given, is told
+   * which step starts and which are done.
+   */
+  async timeStep(steps, name, fn, onProgress = null) {
+    if (onProgress) {
+      await onProgress({ currentStep: name, completedSteps: steps.map(step => step.name) });
+    }
+
+    const step = { name, startedAt: new Date().toISOString() };
+    steps.push(step);
+    const startTime = Date.now();
+
+    try {
+      return await fn(step);
+    } catch (error) {
+      step.error = error.message;
+      throw error;
+    } finally {
+      step.durationMs = Date.now() - startTime;
+    }
+  }
+
+  /**
+   * Write the outcome of a run to its sync_logs row. Item counts cover accounts and
+   * transactions; a failure to write is logged, never allowed to fail the sync itself.
+   */
+  async completeSyncLog(syncLog, status, steps, errors, errorMessage = null) {
+    const itemSteps = steps.filter(step => step.name === 'accounts' || step.name === 'transactions');
+    const sum = (field) => itemSteps.reduce((total, step) => total + (step[field] || 0), 0);
+
+    try {
+      await SyncLogModel.complete(syncLog.id, {
+        status: SYNC_LOG_STATUS[status],
+        items_processed: sum('processed'),
+        items_succeeded: sum('succeeded'),
+        items_failed: sum('failed'),
+        error_message: errorMessage || (errors.length > 0 ? `${errors.length} errors during sync` : null),
+        sync_metadata: { steps, errors }
+      });
+    } catch (logError) {
+      logger.error('Failed to record sync run', { syncLogId: syncLog.id, error: logError.message });
+    }
+  }
+
+  /**
+   * Determine the booking date window fetched for accounts without a transaction checkpoint
    */
   getTransactionSyncPeriod(type, lastSyncAt) {
     const now = new Date();
@@ -337,41 +512,6 @@ class SyncService {
     }
   }
 
-  /**
-   * Sync all connections for a user
-   */
-  async syncAllUserConnections(userId, options = {}) {
-    logger.info('Starting sync for all user connections', { userId });
-
-    const connections = await BankConnectionModel.findByUserId(userId);
-    const results = [];
-
-    for (const connection of connections) {
-      try {
-        const result = await this.syncConnection(connection.id, {
-          ...options,
-          userId,
-          type: SYNC_TYPE.MANUAL
-        });
-        results.push({ connectionId: connection.id, ...result });
-      } catch (error) {
-        results.push({ 
-          connectionId: connection.id, 
-          status: SYNC_STATUS.FAILED, 
-          error: error.message 
-        });
-      }
-    }
-
-    logger.info('Completed sync for all user connections', { 
-      userId, 
-      total: connections.length,
-      successful: results.filter(r => r.status === SYNC_STATUS.SUCCESS).length
-    });
-
-    return results;
-  }
-
   /**
    * Get sync status for a connection
    */
@@ -381,7 +521,7 @@ class SyncService {
       throw new Error('Connection not found');
     }
 
-    const isRunning = this.activeJobs.has(connectionId);
+    const activeJob = await JobModel.findActiveByDedupeKey(`sync:${connectionId}`);
     const shouldSync = await this.shouldSyncConnection(connection);
 
     return {
@@ -389,8 +529,9 @@ class SyncService {
       status: connection.last_sync_status,
       lastSyncAt: connection.last_sync_at,
       lastSyncError: connection.last_sync_error,
-      isRunning,
-      activeSyncId: isRunning ? this.activeJobs.get(connectionId) : null,
+      isRunning: activeJob?.status === 'running',
+      isQueued: activeJob ? activeJob.status !== 'running' : false,
+      activeJobId: activeJob?.id || null,
       shouldSync: shouldSync.sync,
       shouldSyncReason: shouldSync.reason,
       nextAllowedSync: shouldSync.nextAllowedSync || null
@@ -398,31 +539,92 @@ class SyncService {
   }
 
   /**
-   * Update internal sync statistics
+   * Sync statistics from the recorded runs of the last days, for one user or (userId null) all users
    */
-  updateSyncStats(status) {
-    this.syncStats.totalSyncs++;
-    this.syncStats.lastSyncTime = new Date();
-    
-    if (status === SYNC_STATUS.SUCCESS || status === SYNC_STATUS.PARTIAL) {
-      this.syncStats.successfulSyncs++;
-    } else if (status === SYNC_STATUS.FAILED) {
-      this.syncStats.failedSyncs++;
+  async getStats(userId = null, { days = SYNC_HISTORY_DEFAULTS.STATS_DAYS } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const [stats, runningJobs] = await Promise.all([
+      SyncLogModel.getStats(userId, since),
+      JobModel.countRunning(userId)
+    ]);
+
+    const completedSyncs = parseInt(stats.completed_syncs);
+    const partialSyncs = parseInt(stats.partial_syncs);
+    const failedSyncs = parseInt(stats.failed_syncs);
+    const finishedSyncs = completedSyncs + partialSyncs + failedSyncs;
+
+    return {
+      periodDays: days,
+      totalSyncs: parseInt(stats.total_syncs),
+      successfulSyncs: completedSyncs + partialSyncs,
+      completedSyncs,
+      partialSyncs,
+      failedSyncs,
+      runningSyncs: parseInt(stats.running_syncs),
+      itemsProcessed: parseInt(stats.items_processed),
+      itemsFailed: parseInt(stats.items_failed),
+      averageDurationMs: stats.avg_duration_ms !== null ? Math.round(parseFloat(stats.avg_duration_ms)) : null,
+      lastSyncTime: stats.last_sync_time,
+      lastSuccessfulSyncTime: stats.last_successful_sync_time,
+      activeJobs: runningJobs,
+      successRate: finishedSyncs > 0
+        ? ((completedSyncs + partialSyncs) / finishedSyncs * 100).toFixed(2) + '%'
+        : '0%'
+    };
+  }
+
+  /**
+   * Validate sync history query parameters; returns { filters, errors }
+   */
+  parseHistoryFilters(query = {}) {
+    const errors = [];
+    const filters = {};
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+    if (query.connectionId) {
+      if (UUID_PATTERN.test(query.connectionId)) filters.connectionId = query.connectionId;
+      else errors.push('connectionId must be a UUID');
+    }
+    if (query.status) {
+      const statuses = ['started', ...Object.values(SYNC_LOG_STATUS)];
+      if (statuses.includes(query.status)) filters.status = query.status;
+      else errors.push(`status must be one of ${statuses.join(', ')}`);
+    }
+    for (const field of ['startDate', 'endDate']) {
+      if (!query[field]) continue;
+      if (isDate(query[field])) filters[field] = query[field];
+      else errors.push(`${field} must be a date (YYYY-MM-DD)`);
+    }
+    if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+      errors.push('startDate must be before endDate');
+    }
+
+    filters.limit = query.limit !== undefined ? parseInt(query.limit) : SYNC_HISTORY_DEFAULTS.LIMIT;
+    filters.offset = query.offset !== undefined ? parseInt(query.offset) : 0;
+    if (!(filters.limit >= 1 && filters.limit <= SYNC_HISTORY_DEFAULTS.MAX_LIMIT)) {
+      errors.push(`limit must be between 1 and ${SYNC_HISTORY_DEFAULTS.MAX_LIMIT}`);
     }
+    if (!(filters.offset >= 0)) {
+      errors.push('offset must be 0 or more');
+    }
+
+    return { filters, errors };
   }
 
   /**
-   * Get service statistics
+   * Validate the statistics window; returns { options, errors }
    */
-  getStats() {
-    return {
-      ...this.syncStats,
-      activeJobs: this.activeJobs.size,
-      activeSyncIds: Array.from(this.activeJobs.values()),
-      successRate: this.syncStats.totalSyncs > 0 
-        ? (this.syncStats.successfulSyncs / this.syncStats.totalSyncs * 100).toFixed(2) + '%'
-        : '0%'
+  parseStatsOptions(query = {}) {
+    const errors = [];
+    const options = {
+      days: query.days !== undefined ? parseInt(query.days) : SYNC_HISTORY_DEFAULTS.STATS_DAYS
     };
+
+    if (!(options.days >= 1 && options.days <= SYNC_HISTORY_DEFAULTS.MAX_STATS_DAYS)) {
+      errors.push(`days must be between 1 and ${SYNC_HISTORY_DEFAULTS.MAX_STATS_DAYS}`);
+    }
+
+    return { options, errors };
   }
 }
 
@@ -0,0 +1,102 @@
+const { logger } = require('../utils/logger');
+const { detectTransfers } = require('../utils/transfers');
+const { toIsoDate, addDays } = require('../utils/recurrence');
+const TransactionModel = require('../models/Transaction');
+const TransactionTransferModel = require('../models/TransactionTransfer');
+
+// Transactions older than this are not scanned any more; list paging limits
+const TRANSFER_CONFIG = {
+  LOOKBACK_DAYS: 90,
+  LIST_LIMIT: 50,
+  MAX_LIST_LIMIT: 200
+};
+
+const TRANSFER_STATUS = ['linked', 'dismissed'];
+
+/**
+ * Transfer Service
+ *
+ * Detects money moved between a user's own accounts and links both sides as one
+ * transfer, so income and expense totals leave it out. Dismissed transfers are
+ * not detected again.
+ */
+class TransferService {
+  /**
+   * Detect and link a user's recent internal transfers. Returns counts of what was
+   * scanned and linked.
+   */
+  async detectForUser(userId, { asOf = new Date() } = {}) {
+    const since = addDays(toIsoDate(asOf), -TRANSFER_CONFIG.LOOKBACK_DAYS);
+    const candidates = await TransactionModel.findTransferCandidates(userId, since);
+    const summary = { transactionsScanned: candidates.length, linked: 0, skipped: 0 };
+
+    // A transfer needs two accounts
+    if (new Set(candidates.map(row => row.account_id)).size < 2) {
+      return summary;
+    }
+
+    const excludedPairs = await TransactionTransferModel.findDismissedPairs(userId);
+    const transfers = detectTransfers(candidates, { excludedPairs });
+
+    for (const transfer of transfers) {
+      const linked = await TransactionTransferModel.link(userId, {
+        outgoingId: transfer.outgoing.id,
+        incomingId: transfer.incoming.id,
+        score: transfer.score,
+        details: transfer.details
+      });
+
+      // A side that changed since it was read (e.g. reconciled meanwhile) is left for the next run
+      if (linked) {
+        summary.linked++;
+      } else {
+        summary.skipped++;
+      }
+    }
+
+    logger.info('Internal transfers detected', { userId, ...summary });
+    return summary;
+  }
+
+  /**
+   * Dismiss one of the user's linked transfers and return it; null when there is none with this ID
+   */
+  async dismiss(userId, transferId) {
+    const dismissed = await TransactionTransferModel.dismiss(userId, transferId);
+    if (!dismissed) {
+      return null;
+    }
+
+    logger.info('Transfer dismissed', { userId, transferId });
+    return TransactionTransferModel.findById(userId, transferId);
+  }
+
+  /**
+   * Parse status, limit and offset for the transfer list. Returns { filters, errors }.
+   */
+  parseListFilters(query = {}) {
+    const filters = { limit: TRANSFER_CONFIG.LIST_LIMIT, offset: 0 };
+    const errors = [];
+
+    if (query.status !== undefined) {
+      if (TRANSFER_STATUS.includes(query.status)) filters.status = query.status;
+      else errors.push(`status must be one of: ${TRANSFER_STATUS.join(', ')}`);
+    }
+
+    if (query.limit !== undefined) {
+      const limit = parseInt(query.limit);
+      if (Number.isInteger(limit) && limit >= 1 && limit <= TRANSFER_CONFIG.MAX_LIST_LIMIT) filters.limit = limit;
+      else errors.push(`limit must be an integer between 1 and ${TRANSFER_CONFIG.MAX_LIST_LIMIT}`);
+    }
+
+    if (query.offset !== undefined) {
+      const offset = parseInt(query.offset);
+      if (Number.isInteger(offset) && offset >= 0) filters.offset = offset;
+      else errors.push('offset must be a non-negative integer');
+    }
+
+    return { filters, errors };
+  }
+}
+
+module.exports = new TransferService();
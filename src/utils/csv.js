@@ -0,0 +1,82 @@
+/**
+ * Minimal RFC 4180 CSV reader: quoted fields, escaped quotes ("") and
+ * newlines inside quotes. Returns an array of rows (arrays of strings).
+ */
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Pick the delimiter that splits the first lines most consistently
+ */
+const detectDelimiter = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10);
+  let best = ',';
+  let bestScore = 0;
+
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    const counts = lines.map(line => parseCsv(line, { delimiter })[0]?.length || 0);
+    const min = Math.min(...counts);
+    // Prefer delimiters that yield the same, larger column count on every line
+    const score = min > 1 && counts.every(count => count === counts[0]) ? min * 2 : min;
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Parse CSV text into rows. Blank lines are skipped.
+ */
+const parseCsv = (text, { delimiter = ',' } = {}) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+module.exports = {
+  parseCsv,
+  detectDelimiter
+};
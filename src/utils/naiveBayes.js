@@ -0,0 +1,86 @@
+/**
+ * Multinomial naive Bayes text classifier.
+ *
+ * Small, dependency-free and deterministic: a model is a plain object of
+ * token counts per label, so it can be rebuilt cheaply from training rows.
+ */
+
+const MIN_TOKEN_LENGTH = 2;
+
+/**
+ * Split free text into normalized tokens (lowercase, accents stripped, no pure numbers)
+ */
+const tokenize = (text) => {
+  if (!text) return [];
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length >= MIN_TOKEN_LENGTH && !/^\d+$/.test(token));
+};
+
+/**
+ * Build a model from examples of { label, tokens }
+ */
+const train = (examples) => {
+  const labels = {};
+  const vocabulary = new Set();
+
+  for (const { label, tokens } of examples) {
+    if (!labels[label]) {
+      labels[label] = { documents: 0, tokenTotal: 0, tokenCounts: {} };
+    }
+
+    const entry = labels[label];
+    entry.documents++;
+    for (const token of tokens) {
+      entry.tokenCounts[token] = (entry.tokenCounts[token] || 0) + 1;
+      entry.tokenTotal++;
+      vocabulary.add(token);
+    }
+  }
+
+  return {
+    labels,
+    documentCount: examples.length,
+    vocabularySize: vocabulary.size
+  };
+};
+
+/**
+ * Score tokens against a model. Returns labels ordered by posterior probability;
+ * the first entry's probability is the classifier's confidence.
+ */
+const predict = (model, tokens) => {
+  const labelNames = Object.keys(model.labels);
+  if (labelNames.length === 0 || tokens.length === 0) return [];
+
+  // Laplace-smoothed log likelihoods plus log priors
+  const logScores = labelNames.map(label => {
+    const entry = model.labels[label];
+    let score = Math.log(entry.documents / model.documentCount);
+    const denominator = entry.tokenTotal + model.vocabularySize + 1;
+
+    for (const token of tokens) {
+      score += Math.log(((entry.tokenCounts[token] || 0) + 1) / denominator);
+    }
+
+    return { label, score };
+  });
+
+  // Normalize with log-sum-exp to get probabilities
+  const maxScore = Math.max(...logScores.map(s => s.score));
+  const total = logScores.reduce((sum, s) => sum + Math.exp(s.score - maxScore), 0);
+
+  return logScores
+    .map(({ label, score }) => ({ label, probability: Math.exp(score - maxScore) / total }))
+    .sort((a, b) => b.probability - a.probability);
+};
+
+module.exports = {
+  tokenize,
+  train,
+  predict
+};
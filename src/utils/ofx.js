@@ -0,0 +1,97 @@
+/**
+ * Tolerant OFX reader for both 1.x SGML (leaf elements usually left unclosed)
+ * and 2.x XML. Returns the <OFX> element as a tree of { name, value, children }
+ * nodes; leaves carry a value, aggregates carry children.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'', nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return Number.isNaN(code) ? entity : String.fromCodePoint(code);
+  }
+  return ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+/**
+ * Parse an OFX document. Throws when no <OFX> element is present.
+ */
+const parseOfx = (text) => {
+  const start = text.search(/<OFX>/i);
+  if (start === -1) {
+    throw new Error('Not an OFX document: <OFX> element not found');
+  }
+
+  // Headers before <OFX> (SGML key:value lines or XML processing instructions) are not needed
+  const body = text.slice(start)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<\?[\s\S]*?\?>/g, '');
+
+  const root = { name: '#document', value: null, children: [] };
+  const stack = [root];
+  const tagPattern = /<(\/?)([A-Za-z0-9._]+)([^>]*)>([^<]*)/g;
+  let match;
+
+  while ((match = tagPattern.exec(body)) !== null) {
+    const [, closing, rawName, rest, rawText] = match;
+    const name = rawName.toUpperCase();
+
+    if (closing) {
+      // Closes the nearest open aggregate of that name (and any unclosed ones inside it).
+      // Closing tags of leaves, as written by 2.x and some 1.x exporters, match nothing and are skipped.
+      const index = stack.map(node => node.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const node = { name, value: null, children: [] };
+    stack[stack.length - 1].children.push(node);
+
+    const text = rawText.trim();
+    if (text !== '') {
+      node.value = decodeEntities(text);
+    } else if (!rest.trim().endsWith('/')) {
+      stack.push(node);
+    }
+  }
+
+  const ofx = root.children.find(node => node.name === 'OFX');
+  if (!ofx) {
+    throw new Error('Not an OFX document: <OFX> element not found');
+  }
+  return ofx;
+};
+
+/**
+ * First direct child with the given name
+ */
+const child = (node, name) => (node ? node.children.find(c => c.name === name) || null : null);
+
+/**
+ * Value of a leaf reached through a path of child names, e.g. value(stmt, 'LEDGERBAL', 'BALAMT')
+ */
+const value = (node, ...path) => {
+  let current = node;
+  for (const name of path) current = child(current, name);
+  return current ? current.value : null;
+};
+
+/**
+ * All descendants with the given name, in document order
+ */
+const findAll = (node, name, found = []) => {
+  if (!node) return found;
+  for (const c of node.children) {
+    if (c.name === name) found.push(c);
+    else findAll(c, name, found);
+  }
+  return found;
+};
+
+module.exports = {
+  parseOfx,
+  child,
+  value,
+  findAll
+};
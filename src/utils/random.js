@@ -0,0 +1,43 @@
+// Seedable pseudo-random number generation (mulberry32) so simulations are reproducible
+
+// Create a generator returning floats in [0, 1) for a 32-bit integer seed
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Create a standard normal generator (Box-Muller) on top of a uniform generator
+const createNormal = (random) => {
+  let spare = null;
+
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+
+    let u = 0;
+    while (u === 0) u = random();
+    const v = random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+};
+
+// Pick a fresh seed when the caller does not supply one
+const generateSeed = () => Math.floor(Math.random() * 4294967296);
+
+module.exports = {
+  createRandom,
+  createNormal,
+  generateSeed
+};
@@ -0,0 +1,122 @@
+/**
+ * Pending-to-booked transaction matching.
+ *
+ * Banks report a card payment as pending, then post it under a new ID, often a
+ * few days later and sometimes for a slightly different amount (tips, currency
+ * conversion). Pure functions over plain rows: each pending row is paired with
+ * at most one booked row of the same account, and every booked row with at most
+ * one pending row.
+ */
+
+const { normalizePayee, toIsoDate, daysBetween } = require('./recurrence');
+
+const MATCH_DEFAULTS = {
+  amountTolerance: 0.2, // Share of the pending amount the booked amount may differ by
+  minAmountTolerance: 1, // ...but always at least this much
+  daysBefore: 2, // Booked date may precede the pending date by this many days
+  daysAfter: 10, // ...or follow it by this many
+  minSimilarity: 0.5, // Minimum description similarity
+  minScore: 0.6
+};
+
+// Weight of each criterion in the match score
+const SCORE_WEIGHTS = { description: 0.5, amount: 0.3, date: 0.2 };
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Similarity of two descriptions, 0 to 1: the share of the shorter normalized
+ * payee found in the other, so a truncated pending label still matches
+ */
+const descriptionSimilarity = (a, b) => {
+  const left = new Set(normalizePayee(a).split(' ').filter(Boolean));
+  const right = new Set(normalizePayee(b).split(' ').filter(Boolean));
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let shared = 0;
+  for (const token of left) {
+    if (right.has(token)) shared++;
+  }
+  return shared / Math.min(left.size, right.size);
+};
+
+/**
+ * Score a pending/booked pair. Returns null when they cannot be the same payment,
+ * otherwise { score, details }.
+ */
+const scoreMatch = (pending, booked, options = {}) => {
+  const settings = { ...MATCH_DEFAULTS, ...options };
+  if (pending.account_id !== booked.account_id) return null;
+  if ((pending.currency || 'EUR') !== (booked.currency || 'EUR')) return null;
+
+  const pendingAmount = parseFloat(pending.amount);
+  const bookedAmount = parseFloat(booked.amount);
+  if (Math.sign(pendingAmount) !== Math.sign(bookedAmount)) return null;
+
+  const tolerance = Math.max(Math.abs(pendingAmount) * settings.amountTolerance, settings.minAmountTolerance);
+  const amountDifference = Math.abs(bookedAmount - pendingAmount);
+  if (amountDifference > tolerance) return null;
+
+  const daysApart = daysBetween(toIsoDate(pending.transaction_date), toIsoDate(booked.transaction_date));
+  if (daysApart < -settings.daysBefore || daysApart > settings.daysAfter) return null;
+
+  const similarity = Math.max(
+    descriptionSimilarity(pending.description, booked.description),
+    descriptionSimilarity(pending.merchant_name || pending.description, booked.merchant_name || booked.description)
+  );
+  if (similarity < settings.minSimilarity) return null;
+
+  const dateWindow = daysApart < 0 ? settings.daysBefore : settings.daysAfter;
+  const score = SCORE_WEIGHTS.description * similarity
+    + SCORE_WEIGHTS.amount * (1 - amountDifference / tolerance)
+    + SCORE_WEIGHTS.date * (dateWindow > 0 ? 1 - Math.abs(daysApart) / (dateWindow + 1) : 1);
+  if (score < settings.minScore) return null;
+
+  return {
+    score: round4(score),
+    details: {
+      amountDifference: Math.round(amountDifference * 100) / 100,
+      daysApart,
+      descriptionSimilarity: round4(similarity)
+    }
+  };
+};
+
+/**
+ * Pair pending rows with booked rows, best scores first. excludedPairs holds
+ * "pendingId:bookedId" keys that must not be matched again (reverted matches).
+ * Returns [{ pending, booked, score, details }].
+ */
+const matchPendingTransactions = (pendingRows, bookedRows, { excludedPairs = new Set(), ...options } = {}) => {
+  const candidates = [];
+
+  for (const pending of pendingRows) {
+    for (const booked of bookedRows) {
+      if (excludedPairs.has(`${pending.id}:${booked.id}`)) continue;
+
+      const match = scoreMatch(pending, booked, options);
+      if (match) candidates.push({ pending, booked, ...match });
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  const usedPending = new Set();
+  const usedBooked = new Set();
+  const matches = [];
+  for (const candidate of candidates) {
+    if (usedPending.has(candidate.pending.id) || usedBooked.has(candidate.booked.id)) continue;
+    usedPending.add(candidate.pending.id);
+    usedBooked.add(candidate.booked.id);
+    matches.push(candidate);
+  }
+
+  return matches;
+};
+
+module.exports = {
+  MATCH_DEFAULTS,
+  descriptionSimilarity,
+  scoreMatch,
+  matchPendingTransactions
+};
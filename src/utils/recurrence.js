@@ -0,0 +1,335 @@
+/**
+ * Recurring transaction detection.
+ *
+ * Groups transactions by account, direction and normalized payee, then looks
+ * for a regular cadence with a similar amount. Pure functions over plain rows,
+ * so detection can run on any slice of history and be re-run at will.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Supported cadences: nominal length, accepted gap deviation and the grace period before an occurrence counts as missed (days)
+const CADENCES = {
+  weekly: { days: 7, tolerance: 2, grace: 3, perYear: 52 },
+  biweekly: { days: 14, tolerance: 3, grace: 4, perYear: 26 },
+  monthly: { days: 30.44, months: 1, tolerance: 5, grace: 7, perYear: 12 },
+  quarterly: { days: 91.31, months: 3, tolerance: 12, grace: 15, perYear: 4 },
+  yearly: { days: 365.25, months: 12, tolerance: 20, grace: 30, perYear: 1 }
+};
+
+const DETECTION_DEFAULTS = {
+  minOccurrences: 3,
+  minYearlyOccurrences: 2,
+  regularShare: 0.8, // Share of gaps that must match the cadence (one or two periods)
+  amountTolerance: 0.25, // Occurrence amounts within this share of the median belong to the series
+  amountBandWidth: 0.15, // Width of amount bands when one payee has several series
+  fixedAmountTolerance: 0.01 // Amounts within this share are treated as the same price
+};
+
+// Payment-channel words banks put in front of the payee
+const NOISE_TOKENS = new Set([
+  'prlv', 'prelevement', 'sepa', 'cb', 'carte', 'card', 'paiement', 'payment', 'par', 'vir', 'virement',
+  'inst', 'instantane', 'recu', 'emis', 'de', 'du', 'la', 'le', 'pos', 'ach', 'debit', 'credit', 'dd',
+  'direct', 'facture', 'ref', 'mandat', 'echeance', 'www', 'com', 'fr'
+]);
+
+const MAX_KEY_TOKENS = 4;
+
+/**
+ * Reduce a merchant name or description to a stable payee key: accents, dates,
+ * references and payment-channel words removed
+ */
+const normalizePayee = (text) => {
+  if (!text) return '';
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length >= 2 && !/\d/.test(token) && !NOISE_TOKENS.has(token))
+    .slice(0, MAX_KEY_TOKENS)
+    .join(' ');
+};
+
+/**
+ * YYYY-MM-DD for a DATE column value (pg returns local-midnight Dates) or a date string
+ */
+const toIsoDate = (value) => {
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const dayNumber = (isoDate) => Math.round(Date.parse(`${isoDate}T00:00:00Z`) / DAY_MS);
+
+const fromDayNumber = (days) => new Date(days * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetween = (from, to) => dayNumber(to) - dayNumber(from);
+
+const addDays = (isoDate, days) => fromDayNumber(dayNumber(isoDate) + days);
+
+/**
+ * Add calendar months, keeping anchorDay (default: the date's own day) clamped
+ * to the target month's length
+ */
+const addMonths = (isoDate, months, anchorDay = null) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(anchorDay || day, lastDay));
+  return target.toISOString().slice(0, 10);
+};
+
+/**
+ * The occurrence after isoDate. Month-based cadences keep anchorDay so a series
+ * on the 31st stays at month end.
+ */
+const nextOccurrence = (isoDate, cadence, anchorDay = null) => {
+  const definition = CADENCES[cadence];
+  return definition.months
+    ? addMonths(isoDate, definition.months, anchorDay)
+    : addDays(isoDate, definition.days);
+};
+
+/**
+ * Dates from firstDate onwards, following the cadence, that fall between from and
+ * to (inclusive) and not after endDate
+ */
+const occurrencesBetween = (firstDate, cadence, from, to, { endDate = null } = {}) => {
+  const anchorDay = Number(firstDate.slice(8, 10));
+  const last = endDate && endDate < to ? endDate : to;
+  const dates = [];
+
+  for (let date = firstDate; date <= last; date = nextOccurrence(date, cadence, anchorDay)) {
+    if (date >= from) dates.push(date);
+  }
+
+  return dates;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const sameAmount = (a, b, tolerance) => Math.abs(a - b) <= Math.max(0.01, Math.abs(b) * tolerance);
+
+/**
+ * Match the gaps between occurrences to a cadence, or null when they are irregular
+ */
+const matchCadence = (gaps, options) => {
+  const typical = median(gaps);
+  const entry = Object.entries(CADENCES).find(([, c]) => Math.abs(typical - c.days) <= c.tolerance);
+  if (!entry) return null;
+
+  const [cadence, definition] = entry;
+  // A gap of two periods is one skipped or merged occurrence, not a different pattern
+  const regular = gaps.filter(gap =>
+    Math.abs(gap - definition.days) <= definition.tolerance ||
+    Math.abs(gap - 2 * definition.days) <= definition.tolerance * 2
+  );
+
+  return regular.length >= gaps.length * options.regularShare ? cadence : null;
+};
+
+/**
+ * Detect the last price change: the latest amount differs from a run of at least
+ * two earlier equal amounts
+ */
+const findPriceChange = (occurrences, tolerance) => {
+  const amounts = occurrences.map(o => Math.abs(o.amount));
+  const latest = amounts[amounts.length - 1];
+
+  let start = amounts.length - 1;
+  while (start > 0 && sameAmount(amounts[start - 1], latest, tolerance)) start--;
+  if (start < 2) return null;
+
+  const previous = amounts[start - 1];
+  if (!sameAmount(amounts[start - 2], previous, tolerance)) return null;
+
+  return {
+    previousAmount: previous,
+    changedAt: occurrences[start].date,
+    occurrencesSinceChange: amounts.length - start
+  };
+};
+
+/**
+ * Keep one occurrence per date (occurrences sorted by date): the one closest to the
+ * typical amount. A retried payment or a not yet reconciled pending/booked pair must
+ * not break an otherwise regular series. The others' IDs go in sameDayIds.
+ */
+const mergeSameDay = (occurrences) => {
+  const typicalAmount = median(occurrences.map(o => Math.abs(o.amount)));
+  const merged = [];
+
+  for (const occurrence of occurrences) {
+    const previous = merged[merged.length - 1];
+    if (!previous || previous.date !== occurrence.date) {
+      merged.push({ ...occurrence, sameDayIds: [] });
+      continue;
+    }
+
+    const closer = Math.abs(Math.abs(occurrence.amount) - typicalAmount) < Math.abs(Math.abs(previous.amount) - typicalAmount);
+    const [kept, dropped] = closer ? [occurrence, previous] : [previous, occurrence];
+    merged[merged.length - 1] = { ...kept, sameDayIds: [...previous.sameDayIds, dropped.id] };
+  }
+
+  return merged;
+};
+
+/**
+ * Analyze one candidate group of occurrences (sorted by date). Returns the series
+ * or null when the occurrences are not recurring.
+ */
+const analyzeOccurrences = (allOccurrences, asOf, options) => {
+  const occurrences = mergeSameDay(allOccurrences);
+  if (occurrences.length < options.minYearlyOccurrences) return null;
+
+  const amounts = occurrences.map(o => Math.abs(o.amount));
+  const typicalAmount = median(amounts);
+  const similar = amounts.filter(amount => sameAmount(amount, typicalAmount, options.amountTolerance));
+  if (similar.length < amounts.length * 0.75) return null;
+
+  const gaps = occurrences.slice(1).map((o, i) => daysBetween(occurrences[i].date, o.date));
+
+  const cadence = matchCadence(gaps, options);
+  if (!cadence) return null;
+  const minOccurrences = cadence === 'yearly' ? options.minYearlyOccurrences : options.minOccurrences;
+  if (occurrences.length < minOccurrences) return null;
+  if (cadence === 'yearly' && occurrences.length === 2 && !sameAmount(amounts[0], amounts[1], 0.05)) return null;
+
+  const definition = CADENCES[cadence];
+  const last = occurrences[occurrences.length - 1];
+  const anchorDay = definition.months
+    ? Math.round(median(occurrences.map(o => Number(o.date.slice(8, 10)))))
+    : null;
+  const nextExpectedDate = nextOccurrence(last.date, cadence, anchorDay);
+  const overdue = daysBetween(nextExpectedDate, asOf);
+
+  let status = 'active';
+  if (overdue > 2 * definition.days + definition.grace) status = 'ended';
+  else if (overdue > definition.grace) status = 'missed';
+
+  const priceChange = findPriceChange(occurrences, options.fixedAmountTolerance);
+  const currentPrice = Math.abs(last.amount);
+  const fixedCount = amounts.filter(amount =>
+    sameAmount(amount, currentPrice, options.fixedAmountTolerance) ||
+    (priceChange && sameAmount(amount, priceChange.previousAmount, options.fixedAmountTolerance))
+  ).length;
+  const isFixedAmount = fixedCount >= amounts.length * 0.8;
+  const direction = last.amount < 0 ? 'expense' : 'income';
+  // A standing order to another of the user's accounts; its latest side may not be linked yet
+  const isTransfer = occurrences.filter(o => o.transfer_id).length >= occurrences.length / 2;
+  const categorized = [...occurrences].reverse().find(o => o.category);
+
+  return {
+    cadence,
+    direction,
+    name: last.merchant_name || last.description,
+    category: categorized ? categorized.category : null,
+    subcategory: categorized ? categorized.subcategory : null,
+    currency: last.currency,
+    expected_amount: round2(last.amount),
+    average_amount: round2(occurrences.reduce((sum, o) => sum + o.amount, 0) / occurrences.length),
+    previous_amount: priceChange ? round2(Math.sign(last.amount) * priceChange.previousAmount) : null,
+    occurrence_count: occurrences.length,
+    first_date: occurrences[0].date,
+    last_date: last.date,
+    next_expected_date: nextExpectedDate,
+    status,
+    is_missed: status !== 'active',
+    // Only a change in the last two occurrences is news; older ones are the current price
+    is_price_changed: Boolean(priceChange && priceChange.occurrencesSinceChange <= 2),
+    price_changed_at: priceChange ? priceChange.changedAt : null,
+    is_subscription: direction === 'expense' && cadence !== 'biweekly' && isFixedAmount && !isTransfer,
+    is_transfer: isTransfer,
+    transaction_ids: occurrences.flatMap(o => [o.id, ...o.sameDayIds])
+  };
+};
+
+/**
+ * Split a payee's occurrences into bands of similar amounts
+ */
+const splitByAmount = (occurrences, bandWidth) => {
+  const bands = [];
+  const sorted = [...occurrences].sort((a, b) => Math.abs(a.amount) - Math.abs(b.amount));
+
+  for (const occurrence of sorted) {
+    const band = bands[bands.length - 1];
+    if (band && Math.abs(occurrence.amount) <= band.floor * (1 + bandWidth) + 0.01) {
+      band.occurrences.push(occurrence);
+    } else {
+      bands.push({ floor: Math.abs(occurrence.amount), occurrences: [occurrence] });
+    }
+  }
+
+  return bands.map(band => band.occurrences.sort((a, b) => a.date.localeCompare(b.date)));
+};
+
+/**
+ * Detect recurring series in transactions ({ id, account_id, transaction_date,
+ * amount, currency, description, merchant_name, category, subcategory, transfer_id }).
+ * Each series carries a key that is stable across runs and its transaction_ids;
+ * is_transfer marks series made of transactions linked as internal transfers.
+ */
+const detectSeries = (transactions, { asOf = new Date(), ...overrides } = {}) => {
+  const options = { ...DETECTION_DEFAULTS, ...overrides };
+  const today = toIsoDate(asOf);
+  const groups = new Map();
+
+  for (const transaction of transactions) {
+    const amount = parseFloat(transaction.amount);
+    if (!amount) continue;
+
+    const payee = normalizePayee(transaction.merchant_name) || normalizePayee(transaction.description);
+    if (!payee) continue;
+
+    const direction = amount < 0 ? 'expense' : 'income';
+    const groupKey = `${transaction.account_id}|${direction}|${payee}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { account_id: transaction.account_id, payee, occurrences: [] });
+    }
+    groups.get(groupKey).occurrences.push({ ...transaction, amount, date: toIsoDate(transaction.transaction_date) });
+  }
+
+  const series = [];
+  for (const group of groups.values()) {
+    const occurrences = group.occurrences.sort((a, b) => a.date.localeCompare(b.date));
+
+    const whole = analyzeOccurrences(occurrences, today, options);
+    if (whole) {
+      series.push({ ...whole, account_id: group.account_id, series_key: group.payee });
+      continue;
+    }
+
+    // Several series with one payee (two subscriptions, or a subscription among one-off purchases)
+    for (const band of splitByAmount(occurrences, options.amountBandWidth)) {
+      const result = analyzeOccurrences(band, today, options);
+      if (result) {
+        const bandAmount = Math.round(median(band.map(o => Math.abs(o.amount))));
+        series.push({ ...result, account_id: group.account_id, series_key: `${group.payee} ~${bandAmount}` });
+      }
+    }
+  }
+
+  return series;
+};
+
+module.exports = {
+  CADENCES,
+  normalizePayee,
+  toIsoDate,
+  addDays,
+  addMonths,
+  daysBetween,
+  nextOccurrence,
+  occurrencesBetween,
+  detectSeries
+};
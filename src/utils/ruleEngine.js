@@ -0,0 +1,195 @@
+const { logger } = require('./logger');
+
+/**
+ * Categorization rule matching.
+ *
+ * Pure functions shared by transaction imports and retroactive rule runs.
+ * Rules are evaluated in the order given (callers sort by priority); for each
+ * field the first matching rule that sets it wins, while tags accumulate.
+ */
+
+const regexCache = new Map();
+const REGEX_CACHE_LIMIT = 500;
+
+const QUANTIFIER_BRACES = /^\{(\d+)(,(\d*))?\}/;
+
+// Length of the quantifier at pattern[index] (0 if none) and whether it can repeat its atom
+const readQuantifier = (pattern, index) => {
+  const char = pattern[index];
+  if (char === '*' || char === '+') return { length: 1, repeats: true };
+  if (char === '?') return { length: 1, repeats: false };
+  if (char === '{') {
+    const braces = pattern.slice(index).match(QUANTIFIER_BRACES);
+    if (braces) {
+      const min = parseInt(braces[1]);
+      const max = braces[2] ? (braces[3] === '' ? Infinity : parseInt(braces[3])) : min;
+      return { length: braces[0].length, repeats: max > 1 };
+    }
+  }
+  return { length: 0, repeats: false };
+};
+
+/**
+ * Whether a pattern is safe from catastrophic backtracking. Rejects backreferences and
+ * repeated groups that hold a quantifier or an alternation, like (a+)+ or (a|ab)*, whose
+ * match time can grow exponentially with the description's length.
+ */
+const isSafePattern = (pattern) => {
+  const groups = [{ quantified: false, alternation: false }];
+  let index = 0;
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+    const group = groups[groups.length - 1];
+    let atomEnd = index + 1;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[index + 1] || '')) return false;
+      atomEnd = index + 2;
+    } else if (char === '[') {
+      atomEnd = index + 1;
+      while (atomEnd < pattern.length && pattern[atomEnd] !== ']') {
+        atomEnd += pattern[atomEnd] === '\\' ? 2 : 1;
+      }
+      atomEnd++;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      index++;
+      continue;
+    } else if (char === '|') {
+      group.alternation = true;
+      index++;
+      continue;
+    } else if (char === ')') {
+      const closed = groups.pop();
+      const quantifier = readQuantifier(pattern, index + 1);
+      if (quantifier.repeats && (closed.quantified || closed.alternation)) return false;
+
+      const parent = groups[groups.length - 1];
+      parent.quantified = parent.quantified || closed.quantified || quantifier.repeats;
+      parent.alternation = parent.alternation || closed.alternation;
+      index += 1 + quantifier.length;
+      continue;
+    }
+
+    const quantifier = readQuantifier(pattern, atomEnd);
+    if (quantifier.repeats) group.quantified = true;
+    index = atomEnd + quantifier.length;
+  }
+
+  return true;
+};
+
+// Compile a description pattern once; invalid or unsafe patterns never match
+const compilePattern = (pattern) => {
+  if (regexCache.has(pattern)) return regexCache.get(pattern);
+
+  let regex = null;
+  if (!isSafePattern(pattern)) {
+    logger.warn('Unsafe rule description pattern ignored', { pattern });
+  } else {
+    try {
+      regex = new RegExp(pattern, 'i');
+    } catch (error) {
+      logger.warn('Invalid rule description pattern ignored', { pattern, error: error.message });
+    }
+  }
+
+  if (regexCache.size >= REGEX_CACHE_LIMIT) regexCache.clear();
+  regexCache.set(pattern, regex);
+  return regex;
+};
+
+const parseTags = (tags) => {
+  if (Array.isArray(tags)) return tags;
+  if (typeof tags === 'string') {
+    try {
+      const parsed = JSON.parse(tags);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+  return [];
+};
+
+// Powens keeps its own transaction type in the raw payload; transaction_type is debit/credit
+const powensTypeOf = (transaction) => {
+  const metadata = typeof transaction.powens_metadata === 'string'
+    ? (() => { try { return JSON.parse(transaction.powens_metadata); } catch (error) { return {}; } })()
+    : transaction.powens_metadata;
+  return metadata?.type || null;
+};
+
+/**
+ * Whether every condition set on the rule holds for the transaction
+ */
+const matchesRule = (rule, transaction) => {
+  if (rule.description_pattern) {
+    const regex = compilePattern(rule.description_pattern);
+    if (!regex || !regex.test(transaction.description || '')) return false;
+  }
+  if (rule.merchant_pattern) {
+    const merchant = (transaction.merchant_name || '').toLowerCase();
+    if (!merchant.includes(rule.merchant_pattern.toLowerCase())) return false;
+  }
+
+  const amount = parseFloat(transaction.amount);
+  if (rule.min_amount !== null && rule.min_amount !== undefined && !(amount >= parseFloat(rule.min_amount))) return false;
+  if (rule.max_amount !== null && rule.max_amount !== undefined && !(amount <= parseFloat(rule.max_amount))) return false;
+
+  if (rule.account_id && rule.account_id !== transaction.account_id) return false;
+  if (rule.powens_type && (powensTypeOf(transaction) || '').toLowerCase() !== rule.powens_type.toLowerCase()) return false;
+
+  return true;
+};
+
+/**
+ * Apply rules to a transaction, returning the fields to change and the rules that matched.
+ * Only fields whose value actually differs are included in changes.
+ */
+const evaluateRules = (rules, transaction) => {
+  const changes = {};
+  const matchedRuleIds = [];
+  const currentTags = parseTags(transaction.tags);
+  const tags = [...currentTags];
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, transaction)) continue;
+    matchedRuleIds.push(rule.id);
+
+    if (rule.set_category_id && changes.category_id === undefined) {
+      changes.category_id = rule.set_category_id;
+      changes.category = rule.set_category;
+      changes.subcategory = rule.set_subcategory || null;
+    }
+    if (rule.set_notes && changes.notes === undefined) {
+      changes.notes = rule.set_notes;
+    }
+    for (const tag of parseTags(rule.add_tags)) {
+      if (!tags.includes(tag)) tags.push(tag);
+    }
+  }
+
+  if (changes.category_id !== undefined && changes.category_id === transaction.category_id &&
+      changes.category === transaction.category && changes.subcategory === (transaction.subcategory || null)) {
+    delete changes.category_id;
+    delete changes.category;
+    delete changes.subcategory;
+  }
+  if (changes.notes !== undefined && changes.notes === transaction.notes) {
+    delete changes.notes;
+  }
+  if (tags.length !== currentTags.length) {
+    changes.tags = tags;
+  }
+
+  return { changes, matchedRuleIds };
+};
+
+module.exports = {
+  isSafePattern,
+  matchesRule,
+  evaluateRules,
+  parseTags
+};
@@ -0,0 +1,49 @@
+/**
+ * Query-string filters shared by GET /api/transactions and the exports, mapped
+ * to TransactionModel.buildFilterClause options.
+ */
+
+const TRANSACTION_TYPES = ['credit', 'debit'];
+
+/**
+ * Parse accountId, startDate, endDate, category, type, minAmount, maxAmount and search.
+ * Returns { filters, errors }.
+ */
+const parseTransactionFilters = (query = {}) => {
+  const { accountId, startDate, endDate, category, type, minAmount, maxAmount, search } = query;
+  const filters = {};
+  const errors = [];
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+  if (accountId) filters.accountId = accountId;
+
+  if (startDate) {
+    if (isDate(startDate)) filters.startDate = startDate;
+    else errors.push('startDate must be a date (YYYY-MM-DD)');
+  }
+  if (endDate) {
+    if (isDate(endDate)) filters.endDate = endDate;
+    else errors.push('endDate must be a date (YYYY-MM-DD)');
+  }
+
+  if (category) filters.category = category;
+
+  if (type) {
+    if (TRANSACTION_TYPES.includes(type.toLowerCase())) filters.transactionType = type.toLowerCase();
+    else errors.push(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+  }
+
+  for (const [name, value] of [['minAmount', minAmount], ['maxAmount', maxAmount]]) {
+    if (value === undefined || value === '') continue;
+    if (Number.isNaN(parseFloat(value))) errors.push(`${name} must be a number`);
+    else filters[name] = parseFloat(value);
+  }
+
+  if (search) filters.searchTerm = search;
+
+  return { filters, errors };
+};
+
+module.exports = {
+  parseTransactionFilters
+};
@@ -0,0 +1,137 @@
+/**
+ * Internal transfer detection.
+ *
+ * Money moved between two of a user's accounts shows up as an outgoing
+ * transaction on one account and an incoming one of the same amount on another,
+ * usually within a few days. Pure functions over plain rows carrying the
+ * account's IBAN (account_iban) and the bank's wording and counterparty.
+ */
+
+const { tokenize } = require('./naiveBayes');
+const { toIsoDate, daysBetween } = require('./recurrence');
+
+const TRANSFER_DEFAULTS = {
+  amountTolerance: 0.01, // Both sides move the same amount
+  daysBefore: 1, // Incoming side may be dated this many days before the outgoing one
+  daysAfter: 4, // ...or this many after
+  minScore: 0.65
+};
+
+// Score of each piece of evidence; amount and dates alone are not enough
+const SCORE_WEIGHTS = { amount: 0.4, date: 0.2, iban: 0.3, wording: 0.1 };
+
+// Words banks use to label transfers
+const TRANSFER_WORDS = new Set([
+  'vir', 'virement', 'virt', 'transfer', 'transfert', 'versement', 'epargne', 'savings', 'internal'
+]);
+
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){2,7}(?:\s?[A-Z0-9]{1,4})?\b/g;
+
+const normalizeIban = (value) => (value ? String(value).replace(/[^A-Za-z0-9]/g, '').toUpperCase() : '');
+
+/**
+ * IBANs mentioned in a transaction's description, original wording or counterparty
+ */
+const referencedIbans = (transaction) => {
+  const counterparty = transaction.counterparty && typeof transaction.counterparty === 'object'
+    ? JSON.stringify(transaction.counterparty)
+    : transaction.counterparty;
+  const text = [transaction.description, transaction.original_wording, counterparty]
+    .filter(Boolean)
+    .join(' ')
+    .toUpperCase();
+
+  return new Set((text.match(IBAN_PATTERN) || []).map(normalizeIban));
+};
+
+const hasTransferWording = (transaction) =>
+  [...tokenize(transaction.description), ...tokenize(transaction.original_wording)]
+    .some(token => TRANSFER_WORDS.has(token));
+
+/**
+ * Score an outgoing/incoming pair. Returns null when they cannot be one transfer,
+ * otherwise { score, details }.
+ */
+const scoreTransfer = (outgoing, incoming, options = {}) => {
+  const settings = { ...TRANSFER_DEFAULTS, ...options };
+  if (outgoing.account_id === incoming.account_id) return null;
+  if ((outgoing.currency || 'EUR') !== (incoming.currency || 'EUR')) return null;
+
+  const outgoingAmount = parseFloat(outgoing.amount);
+  const incomingAmount = parseFloat(incoming.amount);
+  if (!(outgoingAmount < 0 && incomingAmount > 0)) return null;
+  if (Math.abs(incomingAmount + outgoingAmount) > settings.amountTolerance) return null;
+
+  const daysApart = daysBetween(toIsoDate(outgoing.transaction_date), toIsoDate(incoming.transaction_date));
+  if (daysApart < -settings.daysBefore || daysApart > settings.daysAfter) return null;
+
+  // Either side naming the other account's IBAN
+  const outgoingIban = normalizeIban(outgoing.account_iban);
+  const incomingIban = normalizeIban(incoming.account_iban);
+  const ibanReference = Boolean(
+    (incomingIban && referencedIbans(outgoing).has(incomingIban)) ||
+    (outgoingIban && referencedIbans(incoming).has(outgoingIban))
+  );
+  const transferWording = hasTransferWording(outgoing) || hasTransferWording(incoming);
+
+  const dateWindow = daysApart < 0 ? settings.daysBefore : settings.daysAfter;
+  const score = SCORE_WEIGHTS.amount
+    + SCORE_WEIGHTS.date * (1 - Math.abs(daysApart) / (dateWindow + 1))
+    + (ibanReference ? SCORE_WEIGHTS.iban : 0)
+    + (transferWording ? SCORE_WEIGHTS.wording : 0);
+  if (score < settings.minScore) return null;
+
+  return {
+    score: Math.round(score * 10000) / 10000,
+    details: { daysApart, ibanReference, transferWording }
+  };
+};
+
+/**
+ * Pair outgoing with incoming transactions, best scores first; each transaction is used
+ * at most once. excludedPairs holds "outgoingId:incomingId" keys not to link again
+ * (dismissed transfers). Returns [{ outgoing, incoming, score, details }].
+ */
+const detectTransfers = (transactions, { excludedPairs = new Set(), ...options } = {}) => {
+  const outgoingRows = transactions.filter(row => parseFloat(row.amount) < 0);
+  const incomingByAmount = new Map();
+  for (const row of transactions) {
+    const amount = parseFloat(row.amount);
+    if (amount <= 0) continue;
+    const key = amount.toFixed(2);
+    if (!incomingByAmount.has(key)) incomingByAmount.set(key, []);
+    incomingByAmount.get(key).push(row);
+  }
+
+  const candidates = [];
+  for (const outgoing of outgoingRows) {
+    const sameAmount = incomingByAmount.get(Math.abs(parseFloat(outgoing.amount)).toFixed(2)) || [];
+    for (const incoming of sameAmount) {
+      if (excludedPairs.has(`${outgoing.id}:${incoming.id}`)) continue;
+
+      const match = scoreTransfer(outgoing, incoming, options);
+      if (match) candidates.push({ outgoing, incoming, ...match });
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  const used = new Set();
+  const transfers = [];
+  for (const candidate of candidates) {
+    if (used.has(candidate.outgoing.id) || used.has(candidate.incoming.id)) continue;
+    used.add(candidate.outgoing.id);
+    used.add(candidate.incoming.id);
+    transfers.push(candidate);
+  }
+
+  return transfers;
+};
+
+module.exports = {
+  TRANSFER_DEFAULTS,
+  normalizeIban,
+  referencedIbans,
+  scoreTransfer,
+  detectTransfers
+};
@@ -0,0 +1,103 @@
+/**
+ * Minimal non-validating XML reader for bank statement files. Returns a tree of
+ * { name, attributes, children, text } nodes; namespace prefixes are dropped
+ * from element names since statement formats only use one namespace.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return Number.isNaN(code) ? entity : String.fromCodePoint(code);
+  }
+  return ENTITIES[name] ?? entity;
+});
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+const parseAttributes = (text) => {
+  const attributes = {};
+  const attributePattern = /([A-Za-z_][\w.:-]*)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attributePattern.exec(text)) !== null) {
+    attributes[localName(match[1])] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+};
+
+/**
+ * Parse an XML document and return its root element. Throws on malformed nesting.
+ */
+const parseXml = (input) => {
+  const source = input.charCodeAt(0) === 0xFEFF ? input.slice(1) : input;
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([A-Za-z_][\w.:-]*)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(source)) !== null) {
+    const [, cdata, closing, rawName, rawAttributes, selfClosing, characters] = match;
+    const current = stack[stack.length - 1];
+
+    if (characters !== undefined) {
+      current.text += decodeEntities(characters);
+    } else if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (rawName) {
+      const name = localName(rawName);
+      if (closing) {
+        if (current.name !== name || stack.length === 1) {
+          throw new Error(`Malformed XML: unexpected </${rawName}>`);
+        }
+        current.text = current.text.trim();
+        stack.pop();
+      } else {
+        const node = { name, attributes: parseAttributes(rawAttributes), children: [], text: '' };
+        current.children.push(node);
+        if (!selfClosing) stack.push(node);
+      }
+    }
+    // Comments, DOCTYPE and processing instructions are skipped
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+  const element = root.children[0];
+  if (!element) {
+    throw new Error('Malformed XML: no root element');
+  }
+  return element;
+};
+
+/**
+ * Element reached through a path of child names, e.g. child(entry, 'BookgDt', 'Dt')
+ */
+const child = (node, ...path) => {
+  let current = node;
+  for (const name of path) {
+    current = current ? current.children.find(c => c.name === name) || null : null;
+  }
+  return current;
+};
+
+/**
+ * All direct children with the given name
+ */
+const children = (node, name) => (node ? node.children.filter(c => c.name === name) : []);
+
+/**
+ * Trimmed text of the element reached through a path, or null
+ */
+const text = (node, ...path) => {
+  const found = child(node, ...path);
+  return found && found.text !== '' ? found.text : null;
+};
+
+module.exports = {
+  parseXml,
+  child,
+  children,
+  text
+};
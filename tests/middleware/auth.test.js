@@ -0,0 +1,40 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../src/services/authService', () => ({ verifyToken: jest.fn() }));
+
+const { requireAdmin } = require('../../src/middleware/auth');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('requireAdmin', () => {
+  it('lets admin users through', () => {
+    const next = jest.fn();
+    const res = mockResponse();
+
+    requireAdmin({ user: { id: 'user-1', is_admin: true } }, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['a regular user', { id: 'user-2', is_admin: false }],
+    ['a user row without the flag', { id: 'user-3' }],
+    ['no user', undefined]
+  ])('rejects %s with 403', (label, user) => {
+    const next = jest.fn();
+    const res = mockResponse();
+
+    requireAdmin({ user, originalUrl: '/api/fx/rates/import', method: 'POST' }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].error.code).toBe('FORBIDDEN');
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+
+const database = require('../../src/config/database');
+const TransactionCategoryModel = require('../../src/models/TransactionCategory');
+
+// A DB client answering each query from the first handler whose pattern matches
+const fakeClient = (handlers) => {
+  const queries = [];
+  return {
+    queries,
+    query: jest.fn(async (text, params) => {
+      queries.push(text);
+      const handler = handlers.find(([pattern]) => pattern.test(text));
+      return handler ? handler[1](params) : { rows: [], rowCount: 0 };
+    })
+  };
+};
+
+describe('TransactionCategoryModel.delete', () => {
+  const topLevel = { id: 'cat-1', user_id: 'user-1', parent_id: null, name: 'Travel' };
+
+  beforeEach(() => {
+    database.transaction.mockReset();
+  });
+
+  it('keeps a top-level category and its budgets when budgets track it', async () => {
+    const client = fakeClient([
+      [/FROM transaction_categories WHERE id/, () => ({ rows: [topLevel] })],
+      [/FROM budgets/, () => ({ rows: [{ count: '2' }] })]
+    ]);
+    database.transaction.mockImplementation((callback) => callback(client));
+
+    const result = await TransactionCategoryModel.delete('cat-1', 'user-1');
+
+    expect(result).toEqual({ category: topLevel, movedTransactions: 0, budgetCount: 2 });
+    expect(client.queries.some(text => /DELETE FROM transaction_categories/.test(text))).toBe(false);
+    expect(client.queries.some(text => /UPDATE transactions/.test(text))).toBe(false);
+  });
+
+  it('deletes a top-level category without budgets and uncategorizes its transactions', async () => {
+    const client = fakeClient([
+      [/FROM transaction_categories WHERE id/, () => ({ rows: [topLevel] })],
+      [/FROM budgets/, () => ({ rows: [{ count: '0' }] })],
+      [/UPDATE transactions SET category_id = NULL/, () => ({ rows: [], rowCount: 3 })]
+    ]);
+    database.transaction.mockImplementation((callback) => callback(client));
+
+    const result = await TransactionCategoryModel.delete('cat-1', 'user-1');
+
+    expect(result).toEqual({ category: topLevel, movedTransactions: 3, budgetCount: 0 });
+    expect(client.queries.some(text => /DELETE FROM transaction_categories/.test(text))).toBe(true);
+  });
+
+  it('moves the budgets of a subcategory to its parent before deleting it', async () => {
+    const subcategory = { ...topLevel, id: 'cat-2', parent_id: 'cat-1' };
+    const client = fakeClient([
+      [/FROM transaction_categories WHERE id/, () => ({ rows: [subcategory] })],
+      [/UPDATE transactions SET category_id = \$2/, () => ({ rows: [], rowCount: 1 })]
+    ]);
+    database.transaction.mockImplementation((callback) => callback(client));
+
+    await TransactionCategoryModel.delete('cat-2', 'user-1');
+
+    const budgetMove = client.queries.findIndex(text => /UPDATE budgets SET category_id/.test(text));
+    const deletion = client.queries.findIndex(text => /DELETE FROM transaction_categories/.test(text));
+    expect(budgetMove).toBeGreaterThan(-1);
+    expect(budgetMove).toBeLessThan(deletion);
+  });
+});
@@ -0,0 +1,49 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/services/nexoService', () => ({ handleWebhook: jest.fn() }));
+jest.mock('../../src/models/CryptoAddress', () => ({}));
+jest.mock('../../src/models/CryptoDeposit', () => ({}));
+jest.mock('../../src/middleware/auth', () => ({ authenticate: (req, res, next) => next() }));
+
+const express = require('express');
+const request = require('supertest');
+const nexoService = require('../../src/services/nexoService');
+const nexoRoutes = require('../../src/routes/nexo');
+
+// Same parsing order as server.js: the webhook keeps its raw body, JSON parsing comes after
+const app = express();
+app.use('/api/nexo/webhook', express.raw({ type: '*/*', limit: '1mb' }));
+app.use(express.json());
+app.use('/api/nexo', nexoRoutes);
+
+const RAW_BODY = '{ "eventType": "PG_DEPOSIT",\n  "data": {"transactionId": "tx-1", "amount": "0.5"} }';
+
+describe('POST /api/nexo/webhook', () => {
+  beforeEach(() => {
+    nexoService.handleWebhook.mockReset();
+  });
+
+  it('hands the body to the signature check byte for byte', async () => {
+    nexoService.handleWebhook.mockResolvedValue({ success: true, inboxEventId: 'event-1' });
+
+    const response = await request(app)
+      .post('/api/nexo/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Signature', '0xabc')
+      .send(RAW_BODY);
+
+    expect(response.status).toBe(200);
+    expect(nexoService.handleWebhook).toHaveBeenCalledWith(RAW_BODY, '0xabc', expect.objectContaining({ sourceIp: expect.any(String) }));
+  });
+
+  it('answers with the status and code of a rejection', async () => {
+    nexoService.handleWebhook.mockRejectedValue(Object.assign(new Error('Invalid webhook signature'), { status: 401, code: 'INVALID_SIGNATURE' }));
+
+    const response = await request(app).post('/api/nexo/webhook').set('Content-Type', 'application/json').send(RAW_BODY);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toMatchObject({ code: 'INVALID_SIGNATURE', details: 'Invalid webhook signature' });
+  });
+});
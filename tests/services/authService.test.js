@@ -0,0 +1,64 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/UserSession', () => ({}));
+jest.mock('../../src/models/PowensAuthState', () => ({ create: jest.fn(), consume: jest.fn() }));
+
+const UserModel = require('../../src/models/User');
+const PowensAuthStateModel = require('../../src/models/PowensAuthState');
+const authService = require('../../src/services/authService');
+
+describe('AuthService Powens states', () => {
+  let states;
+
+  beforeEach(() => {
+    states = new Map();
+    PowensAuthStateModel.create.mockImplementation(async (row) => {
+      states.set(row.state_hash, { ...row, consumed: false });
+      return row;
+    });
+    // Single use, as the UPDATE ... WHERE consumed_at IS NULL
+    PowensAuthStateModel.consume.mockImplementation(async (stateHash) => {
+      const row = states.get(stateHash);
+      if (!row || row.consumed || row.expires_at <= new Date()) return null;
+      row.consumed = true;
+      return row;
+    });
+    UserModel.findById.mockImplementation(async (id) => ({ id, is_active: true }));
+  });
+
+  it('issues a random state and stores only its hash', async () => {
+    const state = await authService.issuePowensState('user-1', 'session-1');
+    const stored = PowensAuthStateModel.create.mock.calls[0][0];
+
+    expect(state).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(stored).toMatchObject({ user_id: 'user-1', session_id: 'session-1' });
+    expect(stored.state_hash).not.toContain(state);
+    expect(stored.expires_at.getTime()).toBeGreaterThan(Date.now());
+    expect(await authService.issuePowensState('user-1', 'session-1')).not.toBe(state);
+  });
+
+  it('resolves the user from a state once', async () => {
+    const state = await authService.issuePowensState('user-1', 'session-1');
+
+    expect(await authService.consumePowensState(state)).toMatchObject({ id: 'user-1' });
+    expect(await authService.consumePowensState(state)).toBeNull();
+  });
+
+  it.each([
+    ['a user ID', '00000000-0000-0000-0000-000000000001'],
+    ['an empty state', ''],
+    ['a missing state', undefined]
+  ])('rejects %s', async (label, state) => {
+    expect(await authService.consumePowensState(state)).toBeNull();
+  });
+
+  it('rejects the state of an inactive user', async () => {
+    const state = await authService.issuePowensState('user-1', 'session-1');
+    UserModel.findById.mockResolvedValue({ id: 'user-1', is_active: false });
+
+    expect(await authService.consumePowensState(state)).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/models/Budget', () => ({ getSpend: jest.fn(), findByUserId: jest.fn() }));
+jest.mock('../../src/models/BudgetAlert', () => ({ createIfNew: jest.fn() }));
+
+const BudgetModel = require('../../src/models/Budget');
+const BudgetAlertModel = require('../../src/models/BudgetAlert');
+const budgetService = require('../../src/services/budgetService');
+
+const at = (date) => new Date(`${date}T12:00:00Z`);
+
+const budget = (overrides = {}) => ({
+  id: 'budget-1',
+  user_id: 'user-1',
+  period: 'monthly',
+  amount: '400.00',
+  alert_threshold: '0.80',
+  start_date: '2024-01-01',
+  end_date: null,
+  ...overrides
+});
+
+describe('BudgetService.getPeriodBounds', () => {
+  it.each([
+    ['weekly', '2024-06-05', '2024-06-03', '2024-06-09'],
+    ['weekly', '2024-06-03', '2024-06-03', '2024-06-09'],
+    ['weekly', '2024-06-09', '2024-06-03', '2024-06-09'],
+    ['weekly', '2024-07-02', '2024-07-01', '2024-07-07'],
+    ['weekly', '2024-05-01', '2024-04-29', '2024-05-05'],
+    ['weekly', '2024-03-01', '2024-02-26', '2024-03-03'],
+    ['weekly', '2024-12-31', '2024-12-30', '2025-01-05'],
+    ['weekly', '2025-01-01', '2024-12-30', '2025-01-05'],
+    ['weekly', '2021-01-03', '2020-12-28', '2021-01-03'],
+    ['monthly', '2024-02-15', '2024-02-01', '2024-02-29'],
+    ['monthly', '2024-12-31', '2024-12-01', '2024-12-31'],
+    ['yearly', '2024-06-05', '2024-01-01', '2024-12-31']
+  ])('%s period of %s is %s to %s', (period, date, start, end) => {
+    expect(budgetService.getPeriodBounds(period, at(date))).toEqual({ start, end });
+  });
+});
+
+describe('BudgetService.evaluateBudget', () => {
+  let recorded;
+
+  beforeEach(() => {
+    recorded = [];
+    jest.clearAllMocks();
+    // Mimic the unique index on (budget_id, period_start, threshold)
+    BudgetAlertModel.createIfNew.mockImplementation(async (alert) => {
+      if (recorded.some(r => r.budget_id === alert.budget_id && r.period_start === alert.period_start && r.threshold === alert.threshold)) {
+        return null;
+      }
+      recorded.push(alert);
+      return { id: `alert-${recorded.length}`, ...alert };
+    });
+  });
+
+  it.each([
+    [100, []],
+    [320, [0.8]],
+    [450, [0.8, 1]]
+  ])('records the thresholds crossed by %d spent out of 400', async (spent, thresholds) => {
+    BudgetModel.getSpend.mockResolvedValue({ spent, transaction_count: 3 });
+
+    const result = await budgetService.evaluateBudget(budget(), at('2024-06-05'));
+
+    expect(result.newAlerts.map(alert => alert.threshold)).toEqual(thresholds);
+    expect(result).toMatchObject({ inPeriod: true, period: { start: '2024-06-01', end: '2024-06-30' }, spent, remaining: 400 - spent });
+  });
+
+  it('records each threshold once per period', async () => {
+    BudgetModel.getSpend.mockResolvedValueOnce({ spent: 330, transaction_count: 4 })
+      .mockResolvedValueOnce({ spent: 410, transaction_count: 5 })
+      .mockResolvedValueOnce({ spent: 420, transaction_count: 6 })
+      .mockResolvedValueOnce({ spent: 350, transaction_count: 2 });
+
+    const first = await budgetService.evaluateBudget(budget(), at('2024-06-05'));
+    const second = await budgetService.evaluateBudget(budget(), at('2024-06-12'));
+    const third = await budgetService.evaluateBudget(budget(), at('2024-06-20'));
+    const nextMonth = await budgetService.evaluateBudget(budget(), at('2024-07-20'));
+
+    expect(first.newAlerts.map(alert => alert.threshold)).toEqual([0.8]);
+    expect(second.newAlerts.map(alert => alert.threshold)).toEqual([1]);
+    expect(third.newAlerts).toEqual([]);
+    expect(nextMonth.newAlerts).toEqual([expect.objectContaining({ threshold: 0.8, period_start: '2024-07-01' })]);
+    expect(recorded).toHaveLength(3);
+  });
+
+  it('records a threshold of 1 once', async () => {
+    BudgetModel.getSpend.mockResolvedValue({ spent: 500, transaction_count: 1 });
+
+    const result = await budgetService.evaluateBudget(budget({ alert_threshold: '1.00' }), at('2024-06-05'));
+
+    expect(result.newAlerts.map(alert => alert.threshold)).toEqual([1]);
+  });
+
+  it('clips a weekly period that straddles the month to the budget dates', async () => {
+    BudgetModel.getSpend.mockResolvedValue({ spent: 0, transaction_count: 0 });
+
+    const result = await budgetService.evaluateBudget(budget({ period: 'weekly', start_date: '2024-07-01', end_date: '2024-07-31' }), at('2024-07-31'));
+
+    expect(result.period).toEqual({ start: '2024-07-29', end: '2024-07-31' });
+    expect(BudgetModel.getSpend).toHaveBeenCalledWith(expect.objectContaining({ id: 'budget-1' }), '2024-07-29', '2024-07-31');
+  });
+
+  it.each([
+    ['before its start', { start_date: '2024-07-01' }],
+    ['after its end', { end_date: '2024-05-31' }]
+  ])('skips a budget %s', async (label, overrides) => {
+    const result = await budgetService.evaluateBudget(budget(overrides), at('2024-06-05'));
+
+    expect(result).toEqual({ budgetId: 'budget-1', inPeriod: false });
+    expect(BudgetModel.getSpend).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,53 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/models/Transaction', () => ({ findRuleCandidates: jest.fn(), update: jest.fn() }));
+jest.mock('../../src/models/TransactionCategory', () => ({}));
+jest.mock('../../src/models/BankAccount', () => ({}));
+
+const TransactionModel = require('../../src/models/Transaction');
+const categorizationRuleService = require('../../src/services/categorizationRuleService');
+
+const rule = { id: 'rule-1', description_pattern: 'lidl', set_category_id: 'cat-food', set_category: 'Food' };
+
+const transactions = [
+  { id: 'tx-1', description: 'CB LIDL 01/03', amount: '-20.00', category_id: null, category_source: 'import', tags: [] },
+  { id: 'tx-2', description: 'CB LIDL 02/03', amount: '-35.00', category_id: 'cat-home', category: 'Home', category_source: 'manual', tags: [] }
+];
+
+// Mimic the SQL filter on category_source
+const candidatesFor = (options) => (options.includeManual ? transactions : transactions.filter(tx => tx.category_source !== 'manual'));
+
+describe('CategorizationRuleService.applyToHistory', () => {
+  beforeEach(() => {
+    TransactionModel.findRuleCandidates.mockReset();
+    TransactionModel.findRuleCandidates.mockImplementation(async (userId, rule, options) => candidatesFor(options));
+    TransactionModel.update.mockReset();
+  });
+
+  it('lists manually categorized matches as skipped in a dry run', async () => {
+    const result = await categorizationRuleService.applyToHistory(rule, 'user-1', { dryRun: true });
+
+    expect(result).toMatchObject({ affected: 1, skipped: 1, previewTruncated: false });
+    expect(result.preview.map(row => [row.id, row.skipped])).toEqual([['tx-1', undefined], ['tx-2', 'manual_category']]);
+    expect(result.preview[1].after.category).toBe('Home');
+    expect(TransactionModel.update).not.toHaveBeenCalled();
+  });
+
+  it('leaves manual categories alone when applying', async () => {
+    const result = await categorizationRuleService.applyToHistory(rule, 'user-1', { dryRun: false });
+
+    expect(TransactionModel.findRuleCandidates).toHaveBeenCalledWith('user-1', rule, expect.objectContaining({ includeManual: false }));
+    expect(result.updated).toBe(1);
+    expect(TransactionModel.update).toHaveBeenCalledTimes(1);
+    expect(TransactionModel.update).toHaveBeenCalledWith('tx-1', expect.objectContaining({ category_id: 'cat-food', category_source: 'rule' }));
+  });
+
+  it('overrides manual categories with force', async () => {
+    const result = await categorizationRuleService.applyToHistory(rule, 'user-1', { dryRun: false, force: true });
+
+    expect(result.updated).toBe(2);
+    expect(TransactionModel.update).toHaveBeenCalledWith('tx-2', expect.objectContaining({ category_id: 'cat-food' }));
+  });
+});
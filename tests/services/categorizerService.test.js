@@ -0,0 +1,89 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/models/Transaction', () => ({
+  findManuallyCategorized: jest.fn(),
+  findPendingClassification: jest.fn(),
+  autoCategorize: jest.fn(),
+  flagForReview: jest.fn()
+}));
+
+const TransactionModel = require('../../src/models/Transaction');
+const categorizerService = require('../../src/services/categorizerService');
+
+const corrected = (categoryId, category, descriptions) => descriptions.map((description, index) => ({
+  id: `${categoryId}-${index}`,
+  category_id: categoryId,
+  category,
+  subcategory: null,
+  description,
+  merchant_name: null
+}));
+
+const TRAINING = [
+  ...corrected('cat-groceries', 'Groceries', ['CB CARREFOUR MARKET', 'CB CARREFOUR CITY', 'CB LIDL', 'CB MONOPRIX', 'CB CARREFOUR', 'CB LIDL PARIS']),
+  ...corrected('cat-transport', 'Transport', ['SNCF TRAIN PARIS', 'UBER TRIP', 'SNCF TGV', 'RATP NAVIGO', 'UBER TRIP PARIS'])
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+  categorizerService.invalidate('user-1');
+  TransactionModel.findManuallyCategorized.mockResolvedValue(TRAINING);
+});
+
+describe('CategorizerService.classifyPending', () => {
+  const suggestWith = (confidence) => {
+    TransactionModel.findPendingClassification.mockResolvedValue([{ id: 'tx-1', description: 'CB CARREFOUR' }]);
+    jest.spyOn(categorizerService, 'suggest').mockResolvedValue({
+      category_id: 'cat-groceries', category: 'Groceries', subcategory: null, confidence, alternatives: []
+    });
+  };
+
+  it.each([0.95, 0.8])('applies a suggestion with confidence %d', async (confidence) => {
+    suggestWith(confidence);
+
+    const result = await categorizerService.classifyPending('user-1');
+
+    expect(TransactionModel.autoCategorize).toHaveBeenCalledWith('tx-1', 'Groceries', null, { source: 'classifier', confidence });
+    expect(TransactionModel.flagForReview).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ classified: 1, queuedForReview: 0 });
+  });
+
+  it.each([0.7999, 0.4])('queues a suggestion with confidence %d for review', async (confidence) => {
+    suggestWith(confidence);
+
+    const result = await categorizerService.classifyPending('user-1');
+
+    expect(TransactionModel.flagForReview).toHaveBeenCalledWith('tx-1', 'cat-groceries', confidence);
+    expect(TransactionModel.autoCategorize).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ classified: 0, queuedForReview: 1 });
+  });
+
+  it('applies confident predictions and queues uncertain ones with the trained model', async () => {
+    TransactionModel.findPendingClassification.mockResolvedValue([
+      { id: 'tx-clear', description: 'CB CARREFOUR MARKET LIDL' },
+      { id: 'tx-unclear', description: 'PARIS' },
+      { id: 'tx-empty', description: '12/03' }
+    ]);
+
+    const result = await categorizerService.classifyPending('user-1');
+
+    expect(result).toEqual({ ready: true, classified: 1, queuedForReview: 2, remaining: false });
+    expect(TransactionModel.autoCategorize).toHaveBeenCalledWith('tx-clear', 'Groceries', null, expect.objectContaining({ source: 'classifier' }));
+    expect(TransactionModel.flagForReview).toHaveBeenCalledWith('tx-unclear', expect.any(String), expect.any(Number));
+    expect(TransactionModel.flagForReview.mock.calls[0][2]).toBeLessThan(0.8);
+    // Nothing to classify on: queued without a suggestion
+    expect(TransactionModel.flagForReview).toHaveBeenCalledWith('tx-empty', null, 0);
+  });
+
+  it('does nothing until there is enough training data', async () => {
+    TransactionModel.findManuallyCategorized.mockResolvedValue(TRAINING.slice(0, 9));
+
+    const result = await categorizerService.classifyPending('user-1');
+
+    expect(result).toEqual({ ready: false, classified: 0, queuedForReview: 0 });
+    expect(TransactionModel.findPendingClassification).not.toHaveBeenCalled();
+  });
+});
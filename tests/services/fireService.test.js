@@ -0,0 +1,82 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/models/Transaction', () => ({}));
+jest.mock('../../src/models/BankAccount', () => ({}));
+jest.mock('../../src/services/fxService', () => ({}));
+jest.mock('../../src/services/crypto/holdingService', () => ({}));
+
+const fireService = require('../../src/services/fireService');
+
+const SNAPSHOT = { annualExpenses: 40000, annualSavings: 12000, investableAssets: 200000 };
+
+const UNREACHABLE = { yearsToReach: null, projectedYear: null, projectedDate: null, reached: false };
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-06-10T12:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('FireService.calculateProjection', () => {
+  it('projects the FIRE number and its variants', () => {
+    const projection = fireService.calculateProjection(SNAPSHOT, {}, { currentAge: 35 });
+
+    expect(projection.assumptions).toMatchObject({ realReturnRate: 0.049, baristaIncome: 20000, retirementAge: 65, currentAge: 35 });
+    expect(projection.fireNumber).toEqual({
+      target: 1000000,
+      annualSpending: 40000,
+      progress: 0.2,
+      reached: false,
+      yearsToReach: 21.4,
+      projectedYear: 2045,
+      projectedDate: '2045-11-10'
+    });
+    expect(projection.variants.lean).toMatchObject({ target: 700000, annualSpending: 28000, yearsToReach: 15.7 });
+    expect(projection.variants.fat).toMatchObject({ target: 1500000, annualSpending: 60000, yearsToReach: 28.4 });
+    expect(projection.variants.barista).toMatchObject({ target: 500000, annualSpending: 20000, yearsToReach: 10.8 });
+    expect(projection.variants.coast).toMatchObject({ target: 237953.35, annualSpending: null, yearsToReach: 3.5, yearsToRetirement: 30 });
+  });
+
+  it('explains that Coast FI needs currentAge instead of computing it', () => {
+    const { variants } = fireService.calculateProjection(SNAPSHOT);
+
+    expect(variants.coast).toEqual({ target: null, reason: 'Provide currentAge (or set date_of_birth) to compute Coast FI' });
+    expect(variants.lean.yearsToReach).toBe(15.7);
+  });
+
+  it('returns null dates for targets that are never reached', () => {
+    const snapshot = { annualExpenses: 40000, annualSavings: -5000, investableAssets: 100000 };
+
+    const { fireNumber, variants } = fireService.calculateProjection(snapshot, { returnRate: 0.02, inflationRate: 0.02 }, { currentAge: 40 });
+
+    expect(fireNumber).toMatchObject({ target: 1000000, progress: 0.1, ...UNREACHABLE });
+    expect(variants.coast).toMatchObject({ target: 1000000, yearsToRetirement: 25, ...UNREACHABLE });
+  });
+
+  it('marks a target already reached', () => {
+    const { fireNumber } = fireService.calculateProjection({ ...SNAPSHOT, investableAssets: 1200000 });
+
+    expect(fireNumber).toMatchObject({ progress: 1, reached: true, yearsToReach: 0, projectedDate: '2024-06-10' });
+  });
+});
+
+describe('FireService.monthsToTarget', () => {
+  it.each([
+    ['savings alone', 0, 100, 0, 1200, 12],
+    ['a balance already at target', 100, 0, 0, 100, 0],
+    ['growth alone', 1000, 0, 0.1, 1100, 12],
+    ['no savings and no growth', 0, 0, 0.05, 1, null],
+    ['a target out of reach within 100 years', 0, 1, 0, 1e9, null]
+  ])('%s', (label, startBalance, monthlySavings, annualReturn, target, months) => {
+    expect(fireService.monthsToTarget(startBalance, monthlySavings, annualReturn, () => target)).toBe(months);
+  });
+
+  it('chases a moving target', () => {
+    // The Coast FI target grows as retirement gets closer
+    expect(fireService.monthsToTarget(0, 100, 0, (month) => 600 + month * 50)).toBe(12);
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/services/fireService', () => ({ getFinancialSnapshot: jest.fn() }));
+
+const fireSimulationService = require('../../src/services/fireSimulationService');
+
+const INPUT = {
+  allocation: { stocks: 0.6, bonds: 0.4 },
+  startBalance: 500000,
+  annualContribution: 10000,
+  annualSpending: 20000,
+  yearsToRetirement: 5,
+  withdrawalYears: 25,
+  simulations: 1000,
+  seed: 42
+};
+
+const percentiles = ({ p10, p50, p90 }) => ({ p10, p50, p90 });
+
+describe('FireSimulationService.simulate', () => {
+  it('gives stable results for a fixed seed', () => {
+    const result = fireSimulationService.simulate(INPUT);
+
+    expect(result.seed).toBe(42);
+    expect(result.successProbability).toBe(0.972);
+    expect(result.bands).toHaveLength(31);
+    expect(percentiles(result.bands[0])).toEqual({ p10: 500000, p50: 500000, p90: 500000 });
+    expect(percentiles(result.bands[5])).toEqual({ p10: 505645.48, p50: 648001.08, p90: 861790.13 });
+    expect(percentiles(result.bands[30])).toEqual({ p10: 175608.04, p50: 799599.17, p90: 2057449.65 });
+  });
+
+  it('labels the phases', () => {
+    const { bands } = fireSimulationService.simulate(INPUT);
+
+    expect(bands.map(band => band.phase).slice(0, 7))
+      .toEqual(['start', 'accumulation', 'accumulation', 'accumulation', 'accumulation', 'accumulation', 'withdrawal']);
+  });
+
+  it('repeats a run with the same seed and varies with another', () => {
+    const first = fireSimulationService.simulate({ ...INPUT, simulations: 200 });
+    const again = fireSimulationService.simulate({ ...INPUT, simulations: 200 });
+    const other = fireSimulationService.simulate({ ...INPUT, simulations: 200, seed: 43 });
+
+    expect(again.bands).toEqual(first.bands);
+    expect(other.bands[30]).not.toEqual(first.bands[30]);
+  });
+
+  it('never depletes a portfolio without spending', () => {
+    const result = fireSimulationService.simulate({ ...INPUT, annualSpending: 0, simulations: 200 });
+
+    expect(result.successProbability).toBe(1);
+  });
+});
+
+describe('FireSimulationService.validateInput', () => {
+  it.each([
+    [{ allocation: { stocks: 1 } }, []],
+    [{}, ['allocation is required, e.g. { "stocks": 0.6, "bonds": 0.4 }']],
+    [{ allocation: { stocks: 0.5 } }, ['allocation weights must sum to 1']],
+    [{ allocation: { stocks: 1 }, seed: -1 }, ['seed must be a non-negative integer']],
+    [{ allocation: { stocks: 1 }, simulations: 0 }, ['simulations must be an integer between 1 and 20000']],
+    [{ allocation: { stocks: 1 }, yearsToRetirement: 60, withdrawalYears: 50 }, ['yearsToRetirement + withdrawalYears must not exceed 100']]
+  ])('%j -> %j', (input, errors) => {
+    expect(fireSimulationService.validateInput(input)).toEqual(errors);
+  });
+});
+
+describe('FireSimulationService.percentile', () => {
+  it.each([
+    [[], 0.5, 0],
+    [[10], 0.9, 10],
+    [[0, 10], 0.5, 5],
+    [[1, 2, 3, 4, 5], 0.1, 1.4],
+    [[1, 2, 3, 4, 5], 0.9, 4.6]
+  ])('%j at %d -> %d', (sorted, p, expected) => {
+    expect(fireSimulationService.percentile(sorted, p)).toBeCloseTo(expected, 10);
+  });
+});
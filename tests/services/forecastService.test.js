@@ -0,0 +1,104 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/models/BankAccount', () => ({ findByUserId: jest.fn() }));
+jest.mock('../../src/models/RecurringSeries', () => ({ findByUserId: jest.fn() }));
+jest.mock('../../src/models/PlannedItem', () => ({ findByUserId: jest.fn() }));
+
+const BankAccountModel = require('../../src/models/BankAccount');
+const RecurringSeriesModel = require('../../src/models/RecurringSeries');
+const PlannedItemModel = require('../../src/models/PlannedItem');
+const forecastService = require('../../src/services/forecastService');
+
+const series = (overrides = {}) => ({
+  id: 'series-1',
+  account_id: 'checking',
+  name: 'Rent',
+  cadence: 'monthly',
+  expected_amount: '-900.00',
+  next_expected_date: '2024-06-08',
+  end_date: null,
+  status: 'active',
+  source: 'detected',
+  ...overrides
+});
+
+const planned = (id, date, amount, account = 'checking') => ({ id, account_id: account, name: id, planned_date: date, amount: String(amount) });
+
+describe('ForecastService.seriesDates', () => {
+  it('moves an overdue occurrence still in its grace period to the first forecast day', () => {
+    expect(forecastService.seriesDates(series(), '2024-06-11', '2024-08-10')).toEqual(['2024-06-11', '2024-07-08', '2024-08-08']);
+  });
+
+  it.each([
+    ['missed', { status: 'missed' }],
+    ['declared', { source: 'declared' }]
+  ])('assumes the overdue occurrence of a %s series is skipped', (label, overrides) => {
+    expect(forecastService.seriesDates(series(overrides), '2024-06-11', '2024-08-10')).toEqual(['2024-07-08', '2024-08-08']);
+  });
+
+  it('keeps upcoming occurrences as they are and stops at the series end', () => {
+    expect(forecastService.seriesDates(series({ next_expected_date: '2024-06-20', end_date: '2024-07-31' }), '2024-06-11', '2024-09-10'))
+      .toEqual(['2024-06-20', '2024-07-20']);
+  });
+});
+
+describe('ForecastService.getForecast', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2024-06-10T12:00:00Z') });
+    BankAccountModel.findByUserId.mockResolvedValue([
+      { id: 'checking', account_name: 'Checking', account_type: 'checking', currency: 'EUR', balance: '100.00' },
+      { id: 'savings', account_name: 'Savings', account_type: 'savings', currency: 'EUR', balance: '50.00' }
+    ]);
+    RecurringSeriesModel.findByUserId.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('groups consecutive overdrawn days into one alert per stretch', async () => {
+    PlannedItemModel.findByUserId.mockResolvedValue([
+      planned('car repair', '2024-06-15', -300),
+      planned('dentist', '2024-06-16', -50),
+      planned('refund', '2024-06-18', 500),
+      planned('holiday', '2024-07-01', -700),
+      planned('bonus', '2024-07-02', 1000),
+      planned('savings withdrawal', '2024-06-15', -300, 'savings')
+    ]);
+
+    const forecast = await forecastService.getForecast('user-1', { months: 1 });
+
+    expect(forecast).toMatchObject({ startDate: '2024-06-11', endDate: '2024-07-10' });
+    expect(forecast.alerts).toEqual([
+      { account_id: 'checking', account_name: 'Checking', from: '2024-06-15', to: '2024-06-17', lowest_balance: -250, lowest_balance_date: '2024-06-16' },
+      { account_id: 'checking', account_name: 'Checking', from: '2024-07-01', to: '2024-07-01', lowest_balance: -450, lowest_balance_date: '2024-07-01' }
+    ]);
+
+    const [checking, savings] = forecast.accounts;
+    expect(checking).toMatchObject({ starting_balance: 100, ending_balance: 550, lowest_balance: -450, lowest_balance_date: '2024-07-01' });
+    expect(checking.daily.filter(day => day.negative).map(day => day.date)).toEqual(['2024-06-15', '2024-06-16', '2024-06-17', '2024-07-01']);
+    // Only checking accounts raise overdraft alerts
+    expect(savings).toMatchObject({ ending_balance: -250, lowest_balance: -250 });
+    expect(savings.daily.some(day => day.negative)).toBe(false);
+  });
+
+  it('expects an overdue in-grace occurrence on the first forecast day', async () => {
+    RecurringSeriesModel.findByUserId.mockResolvedValue([series(), series({ id: 'series-2', status: 'ended' })]);
+    PlannedItemModel.findByUserId.mockResolvedValue([]);
+
+    const forecast = await forecastService.getForecast('user-1', { months: 1, accountId: 'checking' });
+
+    expect(forecast.events).toEqual([
+      { date: '2024-06-11', account_id: 'checking', name: 'Rent', amount: -900, source: 'recurring', series_id: 'series-1' },
+      { date: '2024-07-08', account_id: 'checking', name: 'Rent', amount: -900, source: 'recurring', series_id: 'series-1' }
+    ]);
+    expect(forecast.accounts).toHaveLength(1);
+    expect(forecast.accounts[0].daily[0]).toEqual({ date: '2024-06-11', balance: -800, change: -900, negative: true });
+    expect(forecast.alerts).toEqual([
+      expect.objectContaining({ from: '2024-06-11', to: '2024-07-10', lowest_balance: -1700, lowest_balance_date: '2024-07-08' })
+    ]);
+  });
+});
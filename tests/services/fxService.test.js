@@ -0,0 +1,154 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/models/FxRate', () => ({ findOnDate: jest.fn(), upsertMany: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findWithPreferences: jest.fn() }));
+
+const FxRateModel = require('../../src/models/FxRate');
+const fxService = require('../../src/services/fxService');
+
+// eurofxref-daily.xml as published by the ECB
+const DAILY_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<gesmes:Envelope xmlns:gesmes="http://www.gesmes.org/xml/2002-08-01" xmlns="http://www.ecb.int/vocabulary/2002-08-01/eurofxref">
+  <gesmes:subject>Reference rates</gesmes:subject>
+  <gesmes:Sender><gesmes:name>European Central Bank</gesmes:name></gesmes:Sender>
+  <Cube>
+    <Cube time='2024-06-03'>
+      <Cube currency='USD' rate='1.0850'/>
+      <Cube currency='JPY' rate='169.80'/>
+      <Cube currency='GBP' rate='0.85048'/>
+      <Cube currency='XXX' rate='N/A'/>
+    </Cube>
+  </Cube>
+</gesmes:Envelope>`;
+
+// eurofxref-hist.csv: newest first, N/A for currencies without a rate that day, a trailing comma
+const HISTORICAL_CSV = [
+  'Date,USD,JPY,CYP,GBP,',
+  '2024-06-03,1.0850,169.80,N/A,0.85048,',
+  '2024-05-31,1.0848,170.48,N/A,0.85365,',
+  '2007-12-31,1.4721,164.93,0.585274,0.73335,',
+  '2024-02-30,1.0800,160.00,N/A,0.85000,'
+].join('\n');
+
+// eurofxref.csv, the daily file, spells its date out
+const DAILY_CSV = 'Date, USD, JPY, GBP, \n03 June 2024, 1.0850, 169.80, 0.85048, \n';
+
+describe('FxService.parseDate', () => {
+  it.each([
+    ['2024-06-03', '2024-06-03'],
+    ['03 June 2024', '2024-06-03'],
+    ['3 june 2024', '2024-06-03'],
+    [' 29 February 2024 ', '2024-02-29'],
+    ['29 February 2023', null],
+    ['03 Juin 2024', null],
+    ['2024-02-30', null],
+    ['06/03/2024', null],
+    ['', null],
+    [undefined, null]
+  ])('%s -> %s', (value, expected) => {
+    expect(fxService.parseDate(value)).toBe(expected);
+  });
+});
+
+describe('FxService.parseXml', () => {
+  it('reads the daily reference rates', () => {
+    const { rates, errors } = fxService.parseXml(DAILY_XML);
+
+    expect(rates).toEqual([
+      { date: '2024-06-03', currency: 'USD', rate: 1.085 },
+      { date: '2024-06-03', currency: 'JPY', rate: 169.8 },
+      { date: '2024-06-03', currency: 'GBP', rate: 0.85048 }
+    ]);
+    expect(errors).toEqual(['Invalid rate on 2024-06-03: XXX N/A']);
+  });
+
+  it('reads every day of a historical file and reports bad dates', () => {
+    const content = `<Envelope><Cube>
+      <Cube time="2024-06-03"><Cube currency="USD" rate="1.0850"/></Cube>
+      <Cube time="2024-05-31"><Cube currency="usd" rate="1.0848"/></Cube>
+      <Cube time="2024-13-01"><Cube currency="USD" rate="1.0000"/></Cube>
+    </Cube></Envelope>`;
+
+    const { rates, errors } = fxService.parseXml(content);
+
+    expect(rates).toEqual([
+      { date: '2024-06-03', currency: 'USD', rate: 1.085 },
+      { date: '2024-05-31', currency: 'USD', rate: 1.0848 }
+    ]);
+    expect(errors).toEqual(['Invalid date: 2024-13-01']);
+  });
+});
+
+describe('FxService.parseCsv', () => {
+  it('reads the historical file, skipping N/A cells', () => {
+    const { rates, errors } = fxService.parseCsv(HISTORICAL_CSV);
+
+    expect(rates.filter(rate => rate.date === '2024-06-03')).toEqual([
+      { date: '2024-06-03', currency: 'USD', rate: 1.085 },
+      { date: '2024-06-03', currency: 'JPY', rate: 169.8 },
+      { date: '2024-06-03', currency: 'GBP', rate: 0.85048 }
+    ]);
+    expect(rates.filter(rate => rate.currency === 'CYP')).toEqual([{ date: '2007-12-31', currency: 'CYP', rate: 0.585274 }]);
+    expect(rates).toHaveLength(10);
+    expect(errors).toEqual(['Invalid date: 2024-02-30']);
+  });
+
+  it('reads the daily file with its spelled-out date', () => {
+    expect(fxService.parseCsv(DAILY_CSV).rates).toEqual([
+      { date: '2024-06-03', currency: 'USD', rate: 1.085 },
+      { date: '2024-06-03', currency: 'JPY', rate: 169.8 },
+      { date: '2024-06-03', currency: 'GBP', rate: 0.85048 }
+    ]);
+  });
+
+  it('rejects a file without a Date column', () => {
+    expect(() => fxService.parseCsv('Currency,Rate\nUSD,1.08')).toThrow('Not an ECB rates CSV: the first column must be Date');
+  });
+});
+
+describe('FxService.parseFile', () => {
+  it.each([
+    [DAILY_XML, 'auto', 'xml'],
+    [DAILY_CSV, 'auto', 'csv'],
+    [HISTORICAL_CSV, 'csv', 'csv']
+  ])('detects the format (%#)', (content, format, expected) => {
+    expect(fxService.parseFile(content, { format }).format).toBe(expected);
+  });
+});
+
+describe('FxService.getConverter', () => {
+  let convert;
+
+  beforeEach(async () => {
+    FxRateModel.findOnDate.mockResolvedValue([
+      { quote_currency: 'USD', rate: '1.0850' },
+      { quote_currency: 'GBP', rate: '0.85048' },
+      { quote_currency: 'JPY', rate: '169.80' }
+    ]);
+    convert = await fxService.getConverter('2024-06-03');
+  });
+
+  it('loads the rates in effect on the date', () => {
+    expect(FxRateModel.findOnDate).toHaveBeenCalledWith('2024-06-03');
+  });
+
+  it.each([
+    [100, 'EUR', 'USD', 108.5],
+    [108.5, 'USD', 'EUR', 100],
+    [100, 'USD', 'GBP', 78.3853],
+    [100, 'gbp', 'jpy', 19965.1961],
+    [100, 'USD', 'usd', 100]
+  ])('converts %s %s to %s %s through the euro', (amount, from, to, expected) => {
+    expect(convert(amount, from, to)).toBeCloseTo(expected, 4);
+  });
+
+  it.each([
+    [100, 'USD', 'CHF'],
+    [100, 'CHF', 'EUR'],
+    [null, 'USD', 'EUR']
+  ])('returns null for %s %s to %s', (amount, from, to) => {
+    expect(convert(amount, from, to)).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+const camtImportService = require('../../../src/services/imports/camtImportService');
+
+const entry = ({ amount, indicator, status = 'BOOK', bookingDate = '2024-03-15', reference = null, details = '' }) => `
+  <Ntry>
+    ${reference ? `<AcctSvcrRef>${reference}</AcctSvcrRef>` : ''}
+    <Amt Ccy="EUR">${amount}</Amt>
+    <CdtDbtInd>${indicator}</CdtDbtInd>
+    <Sts><Cd>${status}</Cd></Sts>
+    <BookgDt><Dt>${bookingDate}</Dt></BookgDt>
+    <ValDt><Dt>2024-03-16</Dt></ValDt>
+    <BkTxCd><Domn><Cd>PMNT</Cd></Domn></BkTxCd>
+    ${details}
+  </Ntry>`;
+
+const document = ({ message = 'BkToCstmrStmt', element = 'Stmt', balances = '', entries = '' }) => `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.08">
+  <${message}>
+    <GrpHdr><MsgId>MSG-1</MsgId></GrpHdr>
+    <${element}>
+      <Id>STMT-1</Id>
+      <Acct>
+        <Id><IBAN>FR7630006000011234567890189</IBAN></Id>
+        <Ccy>EUR</Ccy>
+        <Svcr><FinInstnId><BICFI>AGRIFRPP</BICFI></FinInstnId></Svcr>
+      </Acct>
+      ${balances}
+      ${entries}
+    </${element}>
+  </${message}>
+</Document>`;
+
+const balance = (code, amount, indicator = 'CRDT', date = '2024-03-31') =>
+  `<Bal><Tp><CdOrPrtry><Cd>${code}</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">${amount}</Amt><CdtDbtInd>${indicator}</CdtDbtInd><Dt><Dt>${date}</Dt></Dt></Bal>`;
+
+const PAYMENT_DETAILS = `
+  <NtryDtls><TxDtls>
+    <Refs><EndToEndId>E2E-42</EndToEndId></Refs>
+    <RltdPties>
+      <Cdtr><Nm>ACME SARL</Nm></Cdtr>
+      <CdtrAcct><Id><IBAN>DE89370400440532013000</IBAN></Id></CdtrAcct>
+    </RltdPties>
+    <RltdAgts><CdtrAgt><FinInstnId><BICFI>COBADEFFXXX</BICFI></FinInstnId></CdtrAgt></RltdAgts>
+    <RmtInf><Ustrd>Invoice   2024-17</Ustrd></RmtInf>
+  </TxDtls></NtryDtls>`;
+
+describe('CamtImportService.parse', () => {
+  it('reads a camt.053 statement', () => {
+    const content = document({
+      balances: balance('OPBD', '1000.00', 'CRDT', '2024-03-01') + balance('CLBD', '1707.50'),
+      entries: [
+        entry({ amount: '292.50', indicator: 'DBIT', reference: 'REF-1', details: PAYMENT_DETAILS }),
+        entry({ amount: '1000.00', indicator: 'CRDT', reference: 'NOTPROVIDED' }),
+        entry({ amount: '5.00', indicator: 'DBIT', status: 'PDNG' }),
+        entry({ amount: '5.00', indicator: 'DBIT', bookingDate: '2024-02-30' }),
+        entry({ amount: '5,00', indicator: 'DBIT' })
+      ].join('')
+    });
+
+    const { format, statements } = camtImportService.parse(content);
+
+    expect(format).toBe('camt.053');
+    expect(statements).toHaveLength(1);
+    const [{ account, rows, errors, ledgerBalance }] = statements;
+    expect(account).toEqual({
+      name: 'AGRIFRPP ••0189',
+      bank_name: 'AGRIFRPP',
+      account_number: 'FR7630006000011234567890189',
+      iban: 'FR7630006000011234567890189',
+      currency: 'EUR'
+    });
+    expect(rows).toEqual([
+      expect.objectContaining({
+        sourceRow: 1,
+        transaction_date: '2024-03-15',
+        processed_date: '2024-03-16',
+        amount: -292.5,
+        description: 'Invoice 2024-17',
+        merchant_name: 'ACME SARL',
+        reference_number: 'E2E-42',
+        external_id: 'REF-1',
+        metadata: expect.objectContaining({
+          counterparty_iban: 'DE89370400440532013000',
+          counterparty_bic: 'COBADEFFXXX',
+          bank_transaction_code: 'PMNT',
+          reversal: false
+        })
+      }),
+      expect.objectContaining({ sourceRow: 2, amount: 1000, description: 'camt entry', external_id: null })
+    ]);
+    expect(errors).toEqual([
+      { row: 4, message: 'Missing or invalid BookgDt' },
+      { row: 5, message: 'Invalid Amt "5,00"' }
+    ]);
+    expect(ledgerBalance).toEqual({ amount: 1707.5, available: null, asOf: '2024-03-31', opening: 1000, reconciled: true });
+  });
+
+  it.each([
+    ['closing and opening that do not reconcile', balance('OPBD', '1000.00') + balance('CLBD', '50.00', 'DBIT'),
+      { amount: -50, available: null, asOf: '2024-03-31', opening: 1000, reconciled: false }],
+    ['only an opening balance', balance('OPBD', '1000.00', 'CRDT', '2024-03-01'),
+      { amount: 900, available: null, asOf: '2024-03-15', opening: 1000, reconciled: null }],
+    ['an interim balance with an available balance', balance('ITBD', '900.00') + balance('ITAV', '850.00'),
+      { amount: 900, available: 850, asOf: '2024-03-31', opening: null, reconciled: null }],
+    ['no balance', '', null]
+  ])('reads the balance with %s', (label, balances, expected) => {
+    const content = document({ balances, entries: entry({ amount: '100.00', indicator: 'DBIT' }) });
+
+    const [statement] = camtImportService.parse(content).statements;
+
+    expect(statement.ledgerBalance).toEqual(expected);
+  });
+
+  it('reads a camt.052 account report', () => {
+    const content = document({ message: 'BkToCstmrAcctRpt', element: 'Rpt', entries: entry({ amount: '10.00', indicator: 'CRDT' }) });
+
+    const { format, statements } = camtImportService.parse(content);
+
+    expect(format).toBe('camt.052');
+    expect(statements[0].rows).toHaveLength(1);
+  });
+
+  it.each([
+    ['another message', '<Document><BkToCstmrDbtCdtNtfctn/></Document>', 'Not a camt.053 or camt.052 document'],
+    ['a statement-less document', '<Document><BkToCstmrStmt><GrpHdr/></BkToCstmrStmt></Document>', 'The camt.053 document contains no Stmt element']
+  ])('rejects %s', (label, content, message) => {
+    expect(() => camtImportService.parse(content)).toThrow(message);
+  });
+});
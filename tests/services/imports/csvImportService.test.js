@@ -0,0 +1,105 @@
+const csvImportService = require('../../../src/services/imports/csvImportService');
+
+describe('CsvImportService.parseDate', () => {
+  it.each([
+    ['2024-03-15', 'YYYY-MM-DD', '2024-03-15'],
+    ['15/03/2024', 'DD/MM/YYYY', '2024-03-15'],
+    ['3/5/2024', 'M/D/YYYY', '2024-03-05'],
+    ['15.03.24', 'DD.MM.YY', '2024-03-15'],
+    ['29/02/2024', 'DD/MM/YYYY', '2024-02-29'],
+    ['29/02/2023', 'DD/MM/YYYY', null],
+    ['2024-03-15', 'DD/MM/YYYY', null],
+    ['15/03/2024 extra', 'DD/MM/YYYY', null],
+    ['', 'YYYY-MM-DD', null]
+  ])('%s with %s -> %s', (value, format, expected) => {
+    expect(csvImportService.parseDate(value, format)).toBe(expected);
+  });
+});
+
+describe('CsvImportService.parseAmount', () => {
+  it.each([
+    ['12.50', {}, 12.5],
+    ['-1,234.56', { thousandsSeparator: ',' }, -1234.56],
+    ['1 234,56', { decimalSeparator: ',', thousandsSeparator: ' ' }, 1234.56],
+    ['1.234,56', { decimalSeparator: ',' }, 1234.56],
+    ['(12.00)', {}, -12],
+    ['12.00-', {}, -12],
+    ['€-5', {}, -5],
+    ['+3', {}, 3],
+    ['', {}, null],
+    ['abc', {}, null],
+    [null, {}, null]
+  ])('%s with %j -> %s', (value, format, expected) => {
+    expect(csvImportService.parseAmount(value, format)).toBe(expected);
+  });
+});
+
+describe('CsvImportService.validateProfile', () => {
+  const columns = { date: 'Date', description: 'Label', amount: 'Amount' };
+
+  it.each([
+    [{ name: 'Bank', columns }, []],
+    [{ name: '', columns }, ['name is required']],
+    [{ name: 'Bank', columns, date_format: 'DD/MM' }, ['date_format must contain YYYY (or YY), MM (or M) and DD (or D), e.g. DD/MM/YYYY']],
+    [{ name: 'Bank', columns, decimal_separator: ',', thousands_separator: ',' }, ['decimal_separator and thousands_separator must differ']],
+    [{ name: 'Bank', columns: { date: 0, description: 1 } }, ['Map columns.amount, or columns.debit and/or columns.credit']],
+    [{ name: 'Bank', columns: { ...columns, iban: 3 } }, ['Unknown column fields: iban. Allowed: date, description, amount, debit, credit, balance, currency, merchant, reference, category']]
+  ])('%j -> %j', (profile, errors) => {
+    expect(csvImportService.validateProfile(profile)).toEqual(errors);
+  });
+
+  it('only checks provided fields on partial updates', () => {
+    expect(csvImportService.validateProfile({ skip_rows: 2 }, { partial: true })).toEqual([]);
+  });
+});
+
+describe('CsvImportService.parse', () => {
+  it('maps a semicolon file with a preamble, decimal commas and a running balance', () => {
+    const text = [
+      'Account statement;;;',
+      'Date;Label;Amount;Balance',
+      '15/03/2024;CB CARREFOUR;-42,10;957,90',
+      '16/03/2024;"VIR ""SALARY"" MARCH";2 500,00;3 457,90',
+      '31/02/2024;BAD DATE;-1,00;',
+      '17/03/2024;NO AMOUNT;;'
+    ].join('\n');
+    const profile = {
+      skip_rows: 1,
+      date_format: 'DD/MM/YYYY',
+      decimal_separator: ',',
+      thousands_separator: ' ',
+      columns: { date: 'Date', description: 'Label', amount: 'Amount', balance: 'Balance' }
+    };
+
+    const { rows, errors, delimiter } = csvImportService.parse(text, profile);
+
+    expect(delimiter).toBe(';');
+    expect(rows).toEqual([
+      expect.objectContaining({ sourceRow: 3, transaction_date: '2024-03-15', amount: -42.1, description: 'CB CARREFOUR', currency: 'EUR', balance_after: 957.9 }),
+      expect.objectContaining({ sourceRow: 4, transaction_date: '2024-03-16', amount: 2500, description: 'VIR "SALARY" MARCH', balance_after: 3457.9 })
+    ]);
+    expect(errors).toEqual([
+      { row: 5, message: 'Invalid date "31/02/2024"' },
+      { row: 6, message: 'Missing or invalid amount' }
+    ]);
+  });
+
+  it.each([
+    ['debit and credit columns', { columns: { date: 0, description: 1, debit: 2, credit: 3 } }, ['12.00', ''], -12],
+    ['debit and credit columns, credit side', { columns: { date: 0, description: 1, debit: 2, credit: 3 } }, ['', '30.00'], 30],
+    ['an inverted amount column', { sign_convention: 'inverted', columns: { date: 0, description: 1, amount: 2 } }, ['12.00'], -12]
+  ])('reads %s', (label, profile, amountCells, amount) => {
+    const text = ['2024-03-15', 'PAYMENT', ...amountCells].join(',');
+
+    const { rows } = csvImportService.parse(text, { has_header: false, ...profile });
+
+    expect(rows[0].amount).toBe(amount);
+  });
+
+  it('reports header columns that are not found', () => {
+    const { rows, errors } = csvImportService.parse('Date,Label,Amount\n2024-03-15,X,1', { columns: { date: 'Date', description: 'Label', amount: 'Montant' } });
+
+    expect(rows).toEqual([]);
+    expect(errors).toEqual([{ row: null, message: 'Columns not found in header: amount ("Montant")' }]);
+  });
+});
@@ -0,0 +1,40 @@
+jest.mock('../../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../src/services/postSyncService', () => ({ run: jest.fn() }));
+
+const importService = require('../../../src/services/imports/importService');
+
+const row = (transaction_date, amount, balance_after) => ({ transaction_date, amount, balance_after, description: 'x' });
+
+describe('ImportService.updateBalanceFromRows', () => {
+  let applied;
+
+  beforeEach(() => {
+    applied = null;
+    jest.spyOn(importService, 'applyStatementBalance').mockImplementation(async (account, balance) => {
+      applied = balance;
+      return true;
+    });
+  });
+
+  it.each([
+    ['oldest first', [row('2024-03-01', -10, 990), row('2024-03-02', -20, 970), row('2024-03-02', -30, 940)], 940],
+    ['newest first', [row('2024-03-02', -30, 940), row('2024-03-02', -20, 970), row('2024-03-01', -10, 990)], 940],
+    ['one day, oldest first', [row('2024-03-02', -20, 970), row('2024-03-02', -30, 940), row('2024-03-02', 100, 1040)], 1040],
+    ['one day, newest first', [row('2024-03-02', 100, 1040), row('2024-03-02', -30, 940), row('2024-03-02', -20, 970)], 1040],
+    ['a single row', [row('2024-03-02', -20, 970)], 970]
+  ])('uses the last balance of the latest day, %s', async (label, rows, balance) => {
+    await importService.updateBalanceFromRows({ id: 'account-1' }, rows);
+
+    expect(applied).toEqual({ amount: balance, asOf: '2024-03-02' });
+  });
+
+  it('ignores rows without a running balance', async () => {
+    await importService.updateBalanceFromRows({ id: 'account-1' }, [row('2024-03-01', -10, 990), row('2024-03-05', -5, null)]);
+
+    expect(applied).toEqual({ amount: 990, asOf: '2024-03-01' });
+  });
+});
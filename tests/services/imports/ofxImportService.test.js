@@ -0,0 +1,100 @@
+const ofxImportService = require('../../../src/services/imports/ofxImportService');
+
+const SGML_FILE = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS><FI><ORG>Boursorama<FID>1234</FI></SONRS></SIGNONMSGSRSV1>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>EUR
+<BANKACCTFROM><BANKID>40618<ACCTID>00012345678<ACCTTYPE>SAVINGS</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240315120000[+1:CET]<TRNAMT>-42,10<FITID>A1<NAME>CARREFOUR<MEMO>CB CARREFOUR 15/03</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240316<DTAVAIL>20240318<TRNAMT>2500.00<FITID>A2<NAME>SALARY<MEMO>SALARY</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240231<TRNAMT>-1.00<FITID>A3</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240317<TRNAMT>abc<FITID>A4</STMTTRN>
+</BANKTRANLIST>
+<LEDGERBAL><BALAMT>3457.90<DTASOF>20240317</LEDGERBAL>
+<AVAILBAL><BALAMT>3400.00<DTASOF>20240317</AVAILBAL>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const XML_CREDIT_CARD_FILE = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="220"?>
+<OFX>
+  <CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+    <CURDEF>usd</CURDEF>
+    <CCACCTFROM><ACCTID>4111111111111111</ACCTID></CCACCTFROM>
+    <BANKTRANLIST>
+      <STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240301</DTPOSTED><TRNAMT>-9.99</TRNAMT><FITID>C1</FITID><NAME>Tom &amp; Jerry's</NAME><CHECKNUM>101</CHECKNUM></STMTTRN>
+    </BANKTRANLIST>
+  </CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1>
+</OFX>`;
+
+describe('OfxImportService.parseDate', () => {
+  it.each([
+    ['20240315', '2024-03-15'],
+    ['20240315120000.000[-5:EST]', '2024-03-15'],
+    ['20240229', '2024-02-29'],
+    ['20230229', null],
+    ['2024-03-15', null],
+    ['', null],
+    [null, null]
+  ])('%s -> %s', (text, expected) => {
+    expect(ofxImportService.parseDate(text)).toBe(expected);
+  });
+});
+
+describe('OfxImportService.parseAmount', () => {
+  it.each([
+    ['-42.10', -42.1],
+    ['-42,10', -42.1],
+    ['+1 000.5', 1000.5],
+    ['.5', 0.5],
+    ['abc', null],
+    [null, null]
+  ])('%s -> %s', (text, expected) => {
+    expect(ofxImportService.parseAmount(text)).toBe(expected);
+  });
+});
+
+describe('OfxImportService.parse', () => {
+  it('reads an SGML bank statement', () => {
+    const { statements } = ofxImportService.parse(SGML_FILE);
+
+    expect(statements).toHaveLength(1);
+    const [{ account, rows, errors, ledgerBalance }] = statements;
+    expect(account).toEqual({
+      name: 'Boursorama savings ••5678',
+      bank_name: 'Boursorama',
+      account_number: '00012345678',
+      type: 'savings',
+      currency: 'EUR'
+    });
+    expect(rows).toEqual([
+      expect.objectContaining({ sourceRow: 1, transaction_date: '2024-03-15', processed_date: '2024-03-15', amount: -42.1, description: 'CARREFOUR - CB CARREFOUR 15/03', external_id: 'A1' }),
+      expect.objectContaining({ sourceRow: 2, transaction_date: '2024-03-16', processed_date: '2024-03-18', amount: 2500, description: 'SALARY', merchant_name: 'SALARY' })
+    ]);
+    expect(errors).toEqual([
+      { row: 3, message: 'Invalid DTPOSTED "20240231"' },
+      { row: 4, message: 'Invalid TRNAMT "abc"' }
+    ]);
+    expect(ledgerBalance).toEqual({ amount: 3457.9, available: 3400, asOf: '2024-03-17' });
+  });
+
+  it('reads an XML credit card statement', () => {
+    const [{ account, rows, ledgerBalance }] = ofxImportService.parse(XML_CREDIT_CARD_FILE).statements;
+
+    expect(account).toEqual(expect.objectContaining({ name: 'OFX credit ••1111', type: 'credit', currency: 'USD' }));
+    expect(rows).toEqual([
+      expect.objectContaining({ amount: -9.99, description: 'Tom & Jerry\'s', currency: 'USD', reference_number: '101', external_id: 'C1' })
+    ]);
+    expect(ledgerBalance).toBeNull();
+  });
+
+  it('rejects a file without statements', () => {
+    expect(() => ofxImportService.parse('<OFX><SIGNONMSGSRSV1></SIGNONMSGSRSV1></OFX>'))
+      .toThrow('No bank, credit card or investment statement found in the OFX file');
+  });
+});
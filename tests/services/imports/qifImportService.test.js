@@ -0,0 +1,129 @@
+const qifImportService = require('../../../src/services/imports/qifImportService');
+
+describe('QifImportService.parseDate', () => {
+  it.each([
+    ['1/15/2024', 'MM/DD/YYYY', '2024-01-15'],
+    ['1/15\'24', 'MM/DD/YYYY', '2024-01-15'],
+    [' 1/ 5/99', 'MM/DD/YYYY', '1999-01-05'],
+    ['1/5/49', 'MM/DD/YYYY', '2049-01-05'],
+    ['15.01.2024', 'DD.MM.YYYY', '2024-01-15'],
+    ['2024-01-15', 'YYYY-MM-DD', '2024-01-15'],
+    ['2/30/2024', 'MM/DD/YYYY', null],
+    ['1/15', 'MM/DD/YYYY', null],
+    ['', 'MM/DD/YYYY', null]
+  ])('%s with %s -> %s', (text, format, expected) => {
+    expect(qifImportService.parseDate(text, format)).toBe(expected);
+  });
+});
+
+describe('QifImportService.parseCategory', () => {
+  it.each([
+    ['Food:Groceries', { category: 'Food', subcategory: 'Groceries' }],
+    ['Food:Groceries/Vacation', { category: 'Food', subcategory: 'Groceries' }],
+    ['Salary', { category: 'Salary', subcategory: null }],
+    ['[Savings]', { category: 'Transfer', transferAccount: 'Savings' }],
+    ['', {}],
+    [undefined, {}]
+  ])('%s -> %j', (text, expected) => {
+    expect(qifImportService.parseCategory(text)).toEqual(expected);
+  });
+});
+
+describe('QifImportService.parse', () => {
+  it('reads account blocks, splits and errors', () => {
+    const text = [
+      '!Option:AutoSwitch',
+      '!Account',
+      'NChecking',
+      'TBank',
+      '^',
+      'NVisa',
+      'TCCard',
+      '^',
+      '!Clear:AutoSwitch',
+      '!Account',
+      'NChecking',
+      'TBank',
+      '$1,500.00',
+      '/3/31/2024',
+      '^',
+      '!Type:Bank',
+      'D3/15/2024',
+      'T-1,234.56',
+      'PRent Co',
+      'MMarch rent',
+      'LHousing:Rent',
+      'N1001',
+      'CX',
+      '^',
+      'D3/16/2024',
+      'T-100.00',
+      'PSupermarket',
+      'SFood:Groceries',
+      '$-60.00',
+      'SHousehold',
+      '$-40.00',
+      '^',
+      'D3/17/2024',
+      'T200.00',
+      'L[Savings]',
+      '^',
+      'D2/30/2024',
+      'T-5.00',
+      '^'
+    ].join('\r\n');
+
+    const { statements } = qifImportService.parse(text);
+
+    expect(statements).toHaveLength(1);
+    const [{ account, rows, errors, ledgerBalance }] = statements;
+    expect(account).toEqual({ name: 'Checking', type: 'checking' });
+    expect(ledgerBalance).toEqual({ amount: 1500, asOf: '2024-03-31' });
+    expect(rows).toEqual([
+      expect.objectContaining({
+        sourceRow: 17,
+        transaction_date: '2024-03-15',
+        amount: -1234.56,
+        description: 'Rent Co - March rent',
+        reference_number: '1001',
+        category: 'Housing',
+        subcategory: 'Rent',
+        metadata: { cleared: 'X' }
+      }),
+      expect.objectContaining({ amount: -100, category: 'Food', subcategory: 'Groceries', metadata: { cleared: null, splits: 2 } }),
+      expect.objectContaining({ amount: 200, description: 'Transfer', category: 'Transfer', metadata: { cleared: null, transfer_account: 'Savings' } })
+    ]);
+    expect(errors).toEqual([{ row: 37, message: 'Invalid date "2/30/2024"' }]);
+  });
+
+  it('reads a file without an account header, with day-first dates and decimal commas', () => {
+    const text = '!Type:CCard\nD15.03.2024\nT-1.234,50\nPHotel\n^\n';
+
+    const { statements } = qifImportService.parse(text, { dateFormat: 'DD.MM.YYYY', decimalSeparator: ',' });
+
+    expect(statements).toEqual([{
+      account: null,
+      rows: [expect.objectContaining({ transaction_date: '2024-03-15', amount: -1234.5, description: 'Hotel' })],
+      errors: [],
+      ledgerBalance: null
+    }]);
+  });
+
+  const investmentFile = (action, total) =>
+    `!Account\nNBroker\nTInvst\n^\n!Type:Invst\nD3/15/2024\nN${action}\nYACME\nQ10\nI100\nT${total}\n^\n`;
+
+  it.each([
+    ['Buy', '1,000.00', -1000],
+    ['SellX', '1,000.00', 1000],
+    ['Div', '25.00', 25]
+  ])('keeps the cash effect of the investment action %s', (action, total, amount) => {
+    const [statement] = qifImportService.parse(investmentFile(action, total)).statements;
+
+    expect(statement.account).toEqual({ name: 'Broker', type: 'investment' });
+    expect(statement.rows).toEqual([expect.objectContaining({ amount, category: 'Investments', description: `${action} - ACME` })]);
+  });
+
+  it('skips investment actions that only move shares', () => {
+    expect(qifImportService.parse(investmentFile('ShrsIn', '1,000.00')).statements).toEqual([]);
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/models/Job', () => ({
+  enqueue: jest.fn(),
+  claimNext: jest.fn(),
+  reapExpired: jest.fn(),
+  heartbeat: jest.fn(),
+  complete: jest.fn(),
+  fail: jest.fn()
+}));
+
+const JobModel = require('../../src/models/Job');
+const jobQueueService = require('../../src/services/jobQueueService');
+
+const job = (overrides = {}) => ({
+  id: 'job-1',
+  type: 'test',
+  payload: { userId: 'user-1' },
+  attempts: 1,
+  max_attempts: 5,
+  ...overrides
+});
+
+const failing = jest.fn(async () => {
+  throw new Error('Bank API timeout');
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers();
+  JobModel.heartbeat.mockResolvedValue(true);
+  jobQueueService.handlers.clear();
+});
+
+afterEach(() => {
+  jobQueueService.stop();
+  jest.useRealTimers();
+});
+
+describe('JobQueueService.runJob', () => {
+  it('stores the handler result', async () => {
+    jobQueueService.registerHandler('test', async (payload) => ({ synced: payload.userId }));
+
+    await jobQueueService.runJob(job());
+
+    expect(JobModel.complete).toHaveBeenCalledWith('job-1', jobQueueService.workerId, { synced: 'user-1' });
+    expect(JobModel.fail).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [1, 30],
+    [2, 60],
+    [3, 120],
+    [4, 240]
+  ])('retries a failed attempt %i after %i seconds', async (attempts, delay) => {
+    jobQueueService.registerHandler('test', failing);
+
+    await jobQueueService.runJob(job({ attempts }));
+
+    expect(JobModel.fail).toHaveBeenCalledWith('job-1', jobQueueService.workerId, 'Bank API timeout', delay);
+    expect(JobModel.complete).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [5, 5],
+    [3, 3]
+  ])('dead-letters attempt %i of %i', async (attempts, maxAttempts) => {
+    jobQueueService.registerHandler('test', failing);
+
+    await jobQueueService.runJob(job({ attempts, max_attempts: maxAttempts }));
+
+    expect(JobModel.fail).toHaveBeenCalledWith('job-1', jobQueueService.workerId, 'Bank API timeout', null);
+  });
+
+  it('sends heartbeats while the handler runs, with its reported progress', async () => {
+    let finish;
+    jobQueueService.registerHandler('test', (payload, { reportProgress }) => new Promise(resolve => {
+      reportProgress({ accounts: 1 });
+      finish = resolve;
+    }));
+
+    const running = jobQueueService.runJob(job());
+    await jest.advanceTimersByTimeAsync(65 * 1000);
+    finish();
+    await running;
+
+    expect(JobModel.heartbeat.mock.calls).toEqual([
+      ['job-1', jobQueueService.workerId, 120, { accounts: 1 }],
+      ['job-1', jobQueueService.workerId, 120, null],
+      ['job-1', jobQueueService.workerId, 120, null]
+    ]);
+  });
+
+  it.each([
+    ['completes', async () => 'done'],
+    ['fails', failing]
+  ])('clears the heartbeat when the job %s', async (label, handler) => {
+    jobQueueService.registerHandler('test', handler);
+
+    await jobQueueService.runJob(job());
+    expect(jest.getTimerCount()).toBe(0);
+
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+    expect(JobModel.heartbeat).not.toHaveBeenCalled();
+  });
+
+  it('clears the heartbeat when recording the outcome fails', async () => {
+    jobQueueService.registerHandler('test', failing);
+    JobModel.fail.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(jobQueueService.runJob(job())).rejects.toThrow('connection lost');
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
+
+describe('JobQueueService.poll', () => {
+  it('reaps expired leases, then runs the next due job of a registered type', async () => {
+    jobQueueService.registerHandler('test', async () => 'done');
+    JobModel.claimNext.mockResolvedValueOnce(job());
+
+    await jobQueueService.poll();
+
+    expect(JobModel.reapExpired).toHaveBeenCalled();
+    expect(JobModel.claimNext).toHaveBeenCalledWith(jobQueueService.workerId, ['test'], 120);
+    expect(JobModel.complete).toHaveBeenCalledWith('job-1', jobQueueService.workerId, 'done');
+    expect(jobQueueService.isBusy).toBe(false);
+  });
+
+  it('polls again right after a job and waits the poll interval when idle', async () => {
+    jobQueueService.registerHandler('test', async () => 'done');
+    JobModel.claimNext.mockResolvedValueOnce(job()).mockResolvedValue(null);
+    jobQueueService.isRunning = true;
+
+    await jobQueueService.poll();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(JobModel.claimNext).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(JobModel.claimNext).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(JobModel.claimNext).toHaveBeenCalledTimes(3);
+  });
+
+  it('keeps polling after a database error', async () => {
+    JobModel.reapExpired.mockRejectedValueOnce(new Error('connection refused'));
+    jobQueueService.isRunning = true;
+
+    await jobQueueService.poll();
+
+    expect(jobQueueService.isBusy).toBe(false);
+    expect(jest.getTimerCount()).toBe(1);
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/models/CryptoAddress', () => ({}));
+jest.mock('../../src/models/CryptoDeposit', () => ({}));
+jest.mock('../../src/models/NexoWebhookInbox', () => ({ create: jest.fn(), markStatus: jest.fn(), isProcessed: jest.fn() }));
+
+const crypto = require('crypto');
+
+process.env.NEXO_WEBHOOK_SECRET = 'test-secret';
+const NexoWebhookInboxModel = require('../../src/models/NexoWebhookInbox');
+const nexoService = require('../../src/services/nexoService');
+
+// Nexo signs "<raw body>/<secret>" and sends the hex SHA-256 with a 0x prefix
+const sign = (rawBody) => `0x${crypto.createHash('sha256').update(`${rawBody}/test-secret`).digest('hex')}`;
+
+// Spacing and key order as Nexo sent them, which JSON.stringify would not reproduce
+const RAW_BODY = '{ "data": {"transactionId": "tx-1",  "asset": "BTC", "amount": "0.5"},\n  "eventType": "PG_DEPOSIT" }';
+
+describe('NexoService.verifyWebhookSignature', () => {
+  beforeEach(() => {
+    jest.spyOn(crypto, 'timingSafeEqual');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a signature over the raw bytes, in any letter case', () => {
+    expect(nexoService.verifyWebhookSignature(RAW_BODY, sign(RAW_BODY))).toBe(true);
+    expect(nexoService.verifyWebhookSignature(RAW_BODY, ` ${sign(RAW_BODY).toUpperCase()} `)).toBe(true);
+  });
+
+  it.each([
+    ['re-serialized', JSON.stringify(JSON.parse(RAW_BODY))],
+    ['re-spaced', JSON.stringify(JSON.parse(RAW_BODY), null, 2)],
+    ['re-ordered', JSON.stringify({ eventType: 'PG_DEPOSIT', data: { amount: '0.5', asset: 'BTC', transactionId: 'tx-1' } })]
+  ])('checks the raw bytes, not the JSON they hold: a %s body does not verify', (label, body) => {
+    expect(nexoService.verifyWebhookSignature(body, sign(RAW_BODY))).toBe(false);
+  });
+
+  it.each([
+    ['a missing signature', undefined],
+    ['an empty signature', ''],
+    ['a shorter signature', sign(RAW_BODY).slice(0, -2)],
+    ['a longer signature', `${sign(RAW_BODY)}00`],
+    ['a signature without the 0x prefix', sign(RAW_BODY).slice(2)],
+    ['a signature of the same length in characters but not in bytes', `0x${'é'.repeat(64)}`],
+    ['a signature that is not a string', ['0x00']]
+  ])('rejects %s before comparing, without throwing', (label, signature) => {
+    expect(nexoService.verifyWebhookSignature(RAW_BODY, signature)).toBe(false);
+    expect(crypto.timingSafeEqual).not.toHaveBeenCalled();
+  });
+
+  it('rejects everything when no secret is configured', () => {
+    const secret = nexoService.webhookSecret;
+    nexoService.webhookSecret = undefined;
+
+    expect(nexoService.verifyWebhookSignature(RAW_BODY, sign(RAW_BODY))).toBe(false);
+    nexoService.webhookSecret = secret;
+  });
+});
+
+describe('NexoService.handleWebhook', () => {
+  let inbox;
+
+  beforeEach(() => {
+    inbox = [];
+    jest.clearAllMocks();
+    NexoWebhookInboxModel.create.mockImplementation(async (eventData) => {
+      const event = { id: `event-${inbox.length + 1}`, status: 'received', ...eventData };
+      inbox.push(event);
+      return event;
+    });
+    NexoWebhookInboxModel.markStatus.mockImplementation(async (eventId, status) => {
+      const event = inbox.find(e => e.id === eventId);
+      event.status = status;
+      return event;
+    });
+    NexoWebhookInboxModel.isProcessed.mockImplementation(async (transactionId, excludeEventId) =>
+      inbox.some(e => e.transaction_id === transactionId && e.status === 'processed' && e.id !== excludeEventId));
+    jest.spyOn(nexoService, 'handleDepositEvent').mockResolvedValue({ success: true, message: 'Deposit recorded' });
+  });
+
+  it('processes a deposit signed over the raw body and stores that body as received', async () => {
+    const result = await nexoService.handleWebhook(RAW_BODY, sign(RAW_BODY), { sourceIp: '203.0.113.7' });
+
+    expect(result).toEqual({ success: true, message: 'Deposit recorded', inboxEventId: 'event-1' });
+    expect(nexoService.handleDepositEvent).toHaveBeenCalledWith({ transactionId: 'tx-1', asset: 'BTC', amount: '0.5' });
+    expect(inbox[0]).toMatchObject({ raw_body: RAW_BODY, transaction_id: 'tx-1', source_ip: '203.0.113.7', status: 'processed' });
+  });
+
+  it.each([
+    ['a missing signature', undefined, 400, 'MISSING_SIGNATURE'],
+    ['a signature of another length', '0x1234', 401, 'INVALID_SIGNATURE'],
+    ['a signature of another body', sign('{}'), 401, 'INVALID_SIGNATURE']
+  ])('rejects %s and keeps the request in the inbox', async (label, signature, status, code) => {
+    await expect(nexoService.handleWebhook(RAW_BODY, signature)).rejects.toMatchObject({ status, code });
+
+    expect(inbox[0].status).toBe('rejected');
+    expect(NexoWebhookInboxModel.markStatus).toHaveBeenCalledWith('event-1', 'rejected', expect.objectContaining({ signatureValid: false }));
+    expect(nexoService.handleDepositEvent).not.toHaveBeenCalled();
+  });
+
+  it('rejects a replayed transactionId, even re-signed with other spacing', async () => {
+    await nexoService.handleWebhook(RAW_BODY, sign(RAW_BODY));
+    const replayed = JSON.stringify(JSON.parse(RAW_BODY));
+
+    await expect(nexoService.handleWebhook(replayed, sign(replayed)))
+      .rejects.toMatchObject({ status: 409, code: 'EVENT_ALREADY_PROCESSED' });
+    expect(inbox.map(e => e.status)).toEqual(['processed', 'rejected']);
+    expect(nexoService.handleDepositEvent).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a signed body that is not JSON', async () => {
+    await expect(nexoService.handleWebhook('not json', sign('not json')))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_PAYLOAD' });
+  });
+});
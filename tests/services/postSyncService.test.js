@@ -0,0 +1,62 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/services/budgetService', () => ({ evaluateUserBudgets: jest.fn() }));
+jest.mock('../../src/services/categorizerService', () => ({ classifyPending: jest.fn() }));
+jest.mock('../../src/services/reconciliationService', () => ({ reconcileUser: jest.fn() }));
+jest.mock('../../src/services/transferService', () => ({ detectForUser: jest.fn() }));
+
+const budgetService = require('../../src/services/budgetService');
+const categorizerService = require('../../src/services/categorizerService');
+const reconciliationService = require('../../src/services/reconciliationService');
+const transferService = require('../../src/services/transferService');
+const postSyncService = require('../../src/services/postSyncService');
+
+describe('PostSyncService.run', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    reconciliationService.reconcileUser.mockImplementation(async () => {
+      calls.push('reconciliation');
+      return { pendingScanned: 4, matched: 1, skipped: 0 };
+    });
+    transferService.detectForUser.mockImplementation(async () => {
+      calls.push('transfers');
+      return { transactionsScanned: 30, linked: 2, skipped: 0 };
+    });
+    categorizerService.classifyPending.mockImplementation(async () => {
+      calls.push('categorization');
+    });
+    budgetService.evaluateUserBudgets.mockImplementation(async () => {
+      calls.push('budgets');
+    });
+  });
+
+  it('runs every step in order and reports their counts', async () => {
+    const summary = await postSyncService.run('user-1');
+
+    expect(calls).toEqual(['reconciliation', 'transfers', 'categorization', 'budgets']);
+    expect(summary).toEqual({
+      errors: [],
+      reconciliation: { processed: 4, succeeded: 1 },
+      transfers: { processed: 30, succeeded: 2 }
+    });
+  });
+
+  it('keeps going after a failing step and reports its error', async () => {
+    transferService.detectForUser.mockRejectedValue(new Error('deadlock detected'));
+
+    const summary = await postSyncService.run('user-1');
+
+    expect(calls).toEqual(['reconciliation', 'categorization', 'budgets']);
+    expect(summary.errors).toEqual(['Transfer detection: deadlock detected']);
+  });
+
+  it('only re-evaluates budgets without transactions', async () => {
+    await postSyncService.run('user-1', { includeTransactions: false });
+
+    expect(calls).toEqual(['budgets']);
+  });
+});
@@ -0,0 +1,52 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/services/powens/powensAuthService', () => ({}));
+jest.mock('../../src/services/powens/powensDataService', () => ({
+  mapPowensTransactionToLocal: jest.fn((transaction, userId, accountId) => ({ powens_transaction_id: transaction.id, user_id: userId, account_id: accountId }))
+}));
+jest.mock('../../src/models/BankConnection', () => ({}));
+jest.mock('../../src/models/BankAccount', () => ({ findByPowensId: jest.fn() }));
+jest.mock('../../src/models/Transaction', () => ({ findOrCreateByPowensId: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findByPowensUserId: jest.fn() }));
+jest.mock('../../src/services/postSyncService', () => ({ run: jest.fn() }));
+
+const BankAccountModel = require('../../src/models/BankAccount');
+const TransactionModel = require('../../src/models/Transaction');
+const UserModel = require('../../src/models/User');
+const postSyncService = require('../../src/services/postSyncService');
+const powensSyncService = require('../../src/services/powens/powensSyncService');
+
+describe('PowensSyncService.handleWebhook', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    UserModel.findByPowensUserId.mockResolvedValue({ id: 'user-1' });
+    BankAccountModel.findByPowensId.mockResolvedValue({ id: 'account-1', user_id: 'user-1' });
+    TransactionModel.findOrCreateByPowensId.mockResolvedValue({ id: 'tx-1' });
+    postSyncService.run.mockResolvedValue({ errors: [], reconciliation: { processed: 1, succeeded: 1 } });
+  });
+
+  it('runs the post-sync steps after writing transactions', async () => {
+    const result = await powensSyncService.handleWebhook({
+      id_user: 42,
+      transactions: [{ id: 1001, id_account: 7 }]
+    }, 'TRANSACTIONS_CLUSTERED');
+
+    expect(TransactionModel.findOrCreateByPowensId).toHaveBeenCalledTimes(1);
+    expect(postSyncService.run).toHaveBeenCalledWith('user-1');
+    expect(result).toMatchObject({ handled: true, syncedTransactions: 1, postSync: { errors: [] } });
+  });
+
+  it('skips the post-sync steps when no transaction was written', async () => {
+    BankAccountModel.findByPowensId.mockResolvedValue(null);
+
+    const result = await powensSyncService.handleWebhook({
+      id_user: 42,
+      transactions: [{ id: 1001, id_account: 7 }]
+    }, 'TRANSACTIONS_CLUSTERED');
+
+    expect(result.skippedTransactions).toBe(1);
+    expect(postSyncService.run).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/models/WebhookEvent', () => ({ create: jest.fn() }));
+jest.mock('../../src/services/powens/powensSyncService', () => ({}));
+
+const crypto = require('crypto');
+
+process.env.POWENS_WEBHOOK_SECRET = 'test-secret';
+const WebhookEventModel = require('../../src/models/WebhookEvent');
+const powensWebhookService = require('../../src/services/powens/powensWebhookService');
+
+const PATH = '/api/webhooks/powens/USER_DELETED';
+const BODY = JSON.stringify({ id: 42 });
+
+const signedRequest = (signatureDate) => ({
+  method: 'POST',
+  path: PATH,
+  rawBody: BODY,
+  headers: {
+    'bi-signature-date': signatureDate,
+    'bi-signature': crypto.createHmac('sha256', 'test-secret').update(`POST.${PATH}.${signatureDate}.${BODY}`).digest('base64')
+  }
+});
+
+describe('PowensWebhookService.receive', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    WebhookEventModel.create.mockReset();
+    // Mimic the unique index on accepted (signature, signature_date) pairs
+    WebhookEventModel.create.mockImplementation(async (eventData) => {
+      const duplicate = eventData.signature_valid && stored.some(event => event.signature_valid &&
+        event.signature === eventData.signature && event.signature_date === eventData.signature_date);
+      if (duplicate) return null;
+
+      const event = { id: `event-${stored.length + 1}`, ...eventData };
+      stored.push(event);
+      return event;
+    });
+  });
+
+  it('accepts a freshly signed webhook', async () => {
+    const result = await powensWebhookService.receive(signedRequest(new Date().toUTCString()));
+
+    expect(result.accepted).toBe(true);
+    expect(stored[0]).toMatchObject({ signature_valid: true, last_error: null });
+  });
+
+  it.each([
+    ['an hour old', -3600],
+    ['ten minutes in the future', 600]
+  ])('rejects a signature date %s', async (label, offsetSeconds) => {
+    const result = await powensWebhookService.receive(signedRequest(new Date(Date.now() + offsetSeconds * 1000).toUTCString()));
+
+    expect(result.accepted).toBe(false);
+    expect(result.rejection).toMatch(/BI-Signature-Date/);
+    expect(stored[0].signature_valid).toBe(false);
+  });
+
+  it('rejects a replay of an accepted webhook', async () => {
+    const request = signedRequest(new Date().toUTCString());
+    await powensWebhookService.receive(request);
+
+    const replay = await powensWebhookService.receive(request);
+
+    expect(replay.accepted).toBe(false);
+    expect(replay.rejection).toMatch(/already received/);
+    expect(stored.map(event => event.signature_valid)).toEqual([true, false]);
+  });
+
+  it('rejects an unparseable signature date', () => {
+    expect(powensWebhookService.isSignatureDateFresh('not a date')).toBe(false);
+  });
+});
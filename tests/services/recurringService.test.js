@@ -0,0 +1,71 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logDBOperation: jest.fn()
+}));
+jest.mock('../../src/models/RecurringSeries', () => ({ findByUserId: jest.fn(), saveDetected: jest.fn() }));
+jest.mock('../../src/models/Transaction', () => ({ findForRecurringDetection: jest.fn() }));
+
+const RecurringSeriesModel = require('../../src/models/RecurringSeries');
+const recurringService = require('../../src/services/recurringService');
+const { addDays, toIsoDate } = require('../../src/utils/recurrence');
+
+const series = (overrides = {}) => ({
+  id: 'series-1',
+  cadence: 'monthly',
+  direction: 'expense',
+  expected_amount: '-15.99',
+  next_expected_date: addDays(toIsoDate(new Date()), 10),
+  status: 'active',
+  end_date: null,
+  is_subscription: true,
+  is_transfer: false,
+  is_dismissed: false,
+  is_price_changed: false,
+  ...overrides
+});
+
+// A monthly standing order from checking to savings, detected on both accounts
+const TRANSFER_SIDES = [
+  series({ id: 'transfer-out', expected_amount: '-300.00', is_subscription: false, is_transfer: true }),
+  series({ id: 'transfer-in', direction: 'income', expected_amount: '300.00', is_subscription: false, is_transfer: true })
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('RecurringService.summarize', () => {
+  it('leaves recurring transfers out of fixed costs and income', () => {
+    const totals = recurringService.summarize([
+      series(),
+      series({ id: 'salary', direction: 'income', expected_amount: '2500.00', is_subscription: false }),
+      ...TRANSFER_SIDES
+    ]);
+
+    expect(totals).toEqual({ monthlyExpenses: 15.99, monthlyIncome: 2500, monthlyNet: 2484.01 });
+  });
+
+  it.each([
+    ['ended', { status: 'ended' }],
+    ['dismissed', { is_dismissed: true }],
+    ['past its end date', { end_date: '2020-01-01' }]
+  ])('leaves out a series that is %s', (label, overrides) => {
+    expect(recurringService.summarize([series(overrides)])).toEqual({ monthlyExpenses: 0, monthlyIncome: 0, monthlyNet: 0 });
+  });
+});
+
+describe('RecurringService.getSubscriptions', () => {
+  it('leaves out recurring transfers, even when flagged as subscriptions', async () => {
+    RecurringSeriesModel.findByUserId.mockResolvedValue([
+      series(),
+      { ...TRANSFER_SIDES[0], is_subscription: true }
+    ]);
+
+    const result = await recurringService.getSubscriptions('user-1');
+
+    expect(RecurringSeriesModel.findByUserId).toHaveBeenCalledWith('user-1', { subscriptionsOnly: true });
+    expect(result.subscriptions.map(s => s.id)).toEqual(['series-1']);
+    expect(result.totals).toEqual({ count: 1, monthlyCost: 15.99, yearlyCost: 191.88 });
+    expect(result.upcoming.map(s => s.id)).toEqual(['series-1']);
+  });
+});
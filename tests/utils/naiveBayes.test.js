@@ -0,0 +1,61 @@
+const { tokenize, train, predict } = require('../../src/utils/naiveBayes');
+
+const model = train([
+  { label: 'groceries', tokens: ['carrefour', 'market'] },
+  { label: 'groceries', tokens: ['carrefour', 'city'] },
+  { label: 'groceries', tokens: ['lidl'] },
+  { label: 'transport', tokens: ['sncf', 'train'] },
+  { label: 'transport', tokens: ['uber', 'trip'] }
+]);
+
+describe('tokenize', () => {
+  it.each([
+    ['CB CARREFOUR MARKET 12/03', ['cb', 'carrefour', 'market']],
+    ['Boulangerie Pâtisserie', ['boulangerie', 'patisserie']],
+    ['PRLV SEPA 2024 A', ['prlv', 'sepa']],
+    ['', []],
+    [null, []]
+  ])('%s -> %j', (text, tokens) => {
+    expect(tokenize(text)).toEqual(tokens);
+  });
+});
+
+describe('train', () => {
+  it('counts documents and tokens per label', () => {
+    expect(model.documentCount).toBe(5);
+    expect(model.vocabularySize).toBe(8);
+    expect(model.labels.groceries).toEqual({ documents: 3, tokenTotal: 5, tokenCounts: { carrefour: 2, market: 1, city: 1, lidl: 1 } });
+  });
+});
+
+describe('predict', () => {
+  it('ranks labels by posterior probability, which sum to 1', () => {
+    const ranked = predict(model, ['carrefour']);
+
+    expect(ranked.map(entry => entry.label)).toEqual(['groceries', 'transport']);
+    expect(ranked[0].probability).toBeCloseTo(0.8069, 4);
+    expect(ranked[0].probability + ranked[1].probability).toBeCloseTo(1, 10);
+  });
+
+  it('grows more confident with more matching tokens', () => {
+    const [one] = predict(model, ['sncf']);
+    const [two] = predict(model, ['sncf', 'train']);
+
+    expect(one.label).toBe('transport');
+    expect(two.probability).toBeGreaterThan(one.probability);
+  });
+
+  it('falls back to the priors for unknown tokens', () => {
+    const ranked = predict(model, ['unknown']);
+
+    expect(ranked[0].label).toBe('groceries');
+    expect(ranked[0].probability).toBeCloseTo(0.5821, 4);
+  });
+
+  it.each([
+    ['no tokens', model, []],
+    ['an empty model', train([]), ['carrefour']]
+  ])('returns nothing for %s', (label, classifier, tokens) => {
+    expect(predict(classifier, tokens)).toEqual([]);
+  });
+});
@@ -0,0 +1,49 @@
+const { createRandom, createNormal, generateSeed } = require('../../src/utils/random');
+
+const take = (generator, count) => Array.from({ length: count }, () => generator());
+
+describe('createRandom', () => {
+  it.each([
+    [42, [0.6011037519201636, 0.44829055899754167, 0.8524657934904099]],
+    [0, [0.26642920868471265, 0.0003297457005828619]]
+  ])('seed %i gives a fixed sequence', (seed, expected) => {
+    expect(take(createRandom(seed), expected.length)).toEqual(expected);
+  });
+
+  it('gives the same sequence for the same seed and another for a different seed', () => {
+    expect(take(createRandom(7), 20)).toEqual(take(createRandom(7), 20));
+    expect(take(createRandom(7), 20)).not.toEqual(take(createRandom(8), 20));
+  });
+
+  it('keeps values in [0, 1)', () => {
+    const values = take(createRandom(123), 10000);
+
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+  });
+});
+
+describe('createNormal', () => {
+  it('gives a fixed sequence for a seed', () => {
+    expect(take(createNormal(createRandom(42)), 3)).toEqual([-0.956162229384149, 0.3220702493215296, -0.2730261048826104]);
+  });
+
+  it('has roughly zero mean and unit variance', () => {
+    const values = take(createNormal(createRandom(2024)), 20000);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+    expect(Math.abs(mean)).toBeLessThan(0.03);
+    expect(Math.abs(variance - 1)).toBeLessThan(0.05);
+  });
+});
+
+describe('generateSeed', () => {
+  it('returns a 32-bit unsigned integer', () => {
+    const seed = generateSeed();
+
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(4294967296);
+  });
+});
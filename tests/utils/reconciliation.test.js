@@ -0,0 +1,81 @@
+const { descriptionSimilarity, scoreMatch, matchPendingTransactions } = require('../../src/utils/reconciliation');
+
+const pending = (overrides = {}) => ({
+  id: 'pending-1',
+  account_id: 'acc-1',
+  amount: '-20.00',
+  currency: 'EUR',
+  transaction_date: '2024-03-15',
+  description: 'CB CARREFOUR',
+  merchant_name: null,
+  ...overrides
+});
+
+const booked = (overrides = {}) => pending({ id: 'booked-1', description: 'CB CARREFOUR MARKET 15/03', ...overrides });
+
+describe('descriptionSimilarity', () => {
+  it.each([
+    ['CB CARREFOUR', 'CB CARREFOUR MARKET 15/03', 1],
+    ['PRLV SEPA NETFLIX.COM', 'NETFLIX', 1],
+    ['AMAZON MARKETPLACE', 'AMAZON PRIME', 0.5],
+    ['AMAZON', 'NETFLIX', 0],
+    ['', 'NETFLIX', 0],
+    [null, null, 0]
+  ])('%s / %s -> %d', (a, b, expected) => {
+    expect(descriptionSimilarity(a, b)).toBe(expected);
+  });
+});
+
+describe('scoreMatch', () => {
+  it.each([
+    ['the same amount on the same day', {}, { score: 1, details: { amountDifference: 0, daysApart: 0, descriptionSimilarity: 1 } }],
+    ['a booked amount off by a tip, two days later', { amount: '-21.00', transaction_date: '2024-03-17' },
+      { score: 0.8886, details: { amountDifference: 1, daysApart: 2, descriptionSimilarity: 1 } }],
+    ['a booking a day before the pending date', { amount: '-21.00', transaction_date: '2024-03-14' },
+      { score: 0.8583, details: { amountDifference: 1, daysApart: -1, descriptionSimilarity: 1 } }],
+    ['another account', { account_id: 'acc-2' }, null],
+    ['another currency', { currency: 'USD' }, null],
+    ['the opposite sign', { amount: '20.00' }, null],
+    ['an amount beyond the tolerance', { amount: '-25.00' }, null],
+    ['a booking too long before', { transaction_date: '2024-03-12' }, null],
+    ['a booking too long after', { transaction_date: '2024-03-26' }, null],
+    ['another payee', { description: 'PRLV SEPA NETFLIX.COM' }, null]
+  ])('scores %s', (label, overrides, expected) => {
+    expect(scoreMatch(pending(), booked(overrides))).toEqual(expected);
+  });
+
+  it('falls back to the merchant names', () => {
+    const match = scoreMatch(pending({ description: 'CARD 1234', merchant_name: 'Carrefour' }), booked({ merchant_name: 'Carrefour' }));
+
+    expect(match.details.descriptionSimilarity).toBe(1);
+  });
+
+  it('honours custom options', () => {
+    expect(scoreMatch(pending(), booked({ transaction_date: '2024-03-17' }), { daysAfter: 1 })).toBeNull();
+  });
+});
+
+describe('matchPendingTransactions', () => {
+  it('pairs each row at most once, best scores first', () => {
+    const pendingRows = [pending({ id: 'p1' }), pending({ id: 'p2', amount: '-21.00' })];
+    const bookedRows = [booked({ id: 'b1', amount: '-21.00' }), booked({ id: 'b2' })];
+
+    const matches = matchPendingTransactions(pendingRows, bookedRows);
+
+    expect(matches.map(match => `${match.pending.id}:${match.booked.id}`)).toEqual(['p1:b2', 'p2:b1']);
+  });
+
+  it('leaves a second pending row unmatched when only one booked row fits', () => {
+    const matches = matchPendingTransactions([pending({ id: 'p1' }), pending({ id: 'p2' })], [booked({ id: 'b1' })]);
+
+    expect(matches).toHaveLength(1);
+  });
+
+  it('skips excluded pairs', () => {
+    const matches = matchPendingTransactions([pending({ id: 'p1' })], [booked({ id: 'b1' }), booked({ id: 'b2', amount: '-20.50' })], {
+      excludedPairs: new Set(['p1:b1'])
+    });
+
+    expect(matches.map(match => match.booked.id)).toEqual(['b2']);
+  });
+});
@@ -0,0 +1,112 @@
+const { normalizePayee, addMonths, detectSeries, occurrencesBetween } = require('../../src/utils/recurrence');
+
+const monthly = (dates, { amount = -15.99, description = 'PRLV SEPA NETFLIX.COM', account = 'acc-1' } = {}) =>
+  dates.map((date, index) => ({
+    id: `${description}-${index}`,
+    account_id: account,
+    transaction_date: date,
+    amount: String(amount),
+    currency: 'EUR',
+    description,
+    merchant_name: null
+  }));
+
+describe('normalizePayee', () => {
+  it.each([
+    ['PRLV SEPA NETFLIX.COM', 'netflix'],
+    ['CB CARREFOUR 12/03 CARTE 4974', 'carrefour'],
+    ['Vir Instantané reçu de Société Générale', 'societe generale'],
+    ['', ''],
+    [null, '']
+  ])('%s -> %s', (text, payee) => {
+    expect(normalizePayee(text)).toBe(payee);
+  });
+});
+
+describe('addMonths', () => {
+  it.each([
+    ['2024-01-31', 1, null, '2024-02-29'],
+    ['2024-02-29', 1, 31, '2024-03-31'],
+    ['2023-12-15', 3, null, '2024-03-15'],
+    ['2024-03-31', -1, null, '2024-02-29']
+  ])('%s + %i months (anchor %s) = %s', (date, months, anchorDay, expected) => {
+    expect(addMonths(date, months, anchorDay)).toBe(expected);
+  });
+});
+
+describe('occurrencesBetween', () => {
+  it('keeps a month-end anchor', () => {
+    expect(occurrencesBetween('2024-01-31', 'monthly', '2024-02-01', '2024-04-30')).toEqual(['2024-02-29', '2024-03-31', '2024-04-30']);
+  });
+});
+
+describe('detectSeries', () => {
+  const asOf = new Date('2024-06-20T12:00:00Z');
+
+  it('detects a monthly subscription', () => {
+    const [series] = detectSeries(monthly(['2024-01-05', '2024-02-05', '2024-03-05', '2024-04-05', '2024-05-05', '2024-06-05']), { asOf });
+
+    expect(series).toMatchObject({
+      cadence: 'monthly',
+      direction: 'expense',
+      occurrence_count: 6,
+      next_expected_date: '2024-07-05',
+      status: 'active',
+      is_subscription: true,
+      series_key: 'netflix'
+    });
+  });
+
+  it('keeps a series with a same-day double charge', () => {
+    const transactions = monthly(['2024-01-05', '2024-02-05', '2024-03-05', '2024-03-05', '2024-04-05', '2024-05-05', '2024-06-05']);
+    const [series] = detectSeries(transactions, { asOf });
+
+    expect(series).toMatchObject({ cadence: 'monthly', occurrence_count: 6, status: 'active' });
+    expect(series.transaction_ids).toHaveLength(7);
+    expect(series.transaction_ids).toEqual(expect.arrayContaining(transactions.map(t => t.id)));
+  });
+
+  it('keeps the same-day occurrence closest to the typical amount', () => {
+    const transactions = monthly(['2024-01-05', '2024-02-05', '2024-03-05', '2024-04-05', '2024-05-05']);
+    transactions.push({ ...transactions[4], id: 'partial-charge', amount: '-1.00' });
+    const [series] = detectSeries(transactions, { asOf });
+
+    expect(series.expected_amount).toBe(-15.99);
+    expect(series.average_amount).toBe(-15.99);
+  });
+
+  it('flags a missed occurrence', () => {
+    const [series] = detectSeries(monthly(['2024-01-05', '2024-02-05', '2024-03-05', '2024-04-05']), { asOf });
+
+    expect(series.status).toBe('missed');
+  });
+
+  it('marks both sides of a monthly transfer between the user\'s accounts', () => {
+    const dates = ['2024-01-05', '2024-02-05', '2024-03-05', '2024-04-05', '2024-05-05', '2024-06-05'];
+    const linked = (rows) => rows.map((row, index) => ({ ...row, transfer_id: index < 5 ? `transfer-${index}` : null }));
+    const transactions = [
+      ...linked(monthly(dates, { amount: -300, description: 'VIR EPARGNE', account: 'checking' })),
+      ...linked(monthly(dates, { amount: 300, description: 'VIR EPARGNE', account: 'savings' }))
+    ];
+
+    const series = detectSeries(transactions, { asOf });
+
+    expect(series).toEqual([
+      expect.objectContaining({ account_id: 'checking', direction: 'expense', is_transfer: true, is_subscription: false }),
+      expect.objectContaining({ account_id: 'savings', direction: 'income', is_transfer: true, is_subscription: false })
+    ]);
+  });
+
+  it('does not mark a series with one stray transfer link', () => {
+    const rows = monthly(['2024-01-05', '2024-02-05', '2024-03-05', '2024-04-05', '2024-05-05', '2024-06-05']);
+    rows[0].transfer_id = 'transfer-1';
+
+    const [series] = detectSeries(rows, { asOf });
+
+    expect(series).toMatchObject({ is_transfer: false, is_subscription: true });
+  });
+
+  it('ignores irregular payments', () => {
+    expect(detectSeries(monthly(['2024-01-02', '2024-01-20', '2024-03-29', '2024-04-03', '2024-06-11']), { asOf })).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { isSafePattern, matchesRule } = require('../../src/utils/ruleEngine');
+
+describe('isSafePattern', () => {
+  it.each([
+    'carrefour|lidl|monoprix',
+    '^CB\\s+\\d{2}/\\d{2}',
+    '(?:foo|bar)?baz',
+    '(ab){2,}',
+    '[(+)]+',
+    '\\(+\\)+',
+    'netflix\\.com'
+  ])('accepts %s', (pattern) => {
+    expect(isSafePattern(pattern)).toBe(true);
+  });
+
+  it.each([
+    '(a+)+$',
+    '(.*)*',
+    '(a|ab)*',
+    '(\\w+\\s?)+x',
+    'x(a{1,3}){2}',
+    '((a|b)c)+',
+    '([a-z])\\1',
+    '(?<word>a)\\k<word>'
+  ])('rejects %s', (pattern) => {
+    expect(isSafePattern(pattern)).toBe(false);
+  });
+});
+
+describe('matchesRule', () => {
+  it('never matches with an unsafe description pattern', () => {
+    const started = Date.now();
+    const matched = matchesRule({ description_pattern: '(a+)+$' }, { description: `${'a'.repeat(40)}!` });
+
+    expect(matched).toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('matches a safe pattern case-insensitively', () => {
+    expect(matchesRule({ description_pattern: 'carrefour|lidl' }, { description: 'CB LIDL 12/03' })).toBe(true);
+  });
+});
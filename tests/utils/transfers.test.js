@@ -0,0 +1,91 @@
+const { normalizeIban, referencedIbans, scoreTransfer, detectTransfers } = require('../../src/utils/transfers');
+
+const CHECKING_IBAN = 'FR76 3000 6000 0112 3456 7890 189';
+const SAVINGS_IBAN = 'FR1420041010050500013M02606';
+
+const outgoing = (overrides = {}) => ({
+  id: 'out-1',
+  account_id: 'checking',
+  account_iban: CHECKING_IBAN,
+  amount: '-500.00',
+  currency: 'EUR',
+  transaction_date: '2024-03-15',
+  description: 'CARTE',
+  ...overrides
+});
+
+const incoming = (overrides = {}) => outgoing({
+  id: 'in-1',
+  account_id: 'savings',
+  account_iban: SAVINGS_IBAN,
+  amount: '500.00',
+  description: 'DEPOT',
+  ...overrides
+});
+
+describe('normalizeIban', () => {
+  it.each([
+    ['FR76 3000 6000 0112 3456 7890 189', 'FR7630006000011234567890189'],
+    ['fr76-3000-6000', 'FR7630006000'],
+    ['', ''],
+    [null, '']
+  ])('%s -> %s', (value, expected) => {
+    expect(normalizeIban(value)).toBe(expected);
+  });
+});
+
+describe('referencedIbans', () => {
+  it.each([
+    [{ description: 'VIR to fr76 3000 6000 0112 3456 7890 189' }, ['FR7630006000011234567890189']],
+    [{ description: 'VIR', counterparty: { iban: 'DE89370400440532013000' } }, ['DE89370400440532013000']],
+    [{ description: 'VIR', original_wording: 'FROM FR1420041010050500013M02606', counterparty: 'DE89 3704 0044 0532 0130 00' },
+      ['FR1420041010050500013M02606', 'DE89370400440532013000']],
+    [{ description: 'CB CARREFOUR 12/03' }, []]
+  ])('%j -> %j', (transaction, expected) => {
+    expect([...referencedIbans(transaction)]).toEqual(expected);
+  });
+});
+
+describe('scoreTransfer', () => {
+  it.each([
+    ['the same amount on the same day', {}, {}, null],
+    ['transfer wording', { description: 'VIR EPARGNE' }, {}, { score: 0.7, details: { daysApart: 0, ibanReference: false, transferWording: true } }],
+    ['an IBAN reference and wording a day later', { description: 'VIR EPARGNE' }, { description: 'VIREMENT FROM FR7630006000011234567890189', transaction_date: '2024-03-16' },
+      { score: 0.96, details: { daysApart: 1, ibanReference: true, transferWording: true } }],
+    ['the same account', { description: 'VIR' }, { account_id: 'checking' }, null],
+    ['another currency', { description: 'VIR' }, { currency: 'USD' }, null],
+    ['two outgoing amounts', { description: 'VIR' }, { amount: '-500.00' }, null],
+    ['different amounts', { description: 'VIR' }, { amount: '499.00' }, null],
+    ['an incoming side too early', { description: 'VIR' }, { transaction_date: '2024-03-13' }, null],
+    ['an incoming side too late', { description: 'VIR' }, { transaction_date: '2024-03-20' }, null]
+  ])('scores %s', (label, outgoingOverrides, incomingOverrides, expected) => {
+    expect(scoreTransfer(outgoing(outgoingOverrides), incoming(incomingOverrides))).toEqual(expected);
+  });
+});
+
+describe('detectTransfers', () => {
+  it('links each transaction at most once, best scores first', () => {
+    const transactions = [
+      outgoing({ id: 'o1', description: 'VIR EPARGNE' }),
+      incoming({ id: 'i1', description: 'VIR', transaction_date: '2024-03-18' }),
+      incoming({ id: 'i2', description: 'VIR' }),
+      incoming({ id: 'i3', description: 'VIR', amount: '20.00' })
+    ];
+
+    const transfers = detectTransfers(transactions);
+
+    expect(transfers.map(transfer => `${transfer.outgoing.id}:${transfer.incoming.id}`)).toEqual(['o1:i2']);
+  });
+
+  it('skips excluded pairs', () => {
+    const transactions = [outgoing({ id: 'o1', description: 'VIR' }), incoming({ id: 'i1' }), incoming({ id: 'i2', transaction_date: '2024-03-16' })];
+
+    const transfers = detectTransfers(transactions, { excludedPairs: new Set(['o1:i1']) });
+
+    expect(transfers.map(transfer => transfer.incoming.id)).toEqual(['i2']);
+  });
+
+  it('returns nothing without a matching pair', () => {
+    expect(detectTransfers([outgoing(), incoming({ amount: '20.00' })])).toEqual([]);
+  });
+});